@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+
+/**
+ * 套管换热器批量计算命令行工具
+ * 
+ * 使用方法：
+ *   hx calc <case.json> [更多文件...] [--format json|csv] [--output <文件>] [--wasm <coolprop.wasm>]
+ *                                     [--fluids <自定义流体.json>] [--reference-state <工质>=<参考状态>] [--verbose]
+ *   hx schema input|result                   输出计算输入/结果的 JSON Schema
+ *   hx migrate <case.json> [--output <文件>]  将旧版本算例升级到当前模式版本
+ * 
+ * 算例文件为 calculateHeatExchanger 的参数对象、参数对象数组，或 {cases: [...]}。
+ * 每个算例可带 name（输出中的名称）和 sizing（尺寸设计参数，给定时调用 calculateSizing）。
+ * 有算例计算失败时退出码为 1，便于回归测试脚本判断。
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import { basename } from 'path';
+import {
+  loadCoolPropFromDisk,
+  calculateHeatExchanger,
+  calculateSizing,
+  setCustomFluidStore,
+  setReferenceState,
+  getPropertyCacheStats,
+  INPUT_SCHEMA,
+  RESULT_SCHEMA,
+  migrateCalculationInput
+} from '../src/node.js';
+
+const USAGE = `用法:
+  hx calc <case.json> [更多文件...] [选项]
+  hx schema input|result
+  hx migrate <case.json> [--output <文件>]
+
+选项:
+  --format json|csv     输出格式（默认 json）
+  --output <文件>       输出到文件（默认输出到标准输出）
+  --wasm <路径>         coolprop.wasm 路径（默认 COOLPROP_WASM 环境变量或 public/coolprop.wasm）
+  --fluids <文件>       自定义流体数据 JSON（即浏览器 localStorage 中 hx-custom-fluids 的内容）
+  --reference-state <工质>=<IIR|ASHRAE|NBP|DEF>
+                        设置纯工质比焓/比熵的参考状态（影响结果中的绝对比焓），可重复
+  --verbose             在标准错误输出中显示计算日志`;
+
+/** CSV 汇总列：[列名, 取值函数] */
+const CSV_COLUMNS = [
+  ['name', row => row.name],
+  ['success', row => row.success],
+  ['heatTransferRate_kW', row => row.result?.heatTransferRate],
+  ['lmtd_K', row => row.result?.lmtd],
+  ['U_W_m2K', row => row.result?.overallHeatTransferCoefficient],
+  ['hi_W_m2K', row => row.result?.hi],
+  ['ho_W_m2K', row => row.result?.ho],
+  ['heatTransferArea_m2', row => row.result?.heatTransferArea],
+  ['requiredArea_m2', row => row.result?.requiredArea],
+  ['areaMargin_percent', row => row.result?.areaMargin],
+  ['length_m', row => row.result?.length],
+  ['passCount', row => row.result?.passCount],
+  ['outerTubeCountPerPass', row => row.result?.outerTubeCountPerPass],
+  ['innerPressureDrop_kPa', row => row.result?.innerPressureDrop],
+  ['annulusPressureDrop_kPa', row => row.result?.annulusPressureDrop],
+  ['error', row => row.error]
+];
+
+/** CoolProp 支持的参考状态 */
+const REFERENCE_STATES = ['IIR', 'ASHRAE', 'NBP', 'DEF'];
+
+// 解析 --reference-state 的值：<工质>=<参考状态>
+function parseReferenceState(value) {
+  const match = /^([^=]+)=([A-Za-z]+)$/.exec(value || '');
+  if (!match || !REFERENCE_STATES.includes(match[2].toUpperCase())) {
+    throw new Error(`--reference-state 格式应为 <工质>=<${REFERENCE_STATES.join('|')}>，当前: ${value}`);
+  }
+  return { fluid: match[1], referenceState: match[2].toUpperCase() };
+}
+
+// 解析命令行参数
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { command, files: [], format: 'json', output: null, wasm: undefined, fluids: null, referenceStates: [], verbose: false };
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--format') options.format = rest[++i];
+    else if (arg === '--output' || arg === '-o') options.output = rest[++i];
+    else if (arg === '--wasm') options.wasm = rest[++i];
+    else if (arg === '--fluids') options.fluids = rest[++i];
+    else if (arg === '--reference-state') options.referenceStates.push(parseReferenceState(rest[++i]));
+    else if (arg === '--verbose') options.verbose = true;
+    else if (arg.startsWith('--')) throw new Error(`未知选项: ${arg}`);
+    else options.files.push(arg);
+  }
+  if (command === 'schema') {
+    if (options.files.length !== 1 || !['input', 'result'].includes(options.files[0])) {
+      throw new Error(USAGE);
+    }
+    return options;
+  }
+  if ((command !== 'calc' && command !== 'migrate') || options.files.length === 0) {
+    throw new Error(USAGE);
+  }
+  if (options.format !== 'json' && options.format !== 'csv') {
+    throw new Error(`不支持的输出格式: ${options.format}（可选 json、csv）`);
+  }
+  return options;
+}
+
+// 读取算例文件，返回 [{name, params}]
+async function readCases(file) {
+  const data = JSON.parse(await readFile(file, 'utf-8'));
+  const cases = Array.isArray(data) ? data : (Array.isArray(data.cases) ? data.cases : [data]);
+  return cases.map((params, i) => ({
+    name: params.name || (cases.length > 1 ? `${basename(file)}#${i + 1}` : basename(file)),
+    params
+  }));
+}
+
+// 运行单个算例；计算失败时记录错误而不中断批量运行
+async function runCase({ name, params }) {
+  const { name: _name, sizing, ...calculationParams } = params;
+  try {
+    if (sizing) {
+      const sizingResult = await calculateSizing({ ...calculationParams, ...sizing });
+      return sizingResult.success
+        ? { name, success: true, result: { ...sizingResult.result, sizingResult: { ...sizingResult, result: undefined } } }
+        : { name, success: false, error: sizingResult.error };
+    }
+    const result = await calculateHeatExchanger(calculationParams);
+    return result.success
+      ? { name, success: true, result }
+      : { name, success: false, error: result.error };
+  } catch (error) {
+    return { name, success: false, error: error.message };
+  }
+}
+
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatOutput(rows, format) {
+  if (format === 'csv') {
+    const header = CSV_COLUMNS.map(([column]) => column).join(',');
+    const lines = rows.map(row => CSV_COLUMNS.map(([, getValue]) => toCsvCell(getValue(row))).join(','));
+    return [header, ...lines].join('\n') + '\n';
+  }
+  return JSON.stringify(rows, null, 2) + '\n';
+}
+
+async function writeOutput(output, file) {
+  if (file) {
+    await writeFile(file, output, 'utf-8');
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  
+  if (options.command === 'schema') {
+    const schema = options.files[0] === 'input' ? INPUT_SCHEMA : RESULT_SCHEMA;
+    await writeOutput(JSON.stringify(schema, null, 2) + '\n', options.output);
+    return;
+  }
+  if (options.command === 'migrate') {
+    // 只升级参数部分，name 和 sizing 原样保留
+    const cases = (await Promise.all(options.files.map(readCases))).flat();
+    const migrated = cases.map(({ params }) => {
+      const { name, sizing, ...calculationParams } = params;
+      return { ...(name ? { name } : {}), ...migrateCalculationInput(calculationParams), ...(sizing ? { sizing } : {}) };
+    });
+    await writeOutput(JSON.stringify(migrated.length === 1 ? migrated[0] : migrated, null, 2) + '\n', options.output);
+    return;
+  }
+  
+  // 计算引擎的调试日志输出到 console.log，保持标准输出只包含结果
+  console.log = options.verbose ? console.error : () => {};
+  
+  await loadCoolPropFromDisk(options.wasm);
+  for (const { fluid, referenceState } of options.referenceStates) {
+    await setReferenceState(fluid, referenceState);
+  }
+  if (options.fluids) {
+    setCustomFluidStore(JSON.parse(await readFile(options.fluids, 'utf-8')));
+  }
+  
+  const cases = (await Promise.all(options.files.map(readCases))).flat();
+  const rows = [];
+  for (const item of cases) {
+    const row = await runCase(item);
+    console.error(`${row.success ? '✓' : '✗'} ${row.name}${row.success ? '' : `: ${row.error}`}`);
+    rows.push(row);
+  }
+  
+  await writeOutput(formatOutput(rows, options.format), options.output);
+  
+  const failed = rows.filter(row => !row.success).length;
+  const cacheStats = getPropertyCacheStats();
+  console.error(`共 ${rows.length} 个算例，失败 ${failed} 个；物性缓存命中率 ${(cacheStats.hitRate * 100).toFixed(1)}%`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 2;
+});
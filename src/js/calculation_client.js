@@ -0,0 +1,107 @@
+/**
+ * 计算 Worker 客户端
+ * 主线程通过消息调用 calculation_worker.js 中的 CoolProp 和计算引擎，支持进度回调和取消。
+ * CoolProp 的 PropsSI 为同步调用，计算过程中 Worker 无法响应消息，
+ * 因此取消时直接终止 Worker，下次调用时重新创建并加载 CoolProp。
+ */
+
+import { getCustomFluidStore } from './custom_fluids.js';
+
+let worker = null;
+let nextRequestId = 1;
+// 进行中的请求：id → {resolve, reject, onProgress}
+const pendingRequests = new Map();
+
+/**
+ * 处理 Worker 消息
+ * @param {MessageEvent} event
+ */
+function handleMessage({ data }) {
+  const request = pendingRequests.get(data.id);
+  if (!request) return;
+  
+  if (data.type === 'progress') {
+    request.onProgress?.(data.progress);
+    return;
+  }
+  
+  pendingRequests.delete(data.id);
+  if (data.type === 'result') {
+    request.resolve({ result: data.result, cacheStats: data.cacheStats });
+  } else {
+    request.reject(new Error(data.message));
+  }
+}
+
+/**
+ * 终止 Worker，并让所有进行中的请求以给定错误结束
+ * @param {Error} error
+ */
+function terminateWorker(error) {
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+  pendingRequests.forEach(request => request.reject(error));
+  pendingRequests.clear();
+}
+
+/**
+ * 获取（必要时创建）计算 Worker
+ * @returns {Worker}
+ */
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('./calculation_worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = handleMessage;
+    worker.onerror = (event) => {
+      // 脚本加载失败等未捕获错误：结束全部请求，下次调用时重建 Worker
+      terminateWorker(new Error(`计算 Worker 出错: ${event.message || '未知错误'}`));
+    };
+  }
+  return worker;
+}
+
+/**
+ * 向 Worker 发送请求
+ * @param {Object} message - 消息内容（不含 id）
+ * @param {Function|null} onProgress - 进度回调
+ * @returns {Promise<{result: Object, cacheStats: Object}>}
+ */
+function sendRequest(message, onProgress = null) {
+  const id = nextRequestId++;
+  return new Promise((resolve, reject) => {
+    pendingRequests.set(id, { resolve, reject, onProgress });
+    getWorker().postMessage({ id, ...message });
+  });
+}
+
+/**
+ * 在 Worker 中加载 CoolProp（应用启动时调用）
+ * @returns {Promise<void>}
+ */
+export async function loadCalculationEngine() {
+  await sendRequest({ type: 'load' });
+}
+
+/**
+ * 在 Worker 中运行计算
+ * @param {string} method - 计算方法：'calculateHeatExchanger' 或 'calculateSizing'
+ * @param {Object} params - 计算参数（须可结构化克隆，不能包含函数）
+ * @param {Object} options - 选项
+ * @param {Function} options.onProgress - 进度回调，参数为 {stage, iteration, message}
+ * @returns {{promise: Promise<{result: Object, cacheStats: Object}>, cancel: Function}}
+ *   cancel() 终止 Worker，promise 以 name 为 'CalculationCancelled' 的错误结束
+ */
+export function runCalculation(method, params, { onProgress = null } = {}) {
+  const promise = sendRequest(
+    { type: 'run', method, params, customFluids: getCustomFluidStore() },
+    onProgress
+  );
+  const cancel = () => {
+    const error = new Error('计算已取消');
+    error.name = 'CalculationCancelled';
+    terminateWorker(error);
+  };
+  return { promise, cancel };
+}
@@ -0,0 +1,54 @@
+/**
+ * 计算 Worker
+ * 在专用 Worker 中加载 CoolProp WASM 并运行计算引擎，避免长时间计算阻塞页面。
+ * 
+ * 消息协议（主线程 → Worker）：
+ * - { id, type: 'load' }：预加载 CoolProp
+ * - { id, type: 'run', method, params, customFluids }：调用 METHODS 中的计算方法；
+ *   customFluids 为自定义流体数据（Worker 中无法访问 localStorage）
+ * 
+ * 消息协议（Worker → 主线程）：
+ * - { id, type: 'progress', progress }：计算进度 {stage, iteration, message}
+ * - { id, type: 'result', result, cacheStats }：计算结果及物性缓存统计
+ * - { id, type: 'error', message }：计算出错
+ */
+
+import { loadCoolProp, getPropertyCacheStats } from './coolprop_loader.js';
+import { calculateHeatExchanger, calculateSizing } from './heat_exchanger.js';
+import { setCustomFluidStore } from './custom_fluids.js';
+import { calculateParametricSweep } from './sweep.js';
+import { optimizeDesign } from './optimizer.js';
+import { calculateUncertainty } from './uncertainty.js';
+
+const METHODS = {
+  calculateHeatExchanger,
+  calculateSizing,
+  calculateParametricSweep,
+  optimizeDesign,
+  calculateUncertainty
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, type, method, params, customFluids } = data;
+  try {
+    await loadCoolProp();
+    if (type === 'load') {
+      self.postMessage({ id, type: 'result', result: null, cacheStats: getPropertyCacheStats() });
+      return;
+    }
+    
+    const calculate = METHODS[method];
+    if (!calculate) {
+      throw new Error(`未知的计算方法: ${method}`);
+    }
+    setCustomFluidStore(customFluids || {});
+    const result = await calculate({
+      ...params,
+      onProgress: (progress) => self.postMessage({ id, type: 'progress', progress })
+    });
+    self.postMessage({ id, type: 'result', result, cacheStats: getPropertyCacheStats() });
+  } catch (error) {
+    console.error(`[计算Worker] ${method || type} 失败:`, error);
+    self.postMessage({ id, type: 'error', message: error.message || String(error) });
+  }
+};
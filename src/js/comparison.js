@@ -0,0 +1,69 @@
+/**
+ * 案例对比
+ * 将多个计算结果并列成对比表，以第一个案例为基准计算各指标的相对变化，
+ * 并按指标的优劣方向标记变化是改善还是变差
+ */
+
+/**
+ * 对比指标
+ * - better：'higher'（越大越好）、'lower'（越小越好）或 null（不判断优劣）
+ * - digits：显示的小数位数
+ */
+export const COMPARISON_METRICS = [
+  { key: 'heatTransferRate', label: '传热量 Q', unit: 'kW', digits: 2, better: 'higher' },
+  { key: 'overallHeatTransferCoefficient', label: '总传热系数 U', unit: 'W/m²·K', digits: 1, better: 'higher' },
+  { key: 'hi', label: '管内传热系数 hi', unit: 'W/m²·K', digits: 1, better: 'higher' },
+  { key: 'ho', label: '管外传热系数 ho', unit: 'W/m²·K', digits: 1, better: 'higher' },
+  { key: 'lmtd', label: '对数平均温差', unit: 'K', digits: 2, better: null },
+  { key: 'heatTransferArea', label: '换热面积', unit: 'm²', digits: 3, better: null },
+  { key: 'requiredArea', label: '所需面积', unit: 'm²', digits: 3, better: 'lower' },
+  { key: 'areaMargin', label: '面积余量', unit: '%', digits: 1, better: 'higher' },
+  { key: 'length', label: '单流程管长', unit: 'm', digits: 2, better: null },
+  { key: 'innerPressureDrop', label: '管内压降', unit: 'kPa', digits: 2, better: 'lower' },
+  { key: 'annulusPressureDrop', label: '环隙压降', unit: 'kPa', digits: 2, better: 'lower' },
+  { key: 'innerVelocity', label: '管内流速', unit: 'm/s', digits: 2, better: null },
+  { key: 'annulusVelocityIn', label: '环隙进口流速', unit: 'm/s', digits: 2, better: null },
+  { key: 'annulusVelocityOut', label: '环隙出口流速', unit: 'm/s', digits: 2, better: null },
+  { key: 'Ri_percentage', label: '管内热阻占比', unit: '%', digits: 1, better: null },
+  { key: 'Ro_percentage', label: '管外热阻占比', unit: '%', digits: 1, better: null },
+  { key: 'Rwall_percentage', label: '管壁热阻占比', unit: '%', digits: 1, better: null },
+  { key: 'Rfi_percentage', label: '管内污垢热阻占比', unit: '%', digits: 1, better: null },
+  { key: 'Rfo_percentage', label: '管外污垢热阻占比', unit: '%', digits: 1, better: null }
+];
+
+// 相对变化小于该值 (%) 时视为无变化，不标记优劣
+const DELTA_THRESHOLD = 0.5;
+
+const isValidNumber = (value) => typeof value === 'number' && isFinite(value);
+
+/**
+ * 生成对比表
+ * @param {Array<Object>} cases - 对比案例 [{label, result}]，第一个为基准
+ * @returns {Object} {labels, rows: [{key, label, unit, digits, values, deltas, trends}]}
+ *   deltas 为相对基准的变化 (%)，基准列及无法比较时为 null；
+ *   trends 为 'better'、'worse'、'same' 或 null（指标不判断优劣或无法比较）
+ */
+export function buildComparisonTable(cases) {
+  const rows = COMPARISON_METRICS
+    .map((metric) => {
+      const values = cases.map(c => (isValidNumber(c.result[metric.key]) ? c.result[metric.key] : null));
+      const baseValue = values[0];
+      const deltas = values.map((value, i) => {
+        if (i === 0 || value === null || baseValue === null || baseValue === 0) return null;
+        return (value - baseValue) / Math.abs(baseValue) * 100;
+      });
+      const trends = deltas.map((delta) => {
+        if (delta === null || !metric.better) return null;
+        if (Math.abs(delta) < DELTA_THRESHOLD) return 'same';
+        return (delta > 0) === (metric.better === 'higher') ? 'better' : 'worse';
+      });
+      return { ...metric, values, deltas, trends };
+    })
+    // 所有案例都没有的指标（如未设置污垢热阻时的污垢热阻占比）不显示
+    .filter(row => row.values.some(value => value !== null));
+
+  return {
+    labels: cases.map(c => c.label),
+    rows: rows
+  };
+}
@@ -3,9 +3,50 @@
  * 使用 import.meta.env.BASE_URL 处理路径，确保部署后路径正确
  */
 
+import { isMixture, resolveFluidName } from './mixtures.js';
+import { isCustomFluid, getCustomFluidProperty } from './custom_fluids.js';
+
 let CoolPropInstance = null;
 let isCoolPropLoaded = false;
 let loadPromise = null;
+// Emscripten 模块附加配置（由 configureCoolProp 设置）
+let moduleOptions = {};
+
+/**
+ * 物性查询 LRU 缓存
+ * 键为 (工质, 物性, 输入1, 输入2)，输入值先舍入到 CACHE_SIGNIFICANT_DIGITS 位有效数字，
+ * 舍入后的值同时用于 PropsSI 计算，保证命中与未命中时结果一致。
+ * Map 按插入顺序迭代：命中时删除后重新插入，超出容量时删除最早的键。
+ */
+const CACHE_MAX_SIZE = 20000;
+const CACHE_SIGNIFICANT_DIGITS = 9;
+const propertyCache = new Map();
+const cacheStats = { hits: 0, misses: 0, evictions: 0 };
+// 流体字符串 -> 各组分的规范名称（见 getCanonicalComponents）
+const canonicalComponentCache = new Map();
+
+/**
+ * 按有效数字舍入状态点输入值
+ * @param {number} value - 输入值
+ * @returns {number}
+ */
+function roundStateValue(value) {
+  return Number(value.toPrecision(CACHE_SIGNIFICANT_DIGITS));
+}
+
+/**
+ * 设置 CoolProp 模块加载选项，须在 loadCoolProp 之前调用
+ * 浏览器中默认从站点根目录获取 coolprop.wasm；Node 等环境可直接传入 WASM 二进制内容
+ * @param {Object} options - 加载选项
+ * @param {string} options.wasmPath - coolprop.wasm 的 URL 或路径
+ * @param {Uint8Array} options.wasmBinary - coolprop.wasm 的二进制内容（给定时不再获取文件）
+ */
+export function configureCoolProp(options = {}) {
+  if (isCoolPropLoaded || loadPromise) {
+    throw new Error('CoolProp 已开始加载，不能再修改加载选项');
+  }
+  moduleOptions = { ...options };
+}
 
 /**
  * 加载 CoolProp 库
@@ -25,13 +66,14 @@ export async function loadCoolProp() {
   // 开始加载
   loadPromise = (async () => {
     try {
-      const baseUrl = import.meta.env.BASE_URL || '/';
+      // import.meta.env 由 Vite 注入，Node 中不存在
+      const baseUrl = import.meta.env?.BASE_URL || '/';
       
       // CoolProp 文件现在在 src/js 目录下，可以直接导入
       const CoolPropModule = await import('./coolprop.js');
       
       // WASM 文件在 public 目录，需要通过绝对 URL 访问
-      const wasmPath = `${baseUrl}coolprop.wasm`.replace(/\/+/g, '/');
+      const wasmPath = moduleOptions.wasmPath || `${baseUrl}coolprop.wasm`.replace(/\/+/g, '/');
       
       // 获取默认导出（通常是 Module 构造函数函数）
       let CoolPropConstructor = CoolPropModule.default || CoolPropModule;
@@ -39,6 +81,7 @@ export async function loadCoolProp() {
       // Emscripten 生成的模块通常是一个函数，需要传入配置对象
       // 设置 locateFile 函数来正确加载 WASM 文件
       const CoolProp = await CoolPropConstructor({
+        ...(moduleOptions.wasmBinary ? { wasmBinary: moduleOptions.wasmBinary } : {}),
         locateFile: (path, prefix) => {
           // 如果是 WASM 文件，返回正确的路径
           if (path.endsWith('.wasm')) {
@@ -84,9 +127,10 @@ export async function loadCoolProp() {
  */
 export async function getProperty(fluid, property, input1, value1, input2, value2) {
   try {
-    const CoolProp = await loadCoolProp();
+    // 自定义流体按物性表插值，不经过 CoolProp
+    const CoolProp = isCustomFluid(fluid) ? null : await loadCoolProp();
     
-    if (!CoolProp.PropsSI) {
+    if (CoolProp && !CoolProp.PropsSI) {
       throw new Error('CoolProp.PropsSI 方法不可用');
     }
     
@@ -112,17 +156,35 @@ export async function getProperty(fluid, property, input1, value1, input2, value
       }
     }
     
-    const result = CoolProp.PropsSI(property, input1, value1, input2, value2, fluid);
+    // 自定义流体插值开销很小，且物性表可能被重新导入，不进入缓存
+    if (isCustomFluid(fluid)) {
+      return checkPropertyResult(
+        getCustomFluidProperty(fluid, property, input1, value1, input2, value2),
+        fluid, property, input1, value1, input2, value2
+      );
+    }
     
-    // 检查结果有效性
-    if (isNaN(result) || !isFinite(result)) {
-      throw new Error(`物性查询返回无效值: ${result} (可能的原因：温度/压力超出工质有效范围，或处于两相区/临界点附近)`);
+    const roundedValue1 = roundStateValue(value1);
+    const roundedValue2 = roundStateValue(value2);
+    const cacheKey = `${fluid}|${property}|${input1}|${roundedValue1}|${input2}|${roundedValue2}`;
+    if (propertyCache.has(cacheKey)) {
+      const cached = propertyCache.get(cacheKey);
+      propertyCache.delete(cacheKey);
+      propertyCache.set(cacheKey, cached);
+      cacheStats.hits++;
+      return cached;
     }
+    cacheStats.misses++;
     
-    // 对于某些物性，检查是否为负值（密度、粘度、导热系数、比热容等不应为负）
-    const nonNegativeProperties = ['D', 'V', 'L', 'C'];
-    if (nonNegativeProperties.includes(property) && result < 0) {
-      throw new Error(`物性查询返回负值: ${property} = ${result} (工质: ${fluid}, ${input1}=${value1}, ${input2}=${value2})`);
+    const result = checkPropertyResult(
+      CoolProp.PropsSI(property, input1, roundedValue1, input2, roundedValue2, resolveFluidName(fluid)),
+      fluid, property, input1, value1, input2, value2
+    );
+    
+    propertyCache.set(cacheKey, result);
+    if (propertyCache.size > CACHE_MAX_SIZE) {
+      propertyCache.delete(propertyCache.keys().next().value);
+      cacheStats.evictions++;
     }
     
     return result;
@@ -147,6 +209,134 @@ export async function getProperty(fluid, property, input1, value1, input2, value
   }
 }
 
+/**
+ * 检查物性查询结果的有效性
+ * @returns {number} 通过检查的物性值
+ */
+function checkPropertyResult(result, fluid, property, input1, value1, input2, value2) {
+  // 检查结果有效性
+  if (isNaN(result) || !isFinite(result)) {
+    throw new Error(`物性查询返回无效值: ${result} (可能的原因：温度/压力超出工质有效范围，或处于两相区/临界点附近)`);
+  }
+  
+  // 对于某些物性，检查是否为负值（密度、粘度、导热系数、比热容等不应为负）
+  const nonNegativeProperties = ['D', 'V', 'L', 'C'];
+  if (nonNegativeProperties.includes(property) && result < 0) {
+    throw new Error(`物性查询返回负值: ${property} = ${result} (工质: ${fluid}, ${input1}=${value1}, ${input2}=${value2})`);
+  }
+  
+  return result;
+}
+
+/**
+ * 批量查询多个状态点的物性（相同状态点只计算一次，结果经过物性缓存）
+ * @param {string} fluid - 工质名称
+ * @param {Array<{temperature: number, pressure: number}>} states - 状态点列表，温度 (K)、压力 (Pa)
+ * @returns {Promise<Array<Object>>} 与 states 一一对应的物性对象（格式同 getFluidProperties）
+ */
+export async function getPropertiesBatch(fluid, states) {
+  const unique = new Map();
+  const keys = states.map(({ temperature, pressure }) => {
+    const key = `${roundStateValue(temperature)}|${roundStateValue(pressure)}`;
+    if (!unique.has(key)) {
+      unique.set(key, getFluidProperties(fluid, temperature, pressure));
+    }
+    return key;
+  });
+  const results = new Map(await Promise.all(
+    [...unique.entries()].map(async ([key, promise]) => [key, await promise])
+  ));
+  return keys.map(key => results.get(key));
+}
+
+/**
+ * 获取物性缓存统计
+ * @returns {{hits: number, misses: number, evictions: number, size: number, maxSize: number, hitRate: number}}
+ */
+export function getPropertyCacheStats() {
+  const total = cacheStats.hits + cacheStats.misses;
+  return {
+    ...cacheStats,
+    size: propertyCache.size,
+    maxSize: CACHE_MAX_SIZE,
+    hitRate: total > 0 ? cacheStats.hits / total : 0
+  };
+}
+
+/**
+ * 解析流体字符串中各组分的规范名称
+ * 纯工质和混合物组分取 CoolProp 解析别名后的名称（如 HFC-134a → R134a），
+ * INCOMP 流体去掉浓度后缀（如 INCOMP::MPG[0.3] → INCOMP::MPG）
+ * @param {string} fluid - 工质名称、混合工质ID或 CoolProp 流体字符串
+ * @returns {string[]} 组分规范名称
+ */
+function getCanonicalComponents(fluid) {
+  const resolved = resolveFluidName(fluid);
+  if (canonicalComponentCache.has(resolved)) {
+    return canonicalComponentCache.get(resolved);
+  }
+  
+  const separator = resolved.indexOf('::');
+  const backend = separator >= 0 ? resolved.slice(0, separator) : 'HEOS';
+  const body = separator >= 0 ? resolved.slice(separator + 2) : resolved;
+  const components = body.split('&').map((part) => {
+    const name = part.replace(/\[[^\]]*\]$/, '').replace(/-\d+(\.\d+)?%$/, '');
+    if (backend === 'INCOMP') {
+      return `INCOMP::${name}`;
+    }
+    try {
+      return CoolPropInstance?.get_fluid_param_string?.(name, 'name') || name;
+    } catch (error) {
+      return name;
+    }
+  });
+  // CoolProp 未加载时无法解析别名，不缓存解析结果
+  if (CoolPropInstance) {
+    canonicalComponentCache.set(resolved, components);
+  }
+  return components;
+}
+
+/**
+ * 清空物性缓存
+ * 按组分规范名称匹配：工质别名、含该组分的混合物以及不同浓度的 INCOMP 流体一并清除
+ * @param {string|null} fluid - 只清除该工质的缓存项；为空时清空全部缓存并重置统计
+ */
+export function clearPropertyCache(fluid = null) {
+  if (fluid === null) {
+    propertyCache.clear();
+    cacheStats.hits = 0;
+    cacheStats.misses = 0;
+    cacheStats.evictions = 0;
+    return;
+  }
+  const targets = new Set(getCanonicalComponents(fluid));
+  for (const key of [...propertyCache.keys()]) {
+    const keyFluid = key.slice(0, key.indexOf('|'));
+    if (getCanonicalComponents(keyFluid).some(name => targets.has(name))) {
+      propertyCache.delete(key);
+    }
+  }
+}
+
+/**
+ * 设置工质的比焓/比熵参考状态，并清除该工质的缓存项（缓存中的 H、S 等绝对值随参考状态改变）
+ * @param {string} fluid - 纯工质名称（可为别名）
+ * @param {string} referenceState - 参考状态：'IIR'、'ASHRAE'、'NBP' 或 'DEF'
+ */
+export async function setReferenceState(fluid, referenceState) {
+  const CoolProp = await loadCoolProp();
+  if (typeof CoolProp.set_reference_stateS !== 'function') {
+    throw new Error('当前 CoolProp 版本不支持设置参考状态');
+  }
+  if (isMixture(fluid) || isCustomFluid(fluid) || fluid.startsWith('INCOMP::')) {
+    throw new Error(`只能为纯工质设置参考状态: ${fluid}`);
+  }
+  const [canonicalName] = getCanonicalComponents(fluid);
+  CoolProp.set_reference_stateS(canonicalName, referenceState);
+  clearPropertyCache(canonicalName);
+}
+
 /**
  * 查询温度（给定压力和比焓）
  * @param {string} fluid - 工质名称
@@ -304,6 +494,7 @@ export function isLoaded() {
 
 /**
  * 查询饱和温度（给定压力）
+ * 混合工质返回泡点温度，需要露点温度时使用 getDewTemperature
  * @param {string} fluid - 工质名称
  * @param {number} pressure - 压力 (Pa)
  * @returns {number} 饱和温度 (K)
@@ -312,6 +503,45 @@ export async function getSaturationTemperature(fluid, pressure) {
   return await getProperty(fluid, 'T', 'P', pressure, 'Q', 0); // Q=0为饱和液体
 }
 
+/**
+ * 查询泡点温度（给定压力，Q=0）
+ * @param {string} fluid - 工质名称
+ * @param {number} pressure - 压力 (Pa)
+ * @returns {number} 泡点温度 (K)
+ */
+export async function getBubbleTemperature(fluid, pressure) {
+  return await getProperty(fluid, 'T', 'P', pressure, 'Q', 0);
+}
+
+/**
+ * 查询露点温度（给定压力，Q=1）
+ * 纯工质的露点温度等于泡点温度
+ * @param {string} fluid - 工质名称
+ * @param {number} pressure - 压力 (Pa)
+ * @returns {number} 露点温度 (K)
+ */
+export async function getDewTemperature(fluid, pressure) {
+  if (!isMixture(fluid)) {
+    return await getSaturationTemperature(fluid, pressure);
+  }
+  return await getProperty(fluid, 'T', 'P', pressure, 'Q', 1);
+}
+
+/**
+ * 查询两相区某一干度下的平衡温度（给定压力）
+ * 纯工质等于饱和温度；混合工质在泡点与露点之间随干度变化（温度滑移）
+ * @param {string} fluid - 工质名称
+ * @param {number} pressure - 压力 (Pa)
+ * @param {number} quality - 干度 (0-1)
+ * @returns {number} 温度 (K)
+ */
+export async function getTwoPhaseTemperature(fluid, pressure, quality) {
+  if (!isMixture(fluid)) {
+    return await getSaturationTemperature(fluid, pressure);
+  }
+  return await getProperty(fluid, 'T', 'P', pressure, 'Q', Math.min(1, Math.max(0, quality)));
+}
+
 /**
  * 查询饱和压力（给定温度）
  * @param {string} fluid - 工质名称
@@ -338,26 +568,20 @@ export async function getPropertyTPQ(fluid, property, temperature, pressure, qua
       throw new Error(`干度必须在0-1之间，当前值: ${quality}`);
     }
     
-    const CoolProp = await loadCoolProp();
     // 对于两相流，使用T-Q查询（在饱和温度下）
     // 如果quality是0或1，直接使用T-Q查询；否则需要先确定饱和温度
-    let result;
-    if (quality === 0 || quality === 1) {
+    // 均经 getProperty 查询，结果进入物性缓存并做有效性检查
+    if (isMixture(fluid)) {
+      // 混合工质两相区温度随干度变化，使用压力-干度查询
+      return await getProperty(fluid, property, 'P', pressure, 'Q', quality);
+    } else if (quality === 0 || quality === 1) {
       // 饱和液体或饱和蒸汽，使用T-Q查询
-      result = CoolProp.PropsSI(property, 'T', temperature, 'Q', quality, fluid);
-    } else {
-      // 两相流，使用T-P-Q查询（但需要确保温度是饱和温度）
-      // 先获取饱和温度
-      const satTemp = await getSaturationTemperature(fluid, pressure);
-      result = CoolProp.PropsSI(property, 'T', satTemp, 'Q', quality, fluid);
-    }
-    
-    // 检查结果有效性
-    if (isNaN(result) || !isFinite(result)) {
-      throw new Error(`两相流物性查询返回无效值: ${result} (工质: ${fluid}, T=${temperature}K, P=${pressure}Pa, Q=${quality})`);
+      return await getProperty(fluid, property, 'T', temperature, 'Q', quality);
     }
-    
-    return result;
+    // 两相流，使用T-P-Q查询（但需要确保温度是饱和温度）
+    // 先获取饱和温度
+    const satTemp = await getSaturationTemperature(fluid, pressure);
+    return await getProperty(fluid, property, 'T', satTemp, 'Q', quality);
   } catch (error) {
     console.error(`两相流物性查询失败 [工质: ${fluid}, 物性: ${property}, T=${temperature}K, P=${pressure}Pa, Q=${quality}]:`, error);
     throw error;
@@ -373,8 +597,6 @@ export async function getPropertyTPQ(fluid, property, temperature, pressure, qua
  */
 export async function detectPhase(fluid, temperature, pressure) {
   try {
-    const CoolProp = await loadCoolProp();
-    
     // 查询给定温度下的饱和压力
     const satPressure = await getSaturationPressure(fluid, temperature);
     
@@ -383,7 +605,7 @@ export async function detectPhase(fluid, temperature, pressure) {
       // 压力接近饱和压力，可能是两相
       // 进一步查询干度来判断
       try {
-        const quality = CoolProp.PropsSI('Q', 'T', temperature, 'P', pressure, fluid);
+        const quality = await getProperty(fluid, 'Q', 'T', temperature, 'P', pressure);
         if (quality >= 0 && quality <= 1) {
           if (quality > 0 && quality < 1) {
             return 'twophase';
@@ -432,8 +654,6 @@ export async function getFluidPropertiesTwoPhase(fluid, temperature, pressure, q
       throw new Error(`干度必须在0-1之间，当前值: ${quality}`);
     }
     
-    const CoolProp = await loadCoolProp();
-    
     // 对于两相流，CoolProp可以使用T-P-Q直接查询某些物性
     // 但有些物性需要分别查询液体和蒸汽后混合
     
@@ -446,20 +666,29 @@ export async function getFluidPropertiesTwoPhase(fluid, temperature, pressure, q
       satTemp = temperature;
     }
     
-    // 查询饱和液体物性 (Q=0) - 使用T-P查询，然后指定Q=0
-    const liquidDensity = CoolProp.PropsSI('D', 'T', satTemp, 'Q', 0, fluid);
-    const liquidH = CoolProp.PropsSI('H', 'T', satTemp, 'Q', 0, fluid);
-    const liquidCp = CoolProp.PropsSI('C', 'T', satTemp, 'Q', 0, fluid);
-    const liquidK = CoolProp.PropsSI('L', 'T', satTemp, 'Q', 0, fluid);
-    const liquidMu = CoolProp.PropsSI('V', 'T', satTemp, 'Q', 0, fluid);
+    // 纯工质按饱和温度-干度查询；混合工质泡点与露点温度不同，按压力-干度查询
+    // 均经 getProperty 查询，结果进入物性缓存
+    const [satInput, satValue] = isMixture(fluid) ? ['P', pressure] : ['T', satTemp];
+    const saturated = (property, q) => getProperty(fluid, property, satInput, satValue, 'Q', q);
+    
+    // 查询饱和液体物性 (Q=0)
+    const [liquidDensity, liquidH, liquidCp, liquidK, liquidMu] = await Promise.all(
+      ['D', 'H', 'C', 'L', 'V'].map(property => saturated(property, 0))
+    );
     const liquidPr = (liquidCp * liquidMu) / liquidK;
+    // 表面张力（两相压降 Friedel 关联式等使用），部分工质无表面张力数据时为 null
+    let surfaceTension = null;
+    try {
+      const sigma = await saturated('I', 0);
+      surfaceTension = sigma > 0 ? sigma : null;
+    } catch (e) {
+      surfaceTension = null;
+    }
     
-    // 查询饱和蒸汽物性 (Q=1) - 使用T-P查询，然后指定Q=1
-    const vaporDensity = CoolProp.PropsSI('D', 'T', satTemp, 'Q', 1, fluid);
-    const vaporH = CoolProp.PropsSI('H', 'T', satTemp, 'Q', 1, fluid);
-    const vaporCp = CoolProp.PropsSI('C', 'T', satTemp, 'Q', 1, fluid);
-    const vaporK = CoolProp.PropsSI('L', 'T', satTemp, 'Q', 1, fluid);
-    const vaporMu = CoolProp.PropsSI('V', 'T', satTemp, 'Q', 1, fluid);
+    // 查询饱和蒸汽物性 (Q=1)
+    const [vaporDensity, vaporH, vaporCp, vaporK, vaporMu] = await Promise.all(
+      ['D', 'H', 'C', 'L', 'V'].map(property => saturated(property, 1))
+    );
     const vaporPr = (vaporCp * vaporMu) / vaporK;
     
     const liquidProps = {
@@ -468,7 +697,8 @@ export async function getFluidPropertiesTwoPhase(fluid, temperature, pressure, q
       enthalpy: liquidH,
       thermalConductivity: liquidK,
       viscosity: liquidMu,
-      prandtl: liquidPr
+      prandtl: liquidPr,
+      surfaceTension: surfaceTension
     };
     
     const vaporProps = {
@@ -0,0 +1,184 @@
+/**
+ * 单相对流传热关联式库
+ * 每个关联式声明适用流道（管内/环隙）和适用范围（Re、Pr、L/D），
+ * 计算时记录所用关联式以及是否超出适用范围
+ */
+
+/**
+ * Petukhov 摩擦系数（光滑管）
+ * @param {number} re - 雷诺数
+ * @returns {number} Darcy 摩擦系数
+ */
+function petukhovFrictionFactor(re) {
+  return Math.pow(0.79 * Math.log(re) - 1.64, -2);
+}
+
+/**
+ * 原有的分段默认关联式：层流 Nu=3.66，过渡区 Gnielinski，湍流 Dittus-Boelter
+ */
+function defaultNusselt({ re, pr, heating }) {
+  if (re < 2300) {
+    return 3.66;
+  } else if (re < 10000) {
+    const f = petukhovFrictionFactor(re);
+    return (f / 8) * (re - 1000) * pr / (1 + 12.7 * Math.sqrt(f / 8) * (Math.pow(pr, 2/3) - 1));
+  }
+  const n = heating ? 0.4 : 0.3;
+  return 0.023 * Math.pow(re, 0.8) * Math.pow(pr, n);
+}
+
+/**
+ * 单相关联式注册表
+ * - channels：适用流道，'tube'（管内）、'annulus'（环隙）
+ * - range：适用范围 {re: [min, max], pr: [min, max], lOverD: [min, max]}
+ * - usesViscosityRatio：含 (μ/μw)^0.14 粘度修正，调用方需按壁温给出 viscosityRatio
+ * - calculate(context)：返回努塞尔数
+ *   context = {re, pr, heating, diameter (m), length (m), viscosityRatio (μ/μw), diameterRatio (环隙内外径比 di/Do)}
+ */
+export const SINGLE_PHASE_CORRELATIONS = {
+  'default': {
+    name: '默认（层流 3.66 / Gnielinski / Dittus-Boelter）',
+    channels: ['tube', 'annulus'],
+    range: { re: [0, Infinity], pr: [0, Infinity], lOverD: [0, Infinity] },
+    description: '按雷诺数自动切换：Re<2300 取充分发展层流 Nu=3.66，2300~10000 用 Gnielinski，更高用 Dittus-Boelter',
+    calculate: defaultNusselt
+  },
+  'hausen': {
+    name: 'Hausen（层流入口段）',
+    channels: ['tube', 'annulus'],
+    range: { re: [0, 2300], pr: [0.48, 16700], lOverD: [0, Infinity] },
+    description: '层流热入口段平均努塞尔数，Nu = 3.66 + 0.0668·Gz / (1 + 0.04·Gz^(2/3))，Gz = Re·Pr·D/L',
+    calculate: ({ re, pr, diameter, length }) => {
+      const gz = re * pr * diameter / length;
+      return 3.66 + 0.0668 * gz / (1 + 0.04 * Math.pow(gz, 2/3));
+    }
+  },
+  'sieder-tate-laminar': {
+    name: 'Sieder-Tate（层流同时发展段）',
+    channels: ['tube'],
+    range: { re: [0, 2300], pr: [0.48, 16700], lOverD: [0, Infinity] },
+    usesViscosityRatio: true,
+    description: 'Nu = 1.86·(Re·Pr·D/L)^(1/3)·(μ/μw)^0.14，不低于充分发展值 3.66',
+    calculate: ({ re, pr, diameter, length, viscosityRatio = 1 }) => {
+      const nu = 1.86 * Math.pow(re * pr * diameter / length, 1/3) * Math.pow(viscosityRatio, 0.14);
+      return Math.max(3.66, nu);
+    }
+  },
+  'dittus-boelter': {
+    name: 'Dittus-Boelter',
+    channels: ['tube', 'annulus'],
+    range: { re: [10000, Infinity], pr: [0.6, 160], lOverD: [10, Infinity] },
+    description: '充分发展湍流，Nu = 0.023·Re^0.8·Pr^n（加热 n=0.4，冷却 n=0.3）',
+    calculate: ({ re, pr, heating }) => 0.023 * Math.pow(re, 0.8) * Math.pow(pr, heating ? 0.4 : 0.3)
+  },
+  'sieder-tate': {
+    name: 'Sieder-Tate（湍流，粘度修正）',
+    channels: ['tube', 'annulus'],
+    range: { re: [10000, Infinity], pr: [0.7, 16700], lOverD: [10, Infinity] },
+    usesViscosityRatio: true,
+    description: 'Nu = 0.027·Re^0.8·Pr^(1/3)·(μ/μw)^0.14，适用于物性随温度变化较大的流体',
+    calculate: ({ re, pr, viscosityRatio = 1 }) =>
+      0.027 * Math.pow(re, 0.8) * Math.pow(pr, 1/3) * Math.pow(viscosityRatio, 0.14)
+  },
+  'gnielinski': {
+    name: 'Gnielinski（含入口段修正）',
+    channels: ['tube', 'annulus'],
+    range: { re: [3000, 5e6], pr: [0.5, 2000], lOverD: [1, Infinity] },
+    description: 'Nu = (f/8)(Re-1000)Pr / [1 + 12.7(f/8)^0.5(Pr^(2/3)-1)]·[1 + (D/L)^(2/3)]；Re<2300 时取充分发展层流 Nu=3.66',
+    calculate: ({ re, pr, diameter, length }) => {
+      // 层流区 (Re-1000) 项使 Nu 过小甚至为负，退回充分发展层流值
+      if (re < 2300) {
+        return 3.66;
+      }
+      const f = petukhovFrictionFactor(re);
+      const nu = (f / 8) * (re - 1000) * pr / (1 + 12.7 * Math.sqrt(f / 8) * (Math.pow(pr, 2/3) - 1));
+      return nu * (1 + Math.pow(diameter / length, 2/3));
+    }
+  },
+  'gnielinski-annulus': {
+    name: 'Gnielinski 环隙（内壁传热）',
+    channels: ['annulus'],
+    range: { re: [10000, 1e6], pr: [0.6, 1000], lOverD: [1, Infinity] },
+    description: 'Gnielinski (2009) 环隙关联式，按内外径比修正摩擦系数，内壁传热、外壁绝热时 F_ann = 0.75·a^(-0.17)',
+    calculate: ({ re, pr, diameter, length, diameterRatio = 0.5 }) => {
+      const a = Math.min(0.99, Math.max(0.01, diameterRatio));
+      const lnA = Math.log(a);
+      const reStar = re * ((1 + a * a) * lnA + (1 - a * a)) / (Math.pow(1 - a, 2) * lnA);
+      const xi = Math.pow(1.8 * Math.log10(reStar) - 1.5, -2);
+      const k1 = 1.07 + 900 / re - 0.63 / (1 + 10 * pr);
+      const nu = (xi / 8) * re * pr / (k1 + 12.7 * Math.sqrt(xi / 8) * (Math.pow(pr, 2/3) - 1));
+      return nu * (1 + Math.pow(diameter / length, 2/3)) * 0.75 * Math.pow(a, -0.17);
+    }
+  },
+  'petukhov-roizen': {
+    name: 'Petukhov-Roizen 环隙（内壁传热）',
+    channels: ['annulus'],
+    range: { re: [10000, 3e5], pr: [0.7, 100], lOverD: [10, Infinity] },
+    description: '以 Petukhov 圆管关联式为基准，内壁传热时 Nu_ann / Nu_tube = 0.86·a^(-0.16)',
+    calculate: ({ re, pr, diameterRatio = 0.5 }) => {
+      const a = Math.min(0.99, Math.max(0.01, diameterRatio));
+      const f = petukhovFrictionFactor(re);
+      const nuTube = (f / 8) * re * pr / (1.07 + 12.7 * Math.sqrt(f / 8) * (Math.pow(pr, 2/3) - 1));
+      return nuTube * 0.86 * Math.pow(a, -0.16);
+    }
+  }
+};
+
+/**
+ * 获取关联式信息
+ * @param {string} correlationId - 关联式ID
+ * @returns {Object} 关联式信息对象，包含 name, channels, range, description；不存在时返回默认关联式
+ */
+export function getCorrelationInfo(correlationId) {
+  if (!correlationId || !SINGLE_PHASE_CORRELATIONS[correlationId]) {
+    return SINGLE_PHASE_CORRELATIONS['default'];
+  }
+  return SINGLE_PHASE_CORRELATIONS[correlationId];
+}
+
+/**
+ * 使用指定关联式计算努塞尔数，并检查是否超出适用范围
+ * @param {string} correlationId - 关联式ID（为空时使用默认关联式）
+ * @param {Object} context - {re, pr, heating, diameter (m), length (m), viscosityRatio, diameterRatio}
+ * @param {string} channel - 流道：'tube'（管内）或 'annulus'（环隙）
+ * @returns {Object} {nu: 努塞尔数, correlation: 关联式ID, name: 名称, inRange: 是否在适用范围内, violations: 超出范围说明,
+ *   viscosityRatio: 所用粘度比 μ/μw（关联式不含粘度修正时为 null）}
+ */
+export function calculateNusseltWithCorrelation(correlationId, context, channel = 'tube') {
+  const id = correlationId && SINGLE_PHASE_CORRELATIONS[correlationId] ? correlationId : 'default';
+  const correlation = SINGLE_PHASE_CORRELATIONS[id];
+  if (!correlation.channels.includes(channel)) {
+    throw new Error(`关联式"${correlation.name}"不适用于${channel === 'annulus' ? '环隙' : '管内'}流动`);
+  }
+
+  const { re, pr, diameter, length } = context;
+  const lOverD = diameter > 0 && length > 0 ? length / diameter : Infinity;
+  const checks = [
+    ['Re', re, correlation.range.re],
+    ['Pr', pr, correlation.range.pr],
+    ['L/D', lOverD, correlation.range.lOverD]
+  ];
+  const violations = [];
+  for (const [label, value, [min, max]] of checks) {
+    if (value < min || value > max) {
+      const rangeText = max === Infinity ? `≥ ${min}` : `${min} ~ ${max}`;
+      violations.push(`${label} = ${Number(value.toPrecision(4))} 超出适用范围（${rangeText}）`);
+    }
+  }
+
+  // 关联式在适用范围外可能给出非正值，此时改用默认关联式，避免传热系数为负
+  let nu = correlation.calculate({ ...context, length: length > 0 ? length : Infinity });
+  if (!(nu > 0) || !isFinite(nu)) {
+    violations.push(`${correlation.name}在此工况下 Nu 无效，已改用默认关联式`);
+    nu = defaultNusselt(context);
+  }
+
+  return {
+    nu: nu,
+    correlation: id,
+    name: correlation.name,
+    inRange: violations.length === 0,
+    violations: violations,
+    viscosityRatio: correlation.usesViscosityRatio ? (context.viscosityRatio ?? 1) : null
+  };
+}
@@ -0,0 +1,145 @@
+/**
+ * 截面几何计算模块
+ * 梅花截面和环隙当量直径等纯几何计算，不依赖物性库，界面和计算引擎共用
+ */
+
+/**
+ * 计算梅花截面的几何参数（用于麻花管环隙面积计算）
+ * 
+ * 几何定义：
+ * - doMax：峰顶直径（麻花管外径，等于外管名义内径）
+ * - doMin：谷底直径（峰顶直径 - 2×齿高）
+ * - lobeCount：头数（瓣数，通常3-6）
+ * 
+ * 梅花截面形状：
+ * - 从峰顶（doMax）到谷底（doMin）形成的多瓣梅花形状
+ * - 每个瓣从谷底延伸到峰顶，形成星形截面
+ * 
+ * @param {number} doMax - 峰顶直径 (m)（麻花管外径）
+ * @param {number} doMin - 谷底直径 (m)（峰顶直径 - 2×齿高）
+ * @param {number} lobeCount - 头数（瓣数，通常3-6）
+ * @returns {Object} 梅花截面几何参数
+ *   - area: 梅花截面面积 (m²)（从峰到谷的截面面积）
+ *   - perimeter: 梅花截面周长 (m)（湿周）
+ *   - equivalentDiameter: 当量直径 (m)（Dh = 4A/P）
+ *   - toothHeight: 齿高 (m)（单边高度，h = (doMax - doMin)/2）
+ */
+export function calculateLobeCrossSection(doMax, doMin, lobeCount) {
+  const rMax = doMax / 2; // 峰顶半径
+  const rMin = doMin / 2; // 谷底半径
+  const h = (doMax - doMin) / 2; // 齿高（单边）
+  const anglePerLobe = (2 * Math.PI) / lobeCount;
+  
+  // 梅花截面面积计算（简化模型）
+  // 使用星形截面的近似公式
+  // 面积 ≈ N * (扇形面积 + 三角形面积)
+  // 每个瓣包含：一个外圆弧区域 + 两个三角形区域（从谷到峰）
+  
+  // 基础圆形面积（使用平均半径）
+  const rAvg = (rMax + rMin) / 2;
+  const baseCircularArea = Math.PI * rAvg * rAvg;
+  
+  // 瓣形增加的面积（每个瓣增加的面积）
+  // 近似为：每个瓣的额外面积 = 2 * (扇形面积差 + 三角形面积)
+  const lobeAreaIncrease = lobeCount * (Math.PI * h * h / lobeCount + rMax * h * Math.sin(anglePerLobe / 2));
+  
+  // 总流通面积（使用Do,min作为主要参考，因为这是"谷"的位置，决定流通面积）
+  // 实际面积应该接近以Do,min为直径的圆面积加上瓣形增加的面积
+  const minCircularArea = Math.PI * rMin * rMin;
+  const lobeArea = minCircularArea + lobeAreaIncrease * 0.7; // 0.7为修正系数
+  
+  // 湿周计算（梅花截面的周长）
+  // 使用近似公式：周长 ≈ π * Do,min + N * (每个瓣增加的弧长)
+  const basePerimeter = Math.PI * doMin;
+  const lobeArcLength = lobeCount * (h * anglePerLobe); // 每个瓣增加的弧长
+  const lobePerimeter = basePerimeter + lobeArcLength * 1.2; // 1.2为修正系数
+  
+  // 当量直径：Dh = 4 * A / P
+  const equivalentDiameter = (4 * lobeArea) / lobePerimeter;
+  
+  return {
+    area: lobeArea,
+    perimeter: lobePerimeter,
+    equivalentDiameter: equivalentDiameter,
+    toothHeight: h
+  };
+}
+
+/**
+ * 计算环隙当量直径（简化公式，适用于单根内管）
+ * @param {number} outerInnerDiameter - 外管内径 (m)
+ * @param {number} tubeOuterDiameter - 内管外径 (m) - 麻花管包络圆直径
+ * @returns {number} 当量直径 (m)
+ */
+export function calculateAnnulusEquivalentDiameter(outerInnerDiameter, tubeOuterDiameter) {
+  // De = (D_shell^2 - D_tube^2) / (D_shell + D_tube)
+  const D_shell = outerInnerDiameter;
+  const D_tube = tubeOuterDiameter;
+  return (D_shell * D_shell - D_tube * D_tube) / (D_shell + D_tube);
+}
+
+/**
+ * 计算环隙当量直径（基于环形间隙面积+梅花截面积）
+ * 定义：环形间隙面积 + 梅花截面积 = A，然后 A = π/4 * D²，D 即为环隙当量直径
+ * @param {number} outerInnerDiameter - 外管内径 (m)
+ * @param {number} innerOuterDiameter - 内管外径 (m) - 麻花管外径（峰顶直径Do,max）
+ * @param {number} gap - 环形间隙 (m)，默认1mm = 0.001m
+ * @param {number} lobeCount - 梅花管头数（瓣数，3-6）
+ * @param {number} toothHeight - 梅花管齿高 (m)，如果不提供则根据doMax和doMin计算
+ * @param {number} innerDoMin - 梅花管谷底直径Do,min (m)，如果不提供则根据doMax和toothHeight计算
+ * @returns {Object} {equivalentDiameter: 环隙当量直径 (m), annularGapArea: 环形间隙面积 (m²), lobeArea: 梅花截面积 (m²), totalArea: 总面积A (m²)}
+ */
+export function calculateAnnulusEquivalentDiameterWithLobe(
+  outerInnerDiameter,
+  innerOuterDiameter,
+  gap = 0.001, // 默认1mm间隙
+  lobeCount = 4,
+  toothHeight = null,
+  innerDoMin = null
+) {
+  // 计算实际的内管外径（考虑间隙）
+  // 如果外管内径与内管外径之间有gap的间隙，那么：
+  // 外管内径 = 内管外径 + gap
+  // 但这里我们直接使用提供的参数，gap用于计算环形间隙面积
+  
+  // 1. 计算环形间隙面积
+  // 环形间隙面积 = π/4 * (外管内径² - 内管外径²)
+  // 注意：如果外管内径 = 内管外径 + gap，那么环形间隙面积 = π/4 * ((内管外径+gap)² - 内管外径²)
+  const innerOuterRadius = innerOuterDiameter / 2;
+  const outerInnerRadius = outerInnerDiameter / 2;
+  
+  // 环形间隙面积 = 外圆面积 - 内圆面积
+  const annularGapArea = Math.PI * (Math.pow(outerInnerRadius, 2) - Math.pow(innerOuterRadius, 2));
+  
+  // 2. 计算梅花截面积
+  // 确定梅花管的doMax和doMin
+  const doMax = innerOuterDiameter; // 峰顶直径
+  let doMin;
+  
+  if (innerDoMin !== null && innerDoMin > 0) {
+    doMin = innerDoMin;
+  } else if (toothHeight !== null && toothHeight > 0) {
+    doMin = doMax - 2 * toothHeight;
+  } else {
+    // 如果没有提供，使用默认值：假设齿高为外径的5%
+    const defaultToothHeight = doMax * 0.05;
+    doMin = doMax - 2 * defaultToothHeight;
+  }
+  
+  // 使用calculateLobeCrossSection计算梅花截面积
+  const lobeSection = calculateLobeCrossSection(doMax, doMin, lobeCount);
+  const lobeArea = lobeSection.area;
+  
+  // 3. 计算总面积 A = 环形间隙面积 + 梅花截面积
+  const totalArea = annularGapArea + lobeArea;
+  
+  // 4. 从 A = π/4 * D² 反推：D = sqrt(4A/π)
+  const equivalentDiameter = Math.sqrt(4 * totalArea / Math.PI);
+  
+  return {
+    equivalentDiameter,  // 环隙当量直径 (m)
+    annularGapArea,      // 环形间隙面积 (m²)
+    lobeArea,            // 梅花截面积 (m²)
+    totalArea            // 总面积A (m²)
+  };
+}
@@ -0,0 +1,408 @@
+/**
+ * 自定义流体（物性表）
+ * 用于 CoolProp 中没有的工艺流体（导热油、食品液体等）：导入 T - ρ、cp、k、μ 物性表（可选饱和压力），
+ * 保存在 localStorage 中，计算时按温度线性插值，超出表格温度范围时报错
+ */
+
+/** 自定义流体ID前缀，与 CoolProp 流体名称区分 */
+export const CUSTOM_FLUID_PREFIX = 'CUSTOM::';
+
+const STORAGE_KEY = 'hx-custom-fluids';
+
+// 无 localStorage 的环境（Worker、Node）中使用的内存数据，由 setCustomFluidStore 设置
+let memoryStore = {};
+
+/**
+ * 物性表列定义
+ * - aliases：CSV 表头/JSON 字段可用的名称（不区分大小写）
+ * - required：是否必填
+ * 单位：T (°C)，density (kg/m³)，specificHeat (J/kg/K)，thermalConductivity (W/m/K)，
+ * viscosity (Pa·s)，saturationPressure (kPa)
+ */
+const TABLE_COLUMNS = {
+  T: { aliases: ['t', 'temperature', '温度'], required: true },
+  density: { aliases: ['rho', 'density', 'd', '密度'], required: true },
+  specificHeat: { aliases: ['cp', 'specificheat', 'c', '比热容'], required: true },
+  thermalConductivity: { aliases: ['k', 'lambda', 'thermalconductivity', 'l', '导热系数'], required: true },
+  viscosity: { aliases: ['mu', 'viscosity', 'v', '动力粘度', '粘度'], required: true },
+  saturationPressure: { aliases: ['psat', 'p_sat', 'saturationpressure', '饱和压力'], required: false }
+};
+
+/**
+ * 判断是否为自定义流体ID
+ * @param {string} fluid - 工质ID
+ * @returns {boolean}
+ */
+export function isCustomFluid(fluid) {
+  return typeof fluid === 'string' && fluid.startsWith(CUSTOM_FLUID_PREFIX);
+}
+
+/**
+ * 读取 localStorage 中保存的全部自定义流体（无 localStorage 的环境读取内存数据）
+ * @returns {Object} { [id]: {name, description, rows} }
+ */
+function loadStore() {
+  if (typeof localStorage === 'undefined') {
+    return memoryStore;
+  }
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+  } catch (error) {
+    console.warn('[自定义流体] 读取 localStorage 失败，忽略已保存的数据:', error);
+    return {};
+  }
+}
+
+function saveStore(store) {
+  if (typeof localStorage === 'undefined') {
+    throw new Error('当前环境不支持 localStorage，无法保存自定义流体');
+  }
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+}
+
+/**
+ * 获取全部自定义流体数据（用于传给 Worker 等无 localStorage 的环境）
+ * @returns {Object} { [id]: {name, description, rows} }
+ */
+export function getCustomFluidStore() {
+  return loadStore();
+}
+
+/**
+ * 设置无 localStorage 环境中使用的自定义流体数据
+ * @param {Object} store - getCustomFluidStore 的返回值
+ */
+export function setCustomFluidStore(store) {
+  memoryStore = store || {};
+}
+
+/**
+ * 获取全部自定义流体列表
+ * @returns {Array<{id: string, name: string, description: string, range: {min: number, max: number}}>}
+ */
+export function listCustomFluids() {
+  return Object.entries(loadStore()).map(([id, fluid]) => ({
+    id,
+    name: fluid.name,
+    description: fluid.description,
+    range: { min: fluid.rows[0].T, max: fluid.rows[fluid.rows.length - 1].T }
+  }));
+}
+
+/**
+ * 获取自定义流体信息
+ * @param {string} fluid - 自定义流体ID
+ * @returns {Object|null} {name, description, rows}，不存在时返回 null
+ */
+export function getCustomFluidInfo(fluid) {
+  if (!isCustomFluid(fluid)) {
+    return null;
+  }
+  return loadStore()[fluid] || null;
+}
+
+/**
+ * 将单元格/字段名称匹配到物性表列
+ * @param {string} header - 表头
+ * @returns {string|null} 列名
+ */
+function matchColumn(header) {
+  // 去掉单位后缀，如 "T (°C)"、"rho[kg/m3]"
+  const key = String(header).trim().toLowerCase().replace(/\s*[([].*$/, '');
+  return Object.keys(TABLE_COLUMNS).find(column => TABLE_COLUMNS[column].aliases.includes(key)) || null;
+}
+
+/**
+ * 校验物性表并按温度排序
+ * @param {Array<Object>} rows - 物性表行
+ * @returns {Array<Object>} 排序后的物性表
+ */
+function validateRows(rows) {
+  if (!Array.isArray(rows) || rows.length < 2) {
+    throw new Error('自定义流体物性表至少需要 2 行数据');
+  }
+  const sorted = [...rows].sort((a, b) => a.T - b.T);
+  const hasSaturation = sorted.every(row => row.saturationPressure !== undefined && row.saturationPressure !== null);
+  sorted.forEach((row, i) => {
+    if (!isFinite(row.T)) {
+      throw new Error(`自定义流体物性表第 ${i + 1} 行温度无效`);
+    }
+    if (i > 0 && row.T === sorted[i - 1].T) {
+      throw new Error(`自定义流体物性表中温度 ${row.T} °C 重复`);
+    }
+    Object.entries(TABLE_COLUMNS).forEach(([column, { required }]) => {
+      if (column === 'T' || (!required && !hasSaturation)) return;
+      if (!isFinite(row[column]) || row[column] <= 0) {
+        throw new Error(`自定义流体物性表中 T = ${row.T} °C 的 ${column} 无效: ${row[column]}`);
+      }
+    });
+    if (!hasSaturation) {
+      delete row.saturationPressure;
+    }
+  });
+  return sorted;
+}
+
+/**
+ * 解析物性表（CSV 或 JSON）
+ * - CSV：首行为表头，如 "T,rho,cp,k,mu,psat"，列名可带单位后缀，分隔符可为逗号、分号或制表符
+ * - JSON：行数组 [{T, density, specificHeat, thermalConductivity, viscosity, saturationPressure}]，
+ *   或 {name, description, rows: [...]}
+ * @param {string} text - 文件内容
+ * @param {string} format - 'csv' 或 'json'
+ * @returns {{name: string|null, description: string|null, rows: Array<Object>}}
+ */
+export function parseCustomFluidTable(text, format = 'csv') {
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`自定义流体 JSON 解析失败: ${error.message}`);
+    }
+    const rawRows = Array.isArray(data) ? data : data.rows;
+    if (!Array.isArray(rawRows)) {
+      throw new Error('自定义流体 JSON 须为行数组，或包含 rows 数组的对象');
+    }
+    const rows = rawRows.map((raw) => {
+      const row = {};
+      Object.entries(raw).forEach(([key, value]) => {
+        const column = matchColumn(key);
+        if (column) row[column] = Number(value);
+      });
+      return row;
+    });
+    checkColumns(Object.keys(rows[0] || {}));
+    return {
+      name: Array.isArray(data) ? null : (data.name || null),
+      description: Array.isArray(data) ? null : (data.description || null),
+      rows: validateRows(rows)
+    };
+  }
+
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+  if (lines.length < 2) {
+    throw new Error('自定义流体 CSV 至少需要表头和 2 行数据');
+  }
+  const delimiter = [',', ';', '\t'].find(d => lines[0].includes(d)) || ',';
+  const columns = lines[0].split(delimiter).map(matchColumn);
+  checkColumns(columns);
+  const rows = lines.slice(1).map((line) => {
+    const row = {};
+    line.split(delimiter).forEach((cell, i) => {
+      if (columns[i]) row[columns[i]] = parseFloat(cell);
+    });
+    return row;
+  });
+  return { name: null, description: null, rows: validateRows(rows) };
+}
+
+function checkColumns(columns) {
+  const missing = Object.keys(TABLE_COLUMNS).filter(column => TABLE_COLUMNS[column].required && !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`自定义流体物性表缺少列: ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * 保存自定义流体（同名覆盖）
+ * @param {string} name - 流体名称
+ * @param {Array<Object>} rows - 物性表（parseCustomFluidTable 的 rows）
+ * @param {string} description - 说明
+ * @returns {string} 自定义流体ID
+ */
+export function saveCustomFluid(name, rows, description = '') {
+  const trimmedName = String(name || '').trim();
+  if (!trimmedName) {
+    throw new Error('请输入自定义流体名称');
+  }
+  const id = `${CUSTOM_FLUID_PREFIX}${trimmedName}`;
+  const store = loadStore();
+  store[id] = { name: trimmedName, description, rows: validateRows(rows) };
+  saveStore(store);
+  return id;
+}
+
+/**
+ * 删除自定义流体
+ * @param {string} fluid - 自定义流体ID
+ */
+export function deleteCustomFluid(fluid) {
+  const store = loadStore();
+  delete store[fluid];
+  saveStore(store);
+}
+
+/**
+ * 在物性表中按温度定位插值区间
+ * @param {Object} info - 自定义流体信息
+ * @param {number} temperature - 温度 (°C)
+ * @returns {{lower: Object, upper: Object, ratio: number}}
+ */
+function locate(info, temperature) {
+  const { rows } = info;
+  const min = rows[0].T;
+  const max = rows[rows.length - 1].T;
+  // 允许 1e-6 °C 的舍入误差
+  if (temperature < min - 1e-6 || temperature > max + 1e-6) {
+    throw new Error(`温度 ${temperature.toFixed(2)} °C 超出自定义流体 ${info.name} 的数据范围 ${min} ~ ${max} °C`);
+  }
+  let i = 1;
+  while (i < rows.length - 1 && rows[i].T < temperature) i++;
+  const lower = rows[i - 1];
+  const upper = rows[i];
+  return { lower, upper, ratio: Math.min(1, Math.max(0, (temperature - lower.T) / (upper.T - lower.T))) };
+}
+
+function interpolate(info, column, temperature) {
+  const { lower, upper, ratio } = locate(info, temperature);
+  return lower[column] + ratio * (upper[column] - lower[column]);
+}
+
+/**
+ * 比焓（cp 分段线性积分；基准取 0 K，表格最低温度以下按该温度的 cp 外推，保证比焓为正值）
+ * @param {Object} info - 自定义流体信息
+ * @param {number} temperature - 温度 (°C)
+ * @returns {number} 比焓 (J/kg)
+ */
+function enthalpyAt(info, temperature) {
+  const { rows } = info;
+  locate(info, temperature);
+  let h = rows[0].specificHeat * (rows[0].T + 273.15);
+  for (let i = 1; i < rows.length && rows[i - 1].T < temperature; i++) {
+    const T_end = Math.min(rows[i].T, temperature);
+    const cp_end = interpolate(info, 'specificHeat', T_end);
+    h += (rows[i - 1].specificHeat + cp_end) / 2 * (T_end - rows[i - 1].T);
+  }
+  return h;
+}
+
+/**
+ * 由比焓反求温度（二分法，比焓随温度单调递增）
+ * @param {Object} info - 自定义流体信息
+ * @param {number} enthalpy - 比焓 (J/kg)
+ * @returns {number} 温度 (°C)
+ */
+function temperatureFromEnthalpy(info, enthalpy) {
+  let low = info.rows[0].T;
+  let high = info.rows[info.rows.length - 1].T;
+  if (enthalpy < enthalpyAt(info, low) - 1e-6 || enthalpy > enthalpyAt(info, high) + 1e-6) {
+    throw new Error(`比焓 ${enthalpy.toFixed(1)} J/kg 超出自定义流体 ${info.name} 的数据范围`);
+  }
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (enthalpyAt(info, mid) < enthalpy) low = mid; else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * 由饱和压力反求饱和温度（饱和压力随温度单调递增）
+ * @param {Object} info - 自定义流体信息
+ * @param {number} pressure - 压力 (kPa)
+ * @returns {number} 饱和温度 (°C)
+ */
+function saturationTemperatureAt(info, pressure) {
+  const { rows } = info;
+  for (let i = 1; i < rows.length; i++) {
+    const lower = rows[i - 1];
+    const upper = rows[i];
+    if (pressure >= lower.saturationPressure && pressure <= upper.saturationPressure) {
+      return lower.T + (pressure - lower.saturationPressure) / (upper.saturationPressure - lower.saturationPressure) * (upper.T - lower.T);
+    }
+  }
+  throw new Error(`压力 ${pressure.toFixed(1)} kPa 超出自定义流体 ${info.name} 的饱和压力数据范围`);
+}
+
+/**
+ * 自定义流体物性查询，参数与 CoolProp PropsSI 一致（SI 单位：K、Pa、J/kg）
+ * 物性表只包含液相数据，与压力无关；支持：
+ * - T, P → D, C, L, V, H, PRANDTL
+ * - P, H → T
+ * - T, Q → P（需饱和压力数据），P, Q → T（需饱和压力数据）
+ * @param {string} fluid - 自定义流体ID
+ * @param {string} property - 输出物性
+ * @param {string} input1 - 第一个输入参数
+ * @param {number} value1 - 第一个输入参数的值
+ * @param {string} input2 - 第二个输入参数
+ * @param {number} value2 - 第二个输入参数的值
+ * @returns {number} 物性值
+ */
+export function getCustomFluidProperty(fluid, property, input1, value1, input2, value2) {
+  const info = getCustomFluidInfo(fluid);
+  if (!info) {
+    throw new Error(`未找到自定义流体: ${fluid.slice(CUSTOM_FLUID_PREFIX.length)}（可能已被删除）`);
+  }
+  const inputs = { [input1]: value1, [input2]: value2 };
+  const hasSaturation = info.rows[0].saturationPressure !== undefined;
+
+  if ('Q' in inputs) {
+    if (!hasSaturation) {
+      throw new Error(`自定义流体 ${info.name} 未提供饱和压力数据，不能用于饱和状态或相变计算`);
+    }
+    if (property === 'P' && 'T' in inputs) {
+      return interpolate(info, 'saturationPressure', inputs.T - 273.15) * 1000;
+    }
+    if (property === 'T' && 'P' in inputs) {
+      return saturationTemperatureAt(info, inputs.P / 1000) + 273.15;
+    }
+    throw new Error(`自定义流体 ${info.name} 只有液相物性表，不支持两相物性 ${property} 的查询`);
+  }
+
+  if (property === 'T' && 'H' in inputs) {
+    return temperatureFromEnthalpy(info, inputs.H) + 273.15;
+  }
+  if (!('T' in inputs)) {
+    throw new Error(`自定义流体 ${info.name} 的物性查询需要给定温度（当前输入: ${input1}, ${input2}）`);
+  }
+
+  const temperature = inputs.T - 273.15;
+  switch (property) {
+    case 'D':
+      return interpolate(info, 'density', temperature);
+    case 'C':
+      return interpolate(info, 'specificHeat', temperature);
+    case 'L':
+      return interpolate(info, 'thermalConductivity', temperature);
+    case 'V':
+      return interpolate(info, 'viscosity', temperature);
+    case 'H':
+      return enthalpyAt(info, temperature);
+    case 'PRANDTL':
+      return interpolate(info, 'specificHeat', temperature) * interpolate(info, 'viscosity', temperature) /
+             interpolate(info, 'thermalConductivity', temperature);
+    default:
+      throw new Error(`自定义流体 ${info.name} 不支持物性 ${property} 的查询`);
+  }
+}
+
+/**
+ * 校验自定义流体的工况：不支持相变；有饱和压力数据时检查工作压力高于最高温度下的饱和压力（保持液相）
+ * 非自定义流体不做校验
+ * @param {string} fluid - 工质ID
+ * @param {Object} options - 校验参数
+ * @param {Array<number|null>} options.temperatures - 流体温度 (°C)，为空的值跳过
+ * @param {number} options.pressure - 压力 (Pa)
+ * @param {boolean} options.hasPhaseChange - 是否设置了冷却/加热以外的过程（冷凝、蒸发、超临界气体冷却）
+ */
+export function validateCustomFluidConditions(fluid, { temperatures = [], pressure = 101325, hasPhaseChange = false } = {}) {
+  if (!isCustomFluid(fluid)) {
+    return;
+  }
+  const info = getCustomFluidInfo(fluid);
+  if (!info) {
+    throw new Error(`未找到自定义流体: ${fluid.slice(CUSTOM_FLUID_PREFIX.length)}（可能已被删除）`);
+  }
+  if (hasPhaseChange) {
+    throw new Error(`自定义流体 ${info.name} 只有液相物性表，不能用于冷凝、蒸发或超临界气体冷却过程`);
+  }
+  const validTemperatures = temperatures.filter(t => t !== null && t !== undefined && isFinite(t));
+  validTemperatures.forEach(t => locate(info, t));
+  if (info.rows[0].saturationPressure !== undefined && validTemperatures.length > 0) {
+    const maxTemp = Math.max(...validTemperatures);
+    const saturationPressure = interpolate(info, 'saturationPressure', maxTemp) * 1000;
+    if (pressure <= saturationPressure) {
+      throw new Error(`自定义流体 ${info.name} 在 ${maxTemp.toFixed(1)} °C 下的饱和压力为 ${(saturationPressure / 1000).toFixed(1)} kPa，工作压力 ${(pressure / 1000).toFixed(1)} kPa 不足以保持液相`);
+    }
+  }
+}
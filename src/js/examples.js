@@ -4,6 +4,7 @@
  */
 
 import { updateVisualization } from './visualization.js';
+import { migrateCalculationInput } from './schema.js';
 
 /**
  * 直管换热器示例案例
@@ -120,6 +121,45 @@ export const refrigerantExample = {
   givenU: null
 };
 
+/**
+ * 工业应用案例：丙二醇载冷剂冷却（冷冻水回路）
+ * 热流体为 30% 丙二醇水溶液，冷流体为 40% 乙二醇水溶液
+ */
+export const glycolExample = {
+  // 热流体参数（丙二醇水溶液）
+  hotFluid: 'MPG',
+  hotConcentration: 0.3,  // 质量分数
+  hotTin: 12,
+  hotTout: 7,
+  hotFlowRate: 0.6,
+  hotPressure: 300,       // 300 kPa
+  
+  // 冷流体参数（乙二醇水溶液）
+  coldFluid: 'MEG',
+  coldConcentration: 0.4, // 质量分数
+  coldTin: -5,
+  coldTout: 0,
+  coldFlowRate: 0.7,
+  coldPressure: 300,
+  
+  // 换热器参数
+  innerDiameter: 0.025,  // 25mm 内管
+  outerDiameter: 0.050,   // 50mm 外管
+  length: 6.0,            // 6米管长
+  flowType: 'counter',
+  
+  // 内管参数
+  innerTubeCount: 1,      // 1根内管
+  innerTubeType: 'smooth', // 光管
+  isTwisted: false,
+  twistPitch: 0.1,
+  twistAngle: 45,
+  passCount: 1,           // 1个流程
+  outerTubeCountPerPass: 1, // 每流程1根外管
+  
+  givenU: null
+};
+
 /**
  * 当前调试案例：R134a冷凝（管外）- 水加热（管内）麻花管换热器
  * 热流体在管外，冷流体在管内
@@ -182,16 +222,19 @@ export const currentDebugExample = {
 
 /**
  * 加载示例数据到表单
- * @param {Object} exampleData - 示例数据对象
+ * @param {Object} example - 示例数据对象（任意模式版本）
  */
-export function loadExampleToForm(exampleData) {
+export function loadExampleToForm(example) {
+  // 示例为旧版本案例格式，先升级到当前模式版本（补齐状态值和内径、壁厚）
+  const exampleData = migrateCalculationInput(example);
+  
   // 输入模式和热流体位置
   if (exampleData.inputMode) {
-    const inputModeRadio = document.querySelector(`input[name="input-mode"][value="${exampleData.inputMode}"]`);
+    const inputModeRadio = document.querySelector(`input[name="input-mode"][value="${CSS.escape(exampleData.inputMode)}"]`);
     if (inputModeRadio) inputModeRadio.checked = true;
   }
   if (exampleData.hotFluidLocation) {
-    const hotFluidLocationRadio = document.querySelector(`input[name="hot-fluid-location"][value="${exampleData.hotFluidLocation}"]`);
+    const hotFluidLocationRadio = document.querySelector(`input[name="hot-fluid-location"][value="${CSS.escape(exampleData.hotFluidLocation)}"]`);
     if (hotFluidLocationRadio) hotFluidLocationRadio.checked = true;
   }
   
@@ -205,7 +248,15 @@ export function loadExampleToForm(exampleData) {
   const hotFlowRateInput = document.getElementById('hot-flowrate');
   const hotPressureInput = document.getElementById('hot-pressure');
   
-  if (hotFluidSelect) hotFluidSelect.value = exampleData.hotFluid;
+  if (hotFluidSelect) {
+    hotFluidSelect.value = exampleData.hotFluid;
+    hotFluidSelect.dispatchEvent(new Event('change'));
+  }
+  // 二次冷媒浓度（示例数据为质量分数，界面输入为 %）
+  const hotConcentrationInput = document.getElementById('hot-concentration');
+  if (hotConcentrationInput && exampleData.hotConcentration !== undefined && exampleData.hotConcentration !== null) {
+    hotConcentrationInput.value = exampleData.hotConcentration * 100;
+  }
   if (hotProcessTypeSelect && exampleData.hotProcessType) hotProcessTypeSelect.value = exampleData.hotProcessType;
   if (hotStateInInput && exampleData.hotStateIn !== undefined) hotStateInInput.value = exampleData.hotStateIn;
   if (hotStateOutInput && exampleData.hotStateOut !== undefined) hotStateOutInput.value = exampleData.hotStateOut;
@@ -224,7 +275,14 @@ export function loadExampleToForm(exampleData) {
   const coldFlowRateInput = document.getElementById('cold-flowrate');
   const coldPressureInput = document.getElementById('cold-pressure');
   
-  if (coldFluidSelect) coldFluidSelect.value = exampleData.coldFluid;
+  if (coldFluidSelect) {
+    coldFluidSelect.value = exampleData.coldFluid;
+    coldFluidSelect.dispatchEvent(new Event('change'));
+  }
+  const coldConcentrationInput = document.getElementById('cold-concentration');
+  if (coldConcentrationInput && exampleData.coldConcentration !== undefined && exampleData.coldConcentration !== null) {
+    coldConcentrationInput.value = exampleData.coldConcentration * 100;
+  }
   if (coldProcessTypeSelect && exampleData.coldProcessType) coldProcessTypeSelect.value = exampleData.coldProcessType;
   if (coldStateInInput && exampleData.coldStateIn !== undefined) coldStateInInput.value = exampleData.coldStateIn;
   if (coldStateOutInput && exampleData.coldStateOut !== undefined) coldStateOutInput.value = exampleData.coldStateOut;
@@ -248,18 +306,11 @@ export function loadExampleToForm(exampleData) {
   const flowTypeSelect = document.getElementById('flow-type');
   const heatTransferCoefficientInput = document.getElementById('heat-transfer-coefficient');
   
-  // 如果有示例数据中的壁厚信息，使用它；否则使用默认值（外径的10%）
-  const defaultInnerWallThickness = exampleData.innerWallThickness || (exampleData.innerDiameter * 0.1);
-  const defaultOuterWallThickness = exampleData.outerWallThickness || (exampleData.outerDiameter * 0.05);
-  
-  // 使用示例数据中的壁厚，如果提供的话
-  const actualInnerWallThickness = exampleData.innerWallThickness || defaultInnerWallThickness;
-  const actualOuterWallThickness = exampleData.outerWallThickness || defaultOuterWallThickness;
-  
-  if (innerOuterDiameterInput) innerOuterDiameterInput.value = (exampleData.innerDiameter || exampleData.innerOuterDiameter) * 1000; // 转换为mm
-  if (innerWallThicknessInput) innerWallThicknessInput.value = actualInnerWallThickness * 1000; // 转换为mm
-  if (outerOuterDiameterInput) outerOuterDiameterInput.value = (exampleData.outerDiameter || exampleData.outerOuterDiameter) * 1000; // 转换为mm
-  if (outerWallThicknessInput) outerWallThicknessInput.value = actualOuterWallThickness * 1000; // 转换为mm
+  // 壁厚缺省值（内管取外径的10%、外管取外径的5%）已在迁移时补齐
+  if (innerOuterDiameterInput) innerOuterDiameterInput.value = exampleData.innerDiameter * 1000; // 转换为mm
+  if (innerWallThicknessInput) innerWallThicknessInput.value = exampleData.innerWallThickness * 1000; // 转换为mm
+  if (outerOuterDiameterInput) outerOuterDiameterInput.value = exampleData.outerDiameter * 1000; // 转换为mm
+  if (outerWallThicknessInput) outerWallThicknessInput.value = exampleData.outerWallThickness * 1000; // 转换为mm
   if (lengthInput) lengthInput.value = exampleData.length;
   if (flowTypeSelect) flowTypeSelect.value = exampleData.flowType;
   if (heatTransferCoefficientInput) heatTransferCoefficientInput.value = exampleData.givenU || '';
@@ -313,16 +364,51 @@ export function loadExampleToForm(exampleData) {
   }
   if (twistAngleInput) twistAngleInput.value = exampleData.twistAngle || 45;
   
-  // 麻花管壁厚（如果提供）
+  // 麻花管壁厚（如果提供；为 null 表示使用内管壁厚）
   if (exampleData.twistWallThickness !== undefined) {
     const twistWallThicknessInput = document.getElementById('twist-wall-thickness');
     if (twistWallThicknessInput) {
       // 如果值大于0.1，认为已经是mm单位；否则认为是m单位，转换为mm
       const wallThicknessValue = exampleData.twistWallThickness;
-      twistWallThicknessInput.value = wallThicknessValue > 0.1 ? wallThicknessValue : wallThicknessValue * 1000;
+      twistWallThicknessInput.value = wallThicknessValue === null ? '' : (wallThicknessValue > 0.1 ? wallThicknessValue : wallThicknessValue * 1000);
     }
   }
   
+  // 材质、污垢热阻、求解方法、模型选项和尺寸设计参数（项目文件中保存的案例包含这些字段，示例可省略）
+  const material = exampleData.innerTubeMaterial ?? exampleData.tubeMaterial;
+  const materialSelect = document.getElementById('inner-tube-material');
+  if (materialSelect && material) materialSelect.value = material;
+  // 污垢热阻：数据为 m²·K/W，界面输入为 m²·K/kW
+  [['fouling-inner', exampleData.foulingInner], ['fouling-outer', exampleData.foulingOuter]].forEach(([id, value]) => {
+    const input = document.getElementById(id);
+    if (input && value !== undefined) input.value = value ? value * 1000 : '';
+  });
+  const optionFields = [
+    ['solver-method', exampleData.solverMethod],
+    ['segment-count', exampleData.segmentCount],
+    ['inner-correlation', exampleData.innerCorrelation],
+    ['outer-correlation', exampleData.outerCorrelation],
+    ['boiling-correlation', exampleData.boilingCorrelation],
+    ['supercritical-correlation', exampleData.supercriticalCorrelation],
+    ['two-phase-pressure-drop-model', exampleData.twoPhasePressureDropModel],
+    ['void-fraction-model', exampleData.voidFractionModel],
+    ['orientation', exampleData.orientation],
+    ['couple-pressure-drop-saturation', exampleData.couplePressureDropSaturation === undefined ? undefined : (exampleData.couplePressureDropSaturation ? 'on' : 'off')],
+    ['saturation-drop-threshold', exampleData.saturationDropWarningThreshold],
+    ['sizing-target', exampleData.sizingTarget],
+    ['sizing-margin', exampleData.designMargin],
+    ['sizing-standard-length', exampleData.standardLength],
+    ['sizing-max-pressure-drop', exampleData.maxPressureDrop],
+    ['sizing-max-velocity', exampleData.maxVelocity]
+  ];
+  optionFields.forEach(([id, value]) => {
+    const element = document.getElementById(id);
+    if (element && value !== undefined) {
+      element.value = value ?? '';
+      element.dispatchEvent(new Event('change'));
+    }
+  });
+  
   // 触发输入模式切换事件，更新UI显示
   if (exampleData.inputMode) {
     const inputModeEvent = new Event('change');
@@ -0,0 +1,61 @@
+/**
+ * 两相流型定义与流型判别（Wojtan-Ursenbacher-Thome）
+ * 流型图的转换曲线由计算引擎给出（calculateFlowPatternMap），本模块只做判别，界面和计算引擎共用
+ */
+
+/**
+ * 流型定义（名称与绘图颜色）
+ */
+export const FLOW_PATTERNS = {
+  'stratified': { name: '分层流 (S)', color: '#fde68a' },
+  'stratified-wavy': { name: '分层波状流 (SW)', color: '#bbf7d0' },
+  'slug-stratified-wavy': { name: '弹状+分层波状流 (Slug+SW)', color: '#a5f3fc' },
+  'intermittent': { name: '间歇流 (I)', color: '#c7d2fe' },
+  'annular': { name: '环状流 (A)', color: '#fbcfe8' },
+  'dryout': { name: '干涸 (D)', color: '#fed7aa' },
+  'mist': { name: '雾状流 (M)', color: '#e5e7eb' }
+};
+
+/**
+ * 按转换曲线判断流型
+ * @param {number} x - 干度
+ * @param {number} G - 质量通量 (kg/m²/s)
+ * @param {Object} transitions - {wavy, strat, dryout, mist}
+ * @param {number} transitionQuality - 间歇流/环状流转换干度 x_IA
+ * @returns {string} 流型ID（见 FLOW_PATTERNS）
+ */
+export function classifyFlowPattern(x, G, transitions, transitionQuality) {
+  if (G >= transitions.mist) return 'mist';
+  if (G >= transitions.dryout) return 'dryout';
+  if (G >= transitions.wavy) return x < transitionQuality ? 'intermittent' : 'annular';
+  if (G >= transitions.strat) return x < transitionQuality ? 'slug-stratified-wavy' : 'stratified-wavy';
+  return 'stratified';
+}
+
+/**
+ * 查询流型图上任意点 (x, G) 的流型（转换曲线按干度线性插值）
+ * @param {Object} map - calculateFlowPatternMap 的返回值
+ * @param {number} x - 干度
+ * @param {number} G - 质量通量 (kg/m²/s)
+ * @returns {string} 流型ID
+ */
+export function getFlowPatternAt(map, x, G) {
+  const { curves } = map;
+  const n = curves.x.length;
+  const position = (Math.min(curves.x[n - 1], Math.max(curves.x[0], x)) - curves.x[0]) / (curves.x[n - 1] - curves.x[0]) * (n - 1);
+  const i = Math.min(n - 2, Math.floor(position));
+  const t = position - i;
+  const interpolate = (values) => {
+    if (!isFinite(values[i]) || !isFinite(values[i + 1])) {
+      return t < 0.5 ? values[i] : values[i + 1];
+    }
+    return values[i] + (values[i + 1] - values[i]) * t;
+  };
+  const transitions = {
+    wavy: interpolate(curves.wavy),
+    strat: interpolate(curves.strat),
+    dryout: interpolate(curves.dryout),
+    mist: interpolate(curves.mist)
+  };
+  return classifyFlowPattern(x, G, transitions, map.transitionQuality);
+}
@@ -0,0 +1,142 @@
+/**
+ * 二次冷媒目录（载冷剂/载热剂）
+ * 乙二醇、丙二醇水溶液、氯化钙盐水和导热油，使用 CoolProp 不可压缩流体（INCOMP）计算物性，
+ * 溶液类需给定质量浓度，计算前校验冰点和最高使用温度
+ */
+
+/**
+ * 二次冷媒注册表
+ * - coolPropName：CoolProp INCOMP 流体名称
+ * - concentration：质量分数范围 {min, max, default}，纯流体（导热油）为 null
+ */
+export const SECONDARY_FLUIDS = {
+  'MPG': {
+    name: '丙二醇水溶液',
+    coolPropName: 'MPG',
+    concentration: { min: 0, max: 0.6, default: 0.3 },
+    description: '食品级载冷剂，毒性低，30% 浓度冰点约 -13 °C'
+  },
+  'MEG': {
+    name: '乙二醇水溶液',
+    coolPropName: 'MEG',
+    concentration: { min: 0, max: 0.6, default: 0.4 },
+    description: '常用工业载冷剂，40% 浓度冰点约 -24 °C，有毒'
+  },
+  'MCA': {
+    name: '氯化钙盐水',
+    coolPropName: 'MCA',
+    concentration: { min: 0, max: 0.3, default: 0.2 },
+    description: '低成本载冷剂，20% 浓度冰点约 -18 °C，对碳钢有腐蚀性'
+  },
+  'T66': {
+    name: '导热油 (Therminol 66)',
+    coolPropName: 'T66',
+    concentration: null,
+    description: '液相导热油，使用温度约 0~345 °C'
+  }
+};
+
+/**
+ * 判断工质是否为二次冷媒目录中的不可压缩流体
+ * @param {string} fluid - 工质ID
+ * @returns {boolean}
+ */
+export function isSecondaryFluid(fluid) {
+  return Object.prototype.hasOwnProperty.call(SECONDARY_FLUIDS, fluid);
+}
+
+/**
+ * 获取二次冷媒信息
+ * @param {string} fluid - 工质ID
+ * @returns {Object|null} 二次冷媒信息对象，包含 name, coolPropName, concentration, description；非二次冷媒返回 null
+ */
+export function getSecondaryFluidInfo(fluid) {
+  return isSecondaryFluid(fluid) ? SECONDARY_FLUIDS[fluid] : null;
+}
+
+/**
+ * 取实际使用的质量分数（为空时取默认浓度）
+ * @param {Object} info - 二次冷媒信息
+ * @param {number|null} concentration - 质量分数
+ * @returns {number}
+ */
+function resolveConcentration(info, concentration) {
+  return concentration !== null && concentration !== undefined && isFinite(concentration)
+    ? concentration
+    : info.concentration.default;
+}
+
+/**
+ * 生成 CoolProp 不可压缩流体字符串
+ * @param {string} fluid - 工质ID
+ * @param {number|null} concentration - 质量分数 (0-1)，为空时使用默认浓度
+ * @returns {string} 如 'INCOMP::MPG[0.3]'；非二次冷媒原样返回
+ */
+export function buildSecondaryFluidName(fluid, concentration = null) {
+  const info = getSecondaryFluidInfo(fluid);
+  if (!info) {
+    return fluid;
+  }
+  if (!info.concentration) {
+    return `INCOMP::${info.coolPropName}`;
+  }
+  return `INCOMP::${info.coolPropName}[${resolveConcentration(info, concentration)}]`;
+}
+
+/**
+ * 解析并校验二次冷媒：检查浓度范围、相变过程、冰点和最高使用温度
+ * 非二次冷媒原样返回，不做校验
+ * @param {string} fluid - 工质ID
+ * @param {Object} options - 校验参数
+ * @param {number|null} options.concentration - 质量分数 (0-1)
+ * @param {Array<number|null>} options.temperatures - 流体温度 (°C)，为空的值跳过
+ * @param {number} options.pressure - 压力 (Pa)
+ * @param {boolean} options.hasPhaseChange - 是否设置了冷却/加热以外的过程（冷凝、蒸发、超临界气体冷却）
+ * @returns {Promise<string>} 传给 getFluidProperties 等物性函数的 CoolProp 流体字符串
+ */
+export async function resolveSecondaryFluid(fluid, { concentration = null, temperatures = [], pressure = 101325, hasPhaseChange = false } = {}) {
+  const info = getSecondaryFluidInfo(fluid);
+  if (!info) {
+    return fluid;
+  }
+
+  if (hasPhaseChange) {
+    throw new Error(`${info.name}为不可压缩液体，不能用于冷凝、蒸发或超临界气体冷却过程`);
+  }
+  if (info.concentration && concentration !== null && concentration !== undefined) {
+    const { min, max } = info.concentration;
+    if (!isFinite(concentration) || concentration < min || concentration > max) {
+      throw new Error(`${info.name}的浓度必须在 ${min * 100}% ~ ${max * 100}% 之间，当前值: ${(concentration * 100).toFixed(1)}%`);
+    }
+  }
+
+  const fluidName = buildSecondaryFluidName(fluid, concentration);
+  const validTemperatures = temperatures.filter(t => t !== null && t !== undefined && isFinite(t));
+  if (validTemperatures.length === 0) {
+    return fluidName;
+  }
+  const minTemp = Math.min(...validTemperatures) + 273.15;
+  const maxTemp = Math.max(...validTemperatures) + 273.15;
+  const concentrationText = info.concentration ? `（浓度 ${(resolveConcentration(info, concentration) * 100).toFixed(1)}%）` : '';
+
+  // 物性库按需加载：本模块的注册表也被界面使用，主线程不加载 CoolProp
+  const { getProperty } = await import('./coolprop_loader.js');
+
+  // 冰点：纯流体（导热油）无冰点数据时取物性关联式的最低温度
+  let lowerLimit;
+  try {
+    lowerLimit = await getProperty(fluidName, 'T_freeze', 'T', maxTemp, 'P', pressure);
+  } catch (error) {
+    lowerLimit = await getProperty(fluidName, 'T_min', 'T', maxTemp, 'P', pressure);
+  }
+  if (minTemp < lowerLimit) {
+    throw new Error(`${info.name}${concentrationText}的冰点/最低使用温度为 ${(lowerLimit - 273.15).toFixed(1)} °C，流体最低温度 ${(minTemp - 273.15).toFixed(1)} °C 低于该值`);
+  }
+
+  const upperLimit = await getProperty(fluidName, 'T_max', 'T', minTemp, 'P', pressure);
+  if (maxTemp > upperLimit) {
+    throw new Error(`${info.name}${concentrationText}的最高使用温度为 ${(upperLimit - 273.15).toFixed(1)} °C，流体最高温度 ${(maxTemp - 273.15).toFixed(1)} °C 超出该值`);
+  }
+
+  return fluidName;
+}
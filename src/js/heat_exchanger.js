@@ -9,9 +9,23 @@ import {
   getFluidPropertiesTwoPhase,
   getSaturationTemperature,
   getSaturationPressure,
+  getBubbleTemperature,
+  getDewTemperature,
+  getTwoPhaseTemperature,
+  getTemperatureFromPH,
+  getProperty,
+  getPropertiesBatch,
+  getViscosity,
   detectPhase
 } from './coolprop_loader.js';
 import { getMaterialThermalConductivity } from './materials.js';
+import { calculateNusseltWithCorrelation, getCorrelationInfo } from './correlations.js';
+import { resolveFluidName } from './mixtures.js';
+import { resolveSecondaryFluid } from './fluids.js';
+import { validateCustomFluidConditions } from './custom_fluids.js';
+import { SCHEMA_VERSION, migrateCalculationInput, validateCalculationInput } from './schema.js';
+import { calculateLobeCrossSection, calculateAnnulusEquivalentDiameter } from './cross_section.js';
+import { classifyFlowPattern } from './flow_patterns.js';
 
 /**
  * 计算对数平均温差 (LMTD)
@@ -98,75 +112,6 @@ export function calculateConvectiveHeatTransferCoefficient(nu, thermalConductivi
   return (nu * thermalConductivity) / diameter;
 }
 
-/**
- * 计算梅花截面的面积和湿周（基于Do,max和Do,min）
- * @param {number} doMax - 峰顶外接圆直径Do,max (m)（最大外径）
- * @param {number} doMin - 谷底内切圆直径Do,min (m)（最小外径）
- * @param {number} lobeCount - 头数（瓣数，3-6）
- * @returns {Object} {area: 面积 (m²), perimeter: 湿周 (m), equivalentDiameter: 当量直径 (m), toothHeight: 齿高h (m)}
- */
-/**
- * 计算梅花截面的几何参数（用于麻花管环隙面积计算）
- * 
- * 几何定义：
- * - doMax：峰顶直径（麻花管外径，等于外管名义内径）
- * - doMin：谷底直径（峰顶直径 - 2×齿高）
- * - lobeCount：头数（瓣数，通常3-6）
- * 
- * 梅花截面形状：
- * - 从峰顶（doMax）到谷底（doMin）形成的多瓣梅花形状
- * - 每个瓣从谷底延伸到峰顶，形成星形截面
- * 
- * @param {number} doMax - 峰顶直径 (m)（麻花管外径）
- * @param {number} doMin - 谷底直径 (m)（峰顶直径 - 2×齿高）
- * @param {number} lobeCount - 头数（瓣数，通常3-6）
- * @returns {Object} 梅花截面几何参数
- *   - area: 梅花截面面积 (m²)（从峰到谷的截面面积）
- *   - perimeter: 梅花截面周长 (m)（湿周）
- *   - equivalentDiameter: 当量直径 (m)（Dh = 4A/P）
- *   - toothHeight: 齿高 (m)（单边高度，h = (doMax - doMin)/2）
- */
-export function calculateLobeCrossSection(doMax, doMin, lobeCount) {
-  const rMax = doMax / 2; // 峰顶半径
-  const rMin = doMin / 2; // 谷底半径
-  const h = (doMax - doMin) / 2; // 齿高（单边）
-  const anglePerLobe = (2 * Math.PI) / lobeCount;
-  
-  // 梅花截面面积计算（简化模型）
-  // 使用星形截面的近似公式
-  // 面积 ≈ N * (扇形面积 + 三角形面积)
-  // 每个瓣包含：一个外圆弧区域 + 两个三角形区域（从谷到峰）
-  
-  // 基础圆形面积（使用平均半径）
-  const rAvg = (rMax + rMin) / 2;
-  const baseCircularArea = Math.PI * rAvg * rAvg;
-  
-  // 瓣形增加的面积（每个瓣增加的面积）
-  // 近似为：每个瓣的额外面积 = 2 * (扇形面积差 + 三角形面积)
-  const lobeAreaIncrease = lobeCount * (Math.PI * h * h / lobeCount + rMax * h * Math.sin(anglePerLobe / 2));
-  
-  // 总流通面积（使用Do,min作为主要参考，因为这是"谷"的位置，决定流通面积）
-  // 实际面积应该接近以Do,min为直径的圆面积加上瓣形增加的面积
-  const minCircularArea = Math.PI * rMin * rMin;
-  const lobeArea = minCircularArea + lobeAreaIncrease * 0.7; // 0.7为修正系数
-  
-  // 湿周计算（梅花截面的周长）
-  // 使用近似公式：周长 ≈ π * Do,min + N * (每个瓣增加的弧长)
-  const basePerimeter = Math.PI * doMin;
-  const lobeArcLength = lobeCount * (h * anglePerLobe); // 每个瓣增加的弧长
-  const lobePerimeter = basePerimeter + lobeArcLength * 1.2; // 1.2为修正系数
-  
-  // 当量直径：Dh = 4 * A / P
-  const equivalentDiameter = (4 * lobeArea) / lobePerimeter;
-  
-  return {
-    area: lobeArea,
-    perimeter: lobePerimeter,
-    equivalentDiameter: equivalentDiameter,
-    toothHeight: h
-  };
-}
-
 /**
  * 计算环隙几何参数（统一函数，用于传热、压降和几何参数计算）
  * 
@@ -289,7 +234,7 @@ export async function calculateBoilingHeatTransferCoefficient(
   const CoolProp = await loadCoolProp();
   let sigma;
   try {
-    sigma = CoolProp.PropsSI('I', 'T', Tsat, 'Q', 0, fluid); // 表面张力
+    sigma = CoolProp.PropsSI('I', 'T', Tsat, 'Q', 0, resolveFluidName(fluid)); // 表面张力
     if (!isFinite(sigma) || sigma <= 0) {
       throw new Error('表面张力查询返回无效值');
     }
@@ -327,71 +272,118 @@ export async function calculateBoilingHeatTransferCoefficient(
 }
 
 /**
- * 计算冷凝传热系数（Shah关联式，适用于管内冷凝）
- * @param {Object} liquidProps - 饱和液体物性
- * @param {Object} vaporProps - 饱和蒸汽物性
- * @param {number} quality - 干度 (0-1)
- * @param {number} massFlux - 质量通量 (kg/m²/s)
- * @param {number} diameter - 管内径 (m)
- * @param {number} wallTemperature - 壁面温度 (K)
- * @param {number} saturationTemperature - 饱和温度 (K)
- * @param {number} pressure - 压力 (Pa)
- * @returns {number} 冷凝传热系数 (W/m²/K)
+ * 壁温迭代：使热侧膜、管壁+污垢、冷侧膜三部分的热流密度一致
+ * 
+ * 两侧传热系数可依赖壁温（如 Chen 核态沸腾项依赖壁面过热度、Nusselt 膜状冷凝依赖壁面过冷度）
+ * 或热流密度（如 Gungor–Winterton 的沸腾数）。每次迭代：
+ *   q = (T_hot - T_cold) / (1/h_hot + R_mid + 1/h_cold)
+ *   Tw_hot = T_hot - q/h_hot，Tw_cold = T_cold + q/h_cold
+ * 直至两侧壁温变化均小于容差。
+ * 
+ * @param {Object} options - 迭代参数
+ * @param {number} options.hotTemperature - 热侧流体主体温度 (K)
+ * @param {number} options.coldTemperature - 冷侧流体主体温度 (K)
+ * @param {Function} options.hotSideHTC - (壁温 K, 热流密度 W/m²) => 热侧传热系数 (W/m²/K)，可返回 Promise
+ * @param {Function} options.coldSideHTC - (壁温 K, 热流密度 W/m²) => 冷侧传热系数 (W/m²/K)，可返回 Promise
+ * @param {number} options.middleResistance - 管壁与污垢热阻之和 (m²·K/W)
+ * @param {number} options.tolerance - 壁温收敛容差 (K)，默认0.01
+ * @param {number} options.maxIterations - 最大迭代次数，默认30
+ * @returns {Promise<Object>} {hotSideHTC, coldSideHTC, heatFlux (W/m²), hotWallTemperature (K), coldWallTemperature (K), iterations, converged}
  */
-export function calculateCondensingHeatTransferCoefficient(
-  liquidProps,
-  vaporProps,
-  quality,
-  massFlux,
-  diameter,
-  wallTemperature,
-  saturationTemperature,
-  pressure
-) {
-  const G = massFlux; // 质量通量 kg/m²/s
-  const Di = diameter; // 管内径 m
-  const x = quality; // 干度
-  const Tsat = saturationTemperature; // 饱和温度 K
-  const Tw = wallTemperature; // 壁面温度 K
-  const dT = Math.max(Tsat - Tw, 0.1); // 过冷度，至少0.1K
-  
-  // 液体物性
-  const rhoL = liquidProps.density;
-  const muL = liquidProps.viscosity;
-  const kL = liquidProps.thermalConductivity;
-  const cpL = liquidProps.specificHeat;
-  const PrL = liquidProps.prandtl;
-  
-  // 蒸汽物性
-  const rhoV = vaporProps.density;
-  const muV = vaporProps.viscosity;
-  
-  // 计算全部为液体时的雷诺数和努塞尔数
-  const ReL0 = (G * Di) / muL;
-  const NuL0 = 0.023 * Math.pow(ReL0, 0.8) * Math.pow(PrL, 0.4);
-  const hL0 = NuL0 * kL / Di;
-  
-  // Shah关联式
-  // 计算Z参数
-  const Z = Math.pow((1 / x - 1), 0.8) * Math.pow(pressure / (pressure - pressure * 0.1), 0.4);
+export async function iterateWallTemperature(options) {
+  const {
+    hotTemperature,
+    coldTemperature,
+    hotSideHTC,
+    coldSideHTC,
+    middleResistance = 0,
+    tolerance = 0.01,
+    maxIterations = 30
+  } = options;
   
-  // 计算hTP/hL0比值
-  let hRatio;
-  if (Z >= 1) {
-    hRatio = 1 + 3.8 / Math.pow(Z, 0.95);
-  } else {
-    hRatio = 0.023 / Math.pow(Z, 0.12);
+  const deltaT = hotTemperature - coldTemperature;
+  if (deltaT <= 0) {
+    throw new Error('壁温迭代失败：热侧温度必须高于冷侧温度');
   }
   
-  // 两相流冷凝传热系数
-  const hTP = hL0 * hRatio * Math.pow(1 - x, 0.8);
+  // 初值：壁温取主体温度向另一侧偏移 1/4 温差，热流密度按两侧 1000 W/m²·K 估算
+  let hotWall = hotTemperature - deltaT / 4;
+  let coldWall = coldTemperature + deltaT / 4;
+  let heatFlux = deltaT / (2 / 1000 + middleResistance);
+  let hHot = null;
+  let hCold = null;
+  let iterations = 0;
+  let converged = false;
+  
+  while (iterations < maxIterations) {
+    iterations++;
+    [hHot, hCold] = await Promise.all([
+      hotSideHTC(hotWall, heatFlux),
+      coldSideHTC(coldWall, heatFlux)
+    ]);
+    heatFlux = deltaT / (1 / hHot + middleResistance + 1 / hCold);
+    const newHotWall = hotTemperature - heatFlux / hHot;
+    const newColdWall = coldTemperature + heatFlux / hCold;
+    const change = Math.max(Math.abs(newHotWall - hotWall), Math.abs(newColdWall - coldWall));
+    
+    // 欠松弛，避免核态沸腾项对壁温过于敏感导致振荡
+    hotWall = hotWall + 0.5 * (newHotWall - hotWall);
+    coldWall = coldWall + 0.5 * (newColdWall - coldWall);
+    if (change < tolerance) {
+      hotWall = newHotWall;
+      coldWall = newColdWall;
+      converged = true;
+      break;
+    }
+  }
   
-  // 对于低干度（接近纯液体），使用液体传热系数
-  if (x < 0.01) {
-    return hL0;
+  if (!converged) {
+    console.warn(`[壁温迭代] ${maxIterations} 次迭代后未收敛`);
   }
   
-  return Math.max(hTP, hL0 * 0.1); // 至少是单相液体传热系数的10%
+  return {
+    hotSideHTC: hHot,
+    coldSideHTC: hCold,
+    heatFlux: heatFlux,
+    hotWallTemperature: hotWall,
+    coldWallTemperature: coldWall,
+    iterations: iterations,
+    converged: converged
+  };
+}
+
+/**
+ * 将壁温迭代结果整理为输出格式（温度转换为 °C）
+ * @param {Object} iteration - iterateWallTemperature 的返回值
+ * @returns {Object} {hotSide: 热侧壁温 (°C), coldSide: 冷侧壁温 (°C), heatFlux: 热流密度 (W/m²), iterations, converged, method: 'iteration'}
+ */
+function formatWallTemperatures(iteration) {
+  return {
+    hotSide: iteration.hotWallTemperature - 273.15,
+    coldSide: iteration.coldWallTemperature - 273.15,
+    heatFlux: iteration.heatFlux,
+    iterations: iteration.iterations,
+    converged: iteration.converged,
+    method: 'iteration'
+  };
+}
+
+/**
+ * 两侧传热系数均与壁温无关时，由热阻网络直接求两侧壁温（无需迭代）
+ * @param {Object} options - {hotTemperature (K), coldTemperature (K), hotSideHTC, coldSideHTC (W/m²/K), middleResistance (m²·K/W)}
+ * @returns {Object} 与 formatWallTemperatures 相同的输出格式，iterations 为 0，method: 'direct'
+ */
+function calculateWallTemperatures(options) {
+  const { hotTemperature, coldTemperature, hotSideHTC, coldSideHTC, middleResistance = 0 } = options;
+  const heatFlux = (hotTemperature - coldTemperature) / (1 / hotSideHTC + middleResistance + 1 / coldSideHTC);
+  return {
+    hotSide: hotTemperature - heatFlux / hotSideHTC - 273.15,
+    coldSide: coldTemperature + heatFlux / coldSideHTC - 273.15,
+    heatFlux: heatFlux,
+    iterations: 0,
+    converged: true,
+    method: 'direct'
+  };
 }
 
 /**
@@ -502,6 +494,8 @@ export function calculateTwistedTubeArea(outerDiameter, innerDiameter, length, t
  * @param {number} coldFlowRate - 冷流体质量流量 (kg/s)
  * @param {number} length - 管长 (m)
  * @param {number} innerTubeCount - 内管数量（默认1）
+ * @param {Object} correlationOptions - 单相关联式选择 {inner, outer}，ID 见 correlations.js；
+ *   viscosityRatio: {inner, outer} 为两侧主体/壁温粘度比 μ/μw，仅 Sieder-Tate 类关联式使用，缺省为 1
  * @returns {number} 总传热系数基准值 (W/m²/K)
  */
 export async function calculateOverallHeatTransferCoefficientBase(
@@ -519,7 +513,8 @@ export async function calculateOverallHeatTransferCoefficientBase(
   outerWallThickness = null,
   foulingInner = 0,  // 管内污垢热阻 (m²·K/W)
   foulingOuter = 0,  // 管外污垢热阻 (m²·K/W)
-  tubeMaterial = 'stainless-steel-304'  // 内管材质ID
+  tubeMaterial = 'stainless-steel-304',  // 内管材质ID
+  correlationOptions = {}  // 单相关联式 {inner, outer, viscosityRatio}
 ) {
   // 计算内管（热流体）的对流传热系数
   // 传热面积使用外径（外表面）
@@ -536,10 +531,17 @@ export async function calculateOverallHeatTransferCoefficientBase(
     innerInnerDiameter, // 使用内径计算雷诺数
     hotProps.viscosity
   );
-  const innerNu = calculateNusseltNumber(innerRe, hotProps.prandtl, false); // 热流体被冷却
+  const innerCorrelation = calculateNusseltWithCorrelation(correlationOptions.inner, {
+    re: innerRe,
+    pr: hotProps.prandtl,
+    heating: false, // 热流体被冷却
+    diameter: innerInnerDiameter,
+    length: length,
+    viscosityRatio: correlationOptions.viscosityRatio?.inner
+  }, 'tube');
   
   const hi = calculateConvectiveHeatTransferCoefficient(
-    innerNu,
+    innerCorrelation.nu,
     hotProps.thermalConductivity,
     innerInnerDiameter // 使用内径计算传热系数
   );
@@ -566,9 +568,17 @@ export async function calculateOverallHeatTransferCoefficientBase(
     hydraulicDiameter,
     coldProps.viscosity
   );
-  const annulusNu = calculateNusseltNumber(annulusRe, coldProps.prandtl, true); // 冷流体被加热
+  const outerCorrelation = calculateNusseltWithCorrelation(correlationOptions.outer, {
+    re: annulusRe,
+    pr: coldProps.prandtl,
+    heating: true, // 冷流体被加热
+    diameter: hydraulicDiameter,
+    length: length,
+    diameterRatio: innerOuterDiameter / outerInnerDiameter,
+    viscosityRatio: correlationOptions.viscosityRatio?.outer
+  }, 'annulus');
   const ho = calculateConvectiveHeatTransferCoefficient(
-    annulusNu,
+    outerCorrelation.nu,
     coldProps.thermalConductivity,
     hydraulicDiameter
   );
@@ -630,7 +640,11 @@ export async function calculateOverallHeatTransferCoefficientBase(
     Ro_percentage: Ro_percentage,
     Rwall_percentage: Rwall_percentage,
     Rfi_percentage: Rfi_percentage,  // 管内污垢热阻占比
-    Rfo_percentage: Rfo_percentage   // 管外污垢热阻占比
+    Rfo_percentage: Rfo_percentage,  // 管外污垢热阻占比
+    correlations: {
+      inner: innerCorrelation,
+      outer: outerCorrelation
+    }
   };
 }
 
@@ -655,7 +669,8 @@ export async function calculateOverallHeatTransferCoefficient(
   foulingInner = 0,  // 管内污垢热阻 (m²·K/W)
   foulingOuter = 0,  // 管外污垢热阻 (m²·K/W)
   tubeMaterial = 'stainless-steel-304',  // 内管材质ID
-  twistToothHeight = 0.003  // 齿高 (m)，默认3mm
+  twistToothHeight = 0.003,  // 齿高 (m)，默认3mm
+  correlationOptions = {}    // 单相关联式 {inner, outer, viscosityRatio}
 ) {
   // 如果是麻花管，需要使用梅花截面的当量直径来计算
   if (isTwisted) {
@@ -676,10 +691,17 @@ export async function calculateOverallHeatTransferCoefficient(
       innerLobeSection.equivalentDiameter,
       hotProps.viscosity
     );
-    const innerNu = calculateNusseltNumber(innerRe, hotProps.prandtl, false);
+    const innerCorrelation = calculateNusseltWithCorrelation(correlationOptions.inner, {
+      re: innerRe,
+      pr: hotProps.prandtl,
+      heating: false,
+      diameter: innerLobeSection.equivalentDiameter,
+      length: length,
+      viscosityRatio: correlationOptions.viscosityRatio?.inner
+    }, 'tube');
     
     const hi = calculateConvectiveHeatTransferCoefficient(
-      innerNu,
+      innerCorrelation.nu,
       hotProps.thermalConductivity,
       innerLobeSection.equivalentDiameter
     );
@@ -711,10 +733,19 @@ export async function calculateOverallHeatTransferCoefficient(
     
     // 确保计算有效
     let ho;
+    let outerCorrelation = null;
     if (annulusArea > 0 && hydraulicDiameter > 0 && annulusRe > 0) {
-      const annulusNu = calculateNusseltNumber(annulusRe, coldProps.prandtl, true);
+      outerCorrelation = calculateNusseltWithCorrelation(correlationOptions.outer, {
+        re: annulusRe,
+        pr: coldProps.prandtl,
+        heating: true,
+        diameter: hydraulicDiameter,
+        length: length,
+        diameterRatio: innerOuterDiameter / outerInnerDiameter,
+        viscosityRatio: correlationOptions.viscosityRatio?.outer
+      }, 'annulus');
       ho = calculateConvectiveHeatTransferCoefficient(
-        annulusNu,
+        outerCorrelation.nu,
         coldProps.thermalConductivity,
         hydraulicDiameter
       );
@@ -793,7 +824,11 @@ export async function calculateOverallHeatTransferCoefficient(
       Ro_percentage: Ro_percentage,
       Rwall_percentage: Rwall_percentage,
       Rfi_percentage: Rfi_percentage,  // 管内污垢热阻占比
-      Rfo_percentage: Rfo_percentage   // 管外污垢热阻占比
+      Rfo_percentage: Rfo_percentage,  // 管外污垢热阻占比
+      correlations: {
+        inner: innerCorrelation,
+        outer: outerCorrelation
+      }
     };
   } else {
     // 普通直管计算
@@ -812,11 +847,66 @@ export async function calculateOverallHeatTransferCoefficient(
       null,  // 外管壁厚暂时不使用
       foulingInner,
       foulingOuter,
-      tubeMaterial
+      tubeMaterial,
+      correlationOptions
     );
   }
 }
 
+/**
+ * 计算总传热系数，并为 Sieder-Tate 类关联式按壁温修正粘度比 μ/μw
+ * 
+ * 两侧均未选用含粘度修正的关联式时直接计算一次。否则先取 μ/μw = 1，
+ * 由热阻网络估算壁温（流体膜层与污垢层的交界面）：
+ *   Tw_inner = T_inner - (T_inner - T_outer)·Ri/Rtotal，Tw_outer = T_outer + (T_inner - T_outer)·Ro/Rtotal
+ * 查询壁温下的粘度后重新计算，直至粘度比变化小于 1%。
+ * 
+ * @param {Function} evaluate - (correlationOptions) => calculateOverallHeatTransferCoefficient 的结果
+ * @param {Object} correlationOptions - 单相关联式选择 {inner, outer}
+ * @param {Object} streams - 两侧流体 {inner, outer}，各为 {fluid, temperature (K), pressure (Pa), viscosity (Pa·s)}；
+ *   两相侧 viscosity 传 null（两相侧不使用单相关联式，不做粘度修正）
+ * @returns {Promise<Object>} 传热系数结果，所用粘度比见 correlations.inner/outer.viscosityRatio
+ */
+async function calculateHeatTransferWithWallViscosity(evaluate, correlationOptions, streams) {
+  const sides = ['inner', 'outer'].filter(side =>
+    streams[side].viscosity > 0 && getCorrelationInfo(correlationOptions[side]).usesViscosityRatio
+  );
+  if (sides.length === 0) {
+    return await evaluate(correlationOptions);
+  }
+  
+  const viscosityRatio = { inner: 1, outer: 1 };
+  const deltaT = streams.inner.temperature - streams.outer.temperature;
+  const maxIterations = 5;
+  let result = await evaluate({ ...correlationOptions, viscosityRatio: { ...viscosityRatio } });
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const wallTemperature = {
+      inner: streams.inner.temperature - deltaT * result.Ri / result.Rtotal,
+      outer: streams.outer.temperature + deltaT * result.Ro / result.Rtotal
+    };
+    
+    let maxChange = 0;
+    try {
+      for (const side of sides) {
+        const stream = streams[side];
+        const wallViscosity = await getViscosity(stream.fluid, wallTemperature[side], stream.pressure);
+        const ratio = stream.viscosity / wallViscosity;
+        maxChange = Math.max(maxChange, Math.abs(ratio / viscosityRatio[side] - 1));
+        viscosityRatio[side] = ratio;
+      }
+    } catch (error) {
+      console.warn('[粘度修正] 壁温粘度查询失败，沿用上一次的粘度比:', error.message);
+      break;
+    }
+    if (maxChange < 0.01) {
+      break;
+    }
+    result = await evaluate({ ...correlationOptions, viscosityRatio: { ...viscosityRatio } });
+  }
+  
+  return result;
+}
+
 /**
  * 计算传热量（基于能量平衡）
  * @param {string} hotFluid - 热流体工质名称
@@ -965,13 +1055,34 @@ export function calculateHeatTransferArea(heatTransferRate, lmtd, overallHeatTra
 /**
  * 从三段计算结果中提取长度比例（基于各段面积比例）
  * @param {Object} threeZoneResult - 三段计算结果
- * @returns {Object} {superheatEnd: 过热段结束位置比例, condensationEnd: 冷凝段结束位置比例, ratios: {desup, cond, sub}}
+ * @returns {Object} 冷凝：{superheatEnd: 过热段结束位置比例, condensationEnd: 冷凝段结束位置比例, ratios: {desup, cond, sub}}
+ *                   蒸发：{subcoolEnd: 预热段结束位置比例, evaporationEnd: 沸腾段结束位置比例, ratios: {pre, boil, sup}}
  */
 export function extractSegmentRatiosFromThreeZone(threeZoneResult) {
   if (!threeZoneResult || !threeZoneResult.zones) {
     return null;
   }
   
+  // 蒸发三段：位置比例从冷流体（制冷剂）入口起算
+  if (threeZoneResult.type === 'evaporator') {
+    const { preheating, boiling, superheating } = threeZoneResult.zones;
+    const Area_total = (preheating?.Area || 0) + (boiling?.Area || 0) + (superheating?.Area || 0);
+    if (Area_total <= 0) {
+      return null;
+    }
+    const ratio_pre = (preheating?.Area || 0) / Area_total;
+    const ratio_boil = (boiling?.Area || 0) / Area_total;
+    return {
+      subcoolEnd: ratio_pre,
+      evaporationEnd: ratio_pre + ratio_boil,
+      ratios: {
+        pre: ratio_pre,
+        boil: ratio_boil,
+        sup: 1 - ratio_pre - ratio_boil
+      }
+    };
+  }
+  
   const { desuperheating, condensing, subcooling } = threeZoneResult.zones;
   
   // 计算各段面积
@@ -1012,14 +1123,15 @@ export function extractSegmentRatiosFromThreeZone(threeZoneResult) {
  */
 export async function calculateSegmentRatiosFromEnthalpy(fluid, massFlow, pressure, tempIn, tempOut) {
   try {
-    const { getEnthalpy, getSaturationTemperature, getProperty } = await import('./coolprop_loader.js');
+    const { getEnthalpy, getProperty } = await import('./coolprop_loader.js');
     
-    // 查询饱和温度
-    const T_sat = await getSaturationTemperature(fluid, pressure);
+    // 查询露点和泡点温度（纯工质两者相等）
+    const T_dew = await getDewTemperature(fluid, pressure);
+    const T_bubble = await getBubbleTemperature(fluid, pressure);
     
     // 判断入口和出口状态
-    const isInletSuperheated = tempIn > T_sat;
-    const isOutletSubcooled = tempOut < T_sat;
+    const isInletSuperheated = tempIn > T_dew;
+    const isOutletSubcooled = tempOut < T_bubble;
     
     if (!isInletSuperheated && !isOutletSubcooled) {
       // 纯冷凝段
@@ -1080,6 +1192,10 @@ export async function calculateSegmentRatiosFromEnthalpy(fluid, massFlow, pressu
  * @param {number} options.hotSaturationTemp - 热流体饱和温度 (°C)，冷凝过程时必需
  * @param {boolean} options.coldIsEvaporation - 冷流体是否为蒸发过程
  * @param {number} options.coldSaturationTemp - 冷流体饱和温度 (°C)，蒸发过程时必需
+ * @param {number} options.hotDewTemp - 热流体露点温度 (°C)，非共沸混合工质冷凝段从露点滑移到泡点（可选，默认取饱和温度）
+ * @param {number} options.hotBubbleTemp - 热流体泡点温度 (°C)（可选）
+ * @param {number} options.coldBubbleTemp - 冷流体泡点温度 (°C)，非共沸混合工质蒸发段从泡点滑移到露点（可选）
+ * @param {number} options.coldDewTemp - 冷流体露点温度 (°C)（可选）
  * @param {Object} options.hotSegmentRatios - 热流体三段长度比例（可选）
  *   - superheatEnd: 过热段结束位置比例 (0-1)
  *   - condensationEnd: 冷凝段结束位置比例 (0-1)
@@ -1107,10 +1223,20 @@ export function calculateTemperatureDistribution(
     hotSaturationTemp = null,
     coldIsEvaporation = false,
     coldSaturationTemp = null,
+    hotDewTemp = null,
+    hotBubbleTemp = null,
+    coldBubbleTemp = null,
+    coldDewTemp = null,
     hotSegmentRatios = null,
     coldSegmentRatios = null
   } = options;
   
+  // 相变段起止温度：纯工质均为饱和温度
+  const hotCondensationStartTemp = hotDewTemp ?? hotSaturationTemp;
+  const hotCondensationEndTemp = hotBubbleTemp ?? hotSaturationTemp;
+  const coldEvaporationStartTemp = coldBubbleTemp ?? coldSaturationTemp;
+  const coldEvaporationEndTemp = coldDewTemp ?? coldSaturationTemp;
+  
   // 计算温度变化率
   const hotTempChange = hotTout - hotTin; // 负值（降温）
   const coldTempChange = coldTout - coldTin; // 正值（升温）
@@ -1122,9 +1248,9 @@ export function calculateTemperatureDistribution(
   
   if (hotIsCondensation && hotSaturationTemp !== null) {
     // 判断入口是否过热
-    const isInletSuperheated = hotTin > hotSaturationTemp;
+    const isInletSuperheated = hotTin > hotCondensationStartTemp;
     // 判断出口是否过冷
-    const isOutletSubcooled = hotTout < hotSaturationTemp;
+    const isOutletSubcooled = hotTout < hotCondensationEndTemp;
     
     // 如果提供了三段比例，优先使用
     if (hotSegmentRatios && hotSegmentRatios.superheatEnd !== undefined && hotSegmentRatios.condensationEnd !== undefined) {
@@ -1182,8 +1308,8 @@ export function calculateTemperatureDistribution(
   let coldEvaporationEnd = null;
   
   if (coldIsEvaporation && coldSaturationTemp !== null) {
-    const isInletSubcooled = coldTin < coldSaturationTemp;
-    const isOutletSuperheated = coldTout > coldSaturationTemp;
+    const isInletSubcooled = coldTin < coldEvaporationStartTemp;
+    const isOutletSuperheated = coldTout > coldEvaporationEndTemp;
     
     // 如果提供了三段比例，优先使用（注意：coldSegmentRatios的结构可能需要调整）
     // 这里暂时保持原有逻辑，后续可以根据需要扩展
@@ -1244,16 +1370,19 @@ export function calculateTemperatureDistribution(
     let hotT;
     if (hotIsCondensation && hotSaturationTemp !== null) {
       if (hotSuperheatStart !== null && ratio <= hotSuperheatEnd) {
-        // 过热段：从入口温度线性下降到饱和温度
+        // 过热段：从入口温度线性下降到露点温度
         const superheatRatio = ratio / hotSuperheatEnd;
-        hotT = hotTin + (hotSaturationTemp - hotTin) * superheatRatio;
+        hotT = hotTin + (hotCondensationStartTemp - hotTin) * superheatRatio;
       } else if (ratio <= hotCondensationEnd) {
-        // 冷凝段：温度保持在饱和温度
-        hotT = hotSaturationTemp;
+        // 冷凝段：从露点滑移到泡点（纯工质保持在饱和温度）
+        const condensationRatio = hotCondensationEnd > hotSuperheatEnd
+          ? (ratio - hotSuperheatEnd) / (hotCondensationEnd - hotSuperheatEnd)
+          : 0;
+        hotT = hotCondensationStartTemp + (hotCondensationEndTemp - hotCondensationStartTemp) * condensationRatio;
       } else {
-        // 过冷段：从饱和温度线性下降到出口温度
+        // 过冷段：从泡点温度线性下降到出口温度
         const subcoolRatio = (ratio - hotCondensationEnd) / (1 - hotCondensationEnd);
-        hotT = hotSaturationTemp + (hotTout - hotSaturationTemp) * subcoolRatio;
+        hotT = hotCondensationEndTemp + (hotTout - hotCondensationEndTemp) * subcoolRatio;
       }
     } else {
       // 单相流：线性变化
@@ -1269,16 +1398,19 @@ export function calculateTemperatureDistribution(
       
       if (coldIsEvaporation && coldSaturationTemp !== null) {
         if (coldSubcoolStart !== null && coldRatio <= coldSubcoolEnd) {
-          // 过冷段：从入口温度线性上升到饱和温度
+          // 过冷段：从入口温度线性上升到泡点温度
           const subcoolRatio = coldRatio / coldSubcoolEnd;
-          coldT = coldTin + (coldSaturationTemp - coldTin) * subcoolRatio;
+          coldT = coldTin + (coldEvaporationStartTemp - coldTin) * subcoolRatio;
         } else if (coldRatio <= coldEvaporationEnd) {
-          // 蒸发段：温度保持在饱和温度
-          coldT = coldSaturationTemp;
+          // 蒸发段：从泡点滑移到露点（纯工质保持在饱和温度）
+          const evaporationRatio = coldEvaporationEnd > coldSubcoolEnd
+            ? (coldRatio - coldSubcoolEnd) / (coldEvaporationEnd - coldSubcoolEnd)
+            : 0;
+          coldT = coldEvaporationStartTemp + (coldEvaporationEndTemp - coldEvaporationStartTemp) * evaporationRatio;
         } else {
-          // 过热段：从饱和温度线性上升到出口温度
+          // 过热段：从露点温度线性上升到出口温度
           const superheatRatio = (coldRatio - coldEvaporationEnd) / (1 - coldEvaporationEnd);
-          coldT = coldSaturationTemp + (coldTout - coldSaturationTemp) * superheatRatio;
+          coldT = coldEvaporationEndTemp + (coldTout - coldEvaporationEndTemp) * superheatRatio;
         }
       } else {
         // 单相流：线性变化
@@ -1288,16 +1420,19 @@ export function calculateTemperatureDistribution(
       // 并流：冷流体从入口到出口
       if (coldIsEvaporation && coldSaturationTemp !== null) {
         if (coldSubcoolStart !== null && ratio <= coldSubcoolEnd) {
-          // 过冷段：从入口温度线性上升到饱和温度
+          // 过冷段：从入口温度线性上升到泡点温度
           const subcoolRatio = ratio / coldSubcoolEnd;
-          coldT = coldTin + (coldSaturationTemp - coldTin) * subcoolRatio;
+          coldT = coldTin + (coldEvaporationStartTemp - coldTin) * subcoolRatio;
         } else if (ratio <= coldEvaporationEnd) {
-          // 蒸发段：温度保持在饱和温度
-          coldT = coldSaturationTemp;
+          // 蒸发段：从泡点滑移到露点（纯工质保持在饱和温度）
+          const evaporationRatio = coldEvaporationEnd > coldSubcoolEnd
+            ? (ratio - coldSubcoolEnd) / (coldEvaporationEnd - coldSubcoolEnd)
+            : 0;
+          coldT = coldEvaporationStartTemp + (coldEvaporationEndTemp - coldEvaporationStartTemp) * evaporationRatio;
         } else {
-          // 过热段：从饱和温度线性上升到出口温度
+          // 过热段：从露点温度线性上升到出口温度
           const superheatRatio = (ratio - coldEvaporationEnd) / (1 - coldEvaporationEnd);
-          coldT = coldSaturationTemp + (coldTout - coldSaturationTemp) * superheatRatio;
+          coldT = coldEvaporationEndTemp + (coldTout - coldEvaporationEndTemp) * superheatRatio;
         }
       } else {
         // 单相流：线性变化
@@ -1580,15 +1715,126 @@ export function calculateCondensationPressureDrop(
 }
 
 /**
- * 计算两相流压降（Lockhart-Martinelli方法）
- * @param {Object} liquidProps - 饱和液体物性
- * @param {Object} vaporProps - 饱和蒸汽物性
+ * 计算两相流截面含气率（空泡率）
+ * - 'zivi'：Zivi (1964) 最小熵产模型，α = 1 / [1 + (1-x)/x·(ρv/ρl)^(2/3)]
+ * - 'rouhani-axelsson'：Rouhani-Axelsson 漂移流模型（Steiner 水平管形式），需要表面张力，缺失时退回 Zivi
  * @param {number} quality - 干度 (0-1)
+ * @param {Object} liquidProps - 饱和液体物性（可含 surfaceTension）
+ * @param {Object} vaporProps - 饱和蒸汽物性
  * @param {number} massFlux - 质量通量 (kg/m²/s)
- * @param {number} diameter - 管内径 (m)
- * @param {number} length - 管长 (m)
+ * @param {string} model - 空泡率模型：'zivi' 或 'rouhani-axelsson'
+ * @returns {number} 空泡率 (0-1)
+ */
+export function calculateVoidFraction(quality, liquidProps, vaporProps, massFlux, model = 'zivi') {
+  const x = quality;
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  
+  const rhoL = liquidProps.density;
+  const rhoV = vaporProps.density;
+  const sigma = liquidProps.surfaceTension;
+  
+  if (model === 'rouhani-axelsson' && sigma > 0) {
+    const g = 9.81;
+    const driftVelocity = 1.18 * (1 - x) * Math.pow(g * sigma * (rhoL - rhoV), 0.25) / (massFlux * Math.sqrt(rhoL));
+    const alpha = (x / rhoV) / ((1 + 0.12 * (1 - x)) * (x / rhoV + (1 - x) / rhoL) + driftVelocity);
+    return Math.min(1, Math.max(0, alpha));
+  }
+  
+  return 1 / (1 + ((1 - x) / x) * Math.pow(rhoV / rhoL, 2 / 3));
+}
+
+/**
+ * 计算两相流摩擦压力梯度
+ * - 'lockhart-martinelli'：Lockhart-Martinelli 分相模型，Chisholm C 值按两相流态选取
+ * - 'friedel'：Friedel (1979) 全液相倍增因子关联式，需要表面张力，缺失时退回 Müller-Steinhagen-Heck
+ * - 'muller-steinhagen-heck'：Müller-Steinhagen-Heck (1986) 全液相/全气相梯度插值
+ * @returns {Object} {gradient: 摩擦压力梯度 (Pa/m), multiplier: 两相倍增因子, frictionFactor: 等效摩擦系数, model: 实际使用的模型}
+ */
+function calculateTwoPhaseFrictionGradient(model, liquidProps, vaporProps, x, G, D, relativeRoughness) {
+  const rhoL = liquidProps.density;
+  const muL = liquidProps.viscosity;
+  const rhoV = vaporProps.density;
+  const muV = vaporProps.viscosity;
+  
+  if (model === 'friedel' || model === 'muller-steinhagen-heck') {
+    // 全液相/全气相（总质量通量全部按液体或蒸汽流动）
+    const fLO = calculateFrictionFactor(G * D / muL, relativeRoughness);
+    const fVO = calculateFrictionFactor(G * D / muV, relativeRoughness);
+    const gradientLO = fLO * G * G / (2 * D * rhoL);
+    const gradientVO = fVO * G * G / (2 * D * rhoV);
+    const sigma = liquidProps.surfaceTension;
+    
+    if (model === 'friedel' && sigma > 0) {
+      const g = 9.81;
+      const rhoH = 1 / (x / rhoV + (1 - x) / rhoL); // 均相密度
+      const E = Math.pow(1 - x, 2) + x * x * (rhoL * fVO) / (rhoV * fLO);
+      const F = Math.pow(x, 0.78) * Math.pow(1 - x, 0.224);
+      const H = Math.pow(rhoL / rhoV, 0.91) * Math.pow(muV / muL, 0.19) * Math.pow(1 - muV / muL, 0.7);
+      const Fr = G * G / (g * D * rhoH * rhoH);
+      const We = G * G * D / (sigma * rhoH);
+      const phiLO2 = E + 3.24 * F * H / (Math.pow(Fr, 0.045) * Math.pow(We, 0.035));
+      return { gradient: phiLO2 * gradientLO, multiplier: phiLO2, frictionFactor: fLO * phiLO2, model: 'friedel' };
+    }
+    if (model === 'friedel') {
+      console.warn('[两相流压降计算] 缺少表面张力数据，Friedel 关联式改用 Müller-Steinhagen-Heck');
+    }
+    
+    const interpolated = gradientLO + 2 * (gradientVO - gradientLO) * x;
+    const gradient = interpolated * Math.pow(1 - x, 1 / 3) + gradientVO * Math.pow(x, 3);
+    return {
+      gradient: gradient,
+      multiplier: gradient / gradientLO,
+      frictionFactor: fLO * gradient / gradientLO,
+      model: 'muller-steinhagen-heck'
+    };
+  }
+  
+  // Lockhart-Martinelli：各相单独流动时的压力梯度
+  const ReL = (G * (1 - x) * D) / muL;
+  const ReV = (G * x * D) / muV;
+  const fL = calculateFrictionFactor(ReL, relativeRoughness);
+  const fV = calculateFrictionFactor(ReV, relativeRoughness);
+  const gradientL = fL * (1 / D) * (rhoL * Math.pow(G * (1 - x) / rhoL, 2) / 2);
+  const gradientV = fV * (1 / D) * (rhoV * Math.pow(G * x / rhoV, 2) / 2);
+  
+  const X = Math.sqrt(gradientL / gradientV);
+  
+  // Chisholm关联式：Φ² = 1 + C/X + 1/X²，C值根据两相流态选择
+  let C = 20; // 默认：液体湍流-蒸汽湍流
+  if (ReL < 2300 && ReV < 2300) {
+    C = 5; // 液体层流-蒸汽层流
+  } else if (ReL < 2300 && ReV >= 2300) {
+    C = 12; // 液体层流-蒸汽湍流
+  } else if (ReL >= 2300 && ReV < 2300) {
+    C = 10; // 液体湍流-蒸汽层流
+  }
+  const phiL2 = 1 + C / X + 1 / (X * X);
+  
+  return { gradient: phiL2 * gradientL, multiplier: phiL2, frictionFactor: fL * phiL2, model: 'lockhart-martinelli' };
+}
+
+/**
+ * 计算两相流压降（摩擦 + 加速 + 重力）
+ * 
+ * 给定进出口干度时，摩擦压降沿干度线性分布积分（中点法，10 个子区间），
+ * 加速压降按进出口动量比容差计算（冷凝时为负值，即压力回升），
+ * 重力压降按空泡率加权的两相密度计算。
+ * 
+ * @param {Object} liquidProps - 饱和液体物性（Friedel、Rouhani-Axelsson 需要 surfaceTension）
+ * @param {Object} vaporProps - 饱和蒸汽物性
+ * @param {number} quality - 平均干度 (0-1)，未给定进出口干度时使用
+ * @param {number} massFlux - 质量通量 (kg/m²/s)
+ * @param {number} diameter - 管内径或水力直径 (m)
+ * @param {number} length - 流动长度 (m)
  * @param {number} relativeRoughness - 相对粗糙度（默认0.0001）
- * @returns {Object} {pressureDrop: 压降 (Pa), pressureDrop_kPa: 压降 (kPa), frictionFactor: 摩擦系数}
+ * @param {Object} options - 可选参数
+ * @param {string} options.model - 摩擦压降模型：'lockhart-martinelli'（默认）、'friedel'、'muller-steinhagen-heck'
+ * @param {number} options.qualityIn - 进口干度（与 qualityOut 同时给定时计算加速压降）
+ * @param {number} options.qualityOut - 出口干度
+ * @param {string} options.voidFractionModel - 空泡率模型：'zivi'（默认）或 'rouhani-axelsson'
+ * @param {number} options.inclination - 流动方向与水平面夹角的正弦值：向上流动 1，向下流动 -1，水平 0
+ * @returns {Object} {pressureDrop: 总压降 (Pa), pressureDrop_kPa, frictionalDrop, accelerationDrop, gravitationalDrop (Pa), frictionFactor: 等效摩擦系数, multiplier: 平均两相倍增因子, voidFraction: 平均空泡率, model: 实际使用的摩擦压降模型}
  */
 export function calculateTwoPhasePressureDrop(
   liquidProps,
@@ -1597,71 +1843,328 @@ export function calculateTwoPhasePressureDrop(
   massFlux,
   diameter,
   length,
-  relativeRoughness = 0.0001
+  relativeRoughness = 0.0001,
+  options = {}
 ) {
+  const {
+    model = 'lockhart-martinelli',
+    qualityIn = null,
+    qualityOut = null,
+    voidFractionModel = 'zivi',
+    inclination = 0
+  } = options;
+  const g = 9.81;
   const G = massFlux; // 质量通量 kg/m²/s
   const Di = diameter; // 管内径 m
-  const x = quality; // 干度
   const L = length; // 管长 m
+  const rhoL = liquidProps.density;
+  const rhoV = vaporProps.density;
   
-  // 液体物性
+  const isValidQuality = (x) => typeof x === 'number' && isFinite(x) && x >= 0 && x <= 1;
+  const hasQualityChange = isValidQuality(qualityIn) && isValidQuality(qualityOut) && qualityIn !== qualityOut;
+  
+  // 沿干度积分（中点法避免端点 x=0 或 x=1 处单相 Re 为零）
+  const steps = hasQualityChange ? 10 : 1;
+  let gradientSum = 0;
+  let multiplierSum = 0;
+  let frictionFactorSum = 0;
+  let voidFractionSum = 0;
+  let mixtureDensitySum = 0;
+  let usedModel = model;
+  for (let i = 0; i < steps; i++) {
+    const x = hasQualityChange ? qualityIn + (qualityOut - qualityIn) * (i + 0.5) / steps : quality;
+    const friction = calculateTwoPhaseFrictionGradient(model, liquidProps, vaporProps, x, G, Di, relativeRoughness);
+    const alpha = calculateVoidFraction(x, liquidProps, vaporProps, G, voidFractionModel);
+    gradientSum += friction.gradient;
+    multiplierSum += friction.multiplier;
+    frictionFactorSum += friction.frictionFactor;
+    voidFractionSum += alpha;
+    mixtureDensitySum += alpha * rhoV + (1 - alpha) * rhoL;
+    usedModel = friction.model;
+  }
+  
+  const frictionalDrop = gradientSum / steps * L;
+  
+  // 加速压降：ΔP_a = G²·[x²/(ρv·α) + (1-x)²/(ρl·(1-α))]_out - [...]_in
+  const momentumSpecificVolume = (x) => {
+    if (x <= 0) return 1 / rhoL;
+    if (x >= 1) return 1 / rhoV;
+    const alpha = calculateVoidFraction(x, liquidProps, vaporProps, G, voidFractionModel);
+    return (x * x) / (rhoV * alpha) + Math.pow(1 - x, 2) / (rhoL * (1 - alpha));
+  };
+  const accelerationDrop = hasQualityChange
+    ? G * G * (momentumSpecificVolume(qualityOut) - momentumSpecificVolume(qualityIn))
+    : 0;
+  
+  // 重力压降：ΔP_g = ρ_tp·g·L·sinθ，ρ_tp = α·ρv + (1-α)·ρl
+  const gravitationalDrop = mixtureDensitySum / steps * g * L * inclination;
+  
+  const totalDrop = frictionalDrop + accelerationDrop + gravitationalDrop;
+  
+  return {
+    pressureDrop: totalDrop,
+    pressureDrop_kPa: totalDrop / 1000,
+    frictionalDrop: frictionalDrop,
+    accelerationDrop: accelerationDrop,
+    gravitationalDrop: gravitationalDrop,
+    frictionFactor: frictionFactorSum / steps,
+    multiplier: multiplierSum / steps,
+    voidFraction: voidFractionSum / steps,
+    model: usedModel
+  };
+}
+
+/**
+ * 根据换热器布置确定流动方向倾角正弦值
+ * orientation 描述管内流体的流动方向；逆流时环隙流体方向相反，并流时相同
+ * @param {string} orientation - 'horizontal'、'vertical-up' 或 'vertical-down'
+ * @param {boolean} isInnerTube - 是否为管内流体
+ * @param {string} flowType - 'counter' 或 'parallel'
+ * @returns {number} 1（向上）、-1（向下）或 0（水平）
+ */
+export function getFlowInclination(orientation, isInnerTube, flowType = 'counter') {
+  if (orientation !== 'vertical-up' && orientation !== 'vertical-down') {
+    return 0;
+  }
+  const innerDirection = orientation === 'vertical-up' ? 1 : -1;
+  if (isInnerTube || flowType === 'parallel') {
+    return innerDirection;
+  }
+  return -innerDirection;
+}
+
+/**
+ * ===== 两相流型图（Wojtan-Ursenbacher-Thome） =====
+ */
+
+/**
+ * 分层流几何参数（Biberg 分层角近似）
+ * @param {number} voidFraction - 空泡率
+ * @returns {Object} {hLD: 无量纲液位高度, PiD: 无量纲相界面宽度, ALD/AVD: 无量纲液相/气相面积}
+ */
+function calculateStratifiedGeometry(voidFraction) {
+  const e = Math.min(0.999, Math.max(0.001, voidFraction));
+  const l = 1 - e;
+  const thetaStrat = 2 * Math.PI - 2 * (
+    Math.PI * l +
+    Math.pow(3 * Math.PI / 2, 1 / 3) * (1 - 2 * l + Math.pow(l, 1 / 3) - Math.pow(e, 1 / 3)) -
+    (1 / 200) * l * e * (1 - 2 * l) * (1 + 4 * (l * l + e * e))
+  );
+  const halfWetAngle = (2 * Math.PI - thetaStrat) / 2;
+  return {
+    hLD: 0.5 * (1 - Math.cos(halfWetAngle)),
+    PiD: Math.sin(halfWetAngle),
+    ALD: Math.PI * l / 4,
+    AVD: Math.PI * e / 4
+  };
+}
+
+/**
+ * 计算给定干度下的各流型转换质量通量
+ * @returns {Object} {wavy, strat, dryout, mist} 转换质量通量 (kg/m²/s)，无热流密度时 dryout/mist 为 Infinity
+ */
+function calculateFlowPatternTransitions(liquidProps, vaporProps, x, massFlux, diameter, heatFlux, criticalHeatFlux, transitionQuality) {
+  const g = 9.81;
+  const D = diameter;
   const rhoL = liquidProps.density;
+  const rhoV = vaporProps.density;
   const muL = liquidProps.viscosity;
+  const sigma = liquidProps.surfaceTension;
   
-  // 蒸汽物性
-  const rhoV = vaporProps.density;
-  const muV = vaporProps.viscosity;
+  // 分层-分层波状流转换（x < x_IA 时取 x_IA 处的值）
+  const xStrat = Math.max(x, transitionQuality);
+  const stratGeometry = calculateStratifiedGeometry(
+    calculateVoidFraction(xStrat, liquidProps, vaporProps, massFlux, 'rouhani-axelsson')
+  );
+  const strat = Math.pow(
+    226.3 * 226.3 * stratGeometry.ALD * stratGeometry.AVD * stratGeometry.AVD * rhoV * (rhoL - rhoV) * muL * g /
+    (xStrat * xStrat * (1 - xStrat) * Math.pow(Math.PI, 3)),
+    1 / 3
+  );
+  
+  // 分层波状流-间歇流/环状流转换
+  const geometry = calculateStratifiedGeometry(
+    calculateVoidFraction(x, liquidProps, vaporProps, massFlux, 'rouhani-axelsson')
+  );
+  const weberOverFroudeL = g * D * D * rhoL / sigma;
+  const wavy = Math.sqrt(
+    16 * Math.pow(geometry.AVD, 3) * g * D * rhoL * rhoV /
+    (x * x * Math.PI * Math.PI * Math.sqrt(1 - Math.pow(2 * geometry.hLD - 1, 2))) *
+    (Math.PI * Math.PI / (25 * geometry.hLD * geometry.hLD) / weberOverFroudeL + 1)
+  ) + 50;
+  
+  // 环状流-干涸、干涸-雾状流转换（由干涸起始/结束干度关联式反解）
+  let dryout = Infinity;
+  let mist = Infinity;
+  if (heatFlux > 0 && criticalHeatFlux) {
+    const weberGroup = D / (rhoV * sigma);
+    const froudeGroup = 1 / (g * D * rhoV * (rhoL - rhoV));
+    const heatFluxRatio = heatFlux / criticalHeatFlux;
+    const dryoutBase = (1 / 0.235) * (Math.log(0.58 / x) + 0.52) *
+      Math.pow(weberGroup, -0.17) * Math.pow(froudeGroup, -0.37) * Math.pow(rhoV / rhoL, -0.25) * Math.pow(heatFluxRatio, -0.70);
+    const mistBase = (1 / 0.0058) * (Math.log(0.61 / x) + 0.57) *
+      Math.pow(weberGroup, -0.38) * Math.pow(froudeGroup, -0.15) * Math.pow(rhoV / rhoL, 0.09) * Math.pow(heatFluxRatio, -0.27);
+    dryout = dryoutBase > 0 ? Math.pow(dryoutBase, 0.926) : 0;
+    mist = mistBase > 0 ? Math.pow(mistBase, 0.943) : 0;
+  }
+  
+  return { wavy, strat, dryout, mist };
+}
+
+/**
+ * 计算两相流型图（Wojtan-Ursenbacher-Thome 2005 水平管流型图）
+ * 
+ * 以实际质量通量下的空泡率（Rouhani-Axelsson）计算各转换曲线，
+ * 并在图上标出从进口干度到出口干度的运行路径。环隙流动以水力直径代替管径，仅作近似判断。
+ * 
+ * @param {Object} liquidProps - 饱和液体物性（需含 surfaceTension）
+ * @param {Object} vaporProps - 饱和蒸汽物性
+ * @param {number} massFlux - 质量通量 (kg/m²/s)
+ * @param {number} diameter - 管径或水力直径 (m)
+ * @param {Object} options - 可选参数
+ * @param {number} options.qualityIn - 进口干度
+ * @param {number} options.qualityOut - 出口干度
+ * @param {number} options.quality - 平均干度（未给定进出口干度时使用）
+ * @param {number} options.heatFlux - 热流密度 (W/m²)，蒸发时用于干涸/雾状流转换，冷凝时为 0
+ * @param {number} options.points - 转换曲线的干度节点数，默认60
+ * @returns {Object} {massFlux, diameter, heatFlux, transitionQuality, curves: {x, wavy, strat, dryout, mist}, path: [{x, pattern}], patterns}
+ */
+export function calculateFlowPatternMap(liquidProps, vaporProps, massFlux, diameter, options = {}) {
+  const {
+    qualityIn = null,
+    qualityOut = null,
+    quality = 0.5,
+    heatFlux = 0,
+    points = 60
+  } = options;
   
-  // 计算单相流压降（假设全部为液体或全部为蒸汽）
-  const ReL = (G * (1 - x) * Di) / muL; // 假设全部为液体
-  const ReV = (G * x * Di) / muV;       // 假设全部为蒸汽
+  if (!(liquidProps.surfaceTension > 0)) {
+    throw new Error('缺少表面张力数据，无法计算流型图');
+  }
   
-  const fL = calculateFrictionFactor(ReL, relativeRoughness); // 液体摩擦系数
-  const fV = calculateFrictionFactor(ReV, relativeRoughness); // 蒸汽摩擦系数
+  const rhoL = liquidProps.density;
+  const rhoV = vaporProps.density;
+  const criticalHeatFlux = calculateCriticalHeatFlux(liquidProps, vaporProps);
   
-  // 单相流压降
-  const deltaPL = fL * (L / Di) * (rhoL * Math.pow(G * (1 - x) / rhoL, 2) / 2);
-  const deltaPV = fV * (L / Di) * (rhoV * Math.pow(G * x / rhoV, 2) / 2);
+  // 间歇流/环状流转换干度（Martinelli 参数 X_tt = 0.34）
+  const transitionQuality = 1 / (
+    Math.pow(0.34, 1 / 0.875) * Math.pow(rhoV / rhoL, -1 / 1.75) *
+    Math.pow(liquidProps.viscosity / vaporProps.viscosity, -1 / 7) + 1
+  );
   
-  // Lockhart-Martinelli参数
-  const X = Math.sqrt(deltaPL / deltaPV);
+  const transitionsAt = (x) => calculateFlowPatternTransitions(
+    liquidProps, vaporProps, x, massFlux, diameter, heatFlux, criticalHeatFlux, transitionQuality
+  );
   
-  // Martinelli因子（湍流-湍流）
-  // 使用Chisholm关联式：Φ² = 1 + C/X + 1/X²
-  // C值根据流型选择：液体湍流-蒸汽湍流，C = 20
-  let C = 20; // 默认：液体湍流-蒸汽湍流
-  if (ReL < 2300 && ReV < 2300) {
-    C = 5; // 液体层流-蒸汽层流
-  } else if (ReL < 2300 && ReV >= 2300) {
-    C = 12; // 液体层流-蒸汽湍流
-  } else if (ReL >= 2300 && ReV < 2300) {
-    C = 10; // 液体湍流-蒸汽层流
+  const curves = { x: [], wavy: [], strat: [], dryout: [], mist: [] };
+  for (let i = 0; i < points; i++) {
+    const x = 0.01 + 0.98 * i / (points - 1);
+    const transitions = transitionsAt(x);
+    curves.x.push(x);
+    curves.wavy.push(transitions.wavy);
+    curves.strat.push(transitions.strat);
+    curves.dryout.push(transitions.dryout);
+    curves.mist.push(transitions.mist);
   }
   
-  // 两相流倍增因子
-  const phiL2 = 1 + C / X + 1 / (X * X);
+  // 运行路径：质量通量不变，干度由进口变化到出口
+  const isValidQuality = (x) => typeof x === 'number' && isFinite(x) && x >= 0 && x <= 1;
+  const hasPath = isValidQuality(qualityIn) && isValidQuality(qualityOut) && qualityIn !== qualityOut;
+  const clamp = (x) => Math.min(0.99, Math.max(0.01, x));
+  const pathQualities = hasPath
+    ? Array.from({ length: 21 }, (_, i) => clamp(qualityIn + (qualityOut - qualityIn) * i / 20))
+    : [clamp(quality)];
+  const path = pathQualities.map(x => ({
+    x: x,
+    pattern: classifyFlowPattern(x, massFlux, transitionsAt(x), transitionQuality)
+  }));
   
-  // 修正：当X非常小时，phiL2会变得非常大，导致压降被严重高估
-  // 对于冷凝过程，需要限制phiL2的最大值
-  // 根据工程经验，两相流压降通常是单相流压降的2-10倍，不应该超过20倍
-  const maxPhiL2 = 20; // 限制最大倍增因子
-  const limitedPhiL2 = Math.min(maxPhiL2, phiL2);
+  return {
+    massFlux: massFlux,
+    diameter: diameter,
+    heatFlux: heatFlux,
+    transitionQuality: transitionQuality,
+    curves: curves,
+    path: path,
+    patterns: [...new Set(path.map(point => point.pattern))]
+  };
+}
+
+/**
+ * 计算压降引起的饱和温度下降及其对平均温差的影响
+ * 
+ * 相变流体（冷凝的热流体或蒸发的冷流体）的饱和温度沿流程随压力下降，
+ * 按进出口饱和温度与另一侧流体温度计算平均温差，并与定压（进口饱和温度）假设比较。
+ * 惩罚值为正表示实际平均温差小于定压假设（冷凝侧），为负表示平均温差增大（蒸发侧）。
+ * 
+ * @param {Object} params - 计算参数
+ * @param {string} params.fluid - 相变流体工质
+ * @param {number} params.inletPressure - 相变流体进口压力 (kPa)
+ * @param {number} params.pressureDrop - 相变流体压降 (kPa)
+ * @param {boolean} params.isHotSide - 相变流体是否为热流体
+ * @param {number} params.otherTin - 另一侧流体入口温度 (°C)
+ * @param {number} params.otherTout - 另一侧流体出口温度 (°C)
+ * @param {string} params.flowType - 'counter' 或 'parallel'
+ * @param {number} params.warningThreshold - 饱和温度下降报警阈值 (K)，默认1
+ * @returns {Promise<Object>} 进出口饱和温度 (°C)、饱和温度下降 (K)、定压/耦合平均温差及惩罚值 (K)、警告信息
+ */
+export async function calculateSaturationTemperatureDrop(params) {
+  const {
+    fluid,
+    inletPressure,
+    pressureDrop,
+    isHotSide,
+    otherTin,
+    otherTout,
+    flowType = 'counter',
+    warningThreshold = 1
+  } = params;
   
-  // 如果被限制，记录警告
-  if (limitedPhiL2 < phiL2) {
-    console.warn(`[两相流压降计算] 倍增因子被限制: ${phiL2.toFixed(2)} -> ${limitedPhiL2} (X=${X.toFixed(4)})`);
+  const outletPressure = inletPressure - pressureDrop;
+  if (outletPressure <= 0) {
+    throw new Error(`${fluid} 压降 ${pressureDrop.toFixed(2)} kPa 超过进口压力 ${inletPressure.toFixed(2)} kPa，请检查流量或管径`);
   }
   
-  // 两相流压降（以液体为基准）
-  const deltaPTP = limitedPhiL2 * deltaPL;
-  
-  // 等效摩擦系数（用于显示）
-  const equivFrictionFactor = fL * limitedPhiL2;
+  const [tSatInK, tSatOutK] = await Promise.all([
+    getSaturationTemperature(fluid, inletPressure * 1000),
+    getSaturationTemperature(fluid, outletPressure * 1000)
+  ]);
+  const tSatIn = tSatInK - 273.15;
+  const tSatOut = tSatOutK - 273.15;
+  const saturationTemperatureDrop = tSatIn - tSatOut;
+  
+  // 沿相变流体流动方向饱和温度由 tSatIn 变为 tSatOut
+  const meanTemperatureDifference = (tIn, tOut) => {
+    try {
+      return isHotSide
+        ? calculateLMTD(tIn, tOut, otherTin, otherTout, flowType)
+        : calculateLMTD(otherTin, otherTout, tIn, tOut, flowType);
+    } catch (error) {
+      return null;
+    }
+  };
+  const uncoupled = meanTemperatureDifference(tSatIn, tSatIn);
+  const coupled = meanTemperatureDifference(tSatIn, tSatOut);
+  const penalty = uncoupled !== null && coupled !== null ? uncoupled - coupled : null;
+  
+  let warning = null;
+  if (coupled === null) {
+    warning = `${fluid} 压降引起饱和温度下降 ${saturationTemperatureDrop.toFixed(2)} K，导致与另一侧流体温度交叉`;
+  } else if (Math.abs(saturationTemperatureDrop) > warningThreshold) {
+    warning = `${fluid} 压降引起饱和温度下降 ${saturationTemperatureDrop.toFixed(2)} K，超过 ${warningThreshold} K`;
+  }
   
   return {
-    pressureDrop: deltaPTP,
-    pressureDrop_kPa: deltaPTP / 1000,
-    frictionFactor: equivFrictionFactor
+    fluid: fluid,
+    inletPressure: inletPressure,
+    outletPressure: outletPressure,
+    inletSaturationTemperature: tSatIn,
+    outletSaturationTemperature: tSatOut,
+    saturationTemperatureDrop: saturationTemperatureDrop,
+    meanTemperatureDifferenceUncoupled: uncoupled,
+    meanTemperatureDifferenceCoupled: coupled,
+    meanTemperatureDifferencePenalty: penalty,
+    warning: warning
   };
 }
 
@@ -1703,18 +2206,22 @@ export function calculateTwistedTubeFrictionFactor(
 
 /**
  * 计算管外冷凝的三段热负荷分配
+ * 分段点取露点温度（过热段/冷凝段）和泡点温度（冷凝段/过冷段），
+ * 非共沸混合工质冷凝段温度从露点滑移到泡点，纯工质两者相等
  * @param {string} fluid - 制冷剂名称
  * @param {number} massFlow - 质量流量 (kg/s)
  * @param {number} pressure - 冷凝压力 (Pa)
  * @param {number} tempIn - 入口温度 (K) - 过热气体
  * @param {number} tempOut - 出口温度 (K) - 过冷液体
- * @returns {Object} 包含三段热负荷和状态点的对象
+ * @returns {Object} 包含三段热负荷和状态点的对象；T_sat 为冷凝段平均温度，T_dew/T_bubble/glide 为露点、泡点和温度滑移
  */
 export async function calculateCondenserZones(fluid, massFlow, pressure, tempIn, tempOut) {
-  const { getEnthalpy, getSaturationTemperature, getProperty } = await import('./coolprop_loader.js');
+  const { getEnthalpy, getProperty } = await import('./coolprop_loader.js');
   
-  // 查询饱和温度
-  const T_sat = await getSaturationTemperature(fluid, pressure);
+  // 查询露点和泡点温度
+  const T_dew = await getDewTemperature(fluid, pressure);
+  const T_bubble = await getBubbleTemperature(fluid, pressure);
+  const T_sat = (T_dew + T_bubble) / 2;
   
   // 查询各状态点的焓值
   const h_in = await getEnthalpy(fluid, tempIn, pressure);           // 过热气体入口焓
@@ -1733,22 +2240,22 @@ export async function calculateCondenserZones(fluid, massFlow, pressure, tempIn,
       desuperheating: {
         Q: Q_desup,
         T_in: tempIn,
-        T_out: T_sat,
+        T_out: T_dew,
         h_in: h_in,
         h_out: h_sat_vap,
         phase: 'superheated_vapor'
       },
       condensing: {
         Q: Q_cond,
-        T_in: T_sat,
-        T_out: T_sat,
+        T_in: T_dew,
+        T_out: T_bubble,
         h_in: h_sat_vap,
         h_out: h_sat_liq,
         phase: 'two_phase'
       },
       subcooling: {
         Q: Q_sub,
-        T_in: T_sat,
+        T_in: T_bubble,
         T_out: tempOut,
         h_in: h_sat_liq,
         h_out: h_out,
@@ -1756,87 +2263,37 @@ export async function calculateCondenserZones(fluid, massFlow, pressure, tempIn,
       }
     },
     T_sat: T_sat,
+    T_dew: T_dew,
+    T_bubble: T_bubble,
+    glide: T_dew - T_bubble,
     Q_total: Q_total
   };
 }
 
 /**
- * 计算环隙当量直径（简化公式，适用于单根内管）
- * @param {number} outerInnerDiameter - 外管内径 (m)
- * @param {number} tubeOuterDiameter - 内管外径 (m) - 麻花管包络圆直径
- * @returns {number} 当量直径 (m)
- */
-export function calculateAnnulusEquivalentDiameter(outerInnerDiameter, tubeOuterDiameter) {
-  // De = (D_shell^2 - D_tube^2) / (D_shell + D_tube)
-  const D_shell = outerInnerDiameter;
-  const D_tube = tubeOuterDiameter;
-  return (D_shell * D_shell - D_tube * D_tube) / (D_shell + D_tube);
-}
-
-/**
- * 计算环隙当量直径（基于环形间隙面积+梅花截面积）
- * 定义：环形间隙面积 + 梅花截面积 = A，然后 A = π/4 * D²，D 即为环隙当量直径
- * @param {number} outerInnerDiameter - 外管内径 (m)
- * @param {number} innerOuterDiameter - 内管外径 (m) - 麻花管外径（峰顶直径Do,max）
- * @param {number} gap - 环形间隙 (m)，默认1mm = 0.001m
- * @param {number} lobeCount - 梅花管头数（瓣数，3-6）
- * @param {number} toothHeight - 梅花管齿高 (m)，如果不提供则根据doMax和doMin计算
- * @param {number} innerDoMin - 梅花管谷底直径Do,min (m)，如果不提供则根据doMax和toothHeight计算
- * @returns {Object} {equivalentDiameter: 环隙当量直径 (m), annularGapArea: 环形间隙面积 (m²), lobeArea: 梅花截面积 (m²), totalArea: 总面积A (m²)}
+ * Silver-Bell-Ghaly 修正：非共沸混合工质冷凝时，气相主体需先显热冷却到界面温度，
+ * 该显热经气相对流传递，形成与冷凝液膜串联的附加热阻
+ * 1/h_eff = 1/h_cond + Z_g/h_g，Z_g = x·c_pg·ΔT_glide/Δh_lv
+ * 其中 h_g 为气相单独流动时的传热系数（Dittus-Boelter，Re_g = x·G·D/μ_g）
+ * @param {number} condensingHTC - 未修正的冷凝传热系数 (W/m²/K)
+ * @param {Object} params - 计算参数
+ * @param {number} params.quality - 干度 (0-1)
+ * @param {Object} params.vaporProps - 饱和蒸汽物性
+ * @param {number} params.massFlux - 质量通量 (kg/m²/s)
+ * @param {number} params.diameter - 水力直径 (m)
+ * @param {number} params.glide - 温度滑移 T_dew - T_bubble (K)
+ * @param {number} params.latentHeat - 露点与泡点焓差 (J/kg)
+ * @returns {number} 修正后的冷凝传热系数 (W/m²/K)；无温度滑移时原样返回
  */
-export function calculateAnnulusEquivalentDiameterWithLobe(
-  outerInnerDiameter,
-  innerOuterDiameter,
-  gap = 0.001, // 默认1mm间隙
-  lobeCount = 4,
-  toothHeight = null,
-  innerDoMin = null
-) {
-  // 计算实际的内管外径（考虑间隙）
-  // 如果外管内径与内管外径之间有gap的间隙，那么：
-  // 外管内径 = 内管外径 + gap
-  // 但这里我们直接使用提供的参数，gap用于计算环形间隙面积
-  
-  // 1. 计算环形间隙面积
-  // 环形间隙面积 = π/4 * (外管内径² - 内管外径²)
-  // 注意：如果外管内径 = 内管外径 + gap，那么环形间隙面积 = π/4 * ((内管外径+gap)² - 内管外径²)
-  const innerOuterRadius = innerOuterDiameter / 2;
-  const outerInnerRadius = outerInnerDiameter / 2;
-  
-  // 环形间隙面积 = 外圆面积 - 内圆面积
-  const annularGapArea = Math.PI * (Math.pow(outerInnerRadius, 2) - Math.pow(innerOuterRadius, 2));
-  
-  // 2. 计算梅花截面积
-  // 确定梅花管的doMax和doMin
-  const doMax = innerOuterDiameter; // 峰顶直径
-  let doMin;
-  
-  if (innerDoMin !== null && innerDoMin > 0) {
-    doMin = innerDoMin;
-  } else if (toothHeight !== null && toothHeight > 0) {
-    doMin = doMax - 2 * toothHeight;
-  } else {
-    // 如果没有提供，使用默认值：假设齿高为外径的5%
-    const defaultToothHeight = doMax * 0.05;
-    doMin = doMax - 2 * defaultToothHeight;
+export function applySilverBellGhalyCorrection(condensingHTC, { quality, vaporProps, massFlux, diameter, glide, latentHeat }) {
+  if (!(glide > 0.01) || !(latentHeat > 0) || !vaporProps) {
+    return condensingHTC;
   }
-  
-  // 使用calculateLobeCrossSection计算梅花截面积
-  const lobeSection = calculateLobeCrossSection(doMax, doMin, lobeCount);
-  const lobeArea = lobeSection.area;
-  
-  // 3. 计算总面积 A = 环形间隙面积 + 梅花截面积
-  const totalArea = annularGapArea + lobeArea;
-  
-  // 4. 从 A = π/4 * D² 反推：D = sqrt(4A/π)
-  const equivalentDiameter = Math.sqrt(4 * totalArea / Math.PI);
-  
-  return {
-    equivalentDiameter,  // 环隙当量直径 (m)
-    annularGapArea,      // 环形间隙面积 (m²)
-    lobeArea,            // 梅花截面积 (m²)
-    totalArea            // 总面积A (m²)
-  };
+  const x = Math.min(0.999, Math.max(0.001, quality));
+  const Zg = x * vaporProps.specificHeat * glide / latentHeat;
+  const ReG = x * massFlux * diameter / vaporProps.viscosity;
+  const hG = 0.023 * Math.pow(ReG, 0.8) * Math.pow(vaporProps.prandtl, 0.3) * vaporProps.thermalConductivity / diameter;
+  return 1 / (1 / condensingHTC + Zg / hG);
 }
 
 /**
@@ -1898,7 +2355,7 @@ export async function calculateAnnulusCondensingHTC(
   // 查询表面张力
   let sigma;
   try {
-    sigma = CoolProp.PropsSI('I', 'T', saturationTemperature, 'Q', 0, fluid);
+    sigma = CoolProp.PropsSI('I', 'T', saturationTemperature, 'Q', 0, resolveFluidName(fluid));
     if (!isFinite(sigma) || sigma <= 0) {
       throw new Error('表面张力查询返回无效值');
     }
@@ -1949,7 +2406,87 @@ export function calculateAnnulusLiquidHTC(liquidProps, massFlux, equivalentDiame
 }
 
 /**
- * 管外冷凝三段计算主函数
+ * 分区模型中二次流体（冷却水、载冷剂、加热流体）侧的单相传热系数，按用户选择的单相关联式计算
+ * 
+ * 各区段长度事先未知，按充分发展流动处理（不计入口段修正）。选用 Sieder-Tate 类关联式时，
+ * 二次流体侧壁温按制冷剂温度与二次流体主体温度之间的热阻分配估算：
+ *   Tw = T + (T_ref - T)·(1/h) / (1/h + R_middle)
+ * 制冷剂侧膜层热阻此时尚未求得，按零处理，粘度修正幅度偏大；迭代至粘度比变化小于 1%。
+ * 
+ * @param {Object} options - 计算参数
+ * @param {string} options.correlation - 单相关联式ID（见 correlations.js）
+ * @param {string} options.channel - 二次流体所在流道：'tube'（管内）或 'annulus'（环隙）
+ * @param {Object} options.props - 二次流体物性（主体平均温度下）
+ * @param {number} options.flowRate - 二次流体质量流量 (kg/s)
+ * @param {number} options.flowArea - 流通面积 (m²)
+ * @param {number} options.diameter - 当量直径 (m)
+ * @param {number} options.diameterRatio - 环隙内外径比 di/Do（仅环隙关联式使用）
+ * @param {boolean} options.heating - 二次流体是否被加热
+ * @param {number} options.enhancement - 麻花管增强因子，默认1
+ * @param {Object|null} options.wall - 粘度修正参数 {fluid, pressure (Pa), temperature: 主体温度 (K),
+ *   refrigerantTemperature (K), middleResistance: 管壁与污垢热阻 (m²·K/W)}；为 null 时取 μ/μw = 1
+ * @returns {Promise<Object>} {h: 传热系数 (W/m²/K，已乘增强因子), correlation: calculateNusseltWithCorrelation 的结果}
+ */
+async function calculateZoneSecondaryHTC(options) {
+  const {
+    correlation,
+    channel,
+    props,
+    flowRate,
+    flowArea,
+    diameter,
+    diameterRatio,
+    heating,
+    enhancement = 1,
+    wall = null
+  } = options;
+  
+  const re = calculateReynoldsNumber(props.density, flowRate / (props.density * flowArea), diameter, props.viscosity);
+  const evaluate = (viscosityRatio) => {
+    const result = calculateNusseltWithCorrelation(correlation, {
+      re: re,
+      pr: props.prandtl,
+      heating: heating,
+      diameter: diameter,
+      length: null,
+      diameterRatio: diameterRatio,
+      viscosityRatio: viscosityRatio
+    }, channel);
+    return {
+      h: calculateConvectiveHeatTransferCoefficient(result.nu, props.thermalConductivity, diameter) * enhancement,
+      correlation: result
+    };
+  };
+  
+  let current = evaluate(1);
+  if (!wall || !getCorrelationInfo(correlation).usesViscosityRatio) {
+    return current;
+  }
+  
+  let viscosityRatio = 1;
+  for (let iteration = 0; iteration < 5; iteration++) {
+    const filmResistance = 1 / current.h;
+    const wallTemperature = wall.temperature +
+      (wall.refrigerantTemperature - wall.temperature) * filmResistance / (filmResistance + wall.middleResistance);
+    let ratio;
+    try {
+      ratio = props.viscosity / await getViscosity(wall.fluid, wallTemperature, wall.pressure);
+    } catch (error) {
+      console.warn('[粘度修正] 壁温粘度查询失败，沿用上一次的粘度比:', error.message);
+      break;
+    }
+    const change = Math.abs(ratio / viscosityRatio - 1);
+    viscosityRatio = ratio;
+    current = evaluate(viscosityRatio);
+    if (change < 0.01) {
+      break;
+    }
+  }
+  return current;
+}
+
+/**
+ * 管外冷凝三段计算主函数
  * @param {Object} params - 计算参数
  * @returns {Object} 计算结果
  */
@@ -1970,6 +2507,9 @@ export async function calculateAnnulusCondenserThreeZone(params) {
     },
     flowType = 'counter',  // 流动方式：'counter' 或 'parallel'
     waterProps = null,     // 水侧物性（可选，如果为null则使用默认值）
+    waterFluid = null,     // 水侧流体名称（可选，用于 Sieder-Tate 壁温粘度修正）
+    waterPressure = null,  // 水侧压力 (Pa)（可选）
+    correlationOptions = {}, // 单相关联式 {inner, outer}，水侧在管内，使用 inner
     tubeMaterial = 'stainless-steel-304',
     foulingInner = 0,
     foulingOuter = 0,
@@ -1982,7 +2522,7 @@ export async function calculateAnnulusCondenserThreeZone(params) {
   
   // ===== 第一步：确定分段点（热力学计算） =====
   const zonesResult = await calculateCondenserZones(refrigerant, massFlow, pressure, tempIn, tempOut);
-  const { zones, T_sat } = zonesResult;
+  const { zones, T_sat, T_dew, T_bubble, glide } = zonesResult;
   const { desuperheating, condensing, subcooling } = zones;
   
   // ===== 第二步：计算冷却水侧温度节点（逆流假设） =====
@@ -2057,7 +2597,7 @@ export async function calculateAnnulusCondenserThreeZone(params) {
   // ===== 第四步：获取物性 =====
   const gasProps = await getFluidProperties(refrigerant, tempIn, pressure);
   const liquidProps = await getFluidProperties(refrigerant, tempOut, pressure);
-  const satLiquidProps = await getFluidProperties(refrigerant, T_sat, pressure);
+  const satLiquidProps = await getFluidProperties(refrigerant, T_bubble, pressure);
   
   // 获取饱和蒸汽物性
   // 注意：在饱和温度下，使用 getFluidProperties 查询时可能会遇到两相区问题
@@ -2071,7 +2611,7 @@ export async function calculateAnnulusCondenserThreeZone(params) {
   } catch (e) {
     // 如果失败，尝试使用单相物性查询（在饱和温度下可能失败）
     console.warn('无法使用两相流物性查询饱和蒸汽，尝试单相查询:', e);
-    satVaporProps = await getFluidProperties(refrigerant, T_sat + 0.1, pressure); // 稍微提高温度避免两相区
+    satVaporProps = await getFluidProperties(refrigerant, T_dew + 0.1, pressure); // 稍微提高温度避免两相区
   }
   
   // 水侧物性（使用平均温度）
@@ -2094,37 +2634,11 @@ export async function calculateAnnulusCondenserThreeZone(params) {
     gasProps, massFlux, De, enhancementFactors.desup
   );
   
-  // 冷凝段传热系数（管外冷凝）
-  const wallTemp_cond = (T_w1 + T_w2) / 2; // 壁面温度用平均水温度近似
-  const h_cond = await calculateAnnulusCondensingHTC(
-    satLiquidProps, satVaporProps, De,
-    wallTemp_cond, T_sat,
-    enhancementFactors.cond,
-    refrigerant
-  );
-  
   // 过冷段传热系数（环隙液体）
   const h_sub = calculateAnnulusLiquidHTC(
     liquidProps, massFlux, De, enhancementFactors.sub
   );
   
-  // 计算管内（水侧）传热系数（单相流，使用现有的计算函数）
-  const waterInnerDiameter = geometry.tubeInnerDiameter;
-  const waterArea = Math.PI * Math.pow(waterInnerDiameter / 2, 2);
-  const waterVelocity = waterFlowRate / (waterProps_actual.density * waterArea);
-  const waterRe = calculateReynoldsNumber(
-    waterProps_actual.density,
-    waterVelocity,
-    waterInnerDiameter,
-    waterProps_actual.viscosity
-  );
-  const waterNu = calculateNusseltNumber(waterRe, waterProps_actual.prandtl, true); // 水被加热
-  const h_water = calculateConvectiveHeatTransferCoefficient(
-    waterNu,
-    waterProps_actual.thermalConductivity,
-    waterInnerDiameter
-  );
-  
   // ===== 第六步：计算总传热系数 U =====
   // 1/U = 1/h_out + R_wall + 1/h_in + R_fouling
   const tubeThermalConductivity = getMaterialThermalConductivity(tubeMaterial);
@@ -2137,26 +2651,69 @@ export async function calculateAnnulusCondenserThreeZone(params) {
   // 转换为基于传热面积的单位热阻（简化处理）
   const R_wall = R_wall_unit * Math.PI * geometry.tubeOuterDiameter;
   
+  // 计算管内（水侧）传热系数（单相流，按所选管内关联式；使用默认水物性时不做粘度修正）
+  const waterInnerDiameter = geometry.tubeInnerDiameter;
+  const waterSide = await calculateZoneSecondaryHTC({
+    correlation: correlationOptions.inner,
+    channel: 'tube',
+    props: waterProps_actual,
+    flowRate: waterFlowRate,
+    flowArea: Math.PI * Math.pow(waterInnerDiameter / 2, 2),
+    diameter: waterInnerDiameter,
+    heating: true, // 水被加热
+    wall: waterProps && waterFluid && waterPressure > 0
+      ? {
+          fluid: waterFluid,
+          pressure: waterPressure,
+          temperature: waterAvgTemp,
+          refrigerantTemperature: T_sat,
+          middleResistance: R_wall + foulingOuter + foulingInner
+        }
+      : null
+  });
+  const h_water = waterSide.h;
+  
+  // 冷凝段传热系数（管外冷凝）：迭代壁温，使冷凝膜、管壁+污垢、水侧的热流密度一致
+  // 非共沸混合工质按冷凝段平均干度 0.5 施加 Silver-Bell-Ghaly 修正
+  const latentHeat = condensing.h_in - condensing.h_out;
+  const wallIteration_cond = await iterateWallTemperature({
+    hotTemperature: T_sat,
+    coldTemperature: (T_w1 + T_w2) / 2,
+    hotSideHTC: async (wallTemperature) => applySilverBellGhalyCorrection(
+      await calculateAnnulusCondensingHTC(
+        satLiquidProps, satVaporProps, De,
+        wallTemperature, T_sat,
+        enhancementFactors.cond,
+        refrigerant
+      ),
+      { quality: 0.5, vaporProps: satVaporProps, massFlux, diameter: De, glide, latentHeat }
+    ),
+    coldSideHTC: () => h_water,
+    middleResistance: R_wall + foulingOuter + foulingInner
+  });
+  const h_cond = wallIteration_cond.hotSideHTC;
+  
   // 计算各段的总传热系数
   const U_desup = 1 / (1/h_desup + R_wall + 1/h_water + foulingOuter + foulingInner);
   const U_cond = 1 / (1/h_cond + R_wall + 1/h_water + foulingOuter + foulingInner);
   const U_sub = 1 / (1/h_sub + R_wall + 1/h_water + foulingOuter + foulingInner);
   
   // ===== 第七步：计算各段 LMTD =====
+  // 冷凝段制冷剂温度从露点滑移到泡点（纯工质两者相等）
   const LMTD_desup = calculateLMTD(
-    tempIn - 273.15, T_sat - 273.15,
+    tempIn - 273.15, T_dew - 273.15,
     T_water_out - 273.15, T_w2 - 273.15,
     flowType
   );
   
   const LMTD_cond = calculateLMTD(
-    T_sat - 273.15, T_sat - 273.15,
+    T_dew - 273.15, T_bubble - 273.15,
     T_w2 - 273.15, T_w1 - 273.15,
     flowType
   );
   
   const LMTD_sub = calculateLMTD(
-    T_sat - 273.15, tempOut - 273.15,
+    T_bubble - 273.15, tempOut - 273.15,
     T_w1 - 273.15, waterInTemp - 273.15,
     flowType
   );
@@ -2177,7 +2734,7 @@ export async function calculateAnnulusCondenserThreeZone(params) {
         h_water: h_water,
         LMTD: LMTD_desup,
         T_ref_in: tempIn - 273.15,
-        T_ref_out: T_sat - 273.15,
+        T_ref_out: T_dew - 273.15,
         T_water_in: (flowType === 'counter' ? T_water_out : waterInTemp) - 273.15,
         T_water_out: (flowType === 'counter' ? T_w2 : T_w1) - 273.15
       },
@@ -2188,10 +2745,11 @@ export async function calculateAnnulusCondenserThreeZone(params) {
         h: h_cond,
         h_water: h_water,
         LMTD: LMTD_cond,
-        T_ref_in: T_sat - 273.15,
-        T_ref_out: T_sat - 273.15,
+        T_ref_in: T_dew - 273.15,
+        T_ref_out: T_bubble - 273.15,
         T_water_in: (flowType === 'counter' ? T_w2 : T_w1) - 273.15,
-        T_water_out: (flowType === 'counter' ? T_w1 : T_w2) - 273.15
+        T_water_out: (flowType === 'counter' ? T_w1 : T_w2) - 273.15,
+        wallTemperatures: formatWallTemperatures(wallIteration_cond)  // 壁温迭代结果
       },
       subcooling: {
         Q: Q_sub,
@@ -2200,7 +2758,7 @@ export async function calculateAnnulusCondenserThreeZone(params) {
         h: h_sub,
         h_water: h_water,
         LMTD: LMTD_sub,
-        T_ref_in: T_sat - 273.15,
+        T_ref_in: T_bubble - 273.15,
         T_ref_out: tempOut - 273.15,
         T_water_in: (flowType === 'counter' ? T_w1 : waterInTemp) - 273.15,
         T_water_out: (flowType === 'counter' ? waterInTemp : T_w1) - 273.15
@@ -2209,7 +2767,10 @@ export async function calculateAnnulusCondenserThreeZone(params) {
     total: {
       Q_total: zonesResult.Q_total,
       Area_total: Area_total,
-      T_sat: T_sat - 273.15
+      T_sat: T_sat - 273.15,
+      T_dew: T_dew - 273.15,
+      T_bubble: T_bubble - 273.15,
+      glide: glide
     },
     water_temperatures: {
       T_in: waterInTemp - 273.15,
@@ -2217,6 +2778,8 @@ export async function calculateAnnulusCondenserThreeZone(params) {
       T_w2: T_w2 - 273.15,
       T_out: T_water_out - 273.15
     },
+    // 单相关联式（仅水侧；制冷剂侧各段使用本模型内置的关联式）
+    correlations: { inner: waterSide.correlation, outer: null },
     geometry: {
       // 管内几何参数
       innerEquivalentDiameter: innerEquivalentDiameter,  // 管内当量直径 (m)
@@ -2241,202 +2804,2434 @@ export async function calculateAnnulusCondenserThreeZone(params) {
 }
 
 /**
- * 套管换热器完整计算
+ * ===== 管内冷凝三段计算法（In-Tube Condenser Three-Zone Model） =====
+ */
+
+/**
+ * 计算管内冷凝传热系数（Shah 关联式，1979）
+ * h_tp = h_L0 · [(1-x)^0.8 + 3.8·x^0.76·(1-x)^0.04 / pr^0.38]
+ * @param {Object} liquidProps - 饱和液体物性
+ * @param {number} quality - 干度 (0-1)
+ * @param {number} massFlux - 质量通量 (kg/m²/s)
+ * @param {number} diameter - 水力直径 (m)
+ * @param {number} reducedPressure - 对比压力 P/Pcrit
+ * @returns {number} 冷凝传热系数 (W/m²/K)
+ */
+export function calculateShahCondensingHTC(liquidProps, quality, massFlux, diameter, reducedPressure) {
+  const x = Math.min(0.999, Math.max(0.001, quality));
+  const pr = Math.min(0.99, Math.max(0.001, reducedPressure));
+  
+  // 全部质量按液相流动时的传热系数（Dittus-Boelter）
+  const ReL0 = (massFlux * diameter) / liquidProps.viscosity;
+  const hL0 = 0.023 * Math.pow(ReL0, 0.8) * Math.pow(liquidProps.prandtl, 0.4) * liquidProps.thermalConductivity / diameter;
+  
+  return hL0 * (Math.pow(1 - x, 0.8) + 3.8 * Math.pow(x, 0.76) * Math.pow(1 - x, 0.04) / Math.pow(pr, 0.38));
+}
+
+/**
+ * 管内冷凝三段计算主函数（制冷剂在管内，冷却流体在环隙）
+ * 
+ * - 管内流通面积和水力直径：麻花管使用 calculateLobeCrossSection 的梅花截面
+ * - 冷凝段：按干度分步积分 Shah 关联式，每步由能量平衡确定冷却流体温度，dA = dQ / (U·ΔT)
+ * - 麻花管增强因子只作用于环隙侧的冷却流体
+ * - 各段长度 = 各段面积 / 单位流程长度的换热面积
+ * 
  * @param {Object} params - 计算参数
- * @returns {Promise<Object>} 计算结果
+ * @returns {Promise<Object>} 计算结果（结构与 calculateAnnulusCondenserThreeZone 一致，附加各段长度 Length）
  */
-export async function calculateHeatExchanger(params) {
+export async function calculateInTubeCondenserThreeZone(params) {
   const {
-    inputMode = 'flowrate', // 'flowrate' 或 'load'
-    heatLoad = null,        // 负荷输入法时的传热量 (kW)
-    hotFluid,
-    hotTin,
-    hotTout,
-    hotFlowRate,
-    hotPressure = null,     // 压力 (kPa) - 必须输入
-    hotProcessType = 'cooling',  // 'cooling'（冷却）, 'condensation'（冷凝）
-    hotStateIn = null,      // 入口状态：0=液体，1=气体，0-1=两相（干度）
-    hotStateOut = null,     // 出口状态：0=液体，1=气体，0-1=两相（干度）
-    // 向后兼容的旧参数
-    hotPhaseIn = null,      // 已弃用，从hotStateIn推导
-    hotPhaseOut = null,     // 已弃用，从hotStateOut推导
-    hotQualityIn = null,    // 已弃用，从hotStateIn推导
-    hotQualityOut = null,   // 已弃用，从hotStateOut推导
-    coldFluid,
-    coldTin,
-    coldTout,
-    coldFlowRate,
-    coldPressure = null,    // 压力 (kPa) - 如果为null，将从饱和温度计算
-    coldProcessType = 'cooling',  // 'cooling'（加热）, 'evaporation'（蒸发）
-    coldStateIn = null,     // 入口状态：0=液体，1=气体，0-1=两相（干度）
-    coldStateOut = null,    // 出口状态：0=液体，1=气体，0-1=两相（干度）
-    coldSaturationTemp = null, // 饱和温度 (°C) - 用于计算压力
-    // 向后兼容的旧参数
-    coldPhaseIn = null,     // 已弃用，从coldStateIn推导
-    coldPhaseOut = null,    // 已弃用，从coldStateOut推导
-    coldQualityIn = null,   // 已弃用，从coldStateIn推导
-    coldQualityOut = null,  // 已弃用，从coldStateOut推导
-    innerDiameter, // 内管外径（用于传热面积）
-    outerDiameter, // 外管外径（用于传热面积）
-    innerInnerDiameter, // 内管内径（用于流速计算）
-    outerInnerDiameter, // 外管内径（用于环形空间计算）
-    length,
-    flowType,
-    givenU, // 可选：给定的传热系数
-    innerTubeCount = 1, // 内管数量
-    innerTubeType = 'smooth', // 内管类型：'smooth' 或 'twisted'
-    isTwisted = false, // 是否为麻花管（从innerTubeType推导）
-    twistPitch = 0.0065, // 螺旋节距/齿距 (m)，默认6.5mm
-    twistLobeCount = 6, // 麻花管头数（瓣数），默认6头
-    twistToothHeight = 0.003, // 齿高 (m)，默认3mm
-    twistWallThickness = null, // 麻花管壁厚（null表示使用内管壁厚）
-    twistOuterDiameter = null, // 麻花管外径（null表示使用外管内径，贴合状态）
-    innerWallThickness = null, // 内管壁厚 (m)
-    outerWallThickness = null, // 外管壁厚 (m)
-    tubeMaterial = 'stainless-steel-304',  // 内管材质ID
-    foulingInner = 0,  // 管内污垢热阻 (m²·K/W)
-    foulingOuter = 0,  // 管外污垢热阻 (m²·K/W)
-    passCount = 1, // 流程数量
-    outerTubeCountPerPass = 1, // 每流程外管数量
-    hotFluidLocation = 'inner'  // 'inner' 或 'outer' - 热流体在管内或管外
+    refrigerant,           // 制冷剂名称
+    massFlow,              // 制冷剂质量流量 (kg/s)
+    pressure,              // 冷凝压力 (Pa)
+    tempIn,                // 入口温度 (K) - 过热气体
+    tempOut,               // 出口温度 (K) - 过冷液体
+    geometry,              // 几何参数 {outerInnerDiameter, tubeOuterDiameter, tubeInnerDiameter, wallThickness}
+    coolant,               // 冷却流体名称
+    coolantInTemp,         // 冷却流体入口温度 (K)
+    coolantFlowRate,       // 冷却流体质量流量 (kg/s)
+    coolantPressure,       // 冷却流体压力 (Pa)
+    areaPerLength,         // 单位流程长度的换热面积 (m²/m)
+    flowType = 'counter',  // 流动方式：'counter' 或 'parallel'
+    qualitySteps = 10,     // 冷凝段干度积分步数
+    correlationOptions = {}, // 单相关联式 {inner, outer}，冷却流体在环隙，使用 outer
+    tubeMaterial = 'stainless-steel-304',
+    foulingInner = 0,
+    foulingOuter = 0,
+    innerTubeCount = 1,
+    outerTubeCountPerPass = 1,
+    // 麻花管参数（可选）
+    isTwisted = false,
+    twistPitch = 0.0065,
+    twistLobeCount = 6,
+    twistToothHeight = 0.003
   } = params;
   
-  // 将状态值转换为相态和干度（如果提供了状态值）
-  // 状态值：0=液体，1=气体，0-1=两相（干度值）
-  const convertStateToPhase = (state) => {
-    if (state === null || state === undefined) return { phase: 'single', quality: null };
-    if (state === 0) return { phase: 'single', quality: null }; // 液体
-    if (state === 1) return { phase: 'single', quality: null }; // 气体
-    if (state > 0 && state < 1) return { phase: 'twophase', quality: state }; // 两相，状态值即为干度
-    return { phase: 'single', quality: null };
-  };
-  
-  // 转换热流体状态值（优先使用状态值，否则使用旧的相态参数以保持向后兼容）
-  // 注意：对于冷凝/蒸发过程，如果状态值从1→0或0→1，虽然入口和出口都是单相，但过程中有相变，需要按两相流处理
-  const hotPhaseInConverted = hotStateIn !== null && hotStateIn !== undefined ? convertStateToPhase(hotStateIn) : 
-                              (hotPhaseIn ? { phase: hotPhaseIn, quality: hotQualityIn } : { phase: 'single', quality: null });
-  const hotPhaseOutConverted = hotStateOut !== null && hotStateOut !== undefined ? convertStateToPhase(hotStateOut) : 
-                               (hotPhaseOut ? { phase: hotPhaseOut, quality: hotQualityOut } : { phase: 'single', quality: null });
-  
-  // 如果入口和出口状态值都是0或1，但过程类型是冷凝/蒸发，说明有相变
-  // 需要将其中一个改为twophase，并设置平均干度
-  const hotHasPhaseChange = (hotStateIn === 1 && hotStateOut === 0) || (hotStateIn === 0 && hotStateOut === 1);
-  if (hotProcessType === 'condensation' && hotHasPhaseChange) {
-    // 冷凝过程：气体→液体，入口为twophase（干度接近1），出口为twophase（干度接近0）
-    // 为了压降计算，我们将入口和出口都标记为twophase，并使用平均干度
-    hotPhaseInConverted.phase = 'twophase';
-    hotPhaseInConverted.quality = hotStateIn === 1 ? 0.95 : (hotStateIn === 0 ? 0.05 : 0.5); // 接近入口状态
-    hotPhaseOutConverted.phase = 'twophase';
-    hotPhaseOutConverted.quality = hotStateOut === 1 ? 0.95 : (hotStateOut === 0 ? 0.05 : 0.5); // 接近出口状态
+  // ===== 第一步：确定分段点（热力学计算） =====
+  const zonesResult = await calculateCondenserZones(refrigerant, massFlow, pressure, tempIn, tempOut);
+  const { zones, T_sat, T_dew, T_bubble, glide } = zonesResult;
+  const { desuperheating, condensing, subcooling } = zones;
+  const Q_desup = Math.max(0, desuperheating.Q);
+  const Q_cond = Math.max(0, condensing.Q);
+  const Q_sub = Math.max(0, subcooling.Q);
+  
+  // ===== 第二步：计算几何参数（管内梅花截面） =====
+  const { passage, enhancement, R_middle } = getZoneModelSetup({
+    geometry, isTwisted, twistPitch, twistLobeCount, twistToothHeight,
+    innerTubeCount, outerTubeCountPerPass, tubeMaterial, foulingInner, foulingOuter
+  });
+  const Dh = passage.innerDiameter;
+  const massFlux = massFlow / passage.innerFlowArea;
+  
+  // ===== 第三步：计算冷却流体侧温度节点 =====
+  const coolantPropsIn = await getFluidProperties(coolant, coolantInTemp, coolantPressure);
+  const T_coolant_out_estimate = coolantInTemp + zonesResult.Q_total / (coolantFlowRate * coolantPropsIn.specificHeat);
+  const coolantProps = await getFluidProperties(coolant, (coolantInTemp + T_coolant_out_estimate) / 2, coolantPressure);
+  const C_coolant = coolantFlowRate * coolantProps.specificHeat;
+  
+  // 制冷剂流动方向上各段起点的冷却流体温度
+  // 逆流：T_coolant_out <-- Desup --> T_w2 <-- Cond --> T_w1 <-- Sub --> T_coolant_in
+  // 并流：T_coolant_in --> Desup --> T_w2 --> Cond --> T_w1 --> Sub --> T_coolant_out
+  let T_w1, T_w2, T_coolant_out;
+  if (flowType === 'counter') {
+    T_coolant_out = coolantInTemp + zonesResult.Q_total / C_coolant;
+    T_w1 = coolantInTemp + Q_sub / C_coolant;
+    T_w2 = T_w1 + Q_cond / C_coolant;
+  } else {
+    T_w2 = coolantInTemp + Q_desup / C_coolant;
+    T_w1 = T_w2 + Q_cond / C_coolant;
+    T_coolant_out = T_w1 + Q_sub / C_coolant;
   }
+  // 各段冷却流体 [进口, 出口] 温度 (K)
+  const coolantTemps = flowType === 'counter'
+    ? { desup: [T_w2, T_coolant_out], cond: [T_w1, T_w2], sub: [coolantInTemp, T_w1] }
+    : { desup: [coolantInTemp, T_w2], cond: [T_w2, T_w1], sub: [T_w1, T_coolant_out] };
+  
+  // ===== 第四步：冷却流体侧传热系数和固定热阻 =====
+  const coolantSide = await calculateZoneSecondaryHTC({
+    correlation: correlationOptions.outer,
+    channel: 'annulus',
+    props: coolantProps,
+    flowRate: coolantFlowRate,
+    flowArea: passage.annulusFlowArea,
+    diameter: passage.annulusDiameter,
+    diameterRatio: geometry.tubeOuterDiameter / geometry.outerInnerDiameter,
+    heating: true, // 冷却流体被加热
+    enhancement: enhancement.annulus,
+    wall: {
+      fluid: coolant,
+      pressure: coolantPressure,
+      temperature: (coolantInTemp + T_coolant_out) / 2,
+      refrigerantTemperature: T_sat,
+      middleResistance: R_middle
+    }
+  });
+  const h_coolant = coolantSide.h;
   
-  // 转换冷流体状态值（优先使用状态值，否则使用旧的相态参数以保持向后兼容）
-  // 注意：对于蒸发过程，如果状态值从0→1，虽然入口和出口都是单相，但过程中有相变，需要按两相流处理
-  const coldPhaseInConverted = coldStateIn !== null && coldStateIn !== undefined ? convertStateToPhase(coldStateIn) : 
-                               (coldPhaseIn ? { phase: coldPhaseIn, quality: coldQualityIn } : { phase: 'single', quality: null });
-  const coldPhaseOutConverted = coldStateOut !== null && coldStateOut !== undefined ? convertStateToPhase(coldStateOut) : 
-                                (coldPhaseOut ? { phase: coldPhaseOut, quality: coldQualityOut } : { phase: 'single', quality: null });
+  const R_other = R_middle + 1 / h_coolant;
   
-  // 如果入口和出口状态值都是0或1，但过程类型是蒸发，说明有相变
-  // 需要将其中一个改为twophase，并设置平均干度
-  const coldHasPhaseChange = (coldStateIn === 0 && coldStateOut === 1) || (coldStateIn === 1 && coldStateOut === 0);
-  if (coldProcessType === 'evaporation' && coldHasPhaseChange) {
-    // 蒸发过程：液体→气体，入口为twophase（干度接近0），出口为twophase（干度接近1）
-    // 为了压降计算，我们将入口和出口都标记为twophase，并使用平均干度
-    coldPhaseInConverted.phase = 'twophase';
-    coldPhaseInConverted.quality = coldStateIn === 1 ? 0.95 : (coldStateIn === 0 ? 0.05 : 0.5); // 接近入口状态
-    coldPhaseOutConverted.phase = 'twophase';
-    coldPhaseOutConverted.quality = coldStateOut === 1 ? 0.95 : (coldStateOut === 0 ? 0.05 : 0.5); // 接近出口状态
+  // 单相段传热系数（Dittus-Boelter，制冷剂被冷却）
+  const singlePhaseHTC = (props) => {
+    const re = calculateReynoldsNumber(props.density, massFlux / props.density, Dh, props.viscosity);
+    const nu = calculateNusseltNumber(re, props.prandtl, false);
+    return calculateConvectiveHeatTransferCoefficient(nu, props.thermalConductivity, Dh) * enhancement.inner;
+  };
+  const zoneLMTD = (refIn, refOut, coolantPair) => calculateLMTD(
+    refIn - 273.15, refOut - 273.15, coolantPair[0] - 273.15, coolantPair[1] - 273.15, flowType
+  );
+  
+  // ===== 第五步：过热段 =====
+  let h_desup = null, U_desup = null, LMTD_desup = null, Area_desup = 0;
+  if (Q_desup > 0) {
+    const gasProps = await getFluidProperties(refrigerant, Math.max((tempIn + T_dew) / 2, T_dew + 0.1), pressure);
+    h_desup = singlePhaseHTC(gasProps);
+    U_desup = 1 / (1 / h_desup + R_other);
+    LMTD_desup = zoneLMTD(tempIn, T_dew, coolantTemps.desup);
+    Area_desup = Q_desup / (U_desup * LMTD_desup);
   }
   
-  // 直接使用输入的压力（不再从饱和温度计算）
-  if (!hotPressure || hotPressure <= 0) {
-    throw new Error('热流体压力必须输入且大于0');
+  // ===== 第六步：冷凝段（按干度分步积分 Shah 关联式） =====
+  // 非共沸混合工质：各步制冷剂温度取该干度下的平衡温度（露点→泡点），
+  // 并对 Shah 传热系数施加 Silver-Bell-Ghaly 修正
+  let h_cond = null, U_cond = null, LMTD_cond = null, Area_cond = 0;
+  let wallTemperatures_cond = null;
+  const qualityProfile = [];
+  if (Q_cond > 0) {
+    const { liquidProps, vaporProps } = await getFluidPropertiesTwoPhase(refrigerant, T_sat, pressure, 0.5);
+    const P_crit = await getProperty(refrigerant, 'PCRIT', 'P', pressure, 'Q', 0);
+    const reducedPressure = pressure / P_crit;
+    const latentHeat = condensing.h_in - condensing.h_out;
+    const dQ = Q_cond / qualitySteps;
+    let hAreaSum = 0;
+    
+    for (let i = 0; i < qualitySteps; i++) {
+      // 沿制冷剂流动方向干度从1降至0，取步中点干度
+      const x = 1 - (i + 0.5) / qualitySteps;
+      // 步中点处的冷却流体温度（沿制冷剂流动方向线性插值）
+      const fraction = (i + 0.5) / qualitySteps;
+      const T_coolant = flowType === 'counter'
+        ? T_w2 - fraction * (T_w2 - T_w1)
+        : T_w2 + fraction * (T_w1 - T_w2);
+      const T_ref = glide > 0.01 ? await getTwoPhaseTemperature(refrigerant, pressure, x) : T_sat;
+      const deltaT = T_ref - T_coolant;
+      if (deltaT <= 0) {
+        throw new Error('管内冷凝三段计算失败：冷凝段出现温度交叉');
+      }
+      const hShah = calculateShahCondensingHTC(liquidProps, x, massFlux, Dh, reducedPressure);
+      const hLocal = applySilverBellGhalyCorrection(hShah, {
+        quality: x, vaporProps, massFlux, diameter: Dh, glide, latentHeat
+      }) * enhancement.inner;
+      const ULocal = 1 / (1 / hLocal + R_other);
+      const dA = dQ / (ULocal * deltaT);
+      Area_cond += dA;
+      hAreaSum += hLocal * dA;
+      qualityProfile.push({ quality: x, h: hLocal, U: ULocal, area: dA, T_ref: T_ref - 273.15, T_coolant: T_coolant - 273.15 });
+    }
+    
+    h_cond = hAreaSum / Area_cond;   // 面积加权平均冷凝传热系数
+    LMTD_cond = zoneLMTD(T_dew, T_bubble, coolantTemps.cond);
+    U_cond = Q_cond / (Area_cond * LMTD_cond);
+    
+    // Shah 关联式与壁温无关，两侧壁温由热阻网络直接求得，无需迭代
+    wallTemperatures_cond = calculateWallTemperatures({
+      hotTemperature: T_sat,
+      coldTemperature: T_sat - LMTD_cond,
+      hotSideHTC: h_cond,
+      coldSideHTC: h_coolant,
+      middleResistance: R_middle
+    });
   }
-  if (!coldPressure || coldPressure <= 0) {
-    throw new Error('冷流体压力必须输入且大于0');
+  
+  // ===== 第七步：过冷段 =====
+  let h_sub = null, U_sub = null, LMTD_sub = null, Area_sub = 0;
+  if (Q_sub > 0) {
+    const liquidProps = await getFluidProperties(refrigerant, (T_bubble + tempOut) / 2, pressure);
+    h_sub = singlePhaseHTC(liquidProps);
+    U_sub = 1 / (1 / h_sub + R_other);
+    LMTD_sub = zoneLMTD(T_bubble, tempOut, coolantTemps.sub);
+    Area_sub = Q_sub / (U_sub * LMTD_sub);
   }
   
-  const actualHotPressure = hotPressure;
-  const actualColdPressure = coldPressure;
+  const Area_total = Area_desup + Area_cond + Area_sub;
+  const zoneLength = (area) => (areaPerLength > 0 ? area / areaPerLength : null);
+  
+  return {
+    type: 'in_tube_condenser',
+    zones: {
+      desuperheating: {
+        Q: Q_desup,
+        Area: Area_desup,
+        Length: zoneLength(Area_desup),
+        U: U_desup,
+        h: h_desup,
+        h_water: h_coolant,
+        LMTD: LMTD_desup,
+        T_ref_in: tempIn - 273.15,
+        T_ref_out: T_dew - 273.15,
+        T_water_in: coolantTemps.desup[0] - 273.15,
+        T_water_out: coolantTemps.desup[1] - 273.15
+      },
+      condensing: {
+        Q: Q_cond,
+        Area: Area_cond,
+        Length: zoneLength(Area_cond),
+        U: U_cond,
+        h: h_cond,
+        h_water: h_coolant,
+        LMTD: LMTD_cond,
+        T_ref_in: T_dew - 273.15,
+        T_ref_out: T_bubble - 273.15,
+        T_water_in: coolantTemps.cond[0] - 273.15,
+        T_water_out: coolantTemps.cond[1] - 273.15,
+        qualityProfile: qualityProfile,  // 各干度步的 h、U、面积
+        wallTemperatures: wallTemperatures_cond
+      },
+      subcooling: {
+        Q: Q_sub,
+        Area: Area_sub,
+        Length: zoneLength(Area_sub),
+        U: U_sub,
+        h: h_sub,
+        h_water: h_coolant,
+        LMTD: LMTD_sub,
+        T_ref_in: T_bubble - 273.15,
+        T_ref_out: tempOut - 273.15,
+        T_water_in: coolantTemps.sub[0] - 273.15,
+        T_water_out: coolantTemps.sub[1] - 273.15
+      }
+    },
+    total: {
+      Q_total: Q_desup + Q_cond + Q_sub,
+      Area_total: Area_total,
+      Length_total: zoneLength(Area_total),
+      T_sat: T_sat - 273.15,
+      T_dew: T_dew - 273.15,
+      T_bubble: T_bubble - 273.15,
+      glide: glide
+    },
+    water_temperatures: {
+      T_in: coolantInTemp - 273.15,
+      T_w1: T_w1 - 273.15,
+      T_w2: T_w2 - 273.15,
+      T_out: T_coolant_out - 273.15
+    },
+    // 单相关联式（仅冷却流体侧；制冷剂侧各段使用本模型内置的关联式）
+    correlations: { inner: null, outer: coolantSide.correlation },
+    geometry: {
+      innerEquivalentDiameter: Dh,                       // 管内当量直径 (m) - 麻花管为梅花截面当量直径
+      innerHydraulicDiameter: Dh,                        // 管内水力直径 (m)
+      innerDiameter: geometry.tubeInnerDiameter,         // 管内径 (m)
+      innerArea: passage.innerFlowArea,                  // 管内总流通面积 (m²)
+      isTwisted: isTwisted,                              // 是否为麻花管
+      outerEquivalentDiameter: passage.annulusDiameter,  // 环隙当量直径 (m)
+      outerHydraulicDiameter: passage.annulusDiameter,   // 环隙水力直径 (m)
+      outerAreaEquivalentDiameter: Math.sqrt(4 * passage.annulusFlowArea / outerTubeCountPerPass / Math.PI), // 环隙面积当量直径 (m)
+      outerInnerDiameter: geometry.outerInnerDiameter,   // 外管内径 (m)
+      tubeOuterDiameter: geometry.tubeOuterDiameter,     // 内管外径 (m)
+      annulusArea: passage.annulusFlowArea,              // 环隙总流通面积 (m²)
+      massFlux: massFlux,                                // 质量通量 (kg/m²/s) - 基于管内流通面积
+      equivalentDiameter: Dh
+    }
+  };
+}
+
+/**
+ * ===== 蒸发三段计算法（Evaporator Three-Zone Model） =====
+ */
+
+/**
+ * 计算蒸发过程的三段热负荷分配（过冷液体预热段 + 两相沸腾段 + 过热段）
+ * 入口为两相时预热段热负荷为0，出口为两相时过热段热负荷为0
+ * @param {string} fluid - 制冷剂名称
+ * @param {number} massFlow - 质量流量 (kg/s)
+ * @param {number} pressure - 蒸发压力 (Pa)
+ * @param {number} tempIn - 入口温度 (K)
+ * @param {number} tempOut - 出口温度 (K)
+ * @param {number} stateIn - 入口状态：0=液体，0-1=两相（干度）
+ * @param {number} stateOut - 出口状态：1=气体，0-1=两相（干度）
+ * @returns {Promise<Object>} 包含三段热负荷和状态点的对象；沸腾段温度从 x_in 处滑移到 x_out 处（非共沸混合工质），
+ *   T_sat 为沸腾段平均温度，T_bubble/T_dew/glide 为泡点、露点和温度滑移
+ */
+export async function calculateEvaporatorZones(fluid, massFlow, pressure, tempIn, tempOut, stateIn = 0, stateOut = 1) {
+  // 查询泡点和露点温度（纯工质两者相等）
+  const T_bubble = await getBubbleTemperature(fluid, pressure);
+  const T_dew = await getDewTemperature(fluid, pressure);
+  const glide = T_dew - T_bubble;
+  
+  // 查询各状态点的焓值
+  const h_sat_liq = await getProperty(fluid, 'H', 'P', pressure, 'Q', 0);  // 饱和液体焓 (x=0)
+  const h_sat_vap = await getProperty(fluid, 'H', 'P', pressure, 'Q', 1);  // 饱和蒸汽焓 (x=1)
+  const h_in = await getInletEnthalpy(fluid, tempIn - 273.15, pressure, stateIn);
+  const h_out = stateOut > 0 && stateOut < 1
+    ? await getProperty(fluid, 'H', 'P', pressure, 'Q', stateOut)
+    : await getInletEnthalpy(fluid, tempOut - 273.15, pressure, stateOut);
   
-  // 如果热流体在管外，交换热流体和冷流体的参数（用于内部计算）
-  // 但保持原始参数以便最终结果显示
-  let calcHotFluid = hotFluid;
-  let calcHotTin = hotTin;
-  let calcHotTout = hotTout;
-  let calcHotFlowRate = hotFlowRate;
-  let calcHotPressure = actualHotPressure;
-  let calcHotPhaseIn = hotPhaseInConverted.phase;
-  let calcHotPhaseOut = hotPhaseOutConverted.phase;
-  let calcHotQualityIn = hotPhaseInConverted.quality;
-  let calcHotQualityOut = hotPhaseOutConverted.quality;
-  let calcColdFluid = coldFluid;
-  let calcColdTin = coldTin;
-  let calcColdTout = coldTout;
-  let calcColdFlowRate = coldFlowRate;
-  let calcColdPressure = actualColdPressure;
-  let calcColdPhaseIn = coldPhaseInConverted.phase;
-  let calcColdPhaseOut = coldPhaseOutConverted.phase;
-  let calcColdQualityIn = coldPhaseInConverted.quality;
-  let calcColdQualityOut = coldPhaseOutConverted.quality;
-  
-  // 创建可交换的过程类型变量
-  let calcHotProcessType = hotProcessType;
-  let calcColdProcessType = coldProcessType;
-  
-  if (hotFluidLocation === 'outer') {
-    // 交换参数：计算时将热流体当作管内流体，冷流体当作管外流体
-    [calcHotFluid, calcColdFluid] = [calcColdFluid, calcHotFluid];
-    [calcHotTin, calcColdTin] = [calcColdTin, calcHotTin];
-    [calcHotTout, calcColdTout] = [calcColdTout, calcHotTout];
-    [calcHotFlowRate, calcColdFlowRate] = [calcColdFlowRate, calcHotFlowRate];
-    [calcHotPressure, calcColdPressure] = [calcColdPressure, calcHotPressure];
-    [calcHotPhaseIn, calcColdPhaseIn] = [calcColdPhaseIn, calcHotPhaseIn];
-    [calcHotPhaseOut, calcColdPhaseOut] = [calcColdPhaseOut, calcHotPhaseOut];
-    [calcHotQualityIn, calcColdQualityIn] = [calcColdQualityIn, calcHotQualityIn];
-    [calcHotQualityOut, calcColdQualityOut] = [calcColdQualityOut, calcHotQualityOut];
-    // 交换过程类型
-    [calcHotProcessType, calcColdProcessType] = [calcColdProcessType, calcHotProcessType];
+  if (h_out <= h_in) {
+    throw new Error('蒸发三段计算失败：出口比焓必须高于入口比焓');
   }
   
-  // 确保isTwisted与innerTubeType一致
-  const actualIsTwisted = innerTubeType === 'twisted' || isTwisted;
+  // 沸腾段的起止比焓（入口为两相或出口为两相时截断）
+  const h_boil_in = Math.max(h_in, h_sat_liq);
+  const h_boil_out = Math.min(h_out, h_sat_vap);
   
-  // 考虑内管与外管之间的安装间隙
-  // 一般内管外径与外管内径之间有0.5mm的间隙（单边），即总间隙为1mm
-  const installationGap = 0.0005; // 0.5mm 单边间隙 (m)
-  const totalGap = 2 * installationGap; // 1mm 总间隙 (m)
+  // 计算三段热负荷
+  const Q_pre = massFlow * Math.max(0, h_sat_liq - h_in);            // 预热段（显热）
+  const Q_boil = massFlow * Math.max(0, h_boil_out - h_boil_in);     // 沸腾段（潜热）
+  const Q_sup = massFlow * Math.max(0, h_out - h_sat_vap);           // 过热段（显热）
   
-  // 实际用于计算的外管内径 = 内管外径 + 总间隙
-  // 这样可以确保环形空间计算时考虑了安装间隙
-  const effectiveOuterInnerDiameter = innerDiameter + totalGap;
+  const x_in = Math.min(1, Math.max(0, (h_boil_in - h_sat_liq) / (h_sat_vap - h_sat_liq)));
+  const x_out = Math.min(1, Math.max(0, (h_boil_out - h_sat_liq) / (h_sat_vap - h_sat_liq)));
   
-  // 计算外管名义内径
-  // 外管名义内径 = 外管外径 - 2 × 外管壁厚
-  const outerInnerDiameterNominal = outerDiameter - 2 * (outerWallThickness || (outerDiameter - outerInnerDiameter) / 2);
+  // 沸腾段起止温度（非共沸混合工质随干度滑移）
+  const T_boil_in = glide > 0.01 ? await getTwoPhaseTemperature(fluid, pressure, x_in) : T_bubble;
+  const T_boil_out = glide > 0.01 ? await getTwoPhaseTemperature(fluid, pressure, x_out) : T_dew;
+  const T_sat = (T_boil_in + T_boil_out) / 2;
   
-  // 麻花管模式下，确定实际的几何参数
-  let actualInnerOuterDiameter = innerDiameter; // 用于传热面积（内管外径）
-  let actualInnerInnerDiameter = innerInnerDiameter; // 用于流速计算
+  return {
+    zones: {
+      preheating: {
+        Q: Q_pre,
+        T_in: Q_pre > 0 ? tempIn : T_bubble,
+        T_out: T_bubble,
+        h_in: Math.min(h_in, h_sat_liq),
+        h_out: h_sat_liq,
+        phase: 'subcooled_liquid'
+      },
+      boiling: {
+        Q: Q_boil,
+        T_in: T_boil_in,
+        T_out: T_boil_out,
+        h_in: h_boil_in,
+        h_out: h_boil_out,
+        x_in: x_in,
+        x_out: x_out,
+        phase: 'two_phase'
+      },
+      superheating: {
+        Q: Q_sup,
+        T_in: T_dew,
+        T_out: Q_sup > 0 ? tempOut : T_dew,
+        h_in: h_sat_vap,
+        h_out: Math.max(h_out, h_sat_vap),
+        phase: 'superheated_vapor'
+      }
+    },
+    T_sat: T_sat,
+    T_bubble: T_bubble,
+    T_dew: T_dew,
+    glide: glide,
+    Q_total: Q_pre + Q_boil + Q_sup
+  };
+}
+
+/**
+ * 计算管内/环隙流动沸腾传热系数（Gungor–Winterton 简化关联式，1987）
+ * h_tp = E · h_L，E = 1 + 3000·Bo^0.86 + 1.12·(x/(1-x))^0.75·(ρL/ρV)^0.41
+ * @param {Object} liquidProps - 饱和液体物性
+ * @param {Object} vaporProps - 饱和蒸汽物性
+ * @param {number} quality - 干度 (0-1)
+ * @param {number} massFlux - 质量通量 (kg/m²/s)
+ * @param {number} diameter - 水力直径 (m)
+ * @param {number} heatFlux - 热流密度 (W/m²)
+ * @returns {number} 沸腾传热系数 (W/m²/K)
+ */
+export function calculateGungorWintertonHTC(liquidProps, vaporProps, quality, massFlux, diameter, heatFlux) {
+  const G = massFlux;
+  const Di = diameter;
+  const x = Math.min(0.99, Math.max(0.01, quality));
   
-  if (actualIsTwisted) {
-    // 麻花管外径 = 外管名义内径（两者相等）
-    actualInnerOuterDiameter = outerInnerDiameterNominal;
-    // 麻花管内径 = 外径 - 2×壁厚
-    const wallThickness = twistWallThickness || (innerDiameter - innerInnerDiameter) / 2;
-    actualInnerInnerDiameter = actualInnerOuterDiameter - 2 * wallThickness;
-  }
+  const rhoL = liquidProps.density;
+  const muL = liquidProps.viscosity;
+  const kL = liquidProps.thermalConductivity;
+  const PrL = liquidProps.prandtl;
+  const rhoV = vaporProps.density;
+  const hfg = vaporProps.enthalpy - liquidProps.enthalpy; // 汽化潜热 J/kg
   
-  // 使用有效外管内径（考虑间隙）进行环形空间计算
-  // 外管内径 = 外管名义内径 + 1mm安装间隙
-  // 对于麻花管：麻花管外径 = 外管名义内径（两者相等）
-  // 对于直管：外管内径 = 内管外径 + 安装间隙
-  const annulusOuterInnerDiameter = actualIsTwisted
+  // 液相单独流动时的传热系数（Dittus-Boelter）
+  const ReL = (G * (1 - x) * Di) / muL;
+  const hL = 0.023 * Math.pow(ReL, 0.8) * Math.pow(PrL, 0.4) * kL / Di;
+  
+  // 沸腾数 Bo = q / (G·hfg)
+  const Bo = Math.max(heatFlux, 0) / (G * hfg);
+  const E = 1 + 3000 * Math.pow(Bo, 0.86) + 1.12 * Math.pow(x / (1 - x), 0.75) * Math.pow(rhoL / rhoV, 0.41);
+  
+  return E * hL;
+}
+
+/**
+ * 蒸发三段计算主函数（制冷剂可位于管内或环隙）
+ * 
+ * 分三段分别计算热负荷、LMTD、传热系数和所需面积：
+ * - 预热段：过冷液体单相对流
+ * - 沸腾段：Chen 或 Gungor–Winterton 关联式，在沸腾段干度范围内取多点平均，
+ *   壁面过热度和热流密度由 iterateWallTemperature 迭代确定
+ * - 过热段：过热蒸汽单相对流
+ * 
+ * @param {Object} params - 计算参数
+ * @returns {Promise<Object>} 计算结果（结构与 calculateAnnulusCondenserThreeZone 一致，附加 type: 'evaporator'）
+ */
+export async function calculateEvaporatorThreeZone(params) {
+  const {
+    refrigerant,                 // 制冷剂名称
+    massFlow,                    // 制冷剂质量流量 (kg/s)
+    pressure,                    // 蒸发压力 (Pa)
+    tempIn,                      // 入口温度 (K)
+    tempOut,                     // 出口温度 (K)
+    stateIn = 0,                 // 入口状态：0=液体，0-1=两相（干度）
+    stateOut = 1,                // 出口状态：1=气体，0-1=两相（干度）
+    refrigerantLocation = 'inner', // 制冷剂位置：'inner'（管内）或 'annulus'（环隙）
+    geometry,                    // 几何参数 {outerInnerDiameter, tubeOuterDiameter, tubeInnerDiameter, wallThickness}
+    heatingFluid,                // 加热流体名称
+    heatingInTemp,               // 加热流体入口温度 (K)
+    heatingFlowRate,             // 加热流体质量流量 (kg/s)
+    heatingPressure,             // 加热流体压力 (Pa)
+    boilingCorrelation = 'chen', // 沸腾段关联式：'chen' 或 'gungor-winterton'
+    correlationOptions = {},     // 单相关联式 {inner, outer}，加热流体侧按其所在流道选用
+    flowType = 'counter',        // 流动方式：'counter' 或 'parallel'
+    tubeMaterial = 'stainless-steel-304',
+    foulingInner = 0,
+    foulingOuter = 0,
+    innerTubeCount = 1,
+    outerTubeCountPerPass = 1,
+    // 麻花管参数（可选）
+    isTwisted = false,
+    twistPitch = 0.0065,
+    twistLobeCount = 6,
+    twistToothHeight = 0.003
+  } = params;
+  
+  // ===== 第一步：确定分段点（热力学计算） =====
+  const zonesResult = await calculateEvaporatorZones(refrigerant, massFlow, pressure, tempIn, tempOut, stateIn, stateOut);
+  const { zones, T_sat, T_bubble, T_dew, glide } = zonesResult;
+  const { preheating, boiling, superheating } = zones;
+  const Q_pre = preheating.Q;
+  const Q_boil = boiling.Q;
+  const Q_sup = superheating.Q;
+  
+  // ===== 第二步：计算几何参数 =====
+  const { passage, enhancement, R_middle } = getZoneModelSetup({
+    geometry, isTwisted, twistPitch, twistLobeCount, twistToothHeight,
+    innerTubeCount, outerTubeCountPerPass, tubeMaterial, foulingInner, foulingOuter
+  });
+  const refrigerantInInner = refrigerantLocation !== 'annulus';
+  const refArea = refrigerantInInner ? passage.innerFlowArea : passage.annulusFlowArea;
+  const refDiameter = refrigerantInInner ? passage.innerDiameter : passage.annulusDiameter;
+  const heatingArea = refrigerantInInner ? passage.annulusFlowArea : passage.innerFlowArea;
+  const heatingDiameter = refrigerantInInner ? passage.annulusDiameter : passage.innerDiameter;
+  const massFlux = massFlow / refArea;
+
+  // 麻花管增强因子只作用于环隙侧
+  const refEnhancement = refrigerantInInner ? enhancement.inner : enhancement.annulus;
+  const heatingEnhancement = refrigerantInInner ? enhancement.annulus : enhancement.inner;
+
+  // ===== 第三步：计算加热流体侧温度节点 =====
+  // 先以入口物性估算出口温度，再以平均温度下的比热容修正
+  const heatingPropsIn = await getFluidProperties(heatingFluid, heatingInTemp, heatingPressure);
+  const T_heating_out_estimate = heatingInTemp - zonesResult.Q_total / (heatingFlowRate * heatingPropsIn.specificHeat);
+  const heatingProps = await getFluidProperties(heatingFluid, (heatingInTemp + T_heating_out_estimate) / 2, heatingPressure);
+  const C_heating = heatingFlowRate * heatingProps.specificHeat;
+  
+  let T_h1, T_h2, T_heating_out;
+  if (flowType === 'counter') {
+    // 逆流：加热流体先经过过热段
+    // T_heating_in --> Sup --> T_h1 --> Boil --> T_h2 --> Pre --> T_heating_out
+    T_h1 = heatingInTemp - Q_sup / C_heating;
+    T_h2 = T_h1 - Q_boil / C_heating;
+    T_heating_out = T_h2 - Q_pre / C_heating;
+  } else {
+    // 并流：加热流体先经过预热段
+    // T_heating_in --> Pre --> T_h1 --> Boil --> T_h2 --> Sup --> T_heating_out
+    T_h1 = heatingInTemp - Q_pre / C_heating;
+    T_h2 = T_h1 - Q_boil / C_heating;
+    T_heating_out = T_h2 - Q_sup / C_heating;
+  }
+  
+  // 各段加热流体进出口温度 (K)
+  const heatingTemps = flowType === 'counter'
+    ? { pre: [T_h2, T_heating_out], boil: [T_h1, T_h2], sup: [heatingInTemp, T_h1] }
+    : { pre: [heatingInTemp, T_h1], boil: [T_h1, T_h2], sup: [T_h2, T_heating_out] };
+  
+  // ===== 第四步：计算各段 LMTD =====
+  const zoneLMTD = (Q, heating, refIn, refOut) => Q > 0
+    ? calculateLMTD(heating[0] - 273.15, heating[1] - 273.15, refIn - 273.15, refOut - 273.15, flowType)
+    : null;
+  const LMTD_pre = zoneLMTD(Q_pre, heatingTemps.pre, preheating.T_in, T_bubble);
+  const LMTD_boil = zoneLMTD(Q_boil, heatingTemps.boil, boiling.T_in, boiling.T_out);
+  const LMTD_sup = zoneLMTD(Q_sup, heatingTemps.sup, T_dew, superheating.T_out);
+  
+  // ===== 第五步：加热流体侧传热系数 =====
+  const heatingSide = await calculateZoneSecondaryHTC({
+    correlation: refrigerantInInner ? correlationOptions.outer : correlationOptions.inner,
+    channel: refrigerantInInner ? 'annulus' : 'tube',
+    props: heatingProps,
+    flowRate: heatingFlowRate,
+    flowArea: heatingArea,
+    diameter: heatingDiameter,
+    diameterRatio: geometry.tubeOuterDiameter / geometry.outerInnerDiameter,
+    heating: false, // 加热流体被冷却
+    enhancement: heatingEnhancement,
+    wall: {
+      fluid: heatingFluid,
+      pressure: heatingPressure,
+      temperature: (heatingInTemp + T_heating_out) / 2,
+      refrigerantTemperature: T_sat,
+      middleResistance: R_middle
+    }
+  });
+  const h_heating = heatingSide.h;
+
+  const R_other = R_middle + 1 / h_heating;
+
+  // 单相段传热系数（Dittus-Boelter，制冷剂被加热）
+  const singlePhaseHTC = (props) => {
+    const re = calculateReynoldsNumber(props.density, massFlux / props.density, refDiameter, props.viscosity);
+    const nu = calculateNusseltNumber(re, props.prandtl, true);
+    return calculateConvectiveHeatTransferCoefficient(nu, props.thermalConductivity, refDiameter) * refEnhancement;
+  };
+  
+  // ===== 第六步：计算各段制冷剂侧传热系数 =====
+  // 预热段（过冷液体）
+  let h_pre = null;
+  if (Q_pre > 0) {
+    const liquidProps = await getFluidProperties(refrigerant, (preheating.T_in + T_bubble) / 2, pressure);
+    h_pre = singlePhaseHTC(liquidProps);
+  }
+  
+  // 过热段（过热蒸汽，避免在饱和温度处查询落入两相区）
+  let h_sup = null;
+  if (Q_sup > 0) {
+    const vaporProps = await getFluidProperties(refrigerant, Math.max((T_dew + superheating.T_out) / 2, T_dew + 0.1), pressure);
+    h_sup = singlePhaseHTC(vaporProps);
+  }
+  
+  // 沸腾段：在干度范围内取多点平均，迭代壁温使加热侧、管壁+污垢、沸腾侧热流密度一致
+  let h_boil = null;
+  let wallIteration_boil = null;
+  let dryoutCheck = null;
+  if (Q_boil > 0) {
+    const satProps = await getFluidPropertiesTwoPhase(refrigerant, T_sat, pressure, 0.5);
+    const { liquidProps, vaporProps } = satProps;
+    const qualityPoints = 5;
+    const boilingHTCAt = async (wallTemperature, heatFlux) => {
+      // 干涸起始干度之后（雾状流）沸腾关联式严重高估，传热系数以 Dougall-Rohsenow 值为上限
+      const dryoutQuality = calculateDryoutQuality(liquidProps, vaporProps, massFlux, refDiameter, heatFlux);
+      let sum = 0;
+      for (let i = 0; i < qualityPoints; i++) {
+        const x = boiling.x_in + (i + 0.5) / qualityPoints * (boiling.x_out - boiling.x_in);
+        const xClamped = Math.min(0.99, Math.max(0.01, x));
+        let h = boilingCorrelation === 'gungor-winterton'
+          ? calculateGungorWintertonHTC(liquidProps, vaporProps, xClamped, massFlux, refDiameter, heatFlux)
+          : await calculateBoilingHeatTransferCoefficient(
+              liquidProps, vaporProps, xClamped, massFlux, refDiameter,
+              wallTemperature, T_sat, pressure, refrigerant
+            );
+        if (dryoutQuality !== null && x > dryoutQuality) {
+          h = Math.min(h, calculatePostDryoutHTC(liquidProps, vaporProps, x, massFlux, refDiameter));
+        }
+        sum += h;
+      }
+      return sum / qualityPoints * refEnhancement;
+    };
+    
+    // 沸腾段制冷剂取平均温度（纯工质为饱和温度），加热流体平均温度 = T_sat + LMTD
+    wallIteration_boil = await iterateWallTemperature({
+      hotTemperature: T_sat + LMTD_boil,
+      coldTemperature: T_sat,
+      hotSideHTC: () => h_heating,
+      coldSideHTC: boilingHTCAt,
+      middleResistance: R_middle
+    });
+    h_boil = wallIteration_boil.coldSideHTC;
+    
+    dryoutCheck = checkEvaporationDryout({
+      liquidProps,
+      vaporProps,
+      massFlux,
+      diameter: refDiameter,
+      heatFlux: wallIteration_boil.heatFlux,
+      qualityIn: boiling.x_in,
+      qualityOut: boiling.x_out,
+      boilingHTC: h_boil
+    });
+  }
+  
+  // ===== 第七步：计算各段总传热系数与所需面积 =====
+  const zoneU = (h) => (h ? 1 / (1 / h + R_other) : null);
+  const U_pre = zoneU(h_pre);
+  const U_boil = zoneU(h_boil);
+  const U_sup = zoneU(h_sup);
+  
+  const Area_pre = Q_pre > 0 ? Q_pre / (U_pre * LMTD_pre) : 0;
+  const Area_boil = Q_boil > 0 ? Q_boil / (U_boil * LMTD_boil) : 0;
+  const Area_sup = Q_sup > 0 ? Q_sup / (U_sup * LMTD_sup) : 0;
+  const Area_total = Area_pre + Area_boil + Area_sup;
+  
+  const heatingTempsC = (pair) => ({ T_heating_in: pair[0] - 273.15, T_heating_out: pair[1] - 273.15 });
+  
+  return {
+    type: 'evaporator',
+    refrigerantLocation: refrigerantInInner ? 'inner' : 'annulus',
+    boilingCorrelation: boilingCorrelation,
+    zones: {
+      preheating: {
+        Q: Q_pre,
+        Area: Area_pre,
+        U: U_pre,
+        h: h_pre,
+        h_heating: h_heating,
+        LMTD: LMTD_pre,
+        T_ref_in: preheating.T_in - 273.15,
+        T_ref_out: T_bubble - 273.15,
+        ...heatingTempsC(heatingTemps.pre)
+      },
+      boiling: {
+        Q: Q_boil,
+        Area: Area_boil,
+        U: U_boil,
+        h: h_boil,
+        h_heating: h_heating,
+        LMTD: LMTD_boil,
+        x_in: boiling.x_in,
+        x_out: boiling.x_out,
+        T_ref_in: boiling.T_in - 273.15,
+        T_ref_out: boiling.T_out - 273.15,
+        ...heatingTempsC(heatingTemps.boil),
+        wallTemperatures: wallIteration_boil ? formatWallTemperatures(wallIteration_boil) : null,
+        dryoutCheck: dryoutCheck  // 干涸与临界热流密度校核
+      },
+      superheating: {
+        Q: Q_sup,
+        Area: Area_sup,
+        U: U_sup,
+        h: h_sup,
+        h_heating: h_heating,
+        LMTD: LMTD_sup,
+        T_ref_in: T_dew - 273.15,
+        T_ref_out: superheating.T_out - 273.15,
+        ...heatingTempsC(heatingTemps.sup)
+      }
+    },
+    total: {
+      Q_total: zonesResult.Q_total,
+      Area_total: Area_total,
+      T_sat: T_sat - 273.15,
+      T_bubble: T_bubble - 273.15,
+      T_dew: T_dew - 273.15,
+      glide: glide
+    },
+    heating_temperatures: {
+      T_in: heatingInTemp - 273.15,
+      T_h1: T_h1 - 273.15,
+      T_h2: T_h2 - 273.15,
+      T_out: T_heating_out - 273.15
+    },
+    // 单相关联式（仅加热流体侧；制冷剂侧各段使用本模型内置的关联式）
+    correlations: {
+      inner: refrigerantInInner ? null : heatingSide.correlation,
+      outer: refrigerantInInner ? heatingSide.correlation : null
+    },
+    geometry: {
+      innerEquivalentDiameter: passage.innerDiameter,    // 管内当量直径 (m)
+      innerHydraulicDiameter: passage.innerDiameter,     // 管内水力直径 (m)
+      innerDiameter: geometry.tubeInnerDiameter,         // 管内径 (m)
+      innerArea: passage.innerFlowArea,                  // 管内总流通面积 (m²)
+      isTwisted: isTwisted,                              // 是否为麻花管
+      outerEquivalentDiameter: passage.annulusDiameter,  // 环隙当量直径 (m)
+      outerHydraulicDiameter: passage.annulusDiameter,   // 环隙水力直径 (m)
+      outerAreaEquivalentDiameter: Math.sqrt(4 * passage.annulusFlowArea / outerTubeCountPerPass / Math.PI), // 环隙面积当量直径 (m)
+      outerInnerDiameter: geometry.outerInnerDiameter,   // 外管内径 (m)
+      tubeOuterDiameter: geometry.tubeOuterDiameter,     // 内管外径 (m)
+      annulusArea: passage.annulusFlowArea,              // 环隙总流通面积 (m²)
+      massFlux: massFlux                                 // 制冷剂质量通量 (kg/m²/s)
+    }
+  };
+}
+
+/**
+ * ===== 超临界气体冷却（Transcritical Gas Cooler） =====
+ */
+
+/**
+ * 计算超临界压力下的准临界温度（定压比热容最大处）
+ * 在 [T_crit, T_crit + 100 K] 内对 c_p(T) 做黄金分割搜索
+ * @param {string} fluid - 工质名称
+ * @param {number} pressure - 压力 (Pa)，须高于临界压力
+ * @returns {Promise<number>} 准临界温度 (K)
+ */
+export async function calculatePseudoCriticalTemperature(fluid, pressure) {
+  const T_crit = await getProperty(fluid, 'TCRIT', 'T', 300, 'P', pressure);
+  const cpAt = (T) => getProperty(fluid, 'C', 'T', T, 'P', pressure);
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let a = T_crit + 0.01;
+  let b = T_crit + 100;
+  let c = b - ratio * (b - a);
+  let d = a + ratio * (b - a);
+  let cpC = await cpAt(c);
+  let cpD = await cpAt(d);
+  while (b - a > 0.01) {
+    if (cpC > cpD) {
+      b = d;
+      d = c;
+      cpD = cpC;
+      c = b - ratio * (b - a);
+      cpC = await cpAt(c);
+    } else {
+      a = c;
+      c = d;
+      cpC = cpD;
+      d = a + ratio * (b - a);
+      cpD = await cpAt(d);
+    }
+  }
+  return (a + b) / 2;
+}
+
+/**
+ * Gnielinski 湍流努塞尔数（Petukhov 摩擦系数）
+ * @param {number} re - 雷诺数
+ * @param {number} pr - 普朗特数
+ * @returns {number} 努塞尔数
+ */
+function gnielinskiNusselt(re, pr) {
+  const f = Math.pow(0.79 * Math.log(re) - 1.64, -2);
+  return (f / 8) * (re - 1000) * pr / (1 + 12.7 * Math.sqrt(f / 8) * (Math.pow(pr, 2/3) - 1));
+}
+
+/**
+ * 超临界流体冷却传热系数
+ * - Pitla（2002）：Nu = (Nu_w + Nu_b)/2 · k_w/k_b，Nu_w、Nu_b 分别以壁温和主体温度物性按 Gnielinski 计算
+ * - Dang–Hihara（2004）：Gnielinski 形式，Re 取膜温物性，Pr 按主体/壁面平均比热容 c̄_p = (h_b - h_w)/(T_b - T_w) 修正
+ * @param {string} correlation - 'pitla' 或 'dang-hihara'
+ * @param {Object} state - 计算参数
+ * @param {Object} state.bulkProps - 主体温度物性
+ * @param {Object} state.wallProps - 壁温物性
+ * @param {Object} state.filmProps - 膜温 (T_b + T_w)/2 物性（Dang–Hihara 使用）
+ * @param {number} state.bulkTemperature - 主体温度 (K)
+ * @param {number} state.wallTemperature - 壁温 (K)
+ * @param {number} state.massFlux - 质量通量 (kg/m²/s)
+ * @param {number} state.diameter - 水力直径 (m)
+ * @returns {number} 传热系数 (W/m²/K)
+ */
+export function calculateSupercriticalCoolingHTC(correlation, { bulkProps, wallProps, filmProps, bulkTemperature, wallTemperature, massFlux, diameter }) {
+  const reBulk = massFlux * diameter / bulkProps.viscosity;
+  
+  if (correlation === 'dang-hihara') {
+    const deltaT = bulkTemperature - wallTemperature;
+    const cpAvg = Math.abs(deltaT) > 1e-3
+      ? (bulkProps.enthalpy - wallProps.enthalpy) / deltaT
+      : bulkProps.specificHeat;
+    let pr;
+    if (bulkProps.specificHeat >= cpAvg) {
+      pr = bulkProps.prandtl;
+    } else if (bulkProps.viscosity / bulkProps.thermalConductivity >= filmProps.viscosity / filmProps.thermalConductivity) {
+      pr = cpAvg * bulkProps.viscosity / bulkProps.thermalConductivity;
+    } else {
+      pr = cpAvg * filmProps.viscosity / filmProps.thermalConductivity;
+    }
+    const reFilm = massFlux * diameter / filmProps.viscosity;
+    const f = Math.pow(0.79 * Math.log(reFilm) - 1.64, -2);
+    const nu = (f / 8) * (reBulk - 1000) * pr / (1.07 + 12.7 * Math.sqrt(f / 8) * (Math.pow(pr, 2/3) - 1));
+    return nu * bulkProps.thermalConductivity / diameter;
+  }
+  
+  const reWall = massFlux * diameter / wallProps.viscosity;
+  const nuBulk = gnielinskiNusselt(reBulk, bulkProps.prandtl);
+  const nuWall = gnielinskiNusselt(reWall, wallProps.prandtl);
+  const nu = (nuWall + nuBulk) / 2 * (wallProps.thermalConductivity / bulkProps.thermalConductivity);
+  return nu * bulkProps.thermalConductivity / diameter;
+}
+
+/**
+ * 超临界气体冷却器计算（跨临界 CO2 热泵的气体冷却器）
+ * 
+ * 超临界压力下不存在饱和状态和干度，物性在准临界温度附近剧烈变化，
+ * 因此不使用平均物性，而是沿流动方向按等热负荷步长推进：
+ * - 各节点主体温度由 T(P, h) 确定，冷却流体温度由能量平衡确定
+ * - 每步用 Pitla 或 Dang–Hihara 关联式计算传热系数，壁温由 iterateWallTemperature 迭代
+ * - dA = dQ / (U·ΔT)，累计面积除以单位流程长度的换热面积得到沿管长位置
+ * 
+ * @param {Object} params - 计算参数
+ * @returns {Promise<Object>} 计算结果（geometry/total 结构与三段计算一致，附加 type: 'gas_cooler'、profile、pseudoCritical、warnings）
+ */
+export async function calculateSupercriticalGasCooler(params) {
+  const {
+    fluid,                       // 超临界工质名称（如 'CO2'）
+    massFlow,                    // 质量流量 (kg/s)
+    pressure,                    // 压力 (Pa)，须高于临界压力
+    tempIn,                      // 入口温度 (K)
+    tempOut,                     // 出口温度 (K)
+    fluidLocation = 'inner',     // 超临界流体位置：'inner'（管内）或 'annulus'（环隙）
+    geometry,                    // 几何参数 {outerInnerDiameter, tubeOuterDiameter, tubeInnerDiameter, wallThickness}
+    coolant,                     // 冷却流体名称
+    coolantInTemp,               // 冷却流体入口温度 (K)
+    coolantFlowRate,             // 冷却流体质量流量 (kg/s)
+    coolantPressure,             // 冷却流体压力 (Pa)
+    areaPerLength,               // 单位流程长度的换热面积 (m²/m)
+    correlation = 'pitla',       // 传热关联式：'pitla' 或 'dang-hihara'
+    correlationOptions = {},     // 单相关联式 {inner, outer}，冷却流体侧按其所在流道选用
+    steps = 40,                  // 推进步数
+    pseudoCriticalBand = 3,      // 准临界温度报警带宽 (K)
+    flowType = 'counter',
+    tubeMaterial = 'stainless-steel-304',
+    foulingInner = 0,
+    foulingOuter = 0,
+    innerTubeCount = 1,
+    outerTubeCountPerPass = 1,
+    // 麻花管参数（可选）
+    isTwisted = false,
+    twistPitch = 0.0065,
+    twistLobeCount = 6,
+    twistToothHeight = 0.003
+  } = params;
+  
+  // ===== 第一步：检查超临界状态，计算准临界温度 =====
+  const P_crit = await getProperty(fluid, 'PCRIT', 'T', tempIn, 'P', pressure);
+  if (pressure <= P_crit) {
+    throw new Error(`超临界气体冷却计算要求压力高于临界压力 ${(P_crit / 1000).toFixed(1)} kPa，当前压力 ${(pressure / 1000).toFixed(1)} kPa`);
+  }
+  if (tempIn <= tempOut) {
+    throw new Error('超临界气体冷却计算失败：入口温度必须高于出口温度');
+  }
+  const T_pc = await calculatePseudoCriticalTemperature(fluid, pressure);
+  
+  // ===== 第二步：几何参数 =====
+  const passage = getFlowPassageGeometry(
+    {
+      innerOuterDiameter: geometry.tubeOuterDiameter,
+      innerInnerDiameter: geometry.tubeInnerDiameter,
+      outerInnerDiameter: geometry.outerInnerDiameter
+    },
+    { isTwisted, twistPitch, twistLobeCount, twistToothHeight, innerTubeCount, outerTubeCountPerPass }
+  );
+  const fluidInInner = fluidLocation !== 'annulus';
+  const fluidDiameter = fluidInInner ? passage.innerDiameter : passage.annulusDiameter;
+  const coolantArea = fluidInInner ? passage.annulusFlowArea : passage.innerFlowArea;
+  const coolantDiameter = fluidInInner ? passage.annulusDiameter : passage.innerDiameter;
+  const massFlux = massFlow / (fluidInInner ? passage.innerFlowArea : passage.annulusFlowArea);
+  const enhancement = isTwisted
+    ? Math.min(2.5, Math.max(1.0, calculateTwistedTubeEnhancementFactor(twistPitch, geometry.tubeInnerDiameter, twistLobeCount)))
+    : 1.0;
+  
+  // ===== 第三步：热负荷和冷却流体温度 =====
+  const h_in = await getEnthalpy(fluid, tempIn, pressure);
+  const h_out = await getEnthalpy(fluid, tempOut, pressure);
+  const Q_total = massFlow * (h_in - h_out);
+  
+  const coolantPropsIn = await getFluidProperties(coolant, coolantInTemp, coolantPressure);
+  const T_coolant_out_estimate = coolantInTemp + Q_total / (coolantFlowRate * coolantPropsIn.specificHeat);
+  const coolantProps = await getFluidProperties(coolant, (coolantInTemp + T_coolant_out_estimate) / 2, coolantPressure);
+  const C_coolant = coolantFlowRate * coolantProps.specificHeat;
+  const T_coolant_out = coolantInTemp + Q_total / C_coolant;
+  // 沿超临界流体流动方向累计放热 Q_cum 处的冷却流体温度
+  const coolantTemperatureAt = (Q_cum) => flowType === 'counter'
+    ? T_coolant_out - Q_cum / C_coolant
+    : coolantInTemp + Q_cum / C_coolant;
+  
+  // ===== 第四步：冷却流体侧传热系数和固定热阻 =====
+  const tubeThermalConductivity = getMaterialThermalConductivity(tubeMaterial);
+  const wallThickness = geometry.wallThickness || 0.002; // 默认2mm
+  const meanDiameter = (geometry.tubeOuterDiameter + geometry.tubeInnerDiameter) / 2;
+  const R_wall = wallThickness / (tubeThermalConductivity * Math.PI * meanDiameter) * Math.PI * geometry.tubeOuterDiameter;
+  const R_middle = R_wall + foulingInner + foulingOuter;
+  
+  const coolantSide = await calculateZoneSecondaryHTC({
+    correlation: fluidInInner ? correlationOptions.outer : correlationOptions.inner,
+    channel: fluidInInner ? 'annulus' : 'tube',
+    props: coolantProps,
+    flowRate: coolantFlowRate,
+    flowArea: coolantArea,
+    diameter: coolantDiameter,
+    diameterRatio: geometry.tubeOuterDiameter / geometry.outerInnerDiameter,
+    heating: true, // 冷却流体被加热
+    enhancement: enhancement,
+    wall: {
+      fluid: coolant,
+      pressure: coolantPressure,
+      temperature: (coolantInTemp + T_coolant_out) / 2,
+      refrigerantTemperature: (tempIn + tempOut) / 2,
+      middleResistance: R_middle
+    }
+  });
+  const h_coolant = coolantSide.h;
+  
+  // ===== 第五步：沿流动方向推进 =====
+  const dQ = Q_total / steps;
+  const profile = [];
+  let Area_total = 0;
+  let hAreaSum = 0;
+  let nearPseudoCriticalSteps = 0;
+  
+  profile.push({
+    position: 0,
+    T_ref: tempIn - 273.15,
+    T_coolant: coolantTemperatureAt(0) - 273.15,
+    h: null,
+    U: null,
+    specificHeat: (await getFluidProperties(fluid, tempIn, pressure)).specificHeat,
+    nearPseudoCritical: Math.abs(tempIn - T_pc) < pseudoCriticalBand
+  });
+  
+  // 各步中点的主体温度只取决于比焓，先求出全部中点温度再批量查询主体物性
+  const midTemperatures = await Promise.all(
+    Array.from({ length: steps }, (_, i) => getTemperatureFromPH(fluid, pressure, h_in - (i + 0.5) * dQ / massFlow))
+  );
+  const midProps = await getPropertiesBatch(
+    fluid,
+    midTemperatures.map(temperature => ({ temperature, pressure }))
+  );
+  
+  for (let i = 0; i < steps; i++) {
+    // 步中点的主体温度和冷却流体温度
+    const Q_mid = (i + 0.5) * dQ;
+    const T_bulk = midTemperatures[i];
+    const T_coolant = coolantTemperatureAt(Q_mid);
+    if (T_bulk - T_coolant <= 0) {
+      throw new Error('超临界气体冷却计算失败：出现温度交叉，请检查冷却流体流量或出口温度');
+    }
+    const bulkProps = midProps[i];
+    
+    const wallIteration = await iterateWallTemperature({
+      hotTemperature: T_bulk,
+      coldTemperature: T_coolant,
+      hotSideHTC: async (wallTemperature) => {
+        const [wallProps, filmProps] = await Promise.all([
+          getFluidProperties(fluid, wallTemperature, pressure),
+          correlation === 'dang-hihara'
+            ? getFluidProperties(fluid, (T_bulk + wallTemperature) / 2, pressure)
+            : null
+        ]);
+        return calculateSupercriticalCoolingHTC(correlation, {
+          bulkProps, wallProps, filmProps,
+          bulkTemperature: T_bulk,
+          wallTemperature,
+          massFlux,
+          diameter: fluidDiameter
+        }) * enhancement;
+      },
+      coldSideHTC: () => h_coolant,
+      middleResistance: R_middle
+    });
+    
+    const hLocal = wallIteration.hotSideHTC;
+    const ULocal = 1 / (1 / hLocal + R_middle + 1 / h_coolant);
+    const dA = dQ / (ULocal * (T_bulk - T_coolant));
+    Area_total += dA;
+    hAreaSum += hLocal * dA;
+    
+    // 主体温度接近准临界温度，或壁温与主体温度分居准临界温度两侧时物性变化剧烈
+    const T_wall = wallIteration.hotWallTemperature;
+    const nearPseudoCritical = Math.abs(T_bulk - T_pc) < pseudoCriticalBand ||
+                               (T_wall - T_pc) * (T_bulk - T_pc) < 0;
+    if (nearPseudoCritical) nearPseudoCriticalSteps++;
+    
+    const T_node = await getTemperatureFromPH(fluid, pressure, h_in - (i + 1) * dQ / massFlow);
+    profile.push({
+      position: areaPerLength > 0 ? Area_total / areaPerLength : null,
+      T_ref: T_node - 273.15,
+      T_bulk: T_bulk - 273.15,
+      T_wall: T_wall - 273.15,
+      T_coolant: coolantTemperatureAt((i + 1) * dQ) - 273.15,
+      h: hLocal,
+      U: ULocal,
+      area: dA,
+      specificHeat: bulkProps.specificHeat,
+      nearPseudoCritical: nearPseudoCritical
+    });
+  }
+  
+  // ===== 第六步：准临界温度位置 =====
+  // 主体温度沿流动方向单调下降，在跨越 T_pc 的两节点间按温度线性插值
+  const T_pc_C = T_pc - 273.15;
+  let pseudoCriticalPosition = null;
+  for (let i = 1; i < profile.length; i++) {
+    const prev = profile[i - 1];
+    const node = profile[i];
+    if (prev.T_ref >= T_pc_C && node.T_ref <= T_pc_C) {
+      const fraction = prev.T_ref > node.T_ref ? (prev.T_ref - T_pc_C) / (prev.T_ref - node.T_ref) : 0;
+      pseudoCriticalPosition = prev.position !== null && node.position !== null
+        ? prev.position + fraction * (node.position - prev.position)
+        : null;
+      break;
+    }
+  }
+  const Length_total = areaPerLength > 0 ? Area_total / areaPerLength : null;
+  
+  const warnings = [];
+  if (pseudoCriticalPosition !== null) {
+    warnings.push(`流体在距入口 ${pseudoCriticalPosition.toFixed(2)} m 处跨越准临界温度 ${T_pc_C.toFixed(1)} °C，比热容出现尖峰，局部传热系数对物性非常敏感`);
+  } else if (nearPseudoCriticalSteps > 0) {
+    warnings.push(`有 ${nearPseudoCriticalSteps} 个计算步的主体或壁面温度接近准临界温度 ${T_pc_C.toFixed(1)} °C，物性变化剧烈`);
+  }
+  if (pressure < 1.05 * P_crit) {
+    warnings.push(`压力仅比临界压力高 ${((pressure / P_crit - 1) * 100).toFixed(1)}%，准临界区物性计算误差较大`);
+  }
+  
+  return {
+    type: 'gas_cooler',
+    correlation: correlation,
+    zones: {},
+    profile: profile,  // 各节点 {position (m), T_ref, T_coolant (°C), h, U, specificHeat, nearPseudoCritical}
+    pseudoCritical: {
+      temperature: T_pc_C,                                // 准临界温度 (°C)
+      position: pseudoCriticalPosition,                   // 距入口位置 (m)，未跨越时为 null
+      fraction: pseudoCriticalPosition !== null && Length_total ? pseudoCriticalPosition / Length_total : null,
+      nearSteps: nearPseudoCriticalSteps                  // 接近准临界温度的步数
+    },
+    warnings: warnings,
+    total: {
+      Q_total: Q_total,
+      Area_total: Area_total,
+      Length_total: Length_total,
+      h_avg: hAreaSum / Area_total,                       // 面积加权平均传热系数 (W/m²/K)
+      h_coolant: h_coolant,
+      T_sat: null,
+      P_crit: P_crit / 1000                               // 临界压力 (kPa)
+    },
+    water_temperatures: {
+      T_in: coolantInTemp - 273.15,
+      T_out: T_coolant_out - 273.15
+    },
+    // 单相关联式（仅冷却流体侧；超临界流体侧使用 correlation 指定的关联式）
+    correlations: {
+      inner: fluidInInner ? null : coolantSide.correlation,
+      outer: fluidInInner ? coolantSide.correlation : null
+    },
+    geometry: {
+      innerEquivalentDiameter: passage.innerDiameter,    // 管内当量直径 (m)
+      innerHydraulicDiameter: passage.innerDiameter,     // 管内水力直径 (m)
+      innerDiameter: geometry.tubeInnerDiameter,         // 管内径 (m)
+      innerArea: passage.innerFlowArea,                  // 管内总流通面积 (m²)
+      isTwisted: isTwisted,                              // 是否为麻花管
+      outerEquivalentDiameter: passage.annulusDiameter,  // 环隙当量直径 (m)
+      outerHydraulicDiameter: passage.annulusDiameter,   // 环隙水力直径 (m)
+      outerAreaEquivalentDiameter: Math.sqrt(4 * passage.annulusFlowArea / outerTubeCountPerPass / Math.PI), // 环隙面积当量直径 (m)
+      outerInnerDiameter: geometry.outerInnerDiameter,   // 外管内径 (m)
+      tubeOuterDiameter: geometry.tubeOuterDiameter,     // 内管外径 (m)
+      annulusArea: passage.annulusFlowArea,              // 环隙总流通面积 (m²)
+      massFlux: massFlux,                                // 超临界流体质量通量 (kg/m²/s)
+      equivalentDiameter: fluidDiameter
+    }
+  };
+}
+
+/**
+ * ===== 蒸发干涸与临界热流密度校核（Dryout / CHF Check） =====
+ */
+
+/**
+ * 计算池沸腾临界热流密度（Kutateladze-Zuber 关联式）
+ * q_CHF = 0.131·ρV^0.5·h_fg·[g·σ·(ρL-ρV)]^0.25
+ * @param {Object} liquidProps - 饱和液体物性（需含 surfaceTension）
+ * @param {Object} vaporProps - 饱和蒸汽物性
+ * @returns {number|null} 临界热流密度 (W/m²)，缺少表面张力数据时返回 null
+ */
+export function calculateCriticalHeatFlux(liquidProps, vaporProps) {
+  const sigma = liquidProps.surfaceTension;
+  if (!(sigma > 0)) {
+    return null;
+  }
+  const g = 9.81;
+  const hfg = vaporProps.enthalpy - liquidProps.enthalpy;
+  return 0.131 * Math.sqrt(vaporProps.density) * hfg *
+    Math.pow(g * sigma * (liquidProps.density - vaporProps.density), 0.25);
+}
+
+/**
+ * 计算干涸起始干度（Wojtan-Ursenbacher-Thome 2005，Kattan-Thome-Favrat 流型图修正）
+ * x_di = 0.58·exp[0.52 - 0.235·We_V^0.17·Fr_V,Mori^0.37·(ρV/ρL)^0.25·(q/q_crit)^0.70]
+ * @param {Object} liquidProps - 饱和液体物性（需含 surfaceTension）
+ * @param {Object} vaporProps - 饱和蒸汽物性
+ * @param {number} massFlux - 质量通量 (kg/m²/s)
+ * @param {number} diameter - 水力直径 (m)
+ * @param {number} heatFlux - 热流密度 (W/m²)
+ * @returns {number|null} 干涸起始干度 (0-1)，缺少表面张力数据时返回 null
+ */
+export function calculateDryoutQuality(liquidProps, vaporProps, massFlux, diameter, heatFlux) {
+  const criticalHeatFlux = calculateCriticalHeatFlux(liquidProps, vaporProps);
+  if (criticalHeatFlux === null) {
+    return null;
+  }
+  const g = 9.81;
+  const G = massFlux;
+  const rhoL = liquidProps.density;
+  const rhoV = vaporProps.density;
+  const weberV = G * G * diameter / (rhoV * liquidProps.surfaceTension);
+  const froudeV = G * G / (rhoV * (rhoL - rhoV) * g * diameter);
+  const exponent = 0.52 - 0.235 * Math.pow(weberV, 0.17) * Math.pow(froudeV, 0.37) *
+    Math.pow(rhoV / rhoL, 0.25) * Math.pow(Math.max(heatFlux, 0) / criticalHeatFlux, 0.70);
+  return Math.min(1, Math.max(0, 0.58 * Math.exp(exponent)));
+}
+
+/**
+ * 计算干涸后（雾状流）传热系数（Dougall-Rohsenow 关联式）
+ * h = 0.023·(kV/D)·[G·D/μV·(x + ρV/ρL·(1-x))]^0.8·PrV^0.4
+ * @param {Object} liquidProps - 饱和液体物性
+ * @param {Object} vaporProps - 饱和蒸汽物性
+ * @param {number} quality - 干度 (0-1)
+ * @param {number} massFlux - 质量通量 (kg/m²/s)
+ * @param {number} diameter - 水力直径 (m)
+ * @returns {number} 传热系数 (W/m²/K)
+ */
+export function calculatePostDryoutHTC(liquidProps, vaporProps, quality, massFlux, diameter) {
+  const x = Math.min(1, Math.max(0, quality));
+  const re = massFlux * diameter / vaporProps.viscosity * (x + vaporProps.density / liquidProps.density * (1 - x));
+  return 0.023 * vaporProps.thermalConductivity / diameter * Math.pow(re, 0.8) * Math.pow(vaporProps.prandtl, 0.4);
+}
+
+/**
+ * 蒸发流股干涸与临界热流密度校核
+ * 
+ * - 热流密度超过临界热流密度（或超过 70%）时给出警告
+ * - 出口干度超过干涸起始干度时给出警告，并将干涸后区域的沸腾传热系数限制为雾状流传热系数
+ * 
+ * @param {Object} params - 校核参数
+ * @param {Object} params.liquidProps - 饱和液体物性（需含 surfaceTension）
+ * @param {Object} params.vaporProps - 饱和蒸汽物性
+ * @param {number} params.massFlux - 质量通量 (kg/m²/s)
+ * @param {number} params.diameter - 水力直径 (m)
+ * @param {number} params.heatFlux - 热流密度 (W/m²)，可取最大当地值
+ * @param {number} params.qualityIn - 沸腾段入口干度
+ * @param {number} params.qualityOut - 沸腾段出口干度
+ * @param {number} params.boilingHTC - 可选：沸腾段平均传热系数 (W/m²/K)，给定时返回限制后的值
+ * @returns {Object} {criticalHeatFlux, heatFluxRatio, chfExceeded, dryoutQuality, dryoutReached, postDryoutFraction, postDryoutHTC, boilingHTC, cappedBoilingHTC, safe, warnings}
+ */
+export function checkEvaporationDryout(params) {
+  const {
+    liquidProps,
+    vaporProps,
+    massFlux,
+    diameter,
+    heatFlux,
+    qualityIn = 0,
+    qualityOut = 1,
+    boilingHTC = null
+  } = params;
+  
+  const warnings = [];
+  const criticalHeatFlux = calculateCriticalHeatFlux(liquidProps, vaporProps);
+  const dryoutQuality = calculateDryoutQuality(liquidProps, vaporProps, massFlux, diameter, heatFlux);
+  if (criticalHeatFlux === null) {
+    warnings.push('缺少表面张力数据，无法计算临界热流密度和干涸干度');
+  }
+  
+  const heatFluxRatio = criticalHeatFlux ? heatFlux / criticalHeatFlux : null;
+  const chfExceeded = heatFluxRatio !== null && heatFluxRatio >= 1;
+  if (chfExceeded) {
+    warnings.push(`热流密度 ${(heatFlux / 1000).toFixed(1)} kW/m² 超过临界热流密度 ${(criticalHeatFlux / 1000).toFixed(1)} kW/m²，可能发生膜态沸腾`);
+  } else if (heatFluxRatio !== null && heatFluxRatio > 0.7) {
+    warnings.push(`热流密度已达临界热流密度的 ${(heatFluxRatio * 100).toFixed(0)}%，安全裕量不足`);
+  }
+  
+  // 干涸后区域：干度区间 [max(x_in, x_di), x_out]
+  const xLow = Math.min(qualityIn, qualityOut);
+  const xHigh = Math.max(qualityIn, qualityOut);
+  const dryoutReached = dryoutQuality !== null && xHigh > dryoutQuality;
+  let postDryoutFraction = 0;
+  let postDryoutHTC = null;
+  let cappedBoilingHTC = boilingHTC;
+  if (dryoutReached) {
+    const xStart = Math.max(xLow, dryoutQuality);
+    postDryoutFraction = xHigh > xLow ? (xHigh - xStart) / (xHigh - xLow) : 1;
+    postDryoutHTC = calculatePostDryoutHTC(liquidProps, vaporProps, (xStart + xHigh) / 2, massFlux, diameter);
+    if (boilingHTC !== null) {
+      cappedBoilingHTC = boilingHTC * (1 - postDryoutFraction) + Math.min(boilingHTC, postDryoutHTC) * postDryoutFraction;
+    }
+    warnings.push(`出口干度 ${xHigh.toFixed(2)} 超过干涸起始干度 ${dryoutQuality.toFixed(2)}，干涸后区域传热系数按雾状流 ${postDryoutHTC.toFixed(0)} W/m²·K 计`);
+  } else if (dryoutQuality !== null && xHigh > dryoutQuality - 0.05) {
+    warnings.push(`出口干度 ${xHigh.toFixed(2)} 接近干涸起始干度 ${dryoutQuality.toFixed(2)}`);
+  }
+  
+  return {
+    criticalHeatFlux: criticalHeatFlux,   // W/m²
+    heatFlux: heatFlux,                   // W/m²
+    heatFluxRatio: heatFluxRatio,
+    chfExceeded: chfExceeded,
+    dryoutQuality: dryoutQuality,
+    dryoutReached: dryoutReached,
+    postDryoutFraction: postDryoutFraction,
+    postDryoutHTC: postDryoutHTC,         // W/m²/K
+    boilingHTC: boilingHTC,               // W/m²/K
+    cappedBoilingHTC: cappedBoilingHTC,   // W/m²/K
+    safe: !chfExceeded && !dryoutReached,
+    warnings: warnings
+  };
+}
+
+/**
+ * ===== 校核计算（Rating Mode） =====
+ */
+
+/**
+ * 查询流体入口比焓（入口为两相或恰为饱和状态时按干度查询）
+ * @param {string} fluid - 工质名称
+ * @param {number} temperature - 入口温度 (°C)
+ * @param {number} pressure - 压力 (Pa)
+ * @param {number} state - 入口状态：0=液体，1=气体，0-1=两相（干度）
+ * @returns {Promise<number>} 比焓 (J/kg)
+ */
+async function getInletEnthalpy(fluid, temperature, pressure, state) {
+  if (state > 0 && state < 1) {
+    return await getProperty(fluid, 'H', 'P', pressure, 'Q', state);
+  }
+  try {
+    return await getEnthalpy(fluid, temperature + 273.15, pressure);
+  } catch (error) {
+    // 入口温度恰好等于饱和温度时 T-P 查询无法确定状态，改用饱和液/饱和汽
+    if (state === 0 || state === 1) {
+      return await getProperty(fluid, 'H', 'P', pressure, 'Q', state);
+    }
+    throw error;
+  }
+}
+
+/**
+ * 根据压力和比焓确定流体状态
+ * @param {string} fluid - 工质名称
+ * @param {number} pressure - 压力 (Pa)
+ * @param {number} enthalpy - 比焓 (J/kg)
+ * @returns {Promise<Object>} {temperature: 温度 (°C), quality: 干度（单相时为null）, state: 状态值（无法判断时为null）}
+ */
+async function getStateFromEnthalpy(fluid, pressure, enthalpy) {
+  const temperatureK = await getTemperatureFromPH(fluid, pressure, enthalpy);
+  let quality = null;
+  let state = null;
+  
+  try {
+    const hLiquid = await getProperty(fluid, 'H', 'P', pressure, 'Q', 0);
+    const hVapor = await getProperty(fluid, 'H', 'P', pressure, 'Q', 1);
+    if (enthalpy <= hLiquid) {
+      state = 0;
+    } else if (enthalpy >= hVapor) {
+      state = 1;
+    } else {
+      quality = (enthalpy - hLiquid) / (hVapor - hLiquid);
+      state = quality;
+    }
+  } catch (error) {
+    // 超临界压力或无饱和数据的工质（如空气），按单相处理
+  }
+  
+  return {
+    temperature: temperatureK - 273.15,
+    quality: quality,
+    state: state
+  };
+}
+
+/**
+ * 查询给定比焓下的流体状态和物性（两相区返回两相混合物性）
+ * @param {string} fluid - 工质名称
+ * @param {number} pressure - 压力 (Pa)
+ * @param {number} enthalpy - 比焓 (J/kg)
+ * @returns {Promise<Object>} {temperature (°C), quality, state, props}
+ */
+async function getLocalState(fluid, pressure, enthalpy) {
+  const localState = await getStateFromEnthalpy(fluid, pressure, enthalpy);
+  const props = localState.quality !== null
+    ? await getFluidPropertiesTwoPhase(fluid, localState.temperature + 273.15, pressure, localState.quality)
+    : await getFluidProperties(fluid, localState.temperature + 273.15, pressure);
+  return { ...localState, props };
+}
+
+/**
+ * 将 getLocalState 的结果整理为壁温粘度修正所需的流体参数（两相区不做粘度修正）
+ * @param {string} fluid - 工质名称
+ * @param {number} pressure - 压力 (Pa)
+ * @param {Object} localState - getLocalState 的返回值
+ * @returns {Object} {fluid, temperature (K), pressure (Pa), viscosity (Pa·s，两相区为 null)}
+ */
+function toViscosityStream(fluid, pressure, localState) {
+  return {
+    fluid: fluid,
+    temperature: localState.temperature + 273.15,
+    pressure: pressure,
+    viscosity: localState.quality === null ? localState.props.viscosity : null
+  };
+}
+
+/**
+ * 计算最大可能传热量：热流体冷却至冷流体入口温度，或冷流体加热至热流体入口温度
+ * @param {Object} hot - {fluid, tin (°C), enthalpyIn (J/kg), flowRate (kg/s), pressure (Pa)}
+ * @param {Object} cold - {fluid, tin (°C), enthalpyIn (J/kg), flowRate (kg/s), pressure (Pa)}
+ * @returns {Promise<number>} 最大可能传热量 (W)
+ */
+async function getMaximumHeatTransferRate(hot, cold) {
+  const [hotHLimit, coldHLimit] = await Promise.all([
+    getEnthalpy(hot.fluid, cold.tin + 273.15, hot.pressure),
+    getEnthalpy(cold.fluid, hot.tin + 273.15, cold.pressure)
+  ]);
+  return Math.min(
+    hot.flowRate * (hot.enthalpyIn - hotHLimit),
+    cold.flowRate * (coldHLimit - cold.enthalpyIn)
+  );
+}
+
+/**
+ * 校核计算：已知几何尺寸和进口条件，求解两侧出口温度
+ * 
+ * 以传热量 Q 为迭代变量，在 (0, Q_max) 区间内二分求解：
+ * 1. 由两侧能量平衡得到出口比焓，再由 P-h 查询出口温度和状态
+ * 2. 以两侧平均比焓下的物性计算总传热系数 U
+ * 3. 残差 = Q - U·A·LMTD，直到两侧能量平衡与传热方程一致
+ * 
+ * @param {Object} params - 计算参数
+ * @param {string} params.hotFluid - 热流体工质
+ * @param {number} params.hotTin - 热流体入口温度 (°C)
+ * @param {number} params.hotFlowRate - 热流体质量流量 (kg/s)
+ * @param {number} params.hotPressure - 热流体压力 (kPa)
+ * @param {number} params.hotStateIn - 热流体入口状态
+ * @param {string} params.coldFluid - 冷流体工质
+ * @param {number} params.coldTin - 冷流体入口温度 (°C)
+ * @param {number} params.coldFlowRate - 冷流体质量流量 (kg/s)
+ * @param {number} params.coldPressure - 冷流体压力 (kPa)
+ * @param {number} params.coldStateIn - 冷流体入口状态
+ * @param {string} params.hotFluidLocation - 'inner' 或 'outer'
+ * @param {string} params.flowType - 'counter' 或 'parallel'
+ * @param {number} params.area - 实际换热面积 (m²)
+ * @param {Object} params.geometry - {innerOuterDiameter, outerOuterDiameter, innerInnerDiameter, outerInnerDiameter, length}
+ * @param {number} params.givenU - 可选：给定的传热系数 (W/m²·K)
+ * @param {Object} params.correlationOptions - 可选：单相关联式 {inner, outer}
+ * @returns {Promise<Object>} 出口温度、出口状态、传热量 (W)、效能、NTU 及迭代信息
+ */
+export async function calculateRatingOutletTemperatures(params) {
+  const {
+    hotFluid,
+    hotTin,
+    hotFlowRate,
+    hotPressure,
+    hotStateIn = null,
+    coldFluid,
+    coldTin,
+    coldFlowRate,
+    coldPressure,
+    coldStateIn = null,
+    hotFluidLocation = 'inner',
+    flowType = 'counter',
+    area,
+    geometry,
+    isTwisted = false,
+    twistPitch = 0.0065,
+    twistLobeCount = 6,
+    twistToothHeight = 0.003,
+    innerTubeCount = 1,
+    wallThickness = null,
+    foulingInner = 0,
+    foulingOuter = 0,
+    tubeMaterial = 'stainless-steel-304',
+    givenU = null,
+    correlationOptions = {}
+  } = params;
+  
+  if (!area || area <= 0) {
+    throw new Error('校核计算需要有效的换热面积');
+  }
+  if (hotTin <= coldTin) {
+    throw new Error('校核计算要求热流体入口温度高于冷流体入口温度');
+  }
+  
+  const hotPressurePa = hotPressure * 1000;
+  const coldPressurePa = coldPressure * 1000;
+  
+  const [hotHIn, coldHIn] = await Promise.all([
+    getInletEnthalpy(hotFluid, hotTin, hotPressurePa, hotStateIn),
+    getInletEnthalpy(coldFluid, coldTin, coldPressurePa, coldStateIn)
+  ]);
+  
+  const Qmax = await getMaximumHeatTransferRate(
+    { fluid: hotFluid, tin: hotTin, enthalpyIn: hotHIn, flowRate: hotFlowRate, pressure: hotPressurePa },
+    { fluid: coldFluid, tin: coldTin, enthalpyIn: coldHIn, flowRate: coldFlowRate, pressure: coldPressurePa }
+  );
+  if (!isFinite(Qmax) || Qmax <= 0) {
+    throw new Error('校核计算失败：最大可能传热量无效，请检查进口温度和压力');
+  }
+  
+  const innerIsHot = hotFluidLocation !== 'outer';
+  
+  // 给定传热量下的出口状态与传热方程残差
+  const evaluate = async (Q) => {
+    const [hotOut, coldOut] = await Promise.all([
+      getStateFromEnthalpy(hotFluid, hotPressurePa, hotHIn - Q / hotFlowRate),
+      getStateFromEnthalpy(coldFluid, coldPressurePa, coldHIn + Q / coldFlowRate)
+    ]);
+    
+    let lmtd;
+    try {
+      lmtd = calculateLMTD(hotTin, hotOut.temperature, coldTin, coldOut.temperature, flowType);
+    } catch (error) {
+      // 出现温度交叉，说明假设的传热量过大
+      return { Q, hotOut, coldOut, lmtd: null, U: null, residual: Infinity };
+    }
+    
+    let U = givenU;
+    if (!givenU || givenU <= 0) {
+      const [hotMean, coldMean] = await Promise.all([
+        getLocalState(hotFluid, hotPressurePa, hotHIn - Q / (2 * hotFlowRate)),
+        getLocalState(coldFluid, coldPressurePa, coldHIn + Q / (2 * coldFlowRate))
+      ]);
+      const hotStream = toViscosityStream(hotFluid, hotPressurePa, hotMean);
+      const coldStream = toViscosityStream(coldFluid, coldPressurePa, coldMean);
+      const heatTransferResult = await calculateHeatTransferWithWallViscosity((options) => calculateOverallHeatTransferCoefficient(
+        innerIsHot ? hotMean.props : coldMean.props,  // 管内流体物性
+        innerIsHot ? coldMean.props : hotMean.props,  // 管外流体物性
+        geometry.innerOuterDiameter,
+        geometry.outerOuterDiameter,
+        geometry.innerInnerDiameter,
+        geometry.outerInnerDiameter,
+        innerIsHot ? hotFlowRate : coldFlowRate,
+        innerIsHot ? coldFlowRate : hotFlowRate,
+        geometry.length,
+        isTwisted,
+        twistPitch,
+        twistLobeCount,
+        innerTubeCount,
+        wallThickness,
+        foulingInner,
+        foulingOuter,
+        tubeMaterial,
+        twistToothHeight,
+        options
+      ), correlationOptions, {
+        inner: innerIsHot ? hotStream : coldStream,
+        outer: innerIsHot ? coldStream : hotStream
+      });
+      U = heatTransferResult.U;
+    }
+    
+    return { Q, hotOut, coldOut, lmtd, U, residual: Q - U * area * lmtd };
+  };
+  
+  const tolerance = 1e-4;
+  const maxIterations = 60;
+  let lower = 0;
+  let upper = Qmax;
+  let current = null;
+  let converged = false;
+  let iterations = 0;
+  
+  while (iterations < maxIterations) {
+    iterations++;
+    current = await evaluate((lower + upper) / 2);
+    if (current.residual > 0) {
+      upper = current.Q;
+    } else {
+      lower = current.Q;
+    }
+    if (Math.abs(current.residual) <= tolerance * current.Q || (upper - lower) <= tolerance * tolerance * Qmax) {
+      converged = true;
+      break;
+    }
+  }
+  
+  if (current.lmtd === null) {
+    throw new Error('校核计算失败：无法找到满足传热方程的出口温度');
+  }
+  if (!converged) {
+    console.warn(`[校核计算] ${maxIterations} 次迭代后未收敛，残差: ${current.residual.toFixed(2)} W`);
+  }
+  
+  const Q = current.Q;
+  const { hotOut, coldOut } = current;
+  
+  // 用两侧能量平衡复核传热量
+  let hotHeatTransferRate = null;
+  let coldHeatTransferRate = null;
+  let energyBalanceError = null;
+  try {
+    const inletPhase = (state) => (state > 0 && state < 1 ? 'twophase' : 'single');
+    const outletPhase = (out) => (out.quality !== null ? 'twophase' : 'single');
+    [hotHeatTransferRate, coldHeatTransferRate] = await Promise.all([
+      calculateHeatTransferRate(
+        hotFluid, hotTin, hotOut.temperature, hotFlowRate, hotPressure,
+        inletPhase(hotStateIn), outletPhase(hotOut),
+        inletPhase(hotStateIn) === 'twophase' ? hotStateIn : null, hotOut.quality
+      ),
+      calculateHeatTransferRate(
+        coldFluid, coldTin, coldOut.temperature, coldFlowRate, coldPressure,
+        inletPhase(coldStateIn), outletPhase(coldOut),
+        inletPhase(coldStateIn) === 'twophase' ? coldStateIn : null, coldOut.quality
+      )
+    ]);
+    // 冷流体吸热时 calculateHeatTransferRate 返回负值
+    coldHeatTransferRate = Math.abs(coldHeatTransferRate);
+    energyBalanceError = Math.max(
+      Math.abs(hotHeatTransferRate - Q),
+      Math.abs(coldHeatTransferRate - Q)
+    ) / Q * 100;
+  } catch (error) {
+    console.warn('[校核计算] 能量平衡复核失败:', error);
+  }
+  
+  // 效能和传热单元数（相变侧温度不变时热容量流率视为无穷大）
+  const capacityRate = (flowRate, deltaH, deltaT) =>
+    Math.abs(deltaT) > 1e-6 ? flowRate * Math.abs(deltaH / deltaT) : Infinity;
+  const Ch = capacityRate(hotFlowRate, Q / hotFlowRate, hotTin - hotOut.temperature);
+  const Cc = capacityRate(coldFlowRate, Q / coldFlowRate, coldOut.temperature - coldTin);
+  const Cmin = Math.min(Ch, Cc);
+  
+  return {
+    hotTout: hotOut.temperature,          // 热流体出口温度 (°C)
+    coldTout: coldOut.temperature,        // 冷流体出口温度 (°C)
+    hotStateOut: hotOut.state,            // 热流体出口状态
+    coldStateOut: coldOut.state,          // 冷流体出口状态
+    hotQualityOut: hotOut.quality,        // 热流体出口干度（单相时为null）
+    coldQualityOut: coldOut.quality,      // 冷流体出口干度（单相时为null）
+    heatTransferRate: Q,                  // 传热量 (W)
+    maxHeatTransferRate: Qmax,            // 最大可能传热量 (W)
+    effectiveness: Q / Qmax,              // 换热效能 ε
+    NTU: isFinite(Cmin) ? current.U * area / Cmin : null, // 传热单元数
+    U: current.U,                         // 收敛时的总传热系数 (W/m²·K)
+    area: area,                           // 换热面积 (m²)
+    lmtd: current.lmtd,                   // 对数平均温差 (°C)
+    hotHeatTransferRate: hotHeatTransferRate,   // 热流体侧能量平衡传热量 (W)
+    coldHeatTransferRate: coldHeatTransferRate, // 冷流体侧能量平衡传热量 (W)
+    energyBalanceError: energyBalanceError,     // 能量平衡偏差 (%)
+    iterations: iterations,
+    converged: converged
+  };
+}
+
+/**
+ * ===== 分段计算法（Segmented Marching Solver） =====
+ */
+
+/**
+ * 计算分段计算所需的流道几何参数（管内和环隙的总流通面积及水力直径）
+ * @param {Object} geometry - {innerOuterDiameter, innerInnerDiameter, outerInnerDiameter}
+ * @param {Object} options - {isTwisted, twistPitch, twistLobeCount, twistToothHeight, innerTubeCount, outerTubeCountPerPass}
+ * @returns {Object} {innerFlowArea, innerDiameter, annulusFlowArea, annulusDiameter}
+ */
+function getFlowPassageGeometry(geometry, options) {
+  const {
+    isTwisted = false,
+    twistPitch = 0.0065,
+    twistLobeCount = 6,
+    twistToothHeight = 0.003,
+    innerTubeCount = 1,
+    outerTubeCountPerPass = 1
+  } = options;
+  
+  let innerArea, innerDiameter, annulusArea, annulusDiameter;
+  if (isTwisted) {
+    const innerLobeSection = calculateLobeCrossSection(
+      geometry.innerInnerDiameter,
+      geometry.innerInnerDiameter - 2 * twistToothHeight,
+      twistLobeCount
+    );
+    const annulusGeometry = calculateAnnulusGeometry(
+      geometry.outerInnerDiameter,
+      geometry.innerOuterDiameter,
+      twistToothHeight,
+      twistLobeCount,
+      twistPitch
+    );
+    innerArea = innerLobeSection.area;
+    innerDiameter = innerLobeSection.equivalentDiameter;
+    annulusArea = annulusGeometry.annulusArea;
+    annulusDiameter = annulusGeometry.hydraulicDiameter;
+  } else {
+    innerArea = Math.PI * Math.pow(geometry.innerInnerDiameter / 2, 2);
+    innerDiameter = geometry.innerInnerDiameter;
+    annulusArea = Math.PI * (geometry.outerInnerDiameter * geometry.outerInnerDiameter
+                             - innerTubeCount * geometry.innerOuterDiameter * geometry.innerOuterDiameter) / 4;
+    annulusDiameter = calculateAnnulusEquivalentDiameter(geometry.outerInnerDiameter, geometry.innerOuterDiameter);
+  }
+  
+  return {
+    innerFlowArea: innerArea * innerTubeCount * outerTubeCountPerPass,  // 管内总流通面积 (m²)
+    innerDiameter: innerDiameter,                                       // 管内水力直径 (m)
+    annulusFlowArea: annulusArea * outerTubeCountPerPass,               // 环隙总流通面积 (m²)
+    annulusDiameter: annulusDiameter                                    // 环隙水力直径 (m)
+  };
+}
+
+/**
+ * 分区计算（蒸发三段、管内冷凝三段）的公共设置：流道几何、麻花管增强因子和中间热阻
+ *
+ * 与管外冷凝三段计算一致，麻花管增强因子只作用于环隙侧对流传热；
+ * 管内侧已按梅花截面当量直径计算，不再叠加增强因子。
+ *
+ * @param {Object} params - {geometry: {outerInnerDiameter, tubeOuterDiameter, tubeInnerDiameter, wallThickness},
+ *   isTwisted, twistPitch, twistLobeCount, twistToothHeight, innerTubeCount, outerTubeCountPerPass, tubeMaterial, foulingInner, foulingOuter}
+ * @returns {Object} {passage, enhancement: {inner, annulus}, R_middle (m²·K/W，管壁 + 污垢热阻)}
+ */
+function getZoneModelSetup(params) {
+  const {
+    geometry,
+    isTwisted = false,
+    twistPitch = 0.0065,
+    twistLobeCount = 6,
+    twistToothHeight = 0.003,
+    innerTubeCount = 1,
+    outerTubeCountPerPass = 1,
+    tubeMaterial = 'stainless-steel-304',
+    foulingInner = 0,
+    foulingOuter = 0
+  } = params;
+
+  const passage = getFlowPassageGeometry(
+    {
+      innerOuterDiameter: geometry.tubeOuterDiameter,
+      innerInnerDiameter: geometry.tubeInnerDiameter,
+      outerInnerDiameter: geometry.outerInnerDiameter
+    },
+    { isTwisted, twistPitch, twistLobeCount, twistToothHeight, innerTubeCount, outerTubeCountPerPass }
+  );
+
+  const annulusEnhancement = isTwisted
+    ? Math.min(2.5, Math.max(1.0, calculateTwistedTubeEnhancementFactor(twistPitch, geometry.tubeInnerDiameter, twistLobeCount)))
+    : 1.0;
+
+  // 管壁热阻（与管外冷凝三段计算相同的简化处理）
+  const tubeThermalConductivity = getMaterialThermalConductivity(tubeMaterial);
+  const wallThickness = geometry.wallThickness || 0.002; // 默认2mm
+  const meanDiameter = (geometry.tubeOuterDiameter + geometry.tubeInnerDiameter) / 2;
+  const R_wall = wallThickness / (tubeThermalConductivity * Math.PI * meanDiameter) * Math.PI * geometry.tubeOuterDiameter;
+
+  return {
+    passage: passage,
+    enhancement: { inner: 1.0, annulus: annulusEnhancement },
+    R_middle: R_wall + foulingInner + foulingOuter
+  };
+}
+
+/**
+ * 计算单个分段的压降（两相区按 calculateTwoPhasePressureDrop 计算摩擦和重力压降）
+ * @param {Object} props - 分段物性（两相时含 liquidProps/vaporProps/quality）
+ * @param {number} flowRate - 质量流量 (kg/s)
+ * @param {number} flowArea - 总流通面积 (m²)
+ * @param {number} diameter - 水力直径 (m)
+ * @param {number} cellLength - 分段长度 (m)
+ * @param {Function} frictionCorrection - 可选：单相摩擦系数修正（如麻花管修正）
+ * @param {Object} twoPhaseOptions - 可选：两相压降参数 {model, voidFractionModel, inclination}
+ * @returns {number} 压降 (Pa)
+ */
+function calculateCellPressureDrop(props, flowRate, flowArea, diameter, cellLength, frictionCorrection = null, twoPhaseOptions = {}) {
+  const massFlux = flowRate / flowArea;
+  if (props.liquidProps && props.vaporProps && props.quality > 0 && props.quality < 1) {
+    return calculateTwoPhasePressureDrop(
+      props.liquidProps, props.vaporProps, props.quality, massFlux, diameter, cellLength, 0.0001, twoPhaseOptions
+    ).pressureDrop;
+  }
+  
+  const velocity = massFlux / props.density;
+  const re = calculateReynoldsNumber(props.density, velocity, diameter, props.viscosity);
+  let frictionFactor = calculateFrictionFactor(re, 0.0001);
+  if (frictionCorrection) {
+    frictionFactor = frictionCorrection(frictionFactor);
+  }
+  return calculateInnerTubePressureDrop(
+    props.density, velocity, cellLength, diameter, re, 0.0001, 1, frictionFactor
+  ).pressureDrop;
+}
+
+/**
+ * 分段计算（有限体积推进法）
+ * 
+ * 将换热器沿流程分为 N 段，每段按当地温度/压力查询物性并计算当地 hi、ho、U，按比焓推进：
+ * - 校核模式（未给定 heatTransferRate）：每段面积相同，dQ = U·dA·ΔT（预估-校正）。
+ *   逆流时冷流体出口状态未知，以总传热量为打靶变量二分求解，直至冷流体在 x = L 处回到入口比焓。
+ * - 设计模式（给定 heatTransferRate）：两端状态已知，每段传热量相同，dA = dQ / (U·ΔTm)，
+ *   累积面积即为所需面积。
+ * 位置 x = 0 为热流体入口，压力沿各自流动方向按分段压降递减。
+ * 
+ * @param {Object} params - 计算参数（流体参数同 calculateRatingOutletTemperatures）
+ * @param {number} params.numCells - 分段数，默认40
+ * @param {number} params.heatTransferRate - 可选：给定传热量 (W)，给定时为设计模式
+ * @param {number} params.length - 单流程管长 (m)
+ * @param {number} params.passCount - 流程数量
+ * @param {number} params.outerTubeCountPerPass - 每流程外管数量
+ * @returns {Promise<Object>} 各节点/各分段数组（T、h、x、P、U、q″、ΔP）及汇总结果
+ */
+export async function calculateSegmentedHeatExchanger(params) {
+  const {
+    hotFluid,
+    hotTin,
+    hotFlowRate,
+    hotPressure,
+    hotStateIn = null,
+    coldFluid,
+    coldTin,
+    coldFlowRate,
+    coldPressure,
+    coldStateIn = null,
+    hotFluidLocation = 'inner',
+    flowType = 'counter',
+    area,
+    geometry,
+    length,
+    passCount = 1,
+    outerTubeCountPerPass = 1,
+    isTwisted = false,
+    twistPitch = 0.0065,
+    twistLobeCount = 6,
+    twistToothHeight = 0.003,
+    innerTubeCount = 1,
+    wallThickness = null,
+    foulingInner = 0,
+    foulingOuter = 0,
+    tubeMaterial = 'stainless-steel-304',
+    givenU = null,
+    correlationOptions = {},
+    twoPhasePressureDropModel = 'lockhart-martinelli',
+    voidFractionModel = 'zivi',
+    orientation = 'horizontal',
+    heatTransferRate = null,
+    onProgress = null,           // 进度回调 {stage, iteration, message}
+    numCells = 40
+  } = params;
+  
+  if (!area || area <= 0 || !length || length <= 0) {
+    throw new Error('分段计算需要有效的换热面积和管长');
+  }
+  if (hotTin <= coldTin) {
+    throw new Error('分段计算要求热流体入口温度高于冷流体入口温度');
+  }
+  
+  const isDutyMode = heatTransferRate !== null && heatTransferRate !== undefined;
+  const isCounterFlow = flowType !== 'parallel';
+  const totalLength = length * passCount;
+  const areaPerLength = area / totalLength; // 每米流程长度的换热面积 (m²/m)
+  const hotPressurePa = hotPressure * 1000;
+  const coldPressurePa = coldPressure * 1000;
+  
+  const [hotHIn, coldHIn] = await Promise.all([
+    getInletEnthalpy(hotFluid, hotTin, hotPressurePa, hotStateIn),
+    getInletEnthalpy(coldFluid, coldTin, coldPressurePa, coldStateIn)
+  ]);
+  
+  // 流道几何：热流体在管内时使用管内流道，否则使用环隙流道
+  const innerIsHot = hotFluidLocation !== 'outer';
+  const passage = getFlowPassageGeometry(geometry, {
+    isTwisted, twistPitch, twistLobeCount, twistToothHeight, innerTubeCount, outerTubeCountPerPass
+  });
+  const innerFrictionCorrection = isTwisted
+    ? (f) => calculateTwistedTubeFrictionFactor(f, twistPitch, passage.innerDiameter, twistLobeCount)
+    : null;
+  const hotPassage = innerIsHot
+    ? { area: passage.innerFlowArea, diameter: passage.innerDiameter, frictionCorrection: innerFrictionCorrection }
+    : { area: passage.annulusFlowArea, diameter: passage.annulusDiameter, frictionCorrection: null };
+  const coldPassage = innerIsHot
+    ? { area: passage.annulusFlowArea, diameter: passage.annulusDiameter, frictionCorrection: null }
+    : { area: passage.innerFlowArea, diameter: passage.innerDiameter, frictionCorrection: innerFrictionCorrection };
+  const hotTwoPhaseOptions = {
+    model: twoPhasePressureDropModel,
+    voidFractionModel,
+    inclination: getFlowInclination(orientation, innerIsHot, flowType)
+  };
+  const coldTwoPhaseOptions = {
+    model: twoPhasePressureDropModel,
+    voidFractionModel,
+    inclination: getFlowInclination(orientation, !innerIsHot, flowType)
+  };
+  
+  // 当地总传热系数
+  const getLocalU = async (hot, cold, hotP, coldP) => {
+    if (givenU && givenU > 0) {
+      return { U: givenU, hi: null, ho: null };
+    }
+    const hotStream = toViscosityStream(hotFluid, hotP, hot);
+    const coldStream = toViscosityStream(coldFluid, coldP, cold);
+    const result = await calculateHeatTransferWithWallViscosity((options) => calculateOverallHeatTransferCoefficient(
+      innerIsHot ? hot.props : cold.props,
+      innerIsHot ? cold.props : hot.props,
+      geometry.innerOuterDiameter,
+      geometry.outerOuterDiameter,
+      geometry.innerInnerDiameter,
+      geometry.outerInnerDiameter,
+      innerIsHot ? hotFlowRate : coldFlowRate,
+      innerIsHot ? coldFlowRate : hotFlowRate,
+      length,
+      isTwisted,
+      twistPitch,
+      twistLobeCount,
+      innerTubeCount,
+      wallThickness,
+      foulingInner,
+      foulingOuter,
+      tubeMaterial,
+      twistToothHeight,
+      options
+    ), correlationOptions, {
+      inner: innerIsHot ? hotStream : coldStream,
+      outer: innerIsHot ? coldStream : hotStream
+    });
+    return { U: result.U, hi: result.hi, ho: result.ho };
+  };
+  
+  // 对数平均温差（两端温差接近时退化为算术平均）
+  const meanTemperatureDifference = (dt1, dt2) => {
+    if (dt1 <= 0 || dt2 <= 0) return (dt1 + dt2) / 2;
+    return Math.abs(dt1 - dt2) < 1e-6 ? dt1 : (dt1 - dt2) / Math.log(dt1 / dt2);
+  };
+  
+  // 冷流体比焓沿 x 的变化方向：并流随 x 增加，逆流随 x 减小
+  const coldDirection = isCounterFlow ? -1 : 1;
+  
+  /**
+   * 从 x = 0 推进到 x = L
+   * @param {number} coldHStart - x = 0 处冷流体比焓（逆流为出口，并流为入口）
+   * @param {number} coldPressureDropEstimate - 逆流时冷流体总压降估计 (Pa)，用于确定 x = 0 处冷流体压力
+   */
+  let marchCount = 0;
+  const march = async (coldHStart, coldPressureDropEstimate) => {
+    marchCount++;
+    onProgress?.({ stage: 'segmented', iteration: marchCount, message: `分段计算：第 ${marchCount} 次沿程推进` });
+    const nodes = {
+      positions: [0],
+      hotH: [hotHIn],
+      coldH: [coldHStart],
+      hotP: [hotPressurePa],
+      coldP: [isCounterFlow ? coldPressurePa - coldPressureDropEstimate : coldPressurePa],
+      hotStates: [],
+      coldStates: []
+    };
+    const cells = { U: [], hi: [], ho: [], heatFlux: [], heatDuty: [], area: [], hotPressureDrop: [], coldPressureDrop: [] };
+    
+    for (let i = 0; i < numCells; i++) {
+      const hotP = nodes.hotP[i];
+      const coldP = nodes.coldP[i];
+      if (hotP <= 0.2 * hotPressurePa || coldP <= 0.2 * coldPressurePa) {
+        throw new Error('分段计算失败：压降过大，当地压力低于入口压力的20%');
+      }
+      
+      const [hot, cold] = await Promise.all([
+        getLocalState(hotFluid, hotP, nodes.hotH[i]),
+        getLocalState(coldFluid, coldP, nodes.coldH[i])
+      ]);
+      nodes.hotStates.push(hot);
+      nodes.coldStates.push(cold);
+      const local = await getLocalU(hot, cold, hotP, coldP);
+      const deltaTStart = hot.temperature - cold.temperature;
+      
+      // 给定传热量时的分段末端状态
+      const endStates = (dQ) => Promise.all([
+        getStateFromEnthalpy(hotFluid, hotP, nodes.hotH[i] - dQ / hotFlowRate),
+        getStateFromEnthalpy(coldFluid, coldP, nodes.coldH[i] + coldDirection * dQ / coldFlowRate)
+      ]);
+      
+      let dQ, dA;
+      if (isDutyMode) {
+        dQ = heatTransferRate / numCells;
+        const [hotEnd, coldEnd] = await endStates(dQ);
+        const deltaTMean = meanTemperatureDifference(deltaTStart, hotEnd.temperature - coldEnd.temperature);
+        if (deltaTMean <= 0) {
+          throw new Error(`分段计算失败：第 ${i + 1} 段出现温度交叉，请检查进出口温度`);
+        }
+        dA = dQ / (local.U * deltaTMean);
+      } else {
+        dA = area / numCells;
+        if (deltaTStart <= 0) {
+          dQ = 0;
+        } else {
+          // 预估-校正：以分段两端温差的平均值计算传热量
+          const dQPredicted = local.U * dA * deltaTStart;
+          const [hotEnd, coldEnd] = await endStates(dQPredicted);
+          const deltaTEnd = hotEnd.temperature - coldEnd.temperature;
+          dQ = Math.max(0, local.U * dA * (deltaTStart + deltaTEnd) / 2);
+        }
+      }
+      
+      const dx = dA / areaPerLength;
+      const hotDrop = calculateCellPressureDrop(hot.props, hotFlowRate, hotPassage.area, hotPassage.diameter, dx, hotPassage.frictionCorrection, hotTwoPhaseOptions);
+      const coldDrop = calculateCellPressureDrop(cold.props, coldFlowRate, coldPassage.area, coldPassage.diameter, dx, coldPassage.frictionCorrection, coldTwoPhaseOptions);
+      
+      cells.U.push(local.U);
+      cells.hi.push(local.hi);
+      cells.ho.push(local.ho);
+      cells.heatDuty.push(dQ);
+      cells.area.push(dA);
+      cells.heatFlux.push(dQ / dA);
+      cells.hotPressureDrop.push(hotDrop / 1000);
+      cells.coldPressureDrop.push(coldDrop / 1000);
+      
+      nodes.positions.push(nodes.positions[i] + dx);
+      nodes.hotH.push(nodes.hotH[i] - dQ / hotFlowRate);
+      nodes.coldH.push(nodes.coldH[i] + coldDirection * dQ / coldFlowRate);
+      nodes.hotP.push(hotP - hotDrop);
+      // 逆流时冷流体沿 -x 方向流动，沿 +x 方向压力升高
+      nodes.coldP.push(isCounterFlow ? coldP + coldDrop : coldP - coldDrop);
+    }
+    
+    const [hotEnd, coldEnd] = await Promise.all([
+      getStateFromEnthalpy(hotFluid, nodes.hotP[numCells], nodes.hotH[numCells]),
+      getStateFromEnthalpy(coldFluid, nodes.coldP[numCells], nodes.coldH[numCells])
+    ]);
+    nodes.hotStates.push(hotEnd);
+    nodes.coldStates.push(coldEnd);
+    
+    const coldPressureDrop = cells.coldPressureDrop.reduce((sum, value) => sum + value, 0) * 1000;
+    return { nodes, cells, coldPressureDrop };
+  };
+  
+  const Qmax = await getMaximumHeatTransferRate(
+    { fluid: hotFluid, tin: hotTin, enthalpyIn: hotHIn, flowRate: hotFlowRate, pressure: hotPressurePa },
+    { fluid: coldFluid, tin: coldTin, enthalpyIn: coldHIn, flowRate: coldFlowRate, pressure: coldPressurePa }
+  );
+  if (!isFinite(Qmax) || Qmax <= 0) {
+    throw new Error('分段计算失败：最大可能传热量无效，请检查进口温度和压力');
+  }
+  
+  let marchResult;
+  let iterations = 1;
+  let converged = true;
+  
+  if (isDutyMode) {
+    // 两端状态已知；逆流时按冷流体总压降修正 x = 0 处冷流体压力
+    const coldHStart = isCounterFlow ? coldHIn + heatTransferRate / coldFlowRate : coldHIn;
+    marchResult = await march(coldHStart, 0);
+    while (isCounterFlow && iterations < 5) {
+      const previousDrop = marchResult.coldPressureDrop;
+      iterations++;
+      marchResult = await march(coldHStart, previousDrop);
+      if (Math.abs(marchResult.coldPressureDrop - previousDrop) <= Math.max(10, 0.01 * previousDrop)) break;
+    }
+  } else if (!isCounterFlow) {
+    marchResult = await march(coldHIn, 0);
+  } else {
+    // 逆流打靶：以总传热量 Q 为变量，冷流体在 x = L 处应回到入口比焓
+    const tolerance = 1e-3;
+    const maxIterations = 40;
+    let lower = 0;
+    let upper = Qmax;
+    let coldPressureDropEstimate = 0;
+    converged = false;
+    iterations = 0;
+    
+    while (iterations < maxIterations) {
+      iterations++;
+      const Q = (lower + upper) / 2;
+      marchResult = await march(coldHIn + Q / coldFlowRate, coldPressureDropEstimate);
+      coldPressureDropEstimate = marchResult.coldPressureDrop;
+      
+      // 残差 > 0：假设的冷流体出口比焓过高，即假设的传热量过大
+      const residual = (marchResult.nodes.coldH[numCells] - coldHIn) * coldFlowRate;
+      if (residual > 0) {
+        upper = Q;
+      } else {
+        lower = Q;
+      }
+      if (Math.abs(residual) <= tolerance * Q || (upper - lower) <= 1e-6 * Qmax) {
+        converged = true;
+        break;
+      }
+    }
+    if (!converged) {
+      console.warn(`[分段计算] 逆流边界打靶 ${maxIterations} 次后未收敛`);
+    }
+  }
+  
+  const { nodes, cells } = marchResult;
+  const Q = cells.heatDuty.reduce((sum, value) => sum + value, 0);
+  const totalArea = cells.area.reduce((sum, value) => sum + value, 0);
+  const hotOut = nodes.hotStates[numCells];
+  // 冷流体出口：逆流在 x = 0，并流在 x = L
+  const coldOut = isCounterFlow ? nodes.coldStates[0] : nodes.coldStates[numCells];
+  
+  // 效能与 NTU：以两侧有效热容量（Q/ΔT）的较小值作为 Cmin，相变侧 ΔT → 0 时 C → ∞
+  const UA = cells.U.reduce((sum, value, i) => sum + value * cells.area[i], 0);
+  const hotDeltaT = hotTin - hotOut.temperature;
+  const coldDeltaT = coldOut.temperature - coldTin;
+  const Cmin = Math.min(
+    hotDeltaT > 1e-6 ? Q / hotDeltaT : Infinity,
+    coldDeltaT > 1e-6 ? Q / coldDeltaT : Infinity
+  );
+  
+  return {
+    method: 'segmented',
+    mode: isDutyMode ? 'duty' : 'rating',
+    flowType: flowType,
+    numCells: numCells,
+    totalLength: nodes.positions[numCells],                  // 推进总长度 (m)
+    // 节点数组（N + 1 个）
+    positions: nodes.positions,                               // 位置 (m)
+    hotTemperatures: nodes.hotStates.map(st => st.temperature),   // 热流体温度 (°C)
+    coldTemperatures: nodes.coldStates.map(st => st.temperature), // 冷流体温度 (°C)
+    hotEnthalpies: nodes.hotH,                                // 热流体比焓 (J/kg)
+    coldEnthalpies: nodes.coldH,                              // 冷流体比焓 (J/kg)
+    hotQualities: nodes.hotStates.map(st => st.quality),      // 热流体干度（单相为null）
+    coldQualities: nodes.coldStates.map(st => st.quality),    // 冷流体干度（单相为null）
+    hotPressures: nodes.hotP.map(value => value / 1000),      // 热流体压力 (kPa)
+    coldPressures: nodes.coldP.map(value => value / 1000),    // 冷流体压力 (kPa)
+    // 分段数组（N 个）
+    cellU: cells.U,                                           // 当地总传热系数 (W/m²·K)
+    cellHi: cells.hi,                                         // 当地管内传热系数 (W/m²·K)
+    cellHo: cells.ho,                                         // 当地管外传热系数 (W/m²·K)
+    cellHeatFlux: cells.heatFlux,                             // 当地热流密度 q″ (W/m²)
+    cellHeatDuty: cells.heatDuty,                             // 分段传热量 (W)
+    cellArea: cells.area,                                     // 分段换热面积 (m²)
+    cellHotPressureDrop: cells.hotPressureDrop,               // 热流体分段压降 (kPa)
+    cellColdPressureDrop: cells.coldPressureDrop,             // 冷流体分段压降 (kPa)
+    // 汇总
+    heatTransferRate: Q,                                      // 传热量 (W)
+    area: totalArea,                                          // 换热面积 (m²)，设计模式下为所需面积
+    requiredArea: isDutyMode ? totalArea : null,
+    maxHeatTransferRate: Qmax,                                // 最大可能传热量 (W)
+    effectiveness: Q / Qmax,
+    NTU: isFinite(Cmin) ? UA / Cmin : null,
+    hotTout: hotOut.temperature,
+    coldTout: coldOut.temperature,
+    hotStateOut: hotOut.state,
+    coldStateOut: coldOut.state,
+    hotPressureDrop: cells.hotPressureDrop.reduce((sum, value) => sum + value, 0),   // kPa
+    coldPressureDrop: cells.coldPressureDrop.reduce((sum, value) => sum + value, 0), // kPa
+    iterations: iterations,
+    converged: converged
+  };
+}
+
+/**
+ * 计算失败时的返回值（参数扫描、优化和不确定度分析按 success 字段逐点判断）
+ * @param {Error} error - 错误对象
+ * @returns {Object} {schemaVersion, success: false, error}
+ */
+function createCalculationFailure(error) {
+  console.error('换热器计算失败:', error);
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    success: false,
+    error: error.message
+  };
+}
+
+/**
+ * 套管换热器完整计算
+ * 入口先将旧版本参数迁移到当前模式版本并按 INPUT_SCHEMA 校验（见 schema.js），
+ * 校验失败与计算失败一样返回 {success: false, error}
+ * @param {Object} input - 计算参数
+ * @returns {Promise<Object>} 计算结果（符合 RESULT_SCHEMA，带 schemaVersion）
+ */
+export async function calculateHeatExchanger(input) {
+  let params;
+  try {
+    params = migrateCalculationInput(input);
+    validateCalculationInput(params);
+  } catch (error) {
+    return createCalculationFailure(error);
+  }
+  const {
+    inputMode = 'flowrate', // 'flowrate'、'load' 或 'rating'（校核计算）
+    heatLoad = null,        // 负荷输入法时的传热量 (kW)
+    hotFluid: hotFluidId,   // 工质ID；二次冷媒（见 fluids.js）按浓度转换为 INCOMP 流体字符串
+    hotConcentration = null, // 二次冷媒质量分数 (0-1)，为空时使用默认浓度
+    hotTin,
+    hotTout,
+    hotFlowRate,
+    hotPressure = null,     // 压力 (kPa) - 必须输入
+    hotProcessType = 'cooling',  // 'cooling'（冷却）, 'condensation'（冷凝）, 'supercritical'（超临界气体冷却）
+    hotStateIn: hotStateInInput = null,   // 入口状态：0=液体，1=气体，0-1=两相（干度）；超临界气体冷却时忽略
+    hotStateOut: hotStateOutInput = null, // 出口状态：0=液体，1=气体，0-1=两相（干度）；超临界气体冷却时忽略
+    coldFluid: coldFluidId,
+    coldConcentration = null, // 二次冷媒质量分数 (0-1)，为空时使用默认浓度
+    coldTin,
+    coldTout,
+    coldFlowRate,
+    coldPressure = null,    // 压力 (kPa) - 如果为null，将从饱和温度计算
+    coldProcessType = 'cooling',  // 'cooling'（加热）, 'evaporation'（蒸发）
+    coldStateIn = null,     // 入口状态：0=液体，1=气体，0-1=两相（干度）
+    coldStateOut = null,    // 出口状态：0=液体，1=气体，0-1=两相（干度）
+    coldSaturationTemp = null, // 饱和温度 (°C) - 用于计算压力
+    innerDiameter, // 内管外径（用于传热面积）
+    outerDiameter, // 外管外径（用于传热面积）
+    innerInnerDiameter, // 内管内径（用于流速计算）
+    outerInnerDiameter, // 外管内径（用于环形空间计算）
+    length,
+    flowType,
+    givenU, // 可选：给定的传热系数
+    innerTubeCount = 1, // 内管数量
+    innerTubeType = 'smooth', // 内管类型：'smooth' 或 'twisted'
+    isTwisted = false, // 是否为麻花管（从innerTubeType推导）
+    twistPitch = 0.0065, // 螺旋节距/齿距 (m)，默认6.5mm
+    twistLobeCount = 6, // 麻花管头数（瓣数），默认6头
+    twistToothHeight = 0.003, // 齿高 (m)，默认3mm
+    twistWallThickness = null, // 麻花管壁厚（null表示使用内管壁厚）
+    twistOuterDiameter = null, // 麻花管外径（null表示使用外管内径，贴合状态）
+    innerWallThickness = null, // 内管壁厚 (m)
+    outerWallThickness = null, // 外管壁厚 (m)
+    tubeMaterial = 'stainless-steel-304',  // 内管材质ID
+    foulingInner = 0,  // 管内污垢热阻 (m²·K/W)
+    foulingOuter = 0,  // 管外污垢热阻 (m²·K/W)
+    passCount = 1, // 流程数量
+    outerTubeCountPerPass = 1, // 每流程外管数量
+    hotFluidLocation = 'inner',  // 'inner' 或 'outer' - 热流体在管内或管外
+    solverMethod = 'lumped',     // 'lumped'（平均物性法）或 'segmented'（分段计算法）
+    segmentCount = 40,           // 分段计算法的分段数
+    boilingCorrelation = 'chen', // 蒸发三段计算法沸腾段关联式：'chen' 或 'gungor-winterton'
+    innerCorrelation = 'default', // 管内单相关联式ID（见 correlations.js）
+    outerCorrelation = 'default', // 环隙单相关联式ID（见 correlations.js）
+    twoPhasePressureDropModel = 'lockhart-martinelli', // 两相摩擦压降模型：'lockhart-martinelli'、'friedel'、'muller-steinhagen-heck'
+    voidFractionModel = 'zivi',   // 空泡率模型：'zivi' 或 'rouhani-axelsson'
+    orientation = 'horizontal',   // 布置方式（管内流体流向）：'horizontal'、'vertical-up'、'vertical-down'
+    couplePressureDropSaturation = false, // 相变侧饱和温度是否随压降下降（平均物性法修正平均温差）
+    saturationDropWarningThreshold = 1,   // 压降引起饱和温度下降的报警阈值 (K)
+    supercriticalCorrelation = 'pitla',   // 超临界气体冷却传热关联式：'pitla' 或 'dang-hihara'
+    onProgress = null                     // 进度回调 {stage, iteration, message}（分段计算法时调用）
+  } = params;
+  const correlationOptions = { inner: innerCorrelation, outer: outerCorrelation };
+  
+  // 超临界气体冷却：压力高于临界压力时不存在饱和状态和干度，热流体按单相（气相区物性）处理
+  const isSupercritical = hotProcessType === 'supercritical';
+  const hotStateIn = isSupercritical ? 1 : hotStateInInput;
+  const hotStateOut = isSupercritical ? 1 : hotStateOutInput;
+  
+  // 将状态值转换为相态和干度（如果提供了状态值）
+  // 状态值：0=液体，1=气体，0-1=两相（干度值）
+  const convertStateToPhase = (state) => {
+    if (state === null || state === undefined) return { phase: 'single', quality: null };
+    if (state === 0) return { phase: 'single', quality: null }; // 液体
+    if (state === 1) return { phase: 'single', quality: null }; // 气体
+    if (state > 0 && state < 1) return { phase: 'twophase', quality: state }; // 两相，状态值即为干度
+    return { phase: 'single', quality: null };
+  };
+  
+  // 转换热流体状态值（旧版本的相态参数已在 migrateCalculationInput 中转换为状态值）
+  // 注意：对于冷凝/蒸发过程，如果状态值从1→0或0→1，虽然入口和出口都是单相，但过程中有相变，需要按两相流处理
+  const hotPhaseInConverted = convertStateToPhase(hotStateIn);
+  const hotPhaseOutConverted = convertStateToPhase(hotStateOut);
+  
+  // 如果入口和出口状态值都是0或1，但过程类型是冷凝/蒸发，说明有相变
+  // 需要将其中一个改为twophase，并设置平均干度
+  const hotHasPhaseChange = (hotStateIn === 1 && hotStateOut === 0) || (hotStateIn === 0 && hotStateOut === 1);
+  if (hotProcessType === 'condensation' && hotHasPhaseChange) {
+    // 冷凝过程：气体→液体，入口为twophase（干度接近1），出口为twophase（干度接近0）
+    // 为了压降计算，我们将入口和出口都标记为twophase，并使用平均干度
+    hotPhaseInConverted.phase = 'twophase';
+    hotPhaseInConverted.quality = hotStateIn === 1 ? 0.95 : (hotStateIn === 0 ? 0.05 : 0.5); // 接近入口状态
+    hotPhaseOutConverted.phase = 'twophase';
+    hotPhaseOutConverted.quality = hotStateOut === 1 ? 0.95 : (hotStateOut === 0 ? 0.05 : 0.5); // 接近出口状态
+  }
+  
+  // 转换冷流体状态值
+  // 注意：对于蒸发过程，如果状态值从0→1，虽然入口和出口都是单相，但过程中有相变，需要按两相流处理
+  const coldPhaseInConverted = convertStateToPhase(coldStateIn);
+  const coldPhaseOutConverted = convertStateToPhase(coldStateOut);
+  
+  // 如果入口和出口状态值都是0或1，但过程类型是蒸发，说明有相变
+  // 需要将其中一个改为twophase，并设置平均干度
+  const coldHasPhaseChange = (coldStateIn === 0 && coldStateOut === 1) || (coldStateIn === 1 && coldStateOut === 0);
+  if (coldProcessType === 'evaporation' && coldHasPhaseChange) {
+    // 蒸发过程：液体→气体，入口为twophase（干度接近0），出口为twophase（干度接近1）
+    // 为了压降计算，我们将入口和出口都标记为twophase，并使用平均干度
+    coldPhaseInConverted.phase = 'twophase';
+    coldPhaseInConverted.quality = coldStateIn === 1 ? 0.95 : (coldStateIn === 0 ? 0.05 : 0.5); // 接近入口状态
+    coldPhaseOutConverted.phase = 'twophase';
+    coldPhaseOutConverted.quality = coldStateOut === 1 ? 0.95 : (coldStateOut === 0 ? 0.05 : 0.5); // 接近出口状态
+  }
+  
+  // 直接使用输入的压力（不再从饱和温度计算）；压力的有效性在下文 try 块中检查
+  const actualHotPressure = hotPressure;
+  const actualColdPressure = coldPressure;
+  
+  // 确保isTwisted与innerTubeType一致
+  const actualIsTwisted = innerTubeType === 'twisted' || isTwisted;
+  
+  // 考虑内管与外管之间的安装间隙
+  // 一般内管外径与外管内径之间有0.5mm的间隙（单边），即总间隙为1mm
+  const installationGap = 0.0005; // 0.5mm 单边间隙 (m)
+  const totalGap = 2 * installationGap; // 1mm 总间隙 (m)
+  
+  // 实际用于计算的外管内径 = 内管外径 + 总间隙
+  // 这样可以确保环形空间计算时考虑了安装间隙
+  const effectiveOuterInnerDiameter = innerDiameter + totalGap;
+  
+  // 计算外管名义内径
+  // 外管名义内径 = 外管外径 - 2 × 外管壁厚
+  const outerInnerDiameterNominal = outerDiameter - 2 * (outerWallThickness || (outerDiameter - outerInnerDiameter) / 2);
+  
+  // 麻花管模式下，确定实际的几何参数
+  let actualInnerOuterDiameter = innerDiameter; // 用于传热面积（内管外径）
+  let actualInnerInnerDiameter = innerInnerDiameter; // 用于流速计算
+  
+  if (actualIsTwisted) {
+    // 麻花管外径 = 外管名义内径（两者相等）
+    actualInnerOuterDiameter = outerInnerDiameterNominal;
+    // 麻花管内径 = 外径 - 2×壁厚
+    const wallThickness = twistWallThickness || (innerDiameter - innerInnerDiameter) / 2;
+    actualInnerInnerDiameter = actualInnerOuterDiameter - 2 * wallThickness;
+  }
+  
+  // 使用有效外管内径（考虑间隙）进行环形空间计算
+  // 外管内径 = 外管名义内径 + 1mm安装间隙
+  // 对于麻花管：麻花管外径 = 外管名义内径（两者相等）
+  // 对于直管：外管内径 = 内管外径 + 安装间隙
+  const annulusOuterInnerDiameter = actualIsTwisted
     ? outerInnerDiameterNominal + totalGap  // 麻花管：外管名义内径 + 1mm安装间隙
     : actualInnerOuterDiameter + totalGap;  // 直管：内管外径 + 1mm安装间隙
 
-  try {
+  // 传热计算使用的内管壁厚：未给定 innerWallThickness 时由内外径差计算，麻花管优先使用 twistWallThickness
+  const baseInnerWallThickness = innerWallThickness > 0 ? innerWallThickness : (innerDiameter - innerInnerDiameter) / 2;
+  const tubeWallThickness = actualIsTwisted ? (twistWallThickness || baseInnerWallThickness) : baseInnerWallThickness;
+
+  // 分区计算（三段计算法、超临界推进计算）共用的几何参数
+  const zoneGeometry = {
+    outerInnerDiameter: annulusOuterInnerDiameter,
+    tubeOuterDiameter: actualInnerOuterDiameter,
+    tubeInnerDiameter: actualInnerInnerDiameter,
+    wallThickness: tubeWallThickness
+  };
+  // 单位流程长度的换热面积（与下文实际面积计算一致）
+  const zoneAreaPerLength = (actualIsTwisted
+    ? calculateTwistedTubeArea(actualInnerOuterDiameter, actualInnerInnerDiameter, 1, twistPitch, twistLobeCount)
+    : Math.PI * actualInnerOuterDiameter * innerTubeCount) * outerTubeCountPerPass;
+
+  try {
+    if (!hotPressure || hotPressure <= 0) {
+      throw new Error('热流体压力必须输入且大于0');
+    }
+    if (!coldPressure || coldPressure <= 0) {
+      throw new Error('冷流体压力必须输入且大于0');
+    }
+    
+    if (isSupercritical) {
+      const hotCriticalPressure = await getProperty(hotFluidId, 'PCRIT', 'T', hotTin + 273.15, 'P', actualHotPressure * 1000);
+      if (actualHotPressure * 1000 <= hotCriticalPressure) {
+        throw new Error(`超临界气体冷却模式要求热流体压力高于临界压力 ${(hotCriticalPressure / 1000).toFixed(1)} kPa，当前压力 ${actualHotPressure.toFixed(1)} kPa`);
+      }
+    }
+    
+    // 二次冷媒和自定义流体只有液相物性，冷却/加热以外的过程（冷凝、超临界气体冷却、蒸发）均不适用
+    const hotHasPhaseChangeProcess = hotProcessType !== 'cooling';
+    const coldHasPhaseChangeProcess = coldProcessType !== 'cooling';
+    
+    // 自定义流体（物性表）：检查温度在表格范围内、工作压力能保持液相
+    validateCustomFluidConditions(hotFluidId, {
+      temperatures: [hotTin, hotTout],
+      pressure: actualHotPressure * 1000,
+      hasPhaseChange: hotHasPhaseChangeProcess
+    });
+    validateCustomFluidConditions(coldFluidId, {
+      temperatures: [coldTin, coldTout],
+      pressure: actualColdPressure * 1000,
+      hasPhaseChange: coldHasPhaseChangeProcess
+    });
+    
+    // 二次冷媒（乙二醇、盐水、导热油等）：生成 INCOMP 流体字符串，并校验浓度、冰点和最高使用温度
+    const hotFluid = await resolveSecondaryFluid(hotFluidId, {
+      concentration: hotConcentration,
+      temperatures: [hotTin, hotTout],
+      pressure: actualHotPressure * 1000,
+      hasPhaseChange: hotHasPhaseChangeProcess
+    });
+    const coldFluid = await resolveSecondaryFluid(coldFluidId, {
+      concentration: coldConcentration,
+      temperatures: [coldTin, coldTout],
+      pressure: actualColdPressure * 1000,
+      hasPhaseChange: coldHasPhaseChangeProcess
+    });
+    
+    // 如果热流体在管外，交换热流体和冷流体的参数（用于内部计算）
+    // 但保持原始参数以便最终结果显示
+    let calcHotFluid = hotFluid;
+    let calcHotTin = hotTin;
+    let calcHotTout = hotTout;
+    let calcHotFlowRate = hotFlowRate;
+    let calcHotPressure = actualHotPressure;
+    let calcHotPhaseIn = hotPhaseInConverted.phase;
+    let calcHotPhaseOut = hotPhaseOutConverted.phase;
+    let calcHotQualityIn = hotPhaseInConverted.quality;
+    let calcHotQualityOut = hotPhaseOutConverted.quality;
+    let calcColdFluid = coldFluid;
+    let calcColdTin = coldTin;
+    let calcColdTout = coldTout;
+    let calcColdFlowRate = coldFlowRate;
+    let calcColdPressure = actualColdPressure;
+    let calcColdPhaseIn = coldPhaseInConverted.phase;
+    let calcColdPhaseOut = coldPhaseOutConverted.phase;
+    let calcColdQualityIn = coldPhaseInConverted.quality;
+    let calcColdQualityOut = coldPhaseOutConverted.quality;
+    
+    // 创建可交换的过程类型变量
+    let calcHotProcessType = hotProcessType;
+    let calcColdProcessType = coldProcessType;
+    
+    if (hotFluidLocation === 'outer') {
+      // 交换参数：计算时将热流体当作管内流体，冷流体当作管外流体
+      [calcHotFluid, calcColdFluid] = [calcColdFluid, calcHotFluid];
+      [calcHotTin, calcColdTin] = [calcColdTin, calcHotTin];
+      [calcHotTout, calcColdTout] = [calcColdTout, calcHotTout];
+      [calcHotFlowRate, calcColdFlowRate] = [calcColdFlowRate, calcHotFlowRate];
+      [calcHotPressure, calcColdPressure] = [calcColdPressure, calcHotPressure];
+      [calcHotPhaseIn, calcColdPhaseIn] = [calcColdPhaseIn, calcHotPhaseIn];
+      [calcHotPhaseOut, calcColdPhaseOut] = [calcColdPhaseOut, calcHotPhaseOut];
+      [calcHotQualityIn, calcColdQualityIn] = [calcColdQualityIn, calcHotQualityIn];
+      [calcHotQualityOut, calcColdQualityOut] = [calcColdQualityOut, calcHotQualityOut];
+      // 交换过程类型
+      [calcHotProcessType, calcColdProcessType] = [calcColdProcessType, calcHotProcessType];
+    }
+    
+    if (inputMode === 'rating') {
+      // 校核计算：先由几何尺寸和进口条件求出口温度，再按流量输入法完成其余计算
+      if (!hotFlowRate || hotFlowRate <= 0) {
+        throw new Error('校核计算模式下，热流体流量必须大于0');
+      }
+      if (!coldFlowRate || coldFlowRate <= 0) {
+        throw new Error('校核计算模式下，冷流体流量必须大于0');
+      }
+      
+      // 实际换热面积（与下文面积计算一致）
+      const ratingSingleTubeArea = actualIsTwisted
+        ? calculateTwistedTubeArea(actualInnerOuterDiameter, actualInnerInnerDiameter, length, twistPitch, twistLobeCount)
+        : Math.PI * actualInnerOuterDiameter * length * innerTubeCount;
+      
+      const ratingParams = {
+        hotFluid,
+        hotTin,
+        hotFlowRate,
+        hotPressure: actualHotPressure,
+        hotStateIn,
+        coldFluid,
+        coldTin,
+        coldFlowRate,
+        coldPressure: actualColdPressure,
+        coldStateIn,
+        hotFluidLocation,
+        flowType,
+        area: ratingSingleTubeArea * passCount * outerTubeCountPerPass,
+        geometry: {
+          innerOuterDiameter: actualInnerOuterDiameter,
+          outerOuterDiameter: outerDiameter,
+          innerInnerDiameter: actualInnerInnerDiameter,
+          outerInnerDiameter: annulusOuterInnerDiameter,
+          length: length
+        },
+        isTwisted: actualIsTwisted,
+        twistPitch,
+        twistLobeCount,
+        twistToothHeight,
+        innerTubeCount,
+        wallThickness: tubeWallThickness,
+        foulingInner,
+        foulingOuter,
+        tubeMaterial,
+        givenU,
+        correlationOptions,
+        twoPhasePressureDropModel,
+        voidFractionModel,
+        orientation
+      };
+      // 由校核出口温度按流量输入法完成其余计算
+      const runFlowrateCalculation = (ratingResult) => calculateHeatExchanger({
+        ...params,
+        inputMode: 'flowrate',
+        hotTout: ratingResult.hotTout,
+        coldTout: ratingResult.coldTout,
+        hotStateOut: ratingResult.hotStateOut ?? hotStateOut,
+        coldStateOut: ratingResult.coldStateOut ?? coldStateOut
+      });
+
+      let ratingResult;
+      let result;
+      if (solverMethod === 'segmented') {
+        ratingResult = await calculateSegmentedHeatExchanger({
+          ...ratingParams,
+          length,
+          passCount,
+          outerTubeCountPerPass,
+          numCells: segmentCount,
+          onProgress
+        });
+        result = await runFlowrateCalculation(ratingResult);
+      } else {
+        // 平均物性法：完整计算报告的 U（可能含三段法、壁温修正）与二分求解所用的 U 不同，
+        // 将报告的 U 回代二分求解，直至两者一致，保证结果中的 U、NTU 与出口温度自洽
+        const maxCouplingIterations = 8;
+        let couplingU = givenU;
+        let couplingConverged = false;
+        let couplingIterations = 0;
+        while (couplingIterations < maxCouplingIterations) {
+          couplingIterations++;
+          ratingResult = await calculateRatingOutletTemperatures({ ...ratingParams, givenU: couplingU });
+          result = await runFlowrateCalculation(ratingResult);
+          if (!result.success) {
+            return result;
+          }
+          const reportedU = result.overallHeatTransferCoefficient;
+          if (Math.abs(reportedU - ratingResult.U) <= 1e-3 * reportedU) {
+            couplingConverged = true;
+            break;
+          }
+          couplingU = reportedU;
+        }
+        if (!couplingConverged) {
+          console.warn(`[校核计算] 传热系数回代 ${maxCouplingIterations} 次后未收敛，报告 U: ${result.overallHeatTransferCoefficient.toFixed(1)} W/m²·K，求解 U: ${ratingResult.U.toFixed(1)} W/m²·K`);
+        }
+        ratingResult = {
+          ...ratingResult,
+          couplingIterations: couplingIterations,  // 传热系数回代次数
+          couplingConverged: couplingConverged     // 报告 U 与求解 U 是否一致
+        };
+      }
+      console.log(`[校核计算] 热流体出口: ${ratingResult.hotTout.toFixed(2)} °C, 冷流体出口: ${ratingResult.coldTout.toFixed(2)} °C, 迭代 ${ratingResult.iterations} 次`);
+
+      if (!result.success) {
+        return result;
+      }
+      return {
+        ...result,
+        inputMode: 'rating',
+        ratingResult: ratingResult  // 校核计算结果（出口温度、效能、NTU）
+      };
+    }
+    
     // 1. 根据输入模式计算传热量和流量
     let Q; // 传热量 (W)
     // 使用计算用的参数（如果热流体在管外，已经交换过）
@@ -2525,9 +5320,12 @@ export async function calculateHeatExchanger(params) {
     // 3. 计算传热系数和阻力损失
     let U;
     let innerPressureDrop = null;
+    let innerTwoPhaseStream = null;    // 管内两相压降的计算输入（用于流型图）
+    let annulusTwoPhaseStream = null;  // 环隙两相压降的计算输入（用于流型图）
     let annulusPressureDrop = null;
     let innerFrictionFactor = null;
     let annulusFrictionFactor = null;
+    let innerTubeVelocity = null;  // 管内流速 (m/s)
     let hotProps = null;
     let coldProps = null;
     
@@ -2616,21 +5414,6 @@ export async function calculateHeatExchanger(params) {
         try {
           console.log('[三段计算法] 检测到管外冷凝工况，使用三段计算法');
           
-          // 确定使用的壁厚
-          let actualInnerWallThickness = innerWallThickness;
-          if (!actualInnerWallThickness || actualInnerWallThickness <= 0) {
-            actualInnerWallThickness = (innerDiameter - innerInnerDiameter) / 2;
-          }
-          const wallThickness = actualIsTwisted ? (twistWallThickness || actualInnerWallThickness) : actualInnerWallThickness;
-          
-          // 准备几何参数
-          const geometry = {
-            outerInnerDiameter: annulusOuterInnerDiameter,
-            tubeOuterDiameter: actualInnerOuterDiameter,
-            tubeInnerDiameter: actualInnerInnerDiameter,
-            wallThickness: wallThickness
-          };
-          
           // 计算增强因子（基于麻花管参数或使用默认值）
           let enhancementFactors = {
             desup: 1.8,
@@ -2673,12 +5456,15 @@ export async function calculateHeatExchanger(params) {
             pressure: actualHotPressure * 1000,
             tempIn: hotTin + 273.15,
             tempOut: hotTout + 273.15,
-            geometry: geometry,
+            geometry: zoneGeometry,
             waterInTemp: coldTin + 273.15,
             waterFlowRate: actualColdFlowRate,
             enhancementFactors: enhancementFactors,
             flowType: flowType,
             waterProps: waterProps_condenser,
+            waterFluid: coldFluid,
+            waterPressure: actualColdPressure * 1000,
+            correlationOptions: correlationOptions,
             tubeMaterial: tubeMaterial,
             foulingInner: foulingInner,
             foulingOuter: foulingOuter,
@@ -2733,7 +5519,8 @@ export async function calculateHeatExchanger(params) {
             Rfo_percentage: null,
             method: 'three_zone',
             // 添加几何参数（从三段计算结果中提取）
-            geometry: threeZoneResult.geometry
+            geometry: threeZoneResult.geometry,
+            correlations: threeZoneResult.correlations  // 仅二次流体侧使用单相关联式
           };
           
           // 获取物性用于后续的阻力损失计算（使用平均物性）
@@ -2749,6 +5536,247 @@ export async function calculateHeatExchanger(params) {
         }
       }
       
+      // ===== 检测是否为"管内冷凝"工况，使用管内冷凝三段计算法 =====
+      const isInTubeCondensation = hotFluidLocation === 'inner' &&
+                                   hotProcessType === 'condensation' &&
+                                   hotStateIn === 1 &&
+                                   hotStateOut === 0 &&
+                                   hotTin > hotTout;
+      
+      if (!threeZoneResult && isInTubeCondensation) {
+        try {
+          console.log('[管内冷凝三段计算] 检测到管内冷凝工况，使用管内冷凝三段计算法');
+          
+          threeZoneResult = await calculateInTubeCondenserThreeZone({
+            refrigerant: hotFluid,
+            massFlow: actualHotFlowRate,
+            pressure: actualHotPressure * 1000,
+            tempIn: hotTin + 273.15,
+            tempOut: hotTout + 273.15,
+            geometry: zoneGeometry,
+            coolant: coldFluid,
+            coolantInTemp: coldTin + 273.15,
+            coolantFlowRate: actualColdFlowRate,
+            coolantPressure: actualColdPressure * 1000,
+            areaPerLength: zoneAreaPerLength,
+            correlationOptions: correlationOptions,
+            flowType: flowType,
+            tubeMaterial: tubeMaterial,
+            foulingInner: foulingInner,
+            foulingOuter: foulingOuter,
+            innerTubeCount: innerTubeCount,
+            outerTubeCountPerPass: outerTubeCountPerPass,
+            isTwisted: actualIsTwisted,
+            twistPitch: twistPitch,
+            twistLobeCount: twistLobeCount,
+            twistToothHeight: twistToothHeight
+          });
+          
+          console.log('[管内冷凝三段计算] 计算完成，结果:', threeZoneResult);
+          
+          // 等效总传热系数：使整体 LMTD 下的所需面积等于三段面积之和
+          if (threeZoneResult.total.Area_total > 0 && lmtd > 0) {
+            U = threeZoneResult.total.Q_total / (threeZoneResult.total.Area_total * lmtd);
+          } else {
+            throw new Error('管内冷凝三段计算返回的总面积为0或LMTD无效');
+          }
+          
+          // 使用冷凝段的传热系数作为代表值
+          hi = threeZoneResult.zones.condensing.h;
+          ho = threeZoneResult.zones.condensing.h_water;
+          
+          heatTransferResult = {
+            U: U,
+            hi: hi,
+            ho: ho,
+            threeZoneResult: threeZoneResult,
+            Ri_percentage: null,
+            Ro_percentage: null,
+            Rwall_percentage: null,
+            Rfi_percentage: null,
+            Rfo_percentage: null,
+            method: 'three_zone',
+            geometry: threeZoneResult.geometry,
+            correlations: threeZoneResult.correlations  // 仅二次流体侧使用单相关联式
+          };
+          
+          // 获取物性用于后续的阻力损失计算
+          [hotProps, coldProps] = await Promise.all([
+            hotIsTwoPhase && hotQualityAvg !== null
+              ? getFluidPropertiesTwoPhase(calcHotFluid, calcHotTavg, calcHotPressurePa, hotQualityAvg)
+              : getFluidProperties(calcHotFluid, calcHotTavg, calcHotPressurePa),
+            getFluidProperties(calcColdFluid, calcColdTavg, calcColdPressurePa)
+          ]);
+        } catch (error) {
+          console.warn('[管内冷凝三段计算] 计算失败，降级为常规计算:', error);
+          threeZoneResult = null;
+        }
+      }
+      
+      // ===== 检测是否为冷流体蒸发工况，使用蒸发三段计算法（制冷剂可在管内或环隙） =====
+      const isColdEvaporation = coldProcessType === 'evaporation' &&
+                                coldStateIn !== null && coldStateOut !== null &&
+                                coldStateIn < 1 && coldStateOut > 0 &&
+                                coldTout >= coldTin;
+      
+      if (!threeZoneResult && isColdEvaporation) {
+        try {
+          console.log('[蒸发三段计算] 检测到蒸发工况，使用蒸发三段计算法');
+          
+          // 计算用的流量已按管内/管外交换，这里换回冷/热流体
+          const evaporatorMassFlow = hotFluidLocation === 'outer' ? actualHotFlowRate : actualColdFlowRate;
+          const heatingFlowRate = hotFluidLocation === 'outer' ? actualColdFlowRate : actualHotFlowRate;
+          
+          threeZoneResult = await calculateEvaporatorThreeZone({
+            refrigerant: coldFluid,
+            massFlow: evaporatorMassFlow,
+            pressure: actualColdPressure * 1000,
+            tempIn: coldTin + 273.15,
+            tempOut: coldTout + 273.15,
+            stateIn: coldStateIn,
+            stateOut: coldStateOut,
+            refrigerantLocation: hotFluidLocation === 'outer' ? 'inner' : 'annulus',
+            geometry: zoneGeometry,
+            heatingFluid: hotFluid,
+            heatingInTemp: hotTin + 273.15,
+            heatingFlowRate: heatingFlowRate,
+            heatingPressure: actualHotPressure * 1000,
+            boilingCorrelation: boilingCorrelation,
+            correlationOptions: correlationOptions,
+            flowType: flowType,
+            tubeMaterial: tubeMaterial,
+            foulingInner: foulingInner,
+            foulingOuter: foulingOuter,
+            innerTubeCount: innerTubeCount,
+            outerTubeCountPerPass: outerTubeCountPerPass,
+            isTwisted: actualIsTwisted,
+            twistPitch: twistPitch,
+            twistLobeCount: twistLobeCount,
+            twistToothHeight: twistToothHeight
+          });
+          
+          console.log('[蒸发三段计算] 计算完成，结果:', threeZoneResult);
+          
+          // 等效总传热系数：使整体 LMTD 下的所需面积等于三段面积之和
+          if (threeZoneResult.total.Area_total > 0 && lmtd > 0) {
+            U = threeZoneResult.total.Q_total / (threeZoneResult.total.Area_total * lmtd);
+          } else {
+            throw new Error('蒸发三段计算返回的总面积为0或LMTD无效');
+          }
+          
+          // 以沸腾段（无沸腾段时取面积最大的段）的传热系数作为代表值
+          const { preheating, boiling, superheating } = threeZoneResult.zones;
+          const representativeZone = boiling.Q > 0
+            ? boiling
+            : (preheating.Area >= superheating.Area ? preheating : superheating);
+          hi = hotFluidLocation === 'outer' ? representativeZone.h : representativeZone.h_heating;
+          ho = hotFluidLocation === 'outer' ? representativeZone.h_heating : representativeZone.h;
+          
+          heatTransferResult = {
+            U: U,
+            hi: hi,
+            ho: ho,
+            threeZoneResult: threeZoneResult,
+            Ri_percentage: null,
+            Ro_percentage: null,
+            Rwall_percentage: null,
+            Rfi_percentage: null,
+            Rfo_percentage: null,
+            method: 'three_zone',
+            geometry: threeZoneResult.geometry,
+            correlations: threeZoneResult.correlations  // 仅二次流体侧使用单相关联式
+          };
+          
+          // 获取物性用于后续的阻力损失计算
+          [hotProps, coldProps] = await Promise.all([
+            hotIsTwoPhase && hotQualityAvg !== null
+              ? getFluidPropertiesTwoPhase(calcHotFluid, calcHotTavg, calcHotPressurePa, hotQualityAvg)
+              : getFluidProperties(calcHotFluid, calcHotTavg, calcHotPressurePa),
+            coldIsTwoPhase && coldQualityAvg !== null
+              ? getFluidPropertiesTwoPhase(calcColdFluid, calcColdTavg, calcColdPressurePa, coldQualityAvg)
+              : getFluidProperties(calcColdFluid, calcColdTavg, calcColdPressurePa)
+          ]);
+        } catch (error) {
+          console.warn('[蒸发三段计算] 计算失败，降级为常规计算:', error);
+          threeZoneResult = null;
+        }
+      }
+      
+      // ===== 检测是否为超临界气体冷却工况，沿管长推进计算（热流体可在管内或环隙） =====
+      if (!threeZoneResult && isSupercritical && hotTin > hotTout) {
+        try {
+          console.log('[超临界气体冷却] 检测到超临界气体冷却工况，使用沿程推进计算法');
+          
+          // 计算用的流量已按管内/管外交换，这里换回冷/热流体
+          const gasCoolerMassFlow = hotFluidLocation === 'outer' ? actualColdFlowRate : actualHotFlowRate;
+          const coolantFlowRate = hotFluidLocation === 'outer' ? actualHotFlowRate : actualColdFlowRate;
+          
+          threeZoneResult = await calculateSupercriticalGasCooler({
+            fluid: hotFluid,
+            massFlow: gasCoolerMassFlow,
+            pressure: actualHotPressure * 1000,
+            tempIn: hotTin + 273.15,
+            tempOut: hotTout + 273.15,
+            fluidLocation: hotFluidLocation === 'outer' ? 'annulus' : 'inner',
+            geometry: zoneGeometry,
+            coolant: coldFluid,
+            coolantInTemp: coldTin + 273.15,
+            coolantFlowRate: coolantFlowRate,
+            coolantPressure: actualColdPressure * 1000,
+            areaPerLength: zoneAreaPerLength,
+            correlation: supercriticalCorrelation,
+            correlationOptions: correlationOptions,
+            flowType: flowType,
+            tubeMaterial: tubeMaterial,
+            foulingInner: foulingInner,
+            foulingOuter: foulingOuter,
+            innerTubeCount: innerTubeCount,
+            outerTubeCountPerPass: outerTubeCountPerPass,
+            isTwisted: actualIsTwisted,
+            twistPitch: twistPitch,
+            twistLobeCount: twistLobeCount,
+            twistToothHeight: twistToothHeight
+          });
+          
+          console.log('[超临界气体冷却] 计算完成，结果:', threeZoneResult);
+          
+          // 等效总传热系数：使整体 LMTD 下的所需面积等于沿程面积之和
+          if (threeZoneResult.total.Area_total > 0 && lmtd > 0) {
+            U = threeZoneResult.total.Q_total / (threeZoneResult.total.Area_total * lmtd);
+          } else {
+            throw new Error('超临界气体冷却计算返回的总面积为0或LMTD无效');
+          }
+          
+          // 超临界侧取面积加权平均传热系数
+          hi = hotFluidLocation === 'outer' ? threeZoneResult.total.h_coolant : threeZoneResult.total.h_avg;
+          ho = hotFluidLocation === 'outer' ? threeZoneResult.total.h_avg : threeZoneResult.total.h_coolant;
+          
+          heatTransferResult = {
+            U: U,
+            hi: hi,
+            ho: ho,
+            threeZoneResult: threeZoneResult,
+            Ri_percentage: null,
+            Ro_percentage: null,
+            Rwall_percentage: null,
+            Rfi_percentage: null,
+            Rfo_percentage: null,
+            method: 'supercritical_marching',
+            geometry: threeZoneResult.geometry,
+            correlations: threeZoneResult.correlations  // 仅二次流体侧使用单相关联式
+          };
+          
+          // 获取物性用于后续的阻力损失计算
+          [hotProps, coldProps] = await Promise.all([
+            getFluidProperties(calcHotFluid, calcHotTavg, calcHotPressurePa),
+            getFluidProperties(calcColdFluid, calcColdTavg, calcColdPressurePa)
+          ]);
+        } catch (error) {
+          console.warn('[超临界气体冷却] 计算失败，降级为常规计算:', error);
+          threeZoneResult = null;
+        }
+      }
+      
       // 如果三段计算失败或不符合条件，使用常规计算方法
       if (!threeZoneResult) {
         [hotProps, coldProps] = await Promise.all([
@@ -2760,18 +5788,22 @@ export async function calculateHeatExchanger(params) {
             : getFluidProperties(calcColdFluid, calcColdTavg, calcColdPressurePa)
         ]);
 
-        // 确定使用的壁厚（麻花管使用twistWallThickness，否则使用innerWallThickness）
-        // 如果参数中未提供innerWallThickness，从几何尺寸计算
-        let actualInnerWallThickness = innerWallThickness;
-        if (!actualInnerWallThickness || actualInnerWallThickness <= 0) {
-          // 从内外径差计算壁厚
-          actualInnerWallThickness = (innerDiameter - innerInnerDiameter) / 2;
-        }
-        
-        // 麻花管模式下使用twistWallThickness或计算出的壁厚
-        const wallThickness = actualIsTwisted ? (twistWallThickness || actualInnerWallThickness) : actualInnerWallThickness;
-        
-        heatTransferResult = await calculateOverallHeatTransferCoefficient(
+        // 有相变的一侧不做壁温粘度修正
+        const viscosityStreams = {
+          inner: {
+            fluid: calcHotFluid,
+            temperature: calcHotTavg,
+            pressure: calcHotPressurePa,
+            viscosity: hotIsTwoPhase ? null : hotProps.viscosity
+          },
+          outer: {
+            fluid: calcColdFluid,
+            temperature: calcColdTavg,
+            pressure: calcColdPressurePa,
+            viscosity: coldIsTwoPhase ? null : coldProps.viscosity
+          }
+        };
+        heatTransferResult = await calculateHeatTransferWithWallViscosity((options) => calculateOverallHeatTransferCoefficient(
           hotProps,
           coldProps,
           actualInnerOuterDiameter, // 内管外径
@@ -2785,12 +5817,13 @@ export async function calculateHeatExchanger(params) {
           twistPitch,
           twistLobeCount,
           innerTubeCount,
-          wallThickness,
+          tubeWallThickness,  // 内管壁厚（麻花管使用twistWallThickness）
           foulingInner,  // 管内污垢热阻
           foulingOuter,  // 管外污垢热阻
           tubeMaterial,  // 内管材质
-          twistToothHeight  // 齿高
-        );
+          twistToothHeight,  // 齿高
+          options  // 单相关联式
+        ), correlationOptions, viscosityStreams);
         
         // 处理返回的结果对象
         if (typeof heatTransferResult === 'object' && heatTransferResult.U) {
@@ -2958,6 +5991,7 @@ export async function calculateHeatExchanger(params) {
         innerRe = innerVelocity > 0 && innerDiameter > 0 ? (1000 * innerVelocity * innerDiameter) / 0.001 : 0; // 假设粘度为0.001 Pa·s
         console.log('[管内压降计算] 使用默认值:', { innerVelocity, innerRe });
       }
+      innerTubeVelocity = innerVelocity;
 
       let baseInnerFrictionFactor = calculateFrictionFactor(innerRe, 0.0001);
       if (actualIsTwisted) {
@@ -3000,19 +6034,29 @@ export async function calculateHeatExchanger(params) {
           
           // 注意：当每流程有多个外管时，内管是并联的，质量通量应该基于每个内管的流量
           const massFlux = (innerTubeFlowRate / (innerTubeCount * outerTubeCountPerPass)) / innerCrossSection; // kg/m²/s
-          const singlePassLength = effectiveLength; // 单流程长度
+          // 考虑多流程：按总流程长度计算（加速压降只取决于进出口干度，不随流程数累加）
+          const totalFlowLength = effectiveLength * passCount;
           innerPressureDrop = calculateTwoPhasePressureDrop(
             liquidProps,
             vaporProps,
             innerTubeQualityAvg,
             massFlux,
             innerDiameter,
-            singlePassLength,
-            0.0001
+            totalFlowLength,
+            0.0001,
+            {
+              model: twoPhasePressureDropModel,
+              qualityIn: innerTubeStateIn,
+              qualityOut: innerTubeStateOut,
+              voidFractionModel: voidFractionModel,
+              inclination: getFlowInclination(orientation, true, flowType)
+            }
           );
-          // 考虑多流程：总压降 = 单流程压降 × 流程数
-          innerPressureDrop.pressureDrop = innerPressureDrop.pressureDrop * passCount;
-          innerPressureDrop.pressureDrop_kPa = innerPressureDrop.pressureDrop / 1000;
+          innerTwoPhaseStream = {
+            liquidProps, vaporProps, massFlux, diameter: innerDiameter,
+            quality: innerTubeQualityAvg, qualityIn: innerTubeStateIn, qualityOut: innerTubeStateOut,
+            isEvaporating: innerTubeIsEvaporation
+          };
           
           console.log('[管内压降计算] 两相流压降计算结果:', innerPressureDrop);
         } catch (error) {
@@ -3332,18 +6376,28 @@ export async function calculateHeatExchanger(params) {
                   note: '检查质量通量是否合理（已考虑每流程外管数量）'
                 });
                 // 注意：环形空间流动是轴向的，应使用直管长度，而不是螺旋路径长度
+                // 考虑多流程：按总流程长度计算
                 annulusPressureDrop = calculateTwoPhasePressureDrop(
                   liquidProps,
                   vaporProps,
                   coldQualityAvg,
                   massFlux,
                   hydraulicDiameter,
-                  length, // 使用直管长度，环形空间是轴向流动
-                  0.0001
+                  length * passCount, // 使用直管长度，环形空间是轴向流动
+                  0.0001,
+                  {
+                    model: twoPhasePressureDropModel,
+                    qualityIn: originalColdStateIn,
+                    qualityOut: originalColdStateOut,
+                    voidFractionModel: voidFractionModel,
+                    inclination: getFlowInclination(orientation, false, flowType)
+                  }
                 );
-                // 考虑多流程
-                annulusPressureDrop.pressureDrop = annulusPressureDrop.pressureDrop * passCount;
-                annulusPressureDrop.pressureDrop_kPa = annulusPressureDrop.pressureDrop / 1000;
+                annulusTwoPhaseStream = {
+                  liquidProps, vaporProps, massFlux, diameter: hydraulicDiameter,
+                  quality: coldQualityAvg, qualityIn: originalColdStateIn, qualityOut: originalColdStateOut,
+                  isEvaporating: calcColdProcessType === 'evaporation'
+                };
                 annulusFrictionFactor = annulusPressureDrop.frictionFactor;
                 // 添加流速信息（两相流使用平均流速）
                 annulusPressureDrop.velocityIn = annulusVelocity;
@@ -3545,18 +6599,28 @@ export async function calculateHeatExchanger(params) {
               annulusArea: annulusArea * 1000000, // mm²
               actualColdFlowRate
             });
+            // 考虑多流程：按总流程长度计算
             annulusPressureDrop = calculateTwoPhasePressureDrop(
               coldProps.liquidProps,
               coldProps.vaporProps,
               coldQualityAvg,
               massFlux,
               hydraulicDiameter,
-              length,
-              0.0001
+              length * passCount,
+              0.0001,
+              {
+                model: twoPhasePressureDropModel,
+                qualityIn: originalColdStateIn,
+                qualityOut: originalColdStateOut,
+                voidFractionModel: voidFractionModel,
+                inclination: getFlowInclination(orientation, false, flowType)
+              }
             );
-            // 考虑多流程
-            annulusPressureDrop.pressureDrop = annulusPressureDrop.pressureDrop * passCount;
-            annulusPressureDrop.pressureDrop_kPa = annulusPressureDrop.pressureDrop / 1000;
+            annulusTwoPhaseStream = {
+              liquidProps: coldProps.liquidProps, vaporProps: coldProps.vaporProps, massFlux, diameter: hydraulicDiameter,
+              quality: coldQualityAvg, qualityIn: originalColdStateIn, qualityOut: originalColdStateOut,
+              isEvaporating: calcColdProcessType === 'evaporation'
+            };
             annulusFrictionFactor = annulusPressureDrop.frictionFactor;
             // 添加流速信息（两相流使用平均流速）
             annulusPressureDrop.velocityIn = annulusVelocity;
@@ -3761,7 +6825,189 @@ export async function calculateHeatExchanger(params) {
     // 所需换热面积：根据传热方程计算的理论所需面积
     // 公式：A_required = Q / (U × LMTD)
     // 这是完成指定传热任务所需的最小传热面积
-    const requiredArea = calculateHeatTransferArea(Q, lmtd, U);
+    let requiredArea = calculateHeatTransferArea(Q, lmtd, U);
+
+    // 压降-饱和温度耦合：冷凝/蒸发侧压降使饱和温度沿流程下降
+    const getPressureDropKPa = (pressureDrop) => {
+      if (pressureDrop && typeof pressureDrop === 'object' && 'pressureDrop_kPa' in pressureDrop) {
+        return pressureDrop.pressureDrop_kPa;
+      }
+      return typeof pressureDrop === 'number' ? pressureDrop : null;
+    };
+    const phaseChangeSides = [];
+    if (hotProcessType === 'condensation') {
+      phaseChangeSides.push({
+        side: 'hot',
+        fluid: hotFluid,
+        inletPressure: actualHotPressure,
+        pressureDrop: getPressureDropKPa(hotFluidLocation === 'outer' ? annulusPressureDrop : innerPressureDrop),
+        otherTin: coldTin,
+        otherTout: coldTout
+      });
+    }
+    if (coldProcessType === 'evaporation') {
+      phaseChangeSides.push({
+        side: 'cold',
+        fluid: coldFluid,
+        inletPressure: actualColdPressure,
+        pressureDrop: getPressureDropKPa(hotFluidLocation === 'outer' ? innerPressureDrop : annulusPressureDrop),
+        otherTin: hotTin,
+        otherTout: hotTout
+      });
+    }
+    
+    let saturationCoupling = null;
+    const couplingSides = [];
+    for (const sideInfo of phaseChangeSides) {
+      if (sideInfo.pressureDrop === null || !sideInfo.inletPressure) continue;
+      const drop = await calculateSaturationTemperatureDrop({
+        fluid: sideInfo.fluid,
+        inletPressure: sideInfo.inletPressure,
+        pressureDrop: sideInfo.pressureDrop,
+        isHotSide: sideInfo.side === 'hot',
+        otherTin: sideInfo.otherTin,
+        otherTout: sideInfo.otherTout,
+        flowType,
+        warningThreshold: saturationDropWarningThreshold
+      });
+      if (drop.warning) {
+        console.warn(`[压降-饱和温度耦合] ${drop.warning}`);
+      }
+      couplingSides.push({ side: sideInfo.side, ...drop });
+    }
+    if (couplingSides.length > 0) {
+      const totalPenalty = couplingSides.reduce((sum, item) => sum + (item.meanTemperatureDifferencePenalty || 0), 0);
+      const effectiveLmtd = lmtd - totalPenalty;
+      saturationCoupling = {
+        enabled: couplePressureDropSaturation,
+        sides: couplingSides,
+        meanTemperatureDifferencePenalty: totalPenalty, // K
+        effectiveLmtd: effectiveLmtd,                   // °C
+        warnings: couplingSides.map(item => item.warning).filter(Boolean)
+      };
+      if (couplePressureDropSaturation) {
+        if (effectiveLmtd <= 0) {
+          throw new Error('压降引起的饱和温度下降导致有效平均温差小于等于零，请减小压降或调整进出口温度');
+        }
+        requiredArea = calculateHeatTransferArea(Q, effectiveLmtd, U);
+        console.log(`[压降-饱和温度耦合] 有效平均温差: ${effectiveLmtd.toFixed(2)} °C（惩罚 ${totalPenalty.toFixed(2)} K），所需面积: ${requiredArea.toFixed(3)} m²`);
+      }
+    }
+
+    // 分段计算法：沿流程逐段按当地物性计算传热系数，所需面积取各段面积之和
+    let segmentedResult = null;
+    if (solverMethod === 'segmented') {
+      segmentedResult = await calculateSegmentedHeatExchanger({
+        hotFluid,
+        hotTin,
+        hotFlowRate: hotFluidLocation === 'outer' ? actualColdFlowRate : actualHotFlowRate,
+        hotPressure: actualHotPressure,
+        hotStateIn,
+        coldFluid,
+        coldTin,
+        coldFlowRate: hotFluidLocation === 'outer' ? actualHotFlowRate : actualColdFlowRate,
+        coldPressure: actualColdPressure,
+        coldStateIn,
+        hotFluidLocation,
+        flowType,
+        area: totalArea,
+        geometry: {
+          innerOuterDiameter: actualInnerOuterDiameter,
+          outerOuterDiameter: outerDiameter,
+          innerInnerDiameter: actualInnerInnerDiameter,
+          outerInnerDiameter: annulusOuterInnerDiameter,
+          length: length
+        },
+        length,
+        passCount,
+        outerTubeCountPerPass,
+        isTwisted: actualIsTwisted,
+        twistPitch,
+        twistLobeCount,
+        twistToothHeight,
+        innerTubeCount,
+        wallThickness: tubeWallThickness,
+        foulingInner,
+        foulingOuter,
+        tubeMaterial,
+        givenU,
+        correlationOptions,
+        twoPhasePressureDropModel,
+        voidFractionModel,
+        orientation,
+        heatTransferRate: Q,
+        numCells: segmentCount,
+        onProgress
+      });
+      console.log(`[分段计算] ${segmentCount} 段，所需面积: ${segmentedResult.requiredArea.toFixed(3)} m²（平均物性法: ${requiredArea.toFixed(3)} m²）`);
+      requiredArea = segmentedResult.requiredArea;
+    }
+
+    // 蒸发流股干涸与临界热流密度校核
+    // 蒸发三段计算法已在沸腾段完成校核；其他情况按平均（分段计算法取最大当地）热流密度校核
+    let evaporationCheck = null;
+    if (coldProcessType === 'evaporation') {
+      const evaporatorResult = heatTransferResult?.threeZoneResult;
+      if (evaporatorResult?.type === 'evaporator') {
+        evaporationCheck = evaporatorResult.zones.boiling.dryoutCheck;
+      } else if (actualColdPressure && requiredArea > 0) {
+        try {
+          const coldPressurePa = actualColdPressure * 1000;
+          const saturationTemperature = await getSaturationTemperature(coldFluid, coldPressurePa);
+          const { liquidProps, vaporProps } = await getFluidPropertiesTwoPhase(coldFluid, saturationTemperature, coldPressurePa, 0.5);
+          const passage = getFlowPassageGeometry(
+            {
+              innerOuterDiameter: actualInnerOuterDiameter,
+              innerInnerDiameter: actualInnerInnerDiameter,
+              outerInnerDiameter: annulusOuterInnerDiameter
+            },
+            { isTwisted: actualIsTwisted, twistPitch, twistLobeCount, twistToothHeight, innerTubeCount, outerTubeCountPerPass }
+          );
+          const evaporatingInInner = hotFluidLocation === 'outer';
+          const evaporatingFlowRate = evaporatingInInner ? actualHotFlowRate : actualColdFlowRate; // 计算流量已按管内/管外交换
+          const heatFlux = segmentedResult
+            ? Math.max(...segmentedResult.cellHeatFlux)
+            : Q / requiredArea;
+          const clampQuality = (state) => Math.min(1, Math.max(0, state ?? 0));
+          evaporationCheck = checkEvaporationDryout({
+            liquidProps,
+            vaporProps,
+            massFlux: evaporatingFlowRate / (evaporatingInInner ? passage.innerFlowArea : passage.annulusFlowArea),
+            diameter: evaporatingInInner ? passage.innerDiameter : passage.annulusDiameter,
+            heatFlux: heatFlux,
+            qualityIn: clampQuality(coldStateIn),
+            qualityOut: clampQuality(coldStateOut),
+            boilingHTC: evaporatingInInner ? hi : ho
+          });
+        } catch (error) {
+          console.warn(`[干涸校核] 校核失败: ${error.message}`);
+        }
+      }
+      if (evaporationCheck && evaporationCheck.warnings.length > 0) {
+        console.warn('[干涸校核]', evaporationCheck.warnings.join('；'));
+      }
+    }
+
+    // 两相流型图（与两相压降计算使用相同的质量通量、直径和饱和物性）
+    const buildFlowPatternMap = (stream) => {
+      if (!stream) return null;
+      try {
+        return calculateFlowPatternMap(stream.liquidProps, stream.vaporProps, stream.massFlux, stream.diameter, {
+          quality: stream.quality,
+          qualityIn: stream.qualityIn,
+          qualityOut: stream.qualityOut,
+          heatFlux: stream.isEvaporating ? (evaporationCheck?.heatFlux ?? (requiredArea > 0 ? Q / requiredArea : 0)) : 0
+        });
+      } catch (error) {
+        console.warn(`[流型图] 计算失败: ${error.message}`);
+        return null;
+      }
+    };
+    const innerFlowPatternMap = buildFlowPatternMap(innerTwoPhaseStream);
+    const annulusFlowPatternMap = buildFlowPatternMap(annulusTwoPhaseStream);
+    const flowPatternMaps = innerFlowPatternMap || annulusFlowPatternMap
+      ? { inner: innerFlowPatternMap, annulus: annulusFlowPatternMap }
+      : null;
 
     // 计算面积余量（百分比）
     // 面积余量 = (实际面积 - 所需面积) / 所需面积 × 100%
@@ -3863,14 +7109,18 @@ export async function calculateHeatExchanger(params) {
     const coldIsEvaporation = coldProcessType === 'evaporation' && coldHasPhaseChange;
     
     // 计算饱和温度（用于温度分布）
+    // 非共沸混合工质露点与泡点不同，相变段温度沿流动方向滑移
     let hotSaturationTemp = null;
     let coldSaturationTemp = null;
+    let hotGlide = null;   // 热流体 {dew, bubble, glide} (°C / K)
+    let coldGlide = null;  // 冷流体 {dew, bubble, glide} (°C / K)
     
     if (hotIsCondensation) {
       try {
-        const { getSaturationTemperature } = await import('./coolprop_loader.js');
-        const satTempK = await getSaturationTemperature(hotFluid, actualHotPressure * 1000);
-        hotSaturationTemp = satTempK - 273.15; // 转换为 °C
+        const dewK = await getDewTemperature(hotFluid, actualHotPressure * 1000);
+        const bubbleK = await getBubbleTemperature(hotFluid, actualHotPressure * 1000);
+        hotSaturationTemp = bubbleK - 273.15; // 转换为 °C
+        hotGlide = { dew: dewK - 273.15, bubble: bubbleK - 273.15, glide: dewK - bubbleK };
       } catch (error) {
         console.warn('无法获取热流体饱和温度，使用线性温度分布:', error);
       }
@@ -3878,9 +7128,10 @@ export async function calculateHeatExchanger(params) {
     
     if (coldIsEvaporation) {
       try {
-        const { getSaturationTemperature } = await import('./coolprop_loader.js');
-        const satTempK = await getSaturationTemperature(coldFluid, actualColdPressure * 1000);
-        coldSaturationTemp = satTempK - 273.15; // 转换为 °C
+        const dewK = await getDewTemperature(coldFluid, actualColdPressure * 1000);
+        const bubbleK = await getBubbleTemperature(coldFluid, actualColdPressure * 1000);
+        coldSaturationTemp = bubbleK - 273.15; // 转换为 °C
+        coldGlide = { dew: dewK - 273.15, bubble: bubbleK - 273.15, glide: dewK - bubbleK };
       } catch (error) {
         console.warn('无法获取冷流体饱和温度，使用线性温度分布:', error);
       }
@@ -3893,7 +7144,13 @@ export async function calculateHeatExchanger(params) {
     // 优先使用三段计算结果（如果存在）
     // 从heatTransferResult中获取threeZoneResult（如果使用了三段计算法）
     const threeZoneResultForDistribution = heatTransferResult?.threeZoneResult || null;
-    if (hotIsCondensation && threeZoneResultForDistribution) {
+    if (coldIsEvaporation && threeZoneResultForDistribution?.type === 'evaporator') {
+      coldSegmentRatios = extractSegmentRatiosFromThreeZone(threeZoneResultForDistribution);
+      if (coldSegmentRatios) {
+        console.log('[温度分布] 使用蒸发三段计算法的面积比例:', coldSegmentRatios);
+      }
+    }
+    if (hotIsCondensation && threeZoneResultForDistribution && threeZoneResultForDistribution.type !== 'evaporator') {
       hotSegmentRatios = extractSegmentRatiosFromThreeZone(threeZoneResultForDistribution);
       if (hotSegmentRatios) {
         console.log('[温度分布] 使用三段计算法的面积比例:', hotSegmentRatios);
@@ -3918,7 +7175,8 @@ export async function calculateHeatExchanger(params) {
       }
     }
     
-    const temperatureDistribution = calculateTemperatureDistribution(
+    // 分段计算法直接使用各节点的温度，不再使用拟合的温度曲线
+    const temperatureDistribution = segmentedResult ? segmentedResult : calculateTemperatureDistribution(
       hotTin,
       hotTout,
       coldTin,
@@ -3931,11 +7189,37 @@ export async function calculateHeatExchanger(params) {
         hotSaturationTemp: hotSaturationTemp,
         coldIsEvaporation: coldIsEvaporation,
         coldSaturationTemp: coldSaturationTemp,
+        hotDewTemp: hotGlide?.dew ?? null,
+        hotBubbleTemp: hotGlide?.bubble ?? null,
+        coldBubbleTemp: coldGlide?.bubble ?? null,
+        coldDewTemp: coldGlide?.dew ?? null,
         hotSegmentRatios: hotSegmentRatios,
         coldSegmentRatios: coldSegmentRatios
       }
     );
 
+    // 壁面温度：三段计算法取相变段的壁温迭代结果；
+    // 平均物性法中两侧传热系数与壁温无关，由平均热流密度和各侧热阻直接得到
+    let wallTemperatures = null;
+    const threeZoneForWall = heatTransferResult?.threeZoneResult || null;
+    if (threeZoneForWall) {
+      const phaseChangeZone = threeZoneForWall.zones.condensing || threeZoneForWall.zones.boiling;
+      wallTemperatures = phaseChangeZone?.wallTemperatures || null;
+    } else if (heatTransferResult && heatTransferResult.Ri !== undefined && lmtd > 0) {
+      // 平均物性法的传热系数不随壁温变化，这里按平均温度和各侧热阻估算壁温，未经迭代
+      const heatFlux = U * lmtd;
+      const innerSideResistance = heatTransferResult.Ri + heatTransferResult.Rfi;
+      const outerSideResistance = heatTransferResult.Ro + heatTransferResult.Rfo;
+      wallTemperatures = {
+        hotSide: (hotTin + hotTout) / 2 - heatFlux * (hotFluidLocation === 'outer' ? outerSideResistance : innerSideResistance),
+        coldSide: (coldTin + coldTout) / 2 + heatFlux * (hotFluidLocation === 'outer' ? innerSideResistance : outerSideResistance),
+        heatFlux: heatFlux,
+        iterations: 0,
+        converged: false,
+        method: 'estimate'
+      };
+    }
+
     // 准备返回值中的压降和摩擦系数
     const resultInnerPressureDrop = (innerPressureDrop && typeof innerPressureDrop === 'object' && 'pressureDrop_kPa' in innerPressureDrop) 
       ? innerPressureDrop.pressureDrop_kPa 
@@ -3946,6 +7230,22 @@ export async function calculateHeatExchanger(params) {
       : (typeof annulusPressureDrop === 'number' ? annulusPressureDrop : null);
     const resultAnnulusFrictionFactor = (annulusFrictionFactor !== null && annulusFrictionFactor !== undefined) ? annulusFrictionFactor : null;
     
+    // 两相压降分项（kPa），单相流时为 null
+    const getTwoPhaseComponents = (pressureDrop) => {
+      if (!pressureDrop || typeof pressureDrop !== 'object' || !('frictionalDrop' in pressureDrop)) {
+        return null;
+      }
+      return {
+        model: pressureDrop.model,
+        frictional: pressureDrop.frictionalDrop / 1000,
+        acceleration: pressureDrop.accelerationDrop / 1000,
+        gravitational: pressureDrop.gravitationalDrop / 1000,
+        total: pressureDrop.pressureDrop_kPa,
+        multiplier: pressureDrop.multiplier,
+        voidFraction: pressureDrop.voidFraction
+      };
+    };
+    
     // 提取环形空间的进口和出口流速
     const annulusVelocityIn = (annulusPressureDrop && typeof annulusPressureDrop === 'object' && 'velocityIn' in annulusPressureDrop)
       ? annulusPressureDrop.velocityIn
@@ -3966,6 +7266,7 @@ export async function calculateHeatExchanger(params) {
     });
 
     const result = {
+      schemaVersion: SCHEMA_VERSION,        // 结果模式版本（见 schema.js）
       heatTransferRate: heatTransferRate_kW, // 转换为 kW
       temperatureDistribution: temperatureDistribution, // 温度分布数据
       lmtd: lmtd,
@@ -3978,6 +7279,7 @@ export async function calculateHeatExchanger(params) {
       areaMarginStatus: areaMarginStatus,   // 余量状态
       innerTubeCount: innerTubeCount,
       innerTubeType: innerTubeType,
+      length: length,                       // 单流程管长 (m)
       passCount: passCount,
       outerTubeCountPerPass: outerTubeCountPerPass,
       isTwisted: actualIsTwisted,
@@ -3999,8 +7301,31 @@ export async function calculateHeatExchanger(params) {
       innerFrictionFactor: resultInnerFrictionFactor,                    // 管内摩擦系数
       annulusPressureDrop: resultAnnulusPressureDrop,  // 环形空间压降 (kPa)
       annulusFrictionFactor: resultAnnulusFrictionFactor,                // 环形空间摩擦系数
+      // 两相压降分项 {model, frictional, acceleration, gravitational, total (kPa), multiplier, voidFraction}
+      innerTwoPhasePressureDrop: getTwoPhaseComponents(innerPressureDrop),
+      annulusTwoPhasePressureDrop: getTwoPhaseComponents(annulusPressureDrop),
+      // 压降-饱和温度耦合 {enabled, sides: [{side, fluid, saturationTemperatureDrop, meanTemperatureDifferencePenalty, warning, ...}], effectiveLmtd, warnings}
+      saturationCoupling: saturationCoupling,
+      // 蒸发干涸与临界热流密度校核 {criticalHeatFlux, heatFluxRatio, chfExceeded, dryoutQuality, dryoutReached, cappedBoilingHTC, safe, warnings}
+      evaporationCheck: evaporationCheck,
+      // 两相流型图 {inner, annulus}：{massFlux, transitionQuality, curves, path, patterns}
+      flowPatternMaps: flowPatternMaps,
+      // 相变侧露点/泡点温度 {hot, cold}：{dew, bubble (°C), glide (K)}，非共沸混合工质 glide > 0
+      temperatureGlide: hotGlide || coldGlide ? { hot: hotGlide, cold: coldGlide } : null,
+      // 超临界气体冷却 {correlation, pseudoCritical: {temperature (°C), position (m), fraction, nearSteps}, profile, warnings}
+      supercritical: heatTransferResult?.threeZoneResult?.type === 'gas_cooler'
+        ? {
+            correlation: heatTransferResult.threeZoneResult.correlation,
+            pseudoCritical: heatTransferResult.threeZoneResult.pseudoCritical,
+            profile: heatTransferResult.threeZoneResult.profile,
+            warnings: heatTransferResult.threeZoneResult.warnings
+          }
+        : null,
       annulusVelocityIn: annulusVelocityIn,            // 环形空间进口流速 (m/s)
       annulusVelocityOut: annulusVelocityOut,          // 环形空间出口流速 (m/s)
+      innerVelocity: innerTubeVelocity,                // 管内流速 (m/s)
+      wallTemperatures: wallTemperatures,              // 壁面温度 {hotSide, coldSide (°C), heatFlux (W/m²), iterations, converged, method: 'iteration' | 'direct' | 'estimate'}
+      correlations: heatTransferResult?.correlations || null,  // 单相关联式 {inner, outer}：{nu, correlation, name, inRange, violations, viscosityRatio}，分区模型的制冷剂侧为 null
       // 几何参数
       geometry: {
         innerEquivalentDiameter: innerEquivalentDiameter,  // 管内当量直径 (m)
@@ -4017,12 +7342,212 @@ export async function calculateHeatExchanger(params) {
       },
       // 三段计算结果（如果使用三段计算法）
       threeZoneResult: heatTransferResult?.threeZoneResult || null,
+      // 分段计算结果（各节点/各分段数组，如果使用分段计算法）
+      solverMethod: solverMethod,
+      segmentedResult: segmentedResult,
       success: true
     };
     
     return result;
   } catch (error) {
-    console.error('换热器计算失败:', error);
+    return createCalculationFailure(error);
+  }
+}
+
+/**
+ * ===== 尺寸设计（Sizing Mode） =====
+ */
+
+/**
+ * 检查压降和流速限制
+ * @param {Object} result - calculateHeatExchanger 的计算结果
+ * @param {Object} limits - {maxPressureDrop: 压降上限 (kPa), maxVelocity: 流速上限 (m/s)}
+ * @returns {Object} {pressureDropOk, velocityOk, maxPressureDrop: 两侧最大压降 (kPa), maxVelocity: 最大流速 (m/s)}
+ */
+function checkSizingLimits(result, limits) {
+  const pressureDrops = [result.innerPressureDrop, result.annulusPressureDrop]
+    .filter(value => value !== null && value !== undefined && isFinite(value));
+  const velocities = [result.innerVelocity, result.annulusVelocityIn, result.annulusVelocityOut]
+    .filter(value => value !== null && value !== undefined && isFinite(value));
+  
+  const maxPressureDrop = pressureDrops.length > 0 ? Math.max(...pressureDrops) : null;
+  const maxVelocity = velocities.length > 0 ? Math.max(...velocities) : null;
+  
+  return {
+    pressureDropOk: !limits.maxPressureDrop || maxPressureDrop === null || maxPressureDrop <= limits.maxPressureDrop,
+    velocityOk: !limits.maxVelocity || maxVelocity === null || maxVelocity <= limits.maxVelocity,
+    maxPressureDrop: maxPressureDrop,
+    maxVelocity: maxVelocity
+  };
+}
+
+/**
+ * 有效所需面积：三段计算法的 U 由可用面积反算，需直接使用三段计算的所需面积；分段计算法使用分段积分的所需面积
+ * @param {Object} result - calculateHeatExchanger 的计算结果
+ * @returns {number} 所需换热面积 (m²)
+ */
+export function getEffectiveRequiredArea(result) {
+  if (result.segmentedResult) return result.segmentedResult.requiredArea;
+  return result.threeZoneResult ? result.threeZoneResult.total.Area_total : result.requiredArea;
+}
+
+/**
+ * 按有效所需面积计算的面积余量
+ * @param {Object} result - calculateHeatExchanger 的计算结果
+ * @returns {number|null} 面积余量 (%)，所需面积无效时为 null
+ */
+export function getEffectiveAreaMargin(result) {
+  const requiredArea = getEffectiveRequiredArea(result);
+  return requiredArea > 0 ? (result.heatTransferArea - requiredArea) / requiredArea * 100 : null;
+}
+
+/**
+ * 尺寸设计：求满足设计余量的最小管长或最少流程数（发夹管数量）
+ * 
+ * 对每种并联布置（每流程外管数量），迭代求解管长或流程数：
+ * - 'length'：固定流程数，按 L_new = L × A_required × (1 + 余量) / A_actual 迭代至收敛
+ * - 'hairpins'：固定标准管长，逐步增加流程数直至面积余量满足要求
+ * 由于 U 随流速变化，每次调整布置后都重新计算。若压降或流速超限，则增加并联外管数量以降低流速。
+ * 
+ * @param {Object} params - calculateHeatExchanger 的计算参数，另含：
+ * @param {string} params.sizingTarget - 'length'（求管长）或 'hairpins'（求流程数）
+ * @param {number} params.designMargin - 设计面积余量 (%)，默认15
+ * @param {number} params.standardLength - 标准管长 (m)，'hairpins' 时使用，默认6
+ * @param {number} params.maxPressureDrop - 可选：单侧压降上限 (kPa)
+ * @param {number} params.maxVelocity - 可选：流速上限 (m/s)
+ * @param {number} params.maxPassCount - 流程数上限，默认20
+ * @param {number} params.maxOuterTubeCountPerPass - 每流程外管数量上限，默认10
+ * @returns {Promise<Object>} 设计结果（含最终计算结果 result 和起控制作用的约束 bindingConstraint）
+ */
+export async function calculateSizing(params) {
+  const {
+    sizingTarget = 'length',
+    designMargin = 15,
+    standardLength = 6,
+    maxPressureDrop = null,
+    maxVelocity = null,
+    maxPassCount = 20,
+    maxOuterTubeCountPerPass = 10,
+    onProgress = null   // 进度回调 {stage, iteration, message}
+  } = params;
+  
+  if (sizingTarget !== 'length' && sizingTarget !== 'hairpins') {
+    return { success: false, error: `未知的尺寸设计目标: ${sizingTarget}` };
+  }
+  if (params.inputMode === 'rating') {
+    return { success: false, error: '校核计算模式下不能进行尺寸设计' };
+  }
+  
+  const limits = { maxPressureDrop, maxVelocity };
+  const maxIterations = 20;
+  const lengthTolerance = 1e-3;
+  const marginTolerance = 0.5; // 面积余量判断容差（百分点），避免管长迭代的收敛误差导致误判
+  let iterations = 0;
+  
+  // 按给定布置计算，并判断面积余量是否满足要求
+  const evaluate = async (length, passCount, outerTubeCountPerPass) => {
+    iterations++;
+    onProgress?.({
+      stage: 'sizing',
+      iteration: iterations,
+      message: `尺寸设计：第 ${iterations} 次计算（管长 ${length.toFixed(2)} m，${passCount} 流程，每流程 ${outerTubeCountPerPass} 根外管）`
+    });
+    const result = await calculateHeatExchanger({ ...params, length, passCount, outerTubeCountPerPass });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result;
+  };
+  
+  // 固定并联外管数量，求满足面积余量的管长或流程数
+  const sizeForLayout = async (outerTubeCountPerPass) => {
+    if (sizingTarget === 'length') {
+      const passCount = params.passCount || 1;
+      let length = params.length > 0 ? params.length : standardLength;
+      let result = await evaluate(length, passCount, outerTubeCountPerPass);
+      for (let i = 0; i < maxIterations; i++) {
+        const newLength = length * getEffectiveRequiredArea(result) * (1 + designMargin / 100) / result.heatTransferArea;
+        if (!isFinite(newLength) || newLength <= 0) {
+          throw new Error('尺寸设计失败：所需面积无效');
+        }
+        const converged = Math.abs(newLength - length) / length < lengthTolerance;
+        length = newLength;
+        result = await evaluate(length, passCount, outerTubeCountPerPass);
+        if (converged) break;
+      }
+      return result;
+    }
+    
+    // 'hairpins'：先按面积估算流程数，再逐步增加直至满足余量（U 随流程数变化）
+    let result = await evaluate(standardLength, 1, outerTubeCountPerPass);
+    let passCount = Math.max(1, Math.ceil(getEffectiveRequiredArea(result) * (1 + designMargin / 100) / result.heatTransferArea));
+    while (passCount <= maxPassCount) {
+      result = await evaluate(standardLength, passCount, outerTubeCountPerPass);
+      const areaMargin = getEffectiveAreaMargin(result);
+      if (areaMargin !== null && areaMargin >= designMargin) {
+        return result;
+      }
+      passCount++;
+    }
+    return result;
+  };
+  
+  try {
+    let bindingConstraint = 'area';
+    let finalResult = null;
+    let finalCheck = null;
+    let feasible = false;
+    
+    for (let outerTubeCountPerPass = params.outerTubeCountPerPass || 1;
+         outerTubeCountPerPass <= maxOuterTubeCountPerPass;
+         outerTubeCountPerPass++) {
+      finalResult = await sizeForLayout(outerTubeCountPerPass);
+      finalCheck = checkSizingLimits(finalResult, limits);
+      
+      const areaMargin = getEffectiveAreaMargin(finalResult);
+      const areaOk = areaMargin !== null && areaMargin >= designMargin - marginTolerance;
+      if (!areaOk) {
+        // 流程数达到上限仍不满足面积要求
+        bindingConstraint = 'area';
+        break;
+      }
+      if (finalCheck.velocityOk && finalCheck.pressureDropOk) {
+        feasible = true;
+        break;
+      }
+      // 流速或压降超限：增加并联外管数量以降低流速
+      bindingConstraint = !finalCheck.velocityOk ? 'velocity' : 'pressureDrop';
+      console.log(`[尺寸设计] 每流程 ${outerTubeCountPerPass} 根外管时${bindingConstraint === 'velocity' ? '流速' : '压降'}超限，增加并联外管数量`);
+    }
+    
+    const bindingReasons = {
+      area: '面积控制：满足设计余量所需的换热面积决定了尺寸',
+      pressureDrop: `压降控制：单侧压降须不超过 ${maxPressureDrop} kPa，因此增加了并联外管数量`,
+      velocity: `流速控制：流速须不超过 ${maxVelocity} m/s，因此增加了并联外管数量`
+    };
+    
+    return {
+      success: true,
+      feasible: feasible,
+      sizingTarget: sizingTarget,
+      length: finalResult.length,                    // 单流程管长 (m)
+      passCount: finalResult.passCount,
+      outerTubeCountPerPass: finalResult.outerTubeCountPerPass,
+      designMargin: designMargin,
+      requiredArea: getEffectiveRequiredArea(finalResult),  // 所需换热面积 (m²)
+      areaMargin: getEffectiveAreaMargin(finalResult),      // 面积余量 (%)
+      bindingConstraint: bindingConstraint,
+      bindingReason: feasible
+        ? bindingReasons[bindingConstraint]
+        : `在允许范围内无法同时满足全部约束（${bindingReasons[bindingConstraint]}）`,
+      maxPressureDrop: finalCheck.maxPressureDrop,   // 两侧最大压降 (kPa)
+      maxVelocity: finalCheck.maxVelocity,           // 最大流速 (m/s)
+      limits: limits,
+      iterations: iterations,
+      result: finalResult
+    };
+  } catch (error) {
+    console.error('尺寸设计失败:', error);
     return {
       success: false,
       error: error.message
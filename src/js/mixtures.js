@@ -0,0 +1,98 @@
+/**
+ * 非共沸混合工质数据库
+ * 混合工质通过 CoolProp 混合物字符串（HEOS::A[x1]&B[x2]...，摩尔分数）计算，
+ * 露点温度与泡点温度不同，冷凝/蒸发过程存在温度滑移
+ */
+
+/**
+ * 组分摩尔质量 (kg/mol)，用于质量分数与摩尔分数的换算
+ */
+const MOLAR_MASSES = {
+  'R32': 0.052024,
+  'R125': 0.120022,
+  'R134a': 0.102032,
+  'R1234yf': 0.114042
+};
+
+/**
+ * 混合工质注册表
+ * - components：组分及质量分数（ASHRAE 标准配比）
+ * - glide：标准工况下的典型温度滑移 (K)，仅用于界面说明
+ */
+export const REFRIGERANT_MIXTURES = {
+  'R407C': {
+    name: 'R407C (R32/R125/R134a 23/25/52)',
+    components: [
+      { fluid: 'R32', massFraction: 0.23 },
+      { fluid: 'R125', massFraction: 0.25 },
+      { fluid: 'R134a', massFraction: 0.52 }
+    ],
+    glide: 7.0,
+    description: '替代 R22 的三元非共沸混合物，温度滑移约 5~7 K'
+  },
+  'R454B': {
+    name: 'R454B (R32/R1234yf 68.9/31.1)',
+    components: [
+      { fluid: 'R32', massFraction: 0.689 },
+      { fluid: 'R1234yf', massFraction: 0.311 }
+    ],
+    glide: 1.5,
+    description: '低 GWP 的 R410A 替代工质，温度滑移约 1~1.5 K'
+  },
+  'R454C': {
+    name: 'R454C (R32/R1234yf 21.5/78.5)',
+    components: [
+      { fluid: 'R32', massFraction: 0.215 },
+      { fluid: 'R1234yf', massFraction: 0.785 }
+    ],
+    glide: 7.8,
+    description: '低 GWP 的 R404A/R22 替代工质，温度滑移约 6~8 K'
+  }
+};
+
+/**
+ * 判断工质是否为注册的混合工质
+ * @param {string} fluid - 工质名称
+ * @returns {boolean}
+ */
+export function isMixture(fluid) {
+  return Object.prototype.hasOwnProperty.call(REFRIGERANT_MIXTURES, fluid);
+}
+
+/**
+ * 获取混合工质信息
+ * @param {string} fluid - 混合工质ID
+ * @returns {Object|null} 混合工质信息对象，包含 name, components, glide, description；非混合工质返回 null
+ */
+export function getMixtureInfo(fluid) {
+  return isMixture(fluid) ? REFRIGERANT_MIXTURES[fluid] : null;
+}
+
+/**
+ * 将质量分数组成转换为 CoolProp 混合物字符串（摩尔分数）
+ * @param {Array<{fluid: string, massFraction: number}>} components - 组分及质量分数
+ * @returns {string} 如 'HEOS::R32[0.829]&R1234yf[0.171]'
+ */
+export function buildMixtureString(components) {
+  const moles = components.map(({ fluid, massFraction }) => {
+    const molarMass = MOLAR_MASSES[fluid];
+    if (!molarMass) {
+      throw new Error(`混合工质组分缺少摩尔质量数据: ${fluid}`);
+    }
+    return massFraction / molarMass;
+  });
+  const totalMoles = moles.reduce((sum, n) => sum + n, 0);
+  const parts = components.map(({ fluid }, i) => `${fluid}[${(moles[i] / totalMoles).toFixed(6)}]`);
+  return `HEOS::${parts.join('&')}`;
+}
+
+/**
+ * 将界面中的工质名称解析为 CoolProp 可识别的流体字符串
+ * 纯工质原样返回，混合工质返回混合物字符串
+ * @param {string} fluid - 工质名称或混合工质ID
+ * @returns {string} CoolProp 流体字符串
+ */
+export function resolveFluidName(fluid) {
+  const mixture = getMixtureInfo(fluid);
+  return mixture ? buildMixtureString(mixture.components) : fluid;
+}
@@ -0,0 +1,278 @@
+/**
+ * 设计优化
+ * 在外管规格（光管为标准外管，麻花管为预设规格）、流程数和每流程外管数的离散组合上搜索；
+ * 管长为连续变量，每个组合用尺寸设计（calculateSizing）求满足最小面积余量的最短管长。
+ * 检查传热量、单侧压降和流速窗口约束后，按所选目标（内管总长、材料成本、泵功）求 Pareto 最优解集
+ */
+
+import { calculateHeatExchanger, calculateSizing, getEffectiveAreaMargin } from './heat_exchanger.js';
+import { OPTIMIZATION_OBJECTIVES, MAX_OPTIMIZATION_COMBINATIONS, getOuterTubeOptions } from './optimizer_config.js';
+import { getMaterialInfo } from './materials.js';
+
+/**
+ * 修改计算参数，并重新计算由外径和壁厚派生的直径
+ * @param {Object} params - calculateHeatExchanger 的计算参数
+ * @param {Object} changes - 要修改的字段
+ * @returns {Object} 新的计算参数
+ */
+function applyDesignChanges(params, changes) {
+  const next = { ...params, ...changes };
+  next.innerInnerDiameter = next.innerOuterDiameter - 2 * next.innerWallThickness;
+  next.outerInnerDiameter = next.outerOuterDiameter - 2 * next.outerWallThickness;
+  next.innerDiameter = next.innerOuterDiameter;
+  next.outerDiameter = next.outerOuterDiameter;
+  // 麻花管外径等于外管内径
+  next.twistOuterDiameter = next.isTwisted ? next.outerInnerDiameter : next.innerOuterDiameter;
+  return next;
+}
+
+// 单位长度管子质量 (kg/m)
+const tubeMassPerLength = (outerDiameter, wallThickness, density) =>
+  density * Math.PI / 4 * (outerDiameter ** 2 - (outerDiameter - 2 * wallThickness) ** 2);
+
+/**
+ * 计算候选方案的优化目标
+ * - 内管总长：管长 × 流程数 × 每流程外管数 × 每根外管内的内管数
+ * - 材料成本：内管与外管质量 × 材料单价；麻花管按外径等于外管内径的圆管估算质量
+ * - 泵功：两侧压降 × 体积流量，体积流量由流速和流通面积估算（环隙取进出口平均流速）
+ * @param {Object} params - 计算参数
+ * @param {Object} result - calculateHeatExchanger 的计算结果
+ * @param {number|null} unitPrice - 材料单价 (元/kg)，null 时取材料库中的参考单价
+ * @returns {Object} {totalTubeLength (m), materialCost (元), pumpingPower (W)}
+ */
+function evaluateObjectives(params, result, unitPrice) {
+  const { length, passCount, outerTubeCountPerPass } = result;
+  const innerTubeCount = params.innerTubeCount || 1;
+  const outerTubeCount = passCount * outerTubeCountPerPass;
+  const material = getMaterialInfo(params.tubeMaterial);
+  const price = unitPrice ?? material.unitPrice;
+
+  const innerTubeMass = params.isTwisted
+    ? tubeMassPerLength(params.twistOuterDiameter, params.twistWallThickness || params.innerWallThickness, material.density)
+    : tubeMassPerLength(params.innerOuterDiameter, params.innerWallThickness, material.density);
+  const outerTubeMass = tubeMassPerLength(params.outerOuterDiameter, params.outerWallThickness, material.density);
+  const totalMass = (innerTubeMass * innerTubeCount + outerTubeMass) * outerTubeCount * length;
+
+  const geometry = result.geometry || {};
+  const innerFlow = (result.innerVelocity || 0) * (geometry.innerArea || 0) * innerTubeCount * outerTubeCountPerPass;
+  const annulusVelocity = ((result.annulusVelocityIn || 0) + (result.annulusVelocityOut ?? result.annulusVelocityIn ?? 0)) / 2;
+  const annulusFlow = annulusVelocity * (geometry.annulusArea || 0) * outerTubeCountPerPass;
+  const pumpingPower = (result.innerPressureDrop || 0) * 1000 * innerFlow + (result.annulusPressureDrop || 0) * 1000 * annulusFlow;
+
+  return {
+    totalTubeLength: length * outerTubeCount * innerTubeCount,
+    materialCost: totalMass * price,
+    pumpingPower: pumpingPower
+  };
+}
+
+/**
+ * 检查约束
+ * @param {Object} result - calculateHeatExchanger 的计算结果
+ * @param {Object} constraints - 约束（见 optimizeDesign）
+ * @returns {Array<string>} 不满足的约束说明，全部满足时为空数组
+ */
+function checkConstraints(result, constraints) {
+  const { minDuty, maxInnerPressureDrop, maxAnnulusPressureDrop, minVelocity, maxVelocity, minAreaMargin } = constraints;
+  const violations = [];
+  const isSet = (value) => value !== null && value !== undefined && isFinite(value);
+
+  if (isSet(minDuty) && !(result.heatTransferRate >= minDuty)) {
+    violations.push(`传热量 ${result.heatTransferRate?.toFixed(2)} kW 低于要求的 ${minDuty} kW`);
+  }
+  // 与尺寸设计相同，按有效所需面积判断余量，并留出管长迭代的收敛容差
+  const areaMargin = getEffectiveAreaMargin(result);
+  if (isSet(minAreaMargin) && !(areaMargin >= minAreaMargin - 0.5)) {
+    violations.push(`面积余量 ${areaMargin?.toFixed(1)}% 低于 ${minAreaMargin}%`);
+  }
+  if (isSet(maxInnerPressureDrop) && result.innerPressureDrop > maxInnerPressureDrop) {
+    violations.push(`管内压降 ${result.innerPressureDrop.toFixed(2)} kPa 超过 ${maxInnerPressureDrop} kPa`);
+  }
+  if (isSet(maxAnnulusPressureDrop) && result.annulusPressureDrop > maxAnnulusPressureDrop) {
+    violations.push(`环隙压降 ${result.annulusPressureDrop.toFixed(2)} kPa 超过 ${maxAnnulusPressureDrop} kPa`);
+  }
+  const velocities = [
+    ['管内流速', result.innerVelocity],
+    ['环隙进口流速', result.annulusVelocityIn],
+    ['环隙出口流速', result.annulusVelocityOut]
+  ].filter(([, value]) => isSet(value));
+  for (const [label, value] of velocities) {
+    if (isSet(minVelocity) && value < minVelocity) {
+      violations.push(`${label} ${value.toFixed(2)} m/s 低于 ${minVelocity} m/s`);
+    }
+    if (isSet(maxVelocity) && value > maxVelocity) {
+      violations.push(`${label} ${value.toFixed(2)} m/s 超过 ${maxVelocity} m/s`);
+    }
+  }
+  return violations;
+}
+
+/**
+ * 求 Pareto 最优解集（所有目标均为越小越好）
+ * @param {Array<Object>} candidates - 候选方案，含 objectives {目标ID: 数值}
+ * @param {Array<string>} objectiveKeys - 参与比较的目标
+ * @returns {Array<Object>} 不被其他方案支配的方案，按第一个目标升序
+ */
+export function findParetoSet(candidates, objectiveKeys) {
+  const dominates = (a, b) =>
+    objectiveKeys.every(key => a.objectives[key] <= b.objectives[key]) &&
+    objectiveKeys.some(key => a.objectives[key] < b.objectives[key]);
+  return candidates
+    .filter(candidate => !candidates.some(other => other !== candidate && dominates(other, candidate)))
+    .sort((a, b) => a.objectives[objectiveKeys[0]] - b.objectives[objectiveKeys[0]]);
+}
+
+// 整数范围 [min, max]
+const integerRange = ([min, max]) => Array.from({ length: max - min + 1 }, (_, i) => min + i);
+
+/**
+ * 设计优化
+ * @param {Object} params - calculateHeatExchanger 的计算参数，另含：
+ * @param {Array<string>} params.outerTubeIds - 参与搜索的外管规格ID（见 getOuterTubeOptions），null 表示全部
+ * @param {Array<number>} params.passCountRange - 流程数范围 [min, max]
+ * @param {Array<number>} params.outerTubeCountPerPassRange - 每流程外管数范围 [min, max]
+ * @param {Array<number>} params.lengthRange - 管长范围 [min, max] (m)
+ * @param {number} params.lengthStep - 管长圆整步长 (m)，默认0.1
+ * @param {Object} params.constraints - 约束 {minDuty (kW), maxInnerPressureDrop (kPa), maxAnnulusPressureDrop (kPa),
+ *   minVelocity (m/s), maxVelocity (m/s), minAreaMargin (%)，默认15}，未设置的约束不检查
+ * @param {Array<string>} params.objectives - 优化目标（OPTIMIZATION_OBJECTIVES 中的键）
+ * @param {number} params.unitPrice - 可选：材料单价 (元/kg)，默认取材料库中的参考单价
+ * @param {Function} params.onProgress - 进度回调 {stage, iteration, message}
+ * @returns {Promise<Object>} {success, objectives, candidates, paretoSet, feasibleCount}；
+ *   候选方案 {id, outerTubeId, outerTubeName, passCount, outerTubeCountPerPass, length, feasible, violations, objectives, result, inputs}，
+ *   inputs 为可载入表单的计算参数
+ */
+export async function optimizeDesign(params) {
+  const {
+    outerTubeIds = null,
+    passCountRange = [1, 4],
+    outerTubeCountPerPassRange = [1, 3],
+    lengthRange = [1, 12],
+    lengthStep = 0.1,
+    constraints = {},
+    objectives = ['totalTubeLength', 'pumpingPower'],
+    unitPrice = null,
+    onProgress = null,
+    ...baseParams
+  } = params;
+
+  try {
+    if (baseParams.inputMode === 'rating') {
+      throw new Error('校核计算模式下不能进行设计优化');
+    }
+    if (!Array.isArray(objectives) || objectives.length === 0 || objectives.some(key => !OPTIMIZATION_OBJECTIVES[key])) {
+      throw new Error('请至少选择一个有效的优化目标');
+    }
+    const [minLength, maxLength] = lengthRange;
+    if (!(minLength > 0) || !(maxLength >= minLength)) {
+      throw new Error('管长范围无效');
+    }
+    for (const [label, [min, max]] of [['流程数', passCountRange], ['每流程外管数', outerTubeCountPerPassRange]]) {
+      if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max < min) {
+        throw new Error(`${label}范围无效`);
+      }
+    }
+    const minAreaMargin = constraints.minAreaMargin ?? 15;
+    const allConstraints = { ...constraints, minAreaMargin };
+
+    // 光管的外管内径须大于内管外径
+    const outerTubes = getOuterTubeOptions(baseParams.isTwisted)
+      .filter(tube => !outerTubeIds || outerTubeIds.includes(tube.id))
+      .filter(tube => baseParams.isTwisted ||
+        tube.changes.outerOuterDiameter - 2 * tube.changes.outerWallThickness > baseParams.innerOuterDiameter);
+    if (outerTubes.length === 0) {
+      throw new Error('没有可用的外管规格（光管的外管内径须大于内管外径）');
+    }
+    const combinations = [];
+    for (const tube of outerTubes) {
+      for (const passCount of integerRange(passCountRange)) {
+        for (const outerTubeCountPerPass of integerRange(outerTubeCountPerPassRange)) {
+          combinations.push({ tube, passCount, outerTubeCountPerPass });
+        }
+      }
+    }
+    if (combinations.length > MAX_OPTIMIZATION_COMBINATIONS) {
+      throw new Error(`设计组合数 ${combinations.length} 超过上限 ${MAX_OPTIMIZATION_COMBINATIONS}，请缩小搜索范围`);
+    }
+
+    const candidates = [];
+    for (let i = 0; i < combinations.length; i++) {
+      const { tube, passCount, outerTubeCountPerPass } = combinations[i];
+      const name = `${tube.name}，${passCount} 流程，每流程 ${outerTubeCountPerPass} 根`;
+      onProgress?.({ stage: 'optimize', iteration: i + 1, message: `设计优化 ${i + 1}/${combinations.length}：${name}` });
+
+      const candidateParams = applyDesignChanges(baseParams, { ...tube.changes, passCount, outerTubeCountPerPass });
+      const candidate = {
+        id: i,
+        outerTubeId: tube.id,
+        outerTubeName: tube.name,
+        passCount: passCount,
+        outerTubeCountPerPass: outerTubeCountPerPass,
+        length: null,
+        feasible: false,
+        violations: [],
+        objectives: null,
+        result: null,
+        inputs: null
+      };
+      candidates.push(candidate);
+
+      // 固定布置求满足最小面积余量的管长（只计算这一种并联布置），再按步长向上圆整
+      const sizing = await calculateSizing({
+        ...candidateParams,
+        sizingTarget: 'length',
+        designMargin: minAreaMargin,
+        maxOuterTubeCountPerPass: outerTubeCountPerPass
+      });
+      if (!sizing.success) {
+        candidate.violations.push(sizing.error);
+        continue;
+      }
+      const length = Math.max(minLength, Math.ceil(sizing.length / lengthStep - 1e-6) * lengthStep);
+      if (length > maxLength) {
+        candidate.violations.push(`所需管长 ${sizing.length.toFixed(2)} m 超过上限 ${maxLength} m`);
+      }
+      const finalLength = Math.min(length, maxLength);
+      const inputs = { ...candidateParams, length: finalLength, sizingTarget: 'none' };
+      const result = await calculateHeatExchanger(inputs);
+      if (!result.success) {
+        candidate.violations.push(result.error);
+        continue;
+      }
+
+      candidate.length = finalLength;
+      candidate.inputs = inputs;
+      candidate.result = {
+        heatTransferRate: result.heatTransferRate,
+        overallHeatTransferCoefficient: result.overallHeatTransferCoefficient,
+        areaMargin: getEffectiveAreaMargin(result),
+        innerPressureDrop: result.innerPressureDrop,
+        annulusPressureDrop: result.annulusPressureDrop,
+        innerVelocity: result.innerVelocity,
+        annulusVelocityIn: result.annulusVelocityIn,
+        annulusVelocityOut: result.annulusVelocityOut
+      };
+      candidate.violations.push(...checkConstraints(result, allConstraints));
+      candidate.objectives = evaluateObjectives(candidateParams, result, unitPrice);
+      candidate.feasible = candidate.violations.length === 0;
+    }
+
+    const feasible = candidates.filter(candidate => candidate.feasible);
+    const paretoSet = findParetoSet(feasible, objectives);
+    console.log(`[设计优化] ${combinations.length} 个组合，${feasible.length} 个满足约束，Pareto 解 ${paretoSet.length} 个`);
+    return {
+      success: true,
+      objectives: objectives,
+      constraints: allConstraints,
+      candidates: candidates,
+      paretoSet: paretoSet,
+      feasibleCount: feasible.length
+    };
+  } catch (error) {
+    console.error('设计优化失败:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * 设计优化配置
+ * 候选外管规格、优化目标和组合数上限，不依赖计算引擎，供界面和计算 Worker 共用
+ */
+
+import { TWISTED_TUBE_PRESETS } from './twisted_tube_presets.js';
+
+/**
+ * 光管换热器的候选外管规格（常用无缝钢管，外径 × 壁厚，mm）
+ */
+export const STANDARD_OUTER_TUBES = {
+  '25x2.5': { name: 'Φ25 × 2.5', outerOuterDiameter: 25, outerWallThickness: 2.5 },
+  '32x3': { name: 'Φ32 × 3', outerOuterDiameter: 32, outerWallThickness: 3 },
+  '38x3': { name: 'Φ38 × 3', outerOuterDiameter: 38, outerWallThickness: 3 },
+  '45x3': { name: 'Φ45 × 3', outerOuterDiameter: 45, outerWallThickness: 3 },
+  '57x3.5': { name: 'Φ57 × 3.5', outerOuterDiameter: 57, outerWallThickness: 3.5 },
+  '76x4': { name: 'Φ76 × 4', outerOuterDiameter: 76, outerWallThickness: 4 },
+  '89x4': { name: 'Φ89 × 4', outerOuterDiameter: 89, outerWallThickness: 4 }
+};
+
+/**
+ * 优化目标（均为越小越好）
+ * - digits：显示的小数位数
+ */
+export const OPTIMIZATION_OBJECTIVES = {
+  totalTubeLength: { label: '内管总长', unit: 'm', digits: 1 },
+  materialCost: { label: '材料成本', unit: '元', digits: 0 },
+  pumpingPower: { label: '泵功', unit: 'W', digits: 1 }
+};
+
+/**
+ * 组合数上限（外管规格数 × 流程数取值数 × 每流程外管数取值数）
+ */
+export const MAX_OPTIMIZATION_COMBINATIONS = 200;
+
+/**
+ * 候选外管规格
+ * @param {boolean} isTwisted - 是否为麻花管
+ * @returns {Array<Object>} [{id, name, changes: 计算参数的修改（m）}]
+ */
+export function getOuterTubeOptions(isTwisted) {
+  if (isTwisted) {
+    return Object.entries(TWISTED_TUBE_PRESETS).map(([id, preset]) => ({
+      id: id,
+      name: `麻花管 ${preset.name}`,
+      changes: {
+        outerOuterDiameter: preset.outerOuterDiameter / 1000,
+        outerWallThickness: preset.outerWallThickness / 1000,
+        innerWallThickness: preset.innerWallThickness / 1000,
+        twistToothHeight: preset.toothHeight / 1000,
+        twistPitch: preset.pitch / 1000,
+        twistLobeCount: preset.lobeCount
+      }
+    }));
+  }
+  return Object.entries(STANDARD_OUTER_TUBES).map(([id, tube]) => ({
+    id: id,
+    name: tube.name,
+    changes: {
+      outerOuterDiameter: tube.outerOuterDiameter / 1000,
+      outerWallThickness: tube.outerWallThickness / 1000
+    }
+  }));
+}
@@ -0,0 +1,312 @@
+/**
+ * 项目文件（.hxproj）、自动保存与分享链接
+ * 一个项目包含多个命名案例，每个案例保存表单输入（getFormData 的结果）、最近一次计算结果、备注和时间戳；
+ * 项目可另存为 .hxproj（JSON）文件，浏览器中自动保存到 IndexedDB 并提供最近项目列表；
+ * 单个案例的输入可压缩编码到 URL hash 中分享
+ */
+
+import { SCHEMA_VERSION, migrateCalculationInput } from './schema.js';
+
+export const PROJECT_FORMAT = 'hxproj';
+export const PROJECT_FILE_EXTENSION = '.hxproj';
+export const PROJECT_FILE_VERSION = 1;
+
+const DB_NAME = 'hx-projects';
+const DB_VERSION = 1;
+const STORE_NAME = 'projects';
+
+/**
+ * 生成项目/案例ID
+ * @returns {string}
+ */
+function createId() {
+  return globalThis.crypto?.randomUUID
+    ? globalThis.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * 创建案例
+ * @param {string} name - 案例名称
+ * @param {Object} inputs - 表单输入（getFormData 的结果）
+ * @param {Object} options - {result: 最近一次计算结果, notes: 备注}
+ * @returns {Object} 案例 {id, name, inputs, result, notes, timestamp}
+ */
+export function createCase(name, inputs, { result = null, notes = '' } = {}) {
+  return {
+    id: createId(),
+    name: name,
+    inputs: { ...inputs, schemaVersion: SCHEMA_VERSION },
+    result: result,
+    notes: notes,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * 更新案例（输入按当前模式版本保存，并刷新时间戳）
+ * @param {Object} project - 项目
+ * @param {string} caseId - 案例ID
+ * @param {Object} changes - 要更新的字段 {name, inputs, result, notes}
+ * @returns {Object} 更新后的案例
+ */
+export function updateCase(project, caseId, changes) {
+  const item = project.cases.find(c => c.id === caseId);
+  if (!item) {
+    throw new Error(`项目中不存在案例: ${caseId}`);
+  }
+  Object.assign(item, changes, { timestamp: new Date().toISOString() });
+  if (changes.inputs) {
+    item.inputs = { ...changes.inputs, schemaVersion: SCHEMA_VERSION };
+  }
+  project.updatedAt = item.timestamp;
+  return item;
+}
+
+/**
+ * 创建项目
+ * @param {string} name - 项目名称
+ * @param {Array<Object>} cases - 初始案例（createCase 的结果）
+ * @returns {Object} 项目 {format, version, id, name, createdAt, updatedAt, activeCaseId, cases}
+ */
+export function createProject(name, cases = []) {
+  const now = new Date().toISOString();
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_FILE_VERSION,
+    id: createId(),
+    name: name,
+    createdAt: now,
+    updatedAt: now,
+    activeCaseId: cases.length > 0 ? cases[0].id : null,
+    cases: cases
+  };
+}
+
+/**
+ * 项目序列化为 .hxproj 文件内容
+ * @param {Object} project - 项目
+ * @returns {string} JSON 文本
+ */
+export function serializeProject(project) {
+  return JSON.stringify(project, null, 2);
+}
+
+/**
+ * 解析 .hxproj 文件内容
+ * 各案例的输入升级到当前模式版本（见 schema.js）
+ * @param {string} text - 文件内容
+ * @returns {Object} 项目
+ */
+export function parseProject(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`项目文件不是有效的 JSON：${error.message}`);
+  }
+  if (!data || data.format !== PROJECT_FORMAT || !Array.isArray(data.cases)) {
+    throw new Error('不是有效的项目文件（缺少 format 或 cases 字段）');
+  }
+  if (data.version > PROJECT_FILE_VERSION) {
+    throw new Error(`项目文件版本 ${data.version} 高于当前支持的版本 ${PROJECT_FILE_VERSION}`);
+  }
+
+  const cases = data.cases.map((item, i) => {
+    if (!item || typeof item.inputs !== 'object') {
+      throw new Error(`第 ${i + 1} 个案例缺少输入数据`);
+    }
+    return {
+      id: item.id || createId(),
+      name: item.name || `案例 ${i + 1}`,
+      inputs: migrateCalculationInput(item.inputs),
+      result: item.result ?? null,
+      notes: item.notes || '',
+      timestamp: item.timestamp || new Date().toISOString()
+    };
+  });
+  const now = new Date().toISOString();
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_FILE_VERSION,
+    id: data.id || createId(),
+    name: data.name || '未命名项目',
+    createdAt: data.createdAt || now,
+    updatedAt: data.updatedAt || now,
+    activeCaseId: cases.some(c => c.id === data.activeCaseId) ? data.activeCaseId : (cases[0]?.id ?? null),
+    cases: cases
+  };
+}
+
+/**
+ * ===== IndexedDB 自动保存 =====
+ */
+
+// IndexedDB 请求转为 Promise
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+let dbPromise = null;
+
+/**
+ * 打开项目数据库（首次调用时创建对象仓库）
+ * @returns {Promise<IDBDatabase>}
+ */
+function openProjectDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('当前环境不支持 IndexedDB，无法自动保存项目'));
+  }
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      store.createIndex('updatedAt', 'updatedAt');
+    };
+    dbPromise = promisifyRequest(request).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+// 在对象仓库上执行一次操作
+async function withStore(mode, operation) {
+  const db = await openProjectDatabase();
+  const transaction = db.transaction(STORE_NAME, mode);
+  return promisifyRequest(operation(transaction.objectStore(STORE_NAME)));
+}
+
+/**
+ * 自动保存项目到 IndexedDB
+ * @param {Object} project - 项目
+ * @returns {Promise<void>}
+ */
+export async function autosaveProject(project) {
+  await withStore('readwrite', store => store.put(project));
+}
+
+/**
+ * 最近保存的项目列表（按更新时间倒序）
+ * @param {number} limit - 最多返回的项目数
+ * @returns {Promise<Array<Object>>} [{id, name, updatedAt, caseCount}]
+ */
+export async function listRecentProjects(limit = 10) {
+  const projects = await withStore('readonly', store => store.getAll());
+  return projects
+    .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))
+    .slice(0, limit)
+    .map(project => ({
+      id: project.id,
+      name: project.name,
+      updatedAt: project.updatedAt,
+      caseCount: project.cases.length
+    }));
+}
+
+/**
+ * 读取自动保存的项目
+ * @param {string} id - 项目ID
+ * @returns {Promise<Object>} 项目
+ */
+export async function loadRecentProject(id) {
+  const project = await withStore('readonly', store => store.get(id));
+  if (!project) {
+    throw new Error(`未找到自动保存的项目: ${id}`);
+  }
+  // 与文件打开相同的处理，旧版本案例输入升级到当前模式版本
+  return parseProject(JSON.stringify(project));
+}
+
+/**
+ * 删除自动保存的项目
+ * @param {string} id - 项目ID
+ * @returns {Promise<void>}
+ */
+export async function deleteRecentProject(id) {
+  await withStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * ===== 分享链接（URL hash） =====
+ */
+
+// hash 格式：#hx=<链接格式版本>.<编码>.<base64url 数据>，编码 d 为 deflate 压缩的 JSON，j 为未压缩的 JSON
+// 数据中的输入带 schemaVersion，打开旧链接时按 schema.js 迁移到当前版本
+export const SHARE_HASH_PREFIX = '#hx=';
+const SHARE_LINK_VERSION = 1;
+
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// 通过 CompressionStream/DecompressionStream 转换字节
+async function transformBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * 将案例输入编码为分享链接的 hash
+ * @param {Object} inputs - 表单输入（getFormData 的结果）
+ * @returns {Promise<string>} 以 '#hx=' 开头的 hash
+ */
+export async function encodeShareHash(inputs) {
+  const json = new TextEncoder().encode(JSON.stringify({ ...inputs, schemaVersion: SCHEMA_VERSION }));
+  if (typeof CompressionStream === 'undefined') {
+    return `${SHARE_HASH_PREFIX}${SHARE_LINK_VERSION}.j.${bytesToBase64Url(json)}`;
+  }
+  const compressed = await transformBytes(json, new CompressionStream('deflate-raw'));
+  return `${SHARE_HASH_PREFIX}${SHARE_LINK_VERSION}.d.${bytesToBase64Url(compressed)}`;
+}
+
+/**
+ * 判断 hash 是否为分享链接
+ * @param {string} hash - location.hash
+ * @returns {boolean}
+ */
+export function isShareHash(hash) {
+  return typeof hash === 'string' && hash.startsWith(SHARE_HASH_PREFIX);
+}
+
+/**
+ * 解码分享链接的 hash
+ * @param {string} hash - location.hash
+ * @returns {Promise<Object>} 当前模式版本的案例输入
+ */
+export async function decodeShareHash(hash) {
+  if (!isShareHash(hash)) {
+    throw new Error('不是有效的分享链接');
+  }
+  const [version, encoding, data] = hash.slice(SHARE_HASH_PREFIX.length).split('.');
+  if (Number(version) > SHARE_LINK_VERSION) {
+    throw new Error(`分享链接版本 ${version} 高于当前支持的版本 ${SHARE_LINK_VERSION}`);
+  }
+  if ((encoding !== 'd' && encoding !== 'j') || !data) {
+    throw new Error('分享链接数据不完整');
+  }
+  let inputs;
+  try {
+    let bytes = base64UrlToBytes(data);
+    if (encoding === 'd') {
+      bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+    }
+    inputs = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    throw new Error(`分享链接数据无法解析：${error.message}`);
+  }
+  return migrateCalculationInput(inputs);
+}
@@ -0,0 +1,362 @@
+/**
+ * 计算输入/输出的 JSON Schema（draft-07）与版本迁移
+ * calculateHeatExchanger 入口按 INPUT_SCHEMA 校验参数，结果对象带 schemaVersion 字段；
+ * 旧版本保存的案例（如 examples.js 中的示例）先经 migrateCalculationInput 升级到当前版本
+ *
+ * 版本历史：
+ * - 1：无 schemaVersion 字段；相态用 hotPhaseIn/hotQualityIn 等参数描述，几何尺寸可只给外径和壁厚
+ * - 2：相态统一为 hotStateIn/hotStateOut 等状态值（0=液体，1=气体，0-1=干度），内外径均显式给出
+ */
+
+import { SINGLE_PHASE_CORRELATIONS } from './correlations.js';
+
+/**
+ * 当前模式版本
+ */
+export const SCHEMA_VERSION = 2;
+
+// 可为空的数值
+const nullableNumber = (description, extra = {}) => ({ type: ['number', 'null'], description, ...extra });
+// 状态值：0=液体，1=气体，0-1=干度
+const stateValue = (description) => nullableNumber(description, { minimum: 0, maximum: 1 });
+
+/**
+ * 计算输入模式（calculateHeatExchanger 的 params）
+ * 尺寸设计参数（sizingTarget 等）和回调函数不在模式内，允许附加字段
+ */
+export const INPUT_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'hx-calculation-input.schema.json',
+  title: '套管换热器计算输入',
+  type: 'object',
+  required: ['hotFluid', 'hotTin', 'hotPressure', 'coldFluid', 'coldTin', 'coldPressure',
+    'innerDiameter', 'outerDiameter', 'innerInnerDiameter', 'outerInnerDiameter', 'length'],
+  properties: {
+    schemaVersion: { type: 'integer', const: SCHEMA_VERSION, description: '模式版本' },
+    inputMode: { type: 'string', enum: ['flowrate', 'load', 'rating'], description: '流量输入法、负荷输入法或校核计算' },
+    heatLoad: nullableNumber('传热量 (kW)，负荷输入法时使用', { exclusiveMinimum: 0 }),
+    hotFluidLocation: { type: 'string', enum: ['inner', 'outer'], description: '热流体在管内或管外' },
+
+    hotFluid: { type: 'string', description: '热流体工质ID（CoolProp 名称、二次冷媒ID或自定义流体ID）' },
+    hotConcentration: nullableNumber('热流体二次冷媒质量分数 (0-1)', { minimum: 0, maximum: 1 }),
+    hotTin: { type: 'number', description: '热流体进口温度 (°C)' },
+    hotTout: nullableNumber('热流体出口温度 (°C)，校核计算时为空'),
+    hotFlowRate: nullableNumber('热流体质量流量 (kg/s)，负荷输入法时为空', { exclusiveMinimum: 0 }),
+    hotPressure: { type: 'number', exclusiveMinimum: 0, description: '热流体压力 (kPa)' },
+    hotProcessType: { type: 'string', enum: ['cooling', 'condensation', 'supercritical'], description: '热流体过程' },
+    hotStateIn: stateValue('热流体入口状态'),
+    hotStateOut: stateValue('热流体出口状态'),
+
+    coldFluid: { type: 'string', description: '冷流体工质ID' },
+    coldConcentration: nullableNumber('冷流体二次冷媒质量分数 (0-1)', { minimum: 0, maximum: 1 }),
+    coldTin: { type: 'number', description: '冷流体进口温度 (°C)' },
+    coldTout: nullableNumber('冷流体出口温度 (°C)，校核计算时为空'),
+    coldFlowRate: nullableNumber('冷流体质量流量 (kg/s)，负荷输入法时为空', { exclusiveMinimum: 0 }),
+    coldPressure: { type: 'number', exclusiveMinimum: 0, description: '冷流体压力 (kPa)' },
+    coldProcessType: { type: 'string', enum: ['cooling', 'evaporation'], description: '冷流体过程（cooling 表示被加热）' },
+    coldStateIn: stateValue('冷流体入口状态'),
+    coldStateOut: stateValue('冷流体出口状态'),
+    coldSaturationTemp: nullableNumber('冷流体饱和温度 (°C)'),
+
+    innerDiameter: { type: 'number', exclusiveMinimum: 0, description: '内管外径 (m)，用于传热面积' },
+    outerDiameter: { type: 'number', exclusiveMinimum: 0, description: '外管外径 (m)' },
+    innerInnerDiameter: { type: 'number', exclusiveMinimum: 0, description: '内管内径 (m)，用于流速计算' },
+    outerInnerDiameter: { type: 'number', exclusiveMinimum: 0, description: '外管内径 (m)，用于环形空间计算' },
+    innerOuterDiameter: nullableNumber('内管外径 (m)，仅用于显示', { exclusiveMinimum: 0 }),
+    outerOuterDiameter: nullableNumber('外管外径 (m)，仅用于显示', { exclusiveMinimum: 0 }),
+    innerWallThickness: nullableNumber('内管壁厚 (m)', { exclusiveMinimum: 0 }),
+    outerWallThickness: nullableNumber('外管壁厚 (m)', { exclusiveMinimum: 0 }),
+    length: { type: 'number', exclusiveMinimum: 0, description: '单流程管长 (m)' },
+    flowType: { type: 'string', enum: ['counter', 'parallel'], description: '逆流或并流' },
+    givenU: nullableNumber('给定总传热系数 (W/m²·K)，为空时自动计算', { exclusiveMinimum: 0 }),
+
+    innerTubeCount: { type: 'integer', minimum: 1, description: '内管数量' },
+    innerTubeType: { type: 'string', enum: ['smooth', 'twisted'], description: '光管或麻花管' },
+    isTwisted: { type: 'boolean', description: '是否为麻花管（与 innerTubeType 一致）' },
+    twistPitch: { type: 'number', exclusiveMinimum: 0, description: '麻花管螺旋节距 (m)' },
+    twistLobeCount: { type: 'integer', minimum: 2, description: '麻花管头数' },
+    twistToothHeight: { type: 'number', minimum: 0, description: '麻花管齿高 (m)' },
+    twistWallThickness: nullableNumber('麻花管壁厚 (m)，为空时使用内管壁厚', { exclusiveMinimum: 0 }),
+    twistOuterDiameter: nullableNumber('麻花管外径 (m)，为空时取外管内径', { exclusiveMinimum: 0 }),
+    tubeMaterial: { type: 'string', description: '内管材质ID（见 materials.js）' },
+    foulingInner: { type: 'number', minimum: 0, description: '管内污垢热阻 (m²·K/W)' },
+    foulingOuter: { type: 'number', minimum: 0, description: '管外污垢热阻 (m²·K/W)' },
+    passCount: { type: 'integer', minimum: 1, description: '流程数量' },
+    outerTubeCountPerPass: { type: 'integer', minimum: 1, description: '每流程外管数量' },
+
+    solverMethod: { type: 'string', enum: ['lumped', 'segmented'], description: '平均物性法或分段计算法' },
+    segmentCount: { type: 'integer', minimum: 1, description: '分段计算法的分段数' },
+    innerCorrelation: { type: 'string', enum: Object.keys(SINGLE_PHASE_CORRELATIONS), description: '管内单相关联式ID' },
+    outerCorrelation: { type: 'string', enum: Object.keys(SINGLE_PHASE_CORRELATIONS), description: '环隙单相关联式ID' },
+    boilingCorrelation: { type: 'string', enum: ['chen', 'gungor-winterton'], description: '沸腾段关联式' },
+    supercriticalCorrelation: { type: 'string', enum: ['pitla', 'dang-hihara'], description: '超临界气体冷却关联式' },
+    twoPhasePressureDropModel: {
+      type: 'string',
+      enum: ['lockhart-martinelli', 'friedel', 'muller-steinhagen-heck'],
+      description: '两相摩擦压降模型'
+    },
+    voidFractionModel: { type: 'string', enum: ['zivi', 'rouhani-axelsson'], description: '空泡率模型' },
+    orientation: { type: 'string', enum: ['horizontal', 'vertical-up', 'vertical-down'], description: '布置方式' },
+    couplePressureDropSaturation: { type: 'boolean', description: '饱和温度是否随压降下降' },
+    saturationDropWarningThreshold: { type: 'number', minimum: 0, description: '饱和温度下降报警阈值 (K)' }
+  }
+};
+
+/**
+ * 计算结果模式（calculateHeatExchanger 的返回值）
+ * 嵌套的分项结果（三段计算、分段计算、流型图等）只约束为对象，字段见 heat_exchanger.js 中的注释
+ */
+export const RESULT_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'hx-calculation-result.schema.json',
+  title: '套管换热器计算结果',
+  type: 'object',
+  required: ['schemaVersion', 'success'],
+  properties: {
+    schemaVersion: { type: 'integer', const: SCHEMA_VERSION, description: '模式版本' },
+    success: { type: 'boolean', description: '计算是否成功' },
+    error: { type: 'string', description: '失败原因（success 为 false 时）' },
+    inputMode: { type: 'string', enum: ['flowrate', 'load', 'rating'] },
+    solverMethod: { type: 'string', enum: ['lumped', 'segmented'] },
+    heatTransferRate: { type: 'number', description: '传热量 (kW)' },
+    lmtd: nullableNumber('对数平均温差 (K)'),
+    overallHeatTransferCoefficient: { type: 'number', description: '总传热系数 (W/m²·K)' },
+    heatTransferArea: { type: 'number', description: '实际换热面积 (m²)' },
+    requiredArea: nullableNumber('所需换热面积 (m²)'),
+    areaMargin: nullableNumber('面积余量 (%)'),
+    length: { type: 'number', description: '单流程管长 (m)' },
+    passCount: { type: 'integer' },
+    outerTubeCountPerPass: { type: 'integer' },
+    innerTubeCount: { type: 'integer' },
+    innerTubeType: { type: 'string', enum: ['smooth', 'twisted'] },
+    isTwisted: { type: 'boolean' },
+    calculatedHotFlowRate: nullableNumber('计算出的热流体流量 (kg/s)'),
+    calculatedColdFlowRate: nullableNumber('计算出的冷流体流量 (kg/s)'),
+    hi: nullableNumber('管内对流传热系数 (W/m²·K)'),
+    ho: nullableNumber('管外对流传热系数 (W/m²·K)'),
+    innerPressureDrop: nullableNumber('管内压降 (kPa)'),
+    annulusPressureDrop: nullableNumber('环形空间压降 (kPa)'),
+    innerVelocity: nullableNumber('管内流速 (m/s)'),
+    annulusVelocityIn: nullableNumber('环形空间进口流速 (m/s)'),
+    annulusVelocityOut: nullableNumber('环形空间出口流速 (m/s)'),
+    temperatureDistribution: { type: ['object', 'null'] },
+    wallTemperatures: { type: ['object', 'null'] },
+    temperatureGlide: { type: ['object', 'null'] },
+    supercritical: { type: ['object', 'null'] },
+    saturationCoupling: { type: ['object', 'null'] },
+    evaporationCheck: { type: ['object', 'null'] },
+    flowPatternMaps: { type: ['object', 'null'] },
+    correlations: { type: ['object', 'null'] },
+    threeZoneResult: { type: ['object', 'null'] },
+    segmentedResult: { type: ['object', 'null'] },
+    geometry: {
+      type: 'object',
+      properties: {
+        innerDiameter: { type: 'number', description: '管内径 (m)' },
+        outerInnerDiameter: { type: 'number', description: '外管内径 (m)' },
+        tubeOuterDiameter: { type: 'number', description: '内管外径 (m)' },
+        innerArea: { type: 'number', description: '管内流通面积 (m²)' },
+        annulusArea: { type: 'number', description: '环隙流通面积 (m²)' },
+        isTwisted: { type: 'boolean' }
+      }
+    }
+  },
+  if: { properties: { success: { const: true } } },
+  then: { required: ['heatTransferRate', 'overallHeatTransferCoefficient', 'heatTransferArea', 'length', 'geometry'] },
+  else: { required: ['error'] }
+};
+
+// 错误信息中的值（NaN/Infinity 在 JSON 中会显示为 null，直接转为字符串）
+const formatValue = (value) => (typeof value === 'number' ? String(value) : JSON.stringify(value));
+
+/**
+ * 判断值是否符合 JSON Schema 的类型
+ * @param {*} value - 值
+ * @param {string} type - JSON Schema 类型名
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'boolean': return typeof value === 'boolean';
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return false;
+  }
+}
+
+/**
+ * 按 JSON Schema 校验值（支持本模块用到的子集：type、enum、const、minimum、maximum、
+ * exclusiveMinimum、required、properties、items、if/then/else）
+ * 值为 undefined 的属性视为未提供
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - 待校验的值
+ * @param {string} path - 错误信息中的字段路径
+ * @returns {Array<string>} 错误信息列表，校验通过时为空
+ */
+export function validateSchema(schema, value, path = '') {
+  const errors = [];
+  const label = path || '(根)';
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${label} 应为 ${types.join(' 或 ')}，当前值: ${formatValue(value)}`);
+      return errors;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${label} 应为 ${JSON.stringify(schema.const)}，当前值: ${formatValue(value)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label} 应为 ${schema.enum.join('、')} 之一，当前值: ${formatValue(value)}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${label} 不能小于 ${schema.minimum}，当前值: ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${label} 不能大于 ${schema.maximum}，当前值: ${value}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${label} 必须大于 ${schema.exclusiveMinimum}，当前值: ${value}`);
+    }
+  }
+  if (matchesType(value, 'object')) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`缺少必填字段 ${path ? `${path}.${key}` : key}`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(propertySchema, value[key], path ? `${path}.${key}` : key));
+      }
+    }
+    if (schema.if) {
+      const branch = validateSchema(schema.if, value, path).length === 0 ? schema.then : schema.else;
+      if (branch) {
+        errors.push(...validateSchema(branch, value, path));
+      }
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(schema.items, item, `${label}[${index}]`));
+    });
+  }
+  return errors;
+}
+
+/**
+ * 校验计算输入，不符合 INPUT_SCHEMA 时抛出错误
+ * @param {Object} params - 当前版本的计算参数（旧版本先调用 migrateCalculationInput）
+ */
+export function validateCalculationInput(params) {
+  const errors = validateSchema(INPUT_SCHEMA, params);
+  if (errors.length > 0) {
+    throw new Error(`计算参数不符合输入模式（版本 ${SCHEMA_VERSION}）：${errors.join('；')}`);
+  }
+}
+
+/**
+ * 校验计算结果是否符合 RESULT_SCHEMA
+ * @param {Object} result - calculateHeatExchanger 的计算结果
+ * @returns {Object} {valid: boolean, errors: string[]}
+ */
+export function validateCalculationResult(result) {
+  const errors = validateSchema(RESULT_SCHEMA, result);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * 旧相态参数转换为状态值：twophase 取干度；single 无法区分液体/气体，按未给出处理
+ * @param {string|null} phase - 'single' 或 'twophase'
+ * @param {number|null} quality - 干度
+ * @returns {number|null} 状态值
+ */
+function phaseToState(phase, quality) {
+  if (phase === 'twophase' && quality !== null && quality !== undefined && isFinite(quality)) {
+    return quality;
+  }
+  return null;
+}
+
+/**
+ * 版本 1 → 2
+ * - hotPhaseIn/hotQualityIn 等旧相态参数转换为 hotStateIn 等状态值后删除
+ * - 只给外径和壁厚的几何尺寸补齐内径；未给壁厚时与示例加载一致，内管取外径的10%、外管取外径的5%
+ * - 只给 isTwisted 时补齐 innerTubeType
+ * @param {Object} input - 版本 1 的案例
+ * @returns {Object} 版本 2 的案例
+ */
+function migrateV1ToV2(input) {
+  const output = { ...input };
+
+  for (const side of ['hot', 'cold']) {
+    for (const end of ['In', 'Out']) {
+      const stateKey = `${side}State${end}`;
+      const phaseKey = `${side}Phase${end}`;
+      const qualityKey = `${side}Quality${end}`;
+      if ((output[stateKey] === null || output[stateKey] === undefined) && output[phaseKey]) {
+        output[stateKey] = phaseToState(output[phaseKey], output[qualityKey]);
+      }
+      delete output[phaseKey];
+      delete output[qualityKey];
+    }
+  }
+
+  output.innerDiameter = output.innerDiameter ?? output.innerOuterDiameter;
+  output.outerDiameter = output.outerDiameter ?? output.outerOuterDiameter;
+  output.innerOuterDiameter = output.innerOuterDiameter ?? output.innerDiameter;
+  output.outerOuterDiameter = output.outerOuterDiameter ?? output.outerDiameter;
+  if (output.innerDiameter > 0) {
+    output.innerWallThickness = output.innerWallThickness || output.innerDiameter * 0.1;
+    output.innerInnerDiameter = output.innerInnerDiameter ?? output.innerDiameter - 2 * output.innerWallThickness;
+  }
+  if (output.outerDiameter > 0) {
+    output.outerWallThickness = output.outerWallThickness || output.outerDiameter * 0.05;
+    output.outerInnerDiameter = output.outerInnerDiameter ?? output.outerDiameter - 2 * output.outerWallThickness;
+  }
+
+  if (!output.innerTubeType && output.isTwisted !== undefined) {
+    output.innerTubeType = output.isTwisted ? 'twisted' : 'smooth';
+  }
+
+  output.schemaVersion = 2;
+  return output;
+}
+
+// 版本迁移函数：MIGRATIONS[n] 将版本 n 升级到 n + 1
+const MIGRATIONS = {
+  1: migrateV1ToV2
+};
+
+/**
+ * 将保存的案例（计算参数或示例数据）升级到当前模式版本
+ * 没有 schemaVersion 字段的视为版本 1；不修改传入对象
+ * @param {Object} input - 任意版本的案例
+ * @returns {Object} 当前版本的案例
+ */
+export function migrateCalculationInput(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('案例数据必须是对象');
+  }
+  let version = input.schemaVersion ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`无效的模式版本: ${JSON.stringify(input.schemaVersion)}`);
+  }
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`案例的模式版本 ${version} 高于当前支持的版本 ${SCHEMA_VERSION}，请升级计算程序`);
+  }
+
+  let output = { ...input };
+  while (version < SCHEMA_VERSION) {
+    output = MIGRATIONS[version](output);
+    version += 1;
+  }
+  return output;
+}
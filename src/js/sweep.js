@@ -0,0 +1,48 @@
+/**
+ * 参数扫描（Parametric Sweep）
+ * 对表单中的一个或两个数值输入在给定范围内取点，逐点调用 calculateHeatExchanger，
+ * 汇总 SWEEP_OUTPUTS 中的输出量。扫描点的计算参数由界面生成（见 ui.js），
+ * calculateParametricSweep 在计算 Worker 中运行，只回传汇总值以减少消息体积
+ */
+
+import { calculateHeatExchanger } from './heat_exchanger.js';
+import { SWEEP_OUTPUTS, MAX_SWEEP_POINTS } from './sweep_config.js';
+
+/**
+ * 运行参数扫描
+ * @param {Object} params
+ * @param {Array<Object>} params.cases - 各扫描点的 calculateHeatExchanger 参数
+ * @param {Function} params.onProgress - 进度回调 {stage, iteration, message}
+ * @returns {Promise<Array<Object>>} 各点结果 [{success, error, outputs: {输出ID: 数值或 null}}]
+ */
+export async function calculateParametricSweep({ cases, onProgress = null }) {
+  if (!Array.isArray(cases) || cases.length === 0) {
+    throw new Error('参数扫描没有计算点');
+  }
+  if (cases.length > MAX_SWEEP_POINTS) {
+    throw new Error(`扫描点数 ${cases.length} 超过上限 ${MAX_SWEEP_POINTS}`);
+  }
+
+  const points = [];
+  for (let i = 0; i < cases.length; i++) {
+    onProgress?.({ stage: 'sweep', iteration: i + 1, message: `参数扫描 ${i + 1}/${cases.length}` });
+    let result;
+    try {
+      result = await calculateHeatExchanger(cases[i]);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+    if (!result.success) {
+      console.warn(`[参数扫描] 第 ${i + 1} 点计算失败: ${result.error}`);
+      points.push({ success: false, error: result.error, outputs: {} });
+      continue;
+    }
+    const outputs = {};
+    for (const [key, output] of Object.entries(SWEEP_OUTPUTS)) {
+      const value = output.get(result);
+      outputs[key] = typeof value === 'number' && isFinite(value) ? value : null;
+    }
+    points.push({ success: true, error: null, outputs });
+  }
+  return points;
+}
@@ -0,0 +1,91 @@
+/**
+ * 参数扫描配置
+ * 可扫描的输入变量、输出量和取点方法，不依赖计算引擎，供界面和计算 Worker 共用
+ */
+
+/**
+ * 可扫描的输入变量（getFormData 中的数值字段）
+ * - scale：界面显示值 = 表单值 × scale（如直径表单值为 m，显示为 mm）
+ * - integer：是否只取整数
+ */
+export const SWEEP_VARIABLES = {
+  hotFlowRate: { label: '热流体流量', unit: 'kg/s', scale: 1 },
+  hotTin: { label: '热流体进口温度', unit: '°C', scale: 1 },
+  hotTout: { label: '热流体出口温度', unit: '°C', scale: 1 },
+  hotPressure: { label: '热流体压力', unit: 'kPa', scale: 1 },
+  hotConcentration: { label: '热流体浓度', unit: '%', scale: 100 },
+  coldFlowRate: { label: '冷流体流量', unit: 'kg/s', scale: 1 },
+  coldTin: { label: '冷流体进口温度', unit: '°C', scale: 1 },
+  coldTout: { label: '冷流体出口温度', unit: '°C', scale: 1 },
+  coldPressure: { label: '冷流体压力', unit: 'kPa', scale: 1 },
+  coldConcentration: { label: '冷流体浓度', unit: '%', scale: 100 },
+  heatLoad: { label: '传热量', unit: 'kW', scale: 1 },
+  innerOuterDiameter: { label: '内管外径', unit: 'mm', scale: 1000 },
+  innerWallThickness: { label: '内管壁厚', unit: 'mm', scale: 1000 },
+  outerOuterDiameter: { label: '外管外径', unit: 'mm', scale: 1000 },
+  outerWallThickness: { label: '外管壁厚', unit: 'mm', scale: 1000 },
+  length: { label: '管长', unit: 'm', scale: 1 },
+  innerTubeCount: { label: '内管数量', unit: '根', scale: 1, integer: true },
+  passCount: { label: '流程数', unit: '', scale: 1, integer: true },
+  outerTubeCountPerPass: { label: '每流程外管数', unit: '根', scale: 1, integer: true },
+  twistPitch: { label: '麻花管节距', unit: 'mm', scale: 1000 },
+  twistToothHeight: { label: '麻花管齿高', unit: 'mm', scale: 1000 },
+  twistLobeCount: { label: '麻花管头数', unit: '', scale: 1, integer: true },
+  twistWallThickness: { label: '麻花管壁厚', unit: 'mm', scale: 1000 },
+  foulingInner: { label: '管内污垢热阻', unit: 'm²·K/kW', scale: 1000 },
+  foulingOuter: { label: '管外污垢热阻', unit: 'm²·K/kW', scale: 1000 },
+  givenU: { label: '给定传热系数', unit: 'W/m²·K', scale: 1 },
+  segmentCount: { label: '分段数', unit: '', scale: 1, integer: true }
+};
+
+// 两侧压降之和 (kPa)，缺失的一侧按 0 计
+const totalPressureDrop = (r) => (r.innerPressureDrop || 0) + (r.annulusPressureDrop || 0);
+
+/**
+ * 扫描输出量：get(result) 从计算结果中取值
+ */
+export const SWEEP_OUTPUTS = {
+  heatTransferRate: { label: '传热量 Q', unit: 'kW', get: r => r.heatTransferRate },
+  overallHeatTransferCoefficient: { label: '总传热系数 U', unit: 'W/m²·K', get: r => r.overallHeatTransferCoefficient },
+  hi: { label: '管内传热系数 hi', unit: 'W/m²·K', get: r => r.hi },
+  ho: { label: '管外传热系数 ho', unit: 'W/m²·K', get: r => r.ho },
+  innerPressureDrop: { label: '管内压降', unit: 'kPa', get: r => r.innerPressureDrop },
+  annulusPressureDrop: { label: '环隙压降', unit: 'kPa', get: r => r.annulusPressureDrop },
+  uPerPressureDrop: {
+    label: 'U / 总压降',
+    unit: 'W/m²·K/kPa',
+    get: r => (totalPressureDrop(r) > 0 ? r.overallHeatTransferCoefficient / totalPressureDrop(r) : null)
+  },
+  areaMargin: { label: '面积余量', unit: '%', get: r => r.areaMargin },
+  requiredArea: { label: '所需面积', unit: 'm²', get: r => r.requiredArea },
+  heatTransferArea: { label: '换热面积', unit: 'm²', get: r => r.heatTransferArea },
+  lmtd: { label: '对数平均温差', unit: 'K', get: r => r.lmtd },
+  innerVelocity: { label: '管内流速', unit: 'm/s', get: r => r.innerVelocity },
+  annulusVelocityIn: { label: '环隙进口流速', unit: 'm/s', get: r => r.annulusVelocityIn },
+  hotTout: { label: '热流体出口温度（校核）', unit: '°C', get: r => r.ratingResult?.hotTout },
+  coldTout: { label: '冷流体出口温度（校核）', unit: '°C', get: r => r.ratingResult?.coldTout }
+};
+
+/**
+ * 扫描点上限（两变量扫描为两者点数之积）
+ */
+export const MAX_SWEEP_POINTS = 400;
+
+/**
+ * 在 [start, end] 内均匀取点；整数变量取整并去重
+ * @param {number} start - 起始值（表单单位）
+ * @param {number} end - 终止值（表单单位）
+ * @param {number} steps - 点数（≥ 2）
+ * @param {boolean} integer - 是否只取整数
+ * @returns {Array<number>}
+ */
+export function buildSweepValues(start, end, steps, integer = false) {
+  if (!isFinite(start) || !isFinite(end) || start === end) {
+    throw new Error('扫描范围无效：起始值和终止值必须为不同的数值');
+  }
+  if (!Number.isInteger(steps) || steps < 2) {
+    throw new Error('扫描点数必须为不小于 2 的整数');
+  }
+  const values = Array.from({ length: steps }, (_, i) => start + (end - start) * i / (steps - 1));
+  return integer ? [...new Set(values.map(Math.round))] : values;
+}
@@ -3,12 +3,89 @@
  * 处理表单验证、结果显示等界面交互
  */
 
-import { calculateHeatExchanger, calculateLobeCrossSection, calculateAnnulusEquivalentDiameter, calculateAnnulusEquivalentDiameterWithLobe } from './heat_exchanger.js';
-import { updateVisualization, drawTemperatureDistribution } from './visualization.js';
+import { FLOW_PATTERNS, getFlowPatternAt } from './flow_patterns.js';
+import { calculateLobeCrossSection, calculateAnnulusEquivalentDiameter, calculateAnnulusEquivalentDiameterWithLobe } from './cross_section.js';
+import { updateVisualization, drawTemperatureDistribution, drawFlowPatternMap, drawTemperatureComparison, drawSweepChart, drawSweepHeatMap, drawParetoChart, drawHistogram } from './visualization.js';
 import { getMaterialInfo } from './materials.js';
+import { runCalculation } from './calculation_client.js';
+import { getCorrelationInfo } from './correlations.js';
+import { getMixtureInfo } from './mixtures.js';
+import { getSecondaryFluidInfo } from './fluids.js';
+import { listCustomFluids, getCustomFluidInfo, parseCustomFluidTable, saveCustomFluid, deleteCustomFluid } from './custom_fluids.js';
 import { getTwistedTubePreset } from './twisted_tube_presets.js';
+import { currentDebugExample, loadExampleToForm } from './examples.js';
+import { buildComparisonTable } from './comparison.js';
+import { SCHEMA_VERSION, validateCalculationInput } from './schema.js';
+import { SWEEP_VARIABLES, SWEEP_OUTPUTS, MAX_SWEEP_POINTS, buildSweepValues } from './sweep_config.js';
+import { OPTIMIZATION_OBJECTIVES, getOuterTubeOptions } from './optimizer_config.js';
+import { UNCERTAINTY_FACTORS, UNCERTAINTY_OUTPUTS, DISTRIBUTIONS, buildHistogram } from './uncertainty_config.js';
+import {
+  PROJECT_FILE_EXTENSION,
+  createProject,
+  createCase,
+  updateCase,
+  serializeProject,
+  parseProject,
+  autosaveProject,
+  listRecentProjects,
+  loadRecentProject,
+  deleteRecentProject,
+  encodeShareHash,
+  decodeShareHash,
+  isShareHash
+} from './project.js';
 import { TwistedTubeGeometry } from './twisted_tube_geometry.js';
 
+/**
+ * 转义 HTML 特殊字符：项目、案例名称等用户提供的文本拼入 innerHTML 前使用
+ * @param {*} value - 文本
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * 获取二次冷媒质量浓度（界面输入为 %，转换为质量分数）
+ * @param {string} side - 'hot' 或 'cold'
+ * @returns {number|null} 质量分数 (0-1)，所选工质无浓度参数时为 null
+ */
+function getConcentration(side) {
+  const info = getSecondaryFluidInfo(document.getElementById(`${side}-fluid`).value);
+  if (!info || !info.concentration) return null;
+  const val = document.getElementById(`${side}-concentration`)?.value;
+  return val !== undefined && val !== '' ? parseFloat(val) / 100 : null;
+}
+
+/**
+ * 刷新工质下拉框和管理列表中的自定义流体选项（保留当前选中值）
+ */
+function refreshCustomFluidOptions() {
+  const customFluids = listCustomFluids();
+  document.querySelectorAll('optgroup[data-custom-fluids]').forEach((group) => {
+    const select = group.closest('select');
+    const selected = select.value;
+    group.innerHTML = customFluids
+      .map(({ id, name, range }) => `<option value="${id}">${name} (${range.min} ~ ${range.max} °C)</option>`)
+      .join('');
+    group.classList.toggle('hidden', customFluids.length === 0);
+    if ([...select.options].some(option => option.value === selected)) {
+      select.value = selected;
+    }
+  });
+  const listSelect = document.getElementById('custom-fluid-list');
+  if (listSelect) {
+    listSelect.innerHTML = customFluids.length > 0
+      ? customFluids.map(({ id, name }) => `<option value="${id}">${name}</option>`).join('')
+      : '<option value="">（无已保存的自定义流体）</option>';
+  }
+}
+
 /**
  * 获取表单输入值
  * @returns {Object} 表单数据
@@ -20,9 +97,10 @@ export function getFormData() {
   const hotFluidLocation = document.querySelector('input[name="hot-fluid-location"]:checked')?.value || 'inner';
   
   return {
-    inputMode: inputMode,  // 'flowrate' 或 'load'
+    inputMode: inputMode,  // 'flowrate'、'load' 或 'rating'
     hotFluidLocation: hotFluidLocation,  // 'inner' 或 'outer' - 热流体在管内或管外
     hotFluid: document.getElementById('hot-fluid').value,
+    hotConcentration: getConcentration('hot'),  // 二次冷媒质量分数 (0-1)
     hotProcessType: document.getElementById('hot-process-type')?.value || 'cooling',
     hotStateIn: (() => {
       const val = document.getElementById('hot-state-in')?.value;
@@ -33,14 +111,15 @@ export function getFormData() {
       return val !== undefined && val !== '' ? parseFloat(val) : null;
     })(),
     hotTin: parseFloat(document.getElementById('hot-tin').value),
-    hotTout: parseFloat(document.getElementById('hot-tout').value),
-    hotFlowRate: inputMode === 'flowrate' ? parseFloat(document.getElementById('hot-flowrate').value) : null,
+    hotTout: inputMode !== 'rating' ? parseFloat(document.getElementById('hot-tout').value) : null,  // 校核计算时为计算值
+    hotFlowRate: inputMode !== 'load' ? parseFloat(document.getElementById('hot-flowrate').value) : null,
     hotPressure: (() => {
       const val = document.getElementById('hot-pressure')?.value;
       return val ? parseFloat(val) : null;
     })(),
     
     coldFluid: document.getElementById('cold-fluid').value,
+    coldConcentration: getConcentration('cold'),  // 二次冷媒质量分数 (0-1)
     coldProcessType: document.getElementById('cold-process-type')?.value || 'cooling',
     coldStateIn: (() => {
       const val = document.getElementById('cold-state-in')?.value;
@@ -51,8 +130,8 @@ export function getFormData() {
       return val !== undefined && val !== '' ? parseFloat(val) : null;
     })(),
     coldTin: parseFloat(document.getElementById('cold-tin').value),
-    coldTout: parseFloat(document.getElementById('cold-tout').value),
-    coldFlowRate: inputMode === 'flowrate' ? parseFloat(document.getElementById('cold-flowrate').value) : null,
+    coldTout: inputMode !== 'rating' ? parseFloat(document.getElementById('cold-tout').value) : null,  // 校核计算时为计算值
+    coldFlowRate: inputMode !== 'load' ? parseFloat(document.getElementById('cold-flowrate').value) : null,
     coldPressure: (() => {
       const val = document.getElementById('cold-pressure')?.value;
       return val ? parseFloat(val) : null;
@@ -80,6 +159,20 @@ export function getFormData() {
       const uInput = document.getElementById('heat-transfer-coefficient').value;
       return uInput ? parseFloat(uInput) : null;
     })(),
+    solverMethod: document.getElementById('solver-method')?.value || 'lumped',
+    segmentCount: parseInt(document.getElementById('segment-count')?.value) || 40,
+    innerCorrelation: document.getElementById('inner-correlation')?.value || 'default',
+    outerCorrelation: document.getElementById('outer-correlation')?.value || 'default',
+    boilingCorrelation: document.getElementById('boiling-correlation')?.value || 'chen',
+    supercriticalCorrelation: document.getElementById('supercritical-correlation')?.value || 'pitla',
+    twoPhasePressureDropModel: document.getElementById('two-phase-pressure-drop-model')?.value || 'lockhart-martinelli',
+    voidFractionModel: document.getElementById('void-fraction-model')?.value || 'zivi',
+    orientation: document.getElementById('orientation')?.value || 'horizontal',
+    couplePressureDropSaturation: document.getElementById('couple-pressure-drop-saturation')?.value === 'on',
+    saturationDropWarningThreshold: (() => {
+      const val = parseFloat(document.getElementById('saturation-drop-threshold')?.value);
+      return isNaN(val) ? 1 : val;
+    })(),
     
     // 污垢系数（m²·K/kW，输入值需要转换为 m²·K/W）
     foulingInner: (() => {
@@ -109,7 +202,26 @@ export function getFormData() {
       return val ? parseFloat(val) / 1000 : null; // 转换为m，null表示使用内管壁厚
     })(),
     passCount: parseInt(document.getElementById('pass-count').value) || 1,
-    outerTubeCountPerPass: parseInt(document.getElementById('outer-tube-count-per-pass').value) || 1
+    outerTubeCountPerPass: parseInt(document.getElementById('outer-tube-count-per-pass').value) || 1,
+    
+    // 尺寸设计参数
+    sizingTarget: document.getElementById('sizing-target')?.value || 'none',  // 'none'、'length' 或 'hairpins'
+    designMargin: (() => {
+      const val = document.getElementById('sizing-margin')?.value;
+      return val !== undefined && val !== '' ? parseFloat(val) : 15;
+    })(),
+    standardLength: (() => {
+      const val = document.getElementById('sizing-standard-length')?.value;
+      return val ? parseFloat(val) : 6;
+    })(),
+    maxPressureDrop: (() => {
+      const val = document.getElementById('sizing-max-pressure-drop')?.value;
+      return val ? parseFloat(val) : null;  // kPa，null表示不限制
+    })(),
+    maxVelocity: (() => {
+      const val = document.getElementById('sizing-max-velocity')?.value;
+      return val ? parseFloat(val) : null;  // m/s，null表示不限制
+    })()
   };
 }
 
@@ -121,18 +233,26 @@ export function getFormData() {
 export function validateFormData(data) {
   const errors = [];
   const inputMode = data.inputMode || 'flowrate';
+  // 校核计算模式下出口温度和出口状态为计算结果，不需要输入
+  const isRating = inputMode === 'rating';
+  // 载冷剂和自定义流体可在 0 °C 以下工作（冰点/表格范围由计算时校验），其余工质温度须大于 0 °C
+  const isValidTemperature = (value, fluid) =>
+    !isNaN(value) && (value > 0 || getSecondaryFluidInfo(fluid) !== null || getCustomFluidInfo(fluid) !== null);
 
   // 验证热流体参数
   if (!data.hotFluid) errors.push('请选择热流体工质');
-  if (isNaN(data.hotTin) || data.hotTin <= 0) errors.push('请输入有效的热流体入口温度');
-  if (isNaN(data.hotTout) || data.hotTout <= 0) errors.push('请输入有效的热流体出口温度');
+  if (!isValidTemperature(data.hotTin, data.hotFluid)) errors.push('请输入有效的热流体入口温度');
+  if (!isRating && !isValidTemperature(data.hotTout, data.hotFluid)) errors.push('请输入有效的热流体出口温度');
   
-  // 验证状态值输入（热流体）
-  if (data.hotStateIn === null || isNaN(data.hotStateIn) || data.hotStateIn < 0 || data.hotStateIn > 1) {
-    errors.push('热流体入口状态必须在0-1之间（0=液体，1=气体，0-1=两相干度）');
-  }
-  if (data.hotStateOut === null || isNaN(data.hotStateOut) || data.hotStateOut < 0 || data.hotStateOut > 1) {
-    errors.push('热流体出口状态必须在0-1之间（0=液体，1=气体，0-1=两相干度）');
+  // 验证状态值输入（热流体）；超临界气体冷却不存在干度，不校验状态值
+  const hotIsSupercritical = data.hotProcessType === 'supercritical';
+  if (!hotIsSupercritical) {
+    if (data.hotStateIn === null || isNaN(data.hotStateIn) || data.hotStateIn < 0 || data.hotStateIn > 1) {
+      errors.push('热流体入口状态必须在0-1之间（0=液体，1=气体，0-1=两相干度）');
+    }
+    if (!isRating && data.hotStateOut === null || isNaN(data.hotStateOut) || data.hotStateOut < 0 || data.hotStateOut > 1) {
+      errors.push('热流体出口状态必须在0-1之间（0=液体，1=气体，0-1=两相干度）');
+    }
   }
   
   // 验证压力（所有情况都需要输入压力）
@@ -140,20 +260,20 @@ export function validateFormData(data) {
     errors.push('请输入有效的热流体压力');
   }
   
-  if (inputMode === 'flowrate') {
+  if (inputMode !== 'load') {
     if (isNaN(data.hotFlowRate) || data.hotFlowRate <= 0) errors.push('请输入有效的热流体流量');
   }
 
   // 验证冷流体参数
   if (!data.coldFluid) errors.push('请选择冷流体工质');
-  if (isNaN(data.coldTin) || data.coldTin <= 0) errors.push('请输入有效的冷流体入口温度');
-  if (isNaN(data.coldTout) || data.coldTout <= 0) errors.push('请输入有效的冷流体出口温度');
+  if (!isValidTemperature(data.coldTin, data.coldFluid)) errors.push('请输入有效的冷流体入口温度');
+  if (!isRating && !isValidTemperature(data.coldTout, data.coldFluid)) errors.push('请输入有效的冷流体出口温度');
   
   // 验证状态值输入（冷流体）
   if (data.coldStateIn === null || isNaN(data.coldStateIn) || data.coldStateIn < 0 || data.coldStateIn > 1) {
     errors.push('冷流体入口状态必须在0-1之间（0=液体，1=气体，0-1=两相干度）');
   }
-  if (data.coldStateOut === null || isNaN(data.coldStateOut) || data.coldStateOut < 0 || data.coldStateOut > 1) {
+  if (!isRating && data.coldStateOut === null || isNaN(data.coldStateOut) || data.coldStateOut < 0 || data.coldStateOut > 1) {
     errors.push('冷流体出口状态必须在0-1之间（0=液体，1=气体，0-1=两相干度）');
   }
   
@@ -162,7 +282,7 @@ export function validateFormData(data) {
     errors.push('请输入有效的冷流体压力');
   }
   
-  if (inputMode === 'flowrate') {
+  if (inputMode !== 'load') {
     if (isNaN(data.coldFlowRate) || data.coldFlowRate <= 0) errors.push('请输入有效的冷流体流量');
   }
   
@@ -170,7 +290,11 @@ export function validateFormData(data) {
   const hotHasPhaseChange = (data.hotStateIn === 1 && data.hotStateOut === 0) || (data.hotStateIn === 0 && data.hotStateOut === 1) ||
                             (data.hotStateIn > 0 && data.hotStateIn < 1) || (data.hotStateOut > 0 && data.hotStateOut < 1);
   const hotIsSinglePhase = (data.hotStateIn === 0 || data.hotStateIn === 1) && (data.hotStateOut === 0 || data.hotStateOut === 1);
-  if (hotIsSinglePhase && !hotHasPhaseChange) {
+  if (!isRating && hotIsSupercritical) {
+    if (data.hotTin <= data.hotTout) {
+      errors.push('超临界气体冷却过程中，热流体入口温度必须大于出口温度');
+    }
+  } else if (!isRating && hotIsSinglePhase && !hotHasPhaseChange) {
     // 热流体在单相换热中是冷却过程，温度应该降低
     if (data.hotTin <= data.hotTout) {
       errors.push('热流体在单相换热中是冷却过程，入口温度必须大于出口温度');
@@ -180,7 +304,7 @@ export function validateFormData(data) {
   const coldHasPhaseChange = (data.coldStateIn === 1 && data.coldStateOut === 0) || (data.coldStateIn === 0 && data.coldStateOut === 1) ||
                              (data.coldStateIn > 0 && data.coldStateIn < 1) || (data.coldStateOut > 0 && data.coldStateOut < 1);
   const coldIsSinglePhase = (data.coldStateIn === 0 || data.coldStateIn === 1) && (data.coldStateOut === 0 || data.coldStateOut === 1);
-  if (coldIsSinglePhase && !coldHasPhaseChange) {
+  if (!isRating && coldIsSinglePhase && !coldHasPhaseChange) {
     // 冷流体在单相换热中是加热过程，温度应该升高
     if (data.coldTout <= data.coldTin) {
       errors.push('冷流体在单相换热中是加热过程，出口温度必须大于入口温度');
@@ -193,11 +317,17 @@ export function validateFormData(data) {
   }
 
   // 验证温度逻辑
-  if (data.hotTin <= data.coldTout) {
-    errors.push('热流体入口温度必须大于冷流体出口温度');
-  }
-  if (data.hotTout <= data.coldTin) {
-    errors.push('热流体出口温度必须大于冷流体入口温度');
+  if (isRating) {
+    if (data.hotTin <= data.coldTin) {
+      errors.push('热流体入口温度必须大于冷流体入口温度');
+    }
+  } else {
+    if (data.hotTin <= data.coldTout) {
+      errors.push('热流体入口温度必须大于冷流体出口温度');
+    }
+    if (data.hotTout <= data.coldTin) {
+      errors.push('热流体出口温度必须大于冷流体入口温度');
+    }
   }
 
   // 验证换热器参数
@@ -273,6 +403,30 @@ export function validateFormData(data) {
     }
   }
 
+  // 验证尺寸设计参数（如果启用）
+  if (data.sizingTarget && data.sizingTarget !== 'none') {
+    if (isRating) {
+      errors.push('校核计算模式下不能进行尺寸设计');
+    }
+    if (isNaN(data.designMargin) || data.designMargin < 0) {
+      errors.push('设计余量必须为非负值');
+    }
+    if (data.sizingTarget === 'hairpins' && (isNaN(data.standardLength) || data.standardLength <= 0)) {
+      errors.push('请输入有效的标准管长');
+    }
+    if (data.maxPressureDrop !== null && (isNaN(data.maxPressureDrop) || data.maxPressureDrop <= 0)) {
+      errors.push('如果提供压降上限，必须为有效正值');
+    }
+    if (data.maxVelocity !== null && (isNaN(data.maxVelocity) || data.maxVelocity <= 0)) {
+      errors.push('如果提供流速上限，必须为有效正值');
+    }
+  }
+
+  // 验证分段数（分段计算法）
+  if (data.solverMethod === 'segmented' && (data.segmentCount < 5 || data.segmentCount > 200)) {
+    errors.push('分段数必须在 5 到 200 之间');
+  }
+
   // 验证传热系数（如果提供）
   if (data.givenU !== null && (isNaN(data.givenU) || data.givenU <= 0)) {
     errors.push('如果提供传热系数，必须为有效正值');
@@ -404,6 +558,61 @@ export function showResults(results) {
     }
   }
 
+  // 如果是校核计算，在输出区显示计算出的出口温度
+  const ratingResultContainer = document.getElementById('rating-result-container');
+  if (ratingResultContainer) {
+    const ratingResult = results.inputMode === 'rating' ? results.ratingResult : null;
+    if (ratingResult) {
+      ratingResultContainer.classList.remove('hidden');
+      const setText = (id, text) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+      };
+      setText('result-rating-hot-tout', formatNumber(ratingResult.hotTout, 2));
+      setText('result-rating-cold-tout', formatNumber(ratingResult.coldTout, 2));
+      setText('result-rating-effectiveness', formatNumber(ratingResult.effectiveness, 3));
+      setText('result-rating-ntu', ratingResult.NTU !== null ? formatNumber(ratingResult.NTU, 3) : '∞');
+      
+      let infoText = `迭代 ${ratingResult.iterations} 次${ratingResult.converged ? '收敛' : '未收敛'}`;
+      if (ratingResult.method === 'segmented') {
+        infoText = `分段计算 ${ratingResult.numCells} 段，` + infoText;
+      }
+      if (ratingResult.energyBalanceError !== null && ratingResult.energyBalanceError !== undefined) {
+        infoText += `，能量平衡偏差 ${formatNumber(ratingResult.energyBalanceError, 2)}%`;
+      }
+      setText('result-rating-info', infoText);
+    } else {
+      ratingResultContainer.classList.add('hidden');
+    }
+  }
+
+  // 如果进行了尺寸设计，显示设计结果和起控制作用的约束
+  const sizingResultContainer = document.getElementById('sizing-result-container');
+  if (sizingResultContainer) {
+    const sizingResult = results.sizingResult;
+    if (sizingResult) {
+      sizingResultContainer.classList.remove('hidden');
+      const setText = (id, text) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+      };
+      setText('result-sizing-length', formatNumber(sizingResult.length, 2));
+      setText('result-sizing-pass-count', String(sizingResult.passCount));
+      setText('result-sizing-outer-tube-count', String(sizingResult.outerTubeCountPerPass));
+      setText('result-sizing-margin', sizingResult.areaMargin !== null ? formatNumber(sizingResult.areaMargin, 2) + '%' : '-');
+      
+      const bindingEl = document.getElementById('result-sizing-binding');
+      if (bindingEl) {
+        bindingEl.textContent = (sizingResult.feasible ? '✓ ' : '⚠️ ') + sizingResult.bindingReason;
+        bindingEl.className = 'mt-2 p-2 rounded-lg border text-xs ' + (sizingResult.feasible
+          ? 'bg-green-50 border-green-200 text-green-800'
+          : 'bg-red-50 border-red-200 text-red-800');
+      }
+    } else {
+      sizingResultContainer.classList.add('hidden');
+    }
+  }
+
   const qElement = document.getElementById('result-q');
   const lmtdElement = document.getElementById('result-lmtd');
   const uElement = document.getElementById('result-u');
@@ -422,9 +631,10 @@ export function showResults(results) {
   
   if (phaseInfoEl && hotPhaseEl && coldPhaseEl) {
     const hotStateIn = formData.hotStateIn;
-    const hotStateOut = formData.hotStateOut;
     const coldStateIn = formData.coldStateIn;
-    const coldStateOut = formData.coldStateOut;
+    // 校核计算时出口状态取计算值
+    const hotStateOut = results.ratingResult?.hotStateOut ?? formData.hotStateOut;
+    const coldStateOut = results.ratingResult?.coldStateOut ?? formData.coldStateOut;
     
     // 将状态值转换为相态描述
     const getPhaseText = (stateIn, stateOut, fluidName) => {
@@ -456,7 +666,9 @@ export function showResults(results) {
       }
     };
     
-    const hotPhaseText = getPhaseText(hotStateIn, hotStateOut, '热流体');
+    const hotPhaseText = formData.hotProcessType === 'supercritical'
+      ? '热流体: 超临界流体'
+      : getPhaseText(hotStateIn, hotStateOut, '热流体');
     const coldPhaseText = getPhaseText(coldStateIn, coldStateOut, '冷流体');
     
     const showPhaseInfo = (hotStateIn !== 0 && hotStateIn !== 1) || (hotStateOut !== 0 && hotStateOut !== 1) ||
@@ -492,6 +704,125 @@ export function showResults(results) {
     annulusFrictionEl.textContent = formatNumber(results.annulusFrictionFactor, 4);
   }
   
+  // 显示两相压降分项（摩擦、加速、重力）
+  const twoPhasePressureContainer = document.getElementById('two-phase-pressure-container');
+  if (twoPhasePressureContainer) {
+    const modelNames = {
+      'lockhart-martinelli': 'Lockhart-Martinelli',
+      'friedel': 'Friedel',
+      'muller-steinhagen-heck': 'Müller-Steinhagen-Heck'
+    };
+    const sides = [
+      { id: 'result-inner-two-phase-pressure', label: '管内', data: results.innerTwoPhasePressureDrop },
+      { id: 'result-annulus-two-phase-pressure', label: '管外', data: results.annulusTwoPhasePressureDrop }
+    ];
+    let hasTwoPhase = false;
+    sides.forEach(({ id, label, data }) => {
+      const el = document.getElementById(id);
+      if (!el) return;
+      if (data) {
+        hasTwoPhase = true;
+        el.classList.remove('hidden');
+        el.innerHTML = `
+          <div class="font-semibold text-gray-700 mb-1">${label}两相压降（${modelNames[data.model] || escapeHtml(data.model)}）</div>
+          <div>摩擦：${formatNumber(data.frictional, 3)} kPa（倍增因子 ${formatNumber(data.multiplier, 2)}）</div>
+          <div>加速：${formatNumber(data.acceleration, 3)} kPa</div>
+          <div>重力：${formatNumber(data.gravitational, 3)} kPa</div>
+          <div>平均空泡率：${formatNumber(data.voidFraction, 3)}</div>
+        `;
+      } else {
+        el.classList.add('hidden');
+      }
+    });
+    twoPhasePressureContainer.classList.toggle('hidden', !hasTwoPhase);
+  }
+  
+  // 显示非共沸混合工质的露点/泡点温度和温度滑移
+  const temperatureGlideContainer = document.getElementById('temperature-glide-container');
+  if (temperatureGlideContainer) {
+    const glideSides = results.temperatureGlide
+      ? [['hot', '热流体（冷凝）'], ['cold', '冷流体（蒸发）']]
+          .filter(([side]) => results.temperatureGlide[side] && results.temperatureGlide[side].glide > 0.01)
+      : [];
+    if (glideSides.length > 0) {
+      temperatureGlideContainer.classList.remove('hidden');
+      document.getElementById('temperature-glide-details').innerHTML = glideSides.map(([side, label]) => {
+        const item = results.temperatureGlide[side];
+        return `<div>${label}：露点 ${formatNumber(item.dew, 2)} °C，泡点 ${formatNumber(item.bubble, 2)} °C，温度滑移 ${formatNumber(item.glide, 2)} K</div>`;
+      }).join('') + '<div class="text-gray-500">相变段温度沿流动方向线性滑移，冷凝传热系数已计入 Silver-Bell-Ghaly 修正</div>';
+    } else {
+      temperatureGlideContainer.classList.add('hidden');
+    }
+  }
+  
+  // 显示超临界气体冷却的准临界温度位置
+  const supercriticalContainer = document.getElementById('supercritical-container');
+  if (supercriticalContainer) {
+    const supercritical = results.supercritical;
+    if (supercritical) {
+      supercriticalContainer.classList.remove('hidden');
+      const { pseudoCritical } = supercritical;
+      document.getElementById('result-pseudo-critical-temperature').textContent =
+        formatNumber(pseudoCritical.temperature, 2) + ' °C';
+      document.getElementById('result-pseudo-critical-position').textContent = pseudoCritical.position !== null
+        ? `${formatNumber(pseudoCritical.position, 2)} m（${formatNumber(pseudoCritical.fraction * 100, 1)}%）`
+        : '未跨越';
+      document.getElementById('result-supercritical-correlation').textContent =
+        supercritical.correlation === 'dang-hihara' ? 'Dang-Hihara' : 'Pitla';
+      const warningsEl = document.getElementById('supercritical-warnings');
+      warningsEl.innerHTML = supercritical.warnings.map(warning => `<li>⚠ ${warning}</li>`).join('');
+      warningsEl.classList.toggle('hidden', supercritical.warnings.length === 0);
+    } else {
+      supercriticalContainer.classList.add('hidden');
+    }
+  }
+  
+  // 显示蒸发干涸与临界热流密度校核
+  const evaporationCheckContainer = document.getElementById('evaporation-check-container');
+  if (evaporationCheckContainer) {
+    const check = results.evaporationCheck;
+    if (check) {
+      evaporationCheckContainer.classList.remove('hidden');
+      document.getElementById('result-chf-ratio').textContent =
+        check.heatFluxRatio !== null ? formatNumber(check.heatFluxRatio * 100, 1) + '%' : '-';
+      document.getElementById('result-chf').textContent = check.criticalHeatFlux !== null
+        ? `q = ${formatNumber(check.heatFlux / 1000, 2)} kW/m²，q_CHF = ${formatNumber(check.criticalHeatFlux / 1000, 1)} kW/m²`
+        : '-';
+      document.getElementById('result-dryout-quality').textContent =
+        check.dryoutQuality !== null ? formatNumber(check.dryoutQuality, 3) : '-';
+      document.getElementById('result-capped-boiling-htc').textContent =
+        check.cappedBoilingHTC !== null ? formatNumber(check.cappedBoilingHTC, 0) : '-';
+      const statusEl = document.getElementById('evaporation-check-status');
+      if (check.warnings.length > 0) {
+        statusEl.className = `mt-3 text-xs ${check.safe ? 'text-amber-700' : 'text-red-700'}`;
+        statusEl.textContent = '⚠ ' + check.warnings.join('；');
+      } else {
+        statusEl.className = 'mt-3 text-xs text-green-700';
+        statusEl.textContent = '✓ 未发生干涸，热流密度低于临界热流密度';
+      }
+    } else {
+      evaporationCheckContainer.classList.add('hidden');
+    }
+  }
+  
+  // 显示压降引起的饱和温度下降
+  const saturationCouplingContainer = document.getElementById('saturation-coupling-container');
+  if (saturationCouplingContainer) {
+    const coupling = results.saturationCoupling;
+    if (coupling && coupling.sides.length > 0) {
+      saturationCouplingContainer.classList.remove('hidden');
+      const sideLabels = { hot: '热流体（冷凝）', cold: '冷流体（蒸发）' };
+      document.getElementById('saturation-coupling-details').innerHTML = coupling.sides.map(item => `
+        <div>${sideLabels[item.side]}：T<sub>sat</sub> ${formatNumber(item.inletSaturationTemperature, 2)} → ${formatNumber(item.outletSaturationTemperature, 2)} °C，
+        下降 ${formatNumber(item.saturationTemperatureDrop, 2)} K，平均温差惩罚 ${item.meanTemperatureDifferencePenalty !== null ? formatNumber(item.meanTemperatureDifferencePenalty, 2) + ' K' : '-'}</div>
+      `).join('') + `<div class="mt-1">有效平均温差：${formatNumber(coupling.effectiveLmtd, 2)} °C（${coupling.enabled ? '已用于所需面积计算' : '未耦合，仅供参考'}）</div>`;
+      document.getElementById('saturation-coupling-warnings').textContent =
+        coupling.warnings.length > 0 ? '⚠ ' + coupling.warnings.join('；') : '';
+    } else {
+      saturationCouplingContainer.classList.add('hidden');
+    }
+  }
+  
   // 显示热阻分配比例
   const riPercentageEl = document.getElementById('result-ri-percentage');
   const roPercentageEl = document.getElementById('result-ro-percentage');
@@ -515,6 +846,59 @@ export function showResults(results) {
     rfoPercentageEl.textContent = formatNumber(results.Rfo_percentage, 1) + '%';
   }
   
+  // 显示壁面温度（壁温迭代结果）
+  const wallTemperatureContainer = document.getElementById('wall-temperature-container');
+  if (wallTemperatureContainer) {
+    const wallTemperatures = results.wallTemperatures;
+    if (wallTemperatures) {
+      wallTemperatureContainer.classList.remove('hidden');
+      document.getElementById('result-wall-temp-hot').textContent = formatNumber(wallTemperatures.hotSide, 2);
+      document.getElementById('result-wall-temp-cold').textContent = formatNumber(wallTemperatures.coldSide, 2);
+      document.getElementById('result-wall-heat-flux').textContent = formatNumber(wallTemperatures.heatFlux / 1000, 2);
+      const wallMethodText = {
+        estimate: '按平均物性估算（未迭代）',
+        direct: '传热系数与壁温无关，由热阻直接求得'
+      }[wallTemperatures.method];
+      document.getElementById('result-wall-iterations').textContent = wallMethodText
+        ? `kW/m²，${wallMethodText}`
+        : `kW/m²，迭代 ${wallTemperatures.iterations} 次${wallTemperatures.converged ? '' : '（未收敛）'}`;
+    } else {
+      wallTemperatureContainer.classList.add('hidden');
+    }
+  }
+  
+  // 显示所用单相关联式及适用范围检查
+  const correlationContainer = document.getElementById('correlation-container');
+  if (correlationContainer) {
+    const correlations = results.correlations;
+    if (correlations) {
+      correlationContainer.classList.remove('hidden');
+      ['inner', 'outer'].forEach((side) => {
+        const info = correlations[side];
+        const nameEl = document.getElementById(`result-${side}-correlation`);
+        const warningEl = document.getElementById(`result-${side}-correlation-warning`);
+        if (!info) {
+          nameEl.textContent = '-';
+          warningEl.textContent = '';
+          return;
+        }
+        const viscosityText = info.viscosityRatio !== null && info.viscosityRatio !== undefined
+          ? `，μ/μw = ${formatNumber(info.viscosityRatio, 3)}`
+          : '';
+        nameEl.textContent = `${info.name}，Nu = ${formatNumber(info.nu, 2)}${viscosityText}`;
+        if (info.inRange) {
+          warningEl.className = 'text-xs mt-1 text-green-700';
+          warningEl.textContent = '在适用范围内';
+        } else {
+          warningEl.className = 'text-xs mt-1 text-amber-700';
+          warningEl.textContent = '⚠ ' + info.violations.join('；');
+        }
+      });
+    } else {
+      correlationContainer.classList.add('hidden');
+    }
+  }
+  
   // 显示面积余量结果
   const requiredAreaEl = document.getElementById('result-required-area');
   const areaMarginEl = document.getElementById('result-area-margin');
@@ -823,7 +1207,8 @@ export function showResults(results) {
       // 获取流动方式和长度（从表单数据）
       const formData = getFormData();
       const flowType = formData.flowType || 'counter';
-      const length = formData.length || 5.0;
+      // 分段计算法的位置沿全部流程累计
+      const length = results.temperatureDistribution.totalLength || results.length || formData.length || 5.0;
       
       // 设置Canvas尺寸（高DPI支持）
       const container = canvas.parentElement;
@@ -842,9 +1227,9 @@ export function showResults(results) {
       
       // 获取温度参数（从表单或结果中）
       const hotTin = formData.hotTin;
-      const hotTout = formData.hotTout;
+      const hotTout = results.ratingResult ? results.ratingResult.hotTout : formData.hotTout;
       const coldTin = formData.coldTin;
-      const coldTout = formData.coldTout;
+      const coldTout = results.ratingResult ? results.ratingResult.coldTout : formData.coldTout;
       
       // 绘制温度分布曲线（传入端点温度参数）
       drawTemperatureDistribution(canvas, results.temperatureDistribution, flowType, length, {
@@ -875,9 +1260,28 @@ export function showResults(results) {
           parallelFlowNote.innerHTML = '<span class="font-semibold">并流流动：</span>热流体和冷流体从同一方向流动，入口端温差大，出口端温差小，传热效率相对较低，但可以避免局部过热';
         }
       }
+      
+      // 分段计算法：显示分段数、两侧压降和热流密度范围
+      const segmentedInfo = document.getElementById('segmented-solver-info');
+      if (segmentedInfo) {
+        const segmented = results.segmentedResult;
+        if (segmented) {
+          const maxHeatFlux = Math.max(...segmented.cellHeatFlux);
+          const minHeatFlux = Math.min(...segmented.cellHeatFlux);
+          segmentedInfo.textContent = `分段计算法：${segmented.numCells} 段，推进长度 ${formatNumber(segmented.totalLength, 2)} m，` +
+            `热流体压降 ${formatNumber(segmented.hotPressureDrop, 2)} kPa，冷流体压降 ${formatNumber(segmented.coldPressureDrop, 2)} kPa，` +
+            `热流密度 ${formatNumber(minHeatFlux / 1000, 2)} ~ ${formatNumber(maxHeatFlux / 1000, 2)} kW/m²`;
+          segmentedInfo.classList.remove('hidden');
+        } else {
+          segmentedInfo.classList.add('hidden');
+        }
+      }
     }
   }
   
+  // 绘制两相流型图
+  renderFlowPatternMaps(results.flowPatternMaps);
+  
   // 确保麻花管几何属性元素可见（最终检查）
   if (results.isTwisted) {
     // 使用 setTimeout 确保在所有DOM操作完成后执行
@@ -949,18 +1353,457 @@ export function showResults(results) {
  * @param {boolean} enabled - 是否启用
  * @param {string} text - 按钮文本
  */
+/**
+ * 绘制两相流型图（管内/环隙可切换，鼠标悬停显示该点流型）
+ * @param {Object|null} maps - 计算结果中的 flowPatternMaps {inner, annulus}
+ */
+function renderFlowPatternMaps(maps) {
+  const container = document.getElementById('flow-pattern-container');
+  const canvas = document.getElementById('flow-pattern-canvas');
+  const sideSelect = document.getElementById('flow-pattern-side');
+  if (!container || !canvas || !sideSelect) return;
+  
+  if (!maps) {
+    container.classList.add('hidden');
+    return;
+  }
+  container.classList.remove('hidden');
+  
+  // 只保留有两相流的一侧
+  Array.from(sideSelect.options).forEach(option => {
+    option.disabled = !maps[option.value];
+  });
+  if (!maps[sideSelect.value]) {
+    sideSelect.value = maps.inner ? 'inner' : 'annulus';
+  }
+  
+  const hoverEl = document.getElementById('flow-pattern-hover');
+  const summaryEl = document.getElementById('flow-pattern-summary');
+  const sideLabels = { inner: '管内', annulus: '环隙' };
+  
+  const draw = () => {
+    const map = maps[sideSelect.value];
+    if (!map) return;
+    
+    const parent = canvas.parentElement;
+    const containerWidth = parent ? parent.clientWidth - 32 : 800;
+    const containerHeight = 400;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = containerWidth * dpr;
+    canvas.height = containerHeight * dpr;
+    canvas.style.width = containerWidth + 'px';
+    canvas.style.height = containerHeight + 'px';
+    
+    const transform = drawFlowPatternMap(canvas, map, `${sideLabels[sideSelect.value]}两相流型图（Wojtan-Ursenbacher-Thome）`);
+    
+    const patternNames = map.patterns.map(pattern => FLOW_PATTERNS[pattern].name).join(' → ');
+    summaryEl.textContent = `质量通量 G = ${map.massFlux.toFixed(1)} kg/m²·s，当量直径 ${(map.diameter * 1000).toFixed(2)} mm，` +
+      `间歇流/环状流转换干度 x_IA = ${map.transitionQuality.toFixed(3)}；运行路径流型：${patternNames}`;
+    hoverEl.textContent = '将鼠标移到图上查看该点流型';
+    
+    canvas.onmousemove = (event) => {
+      const rect = canvas.getBoundingClientRect();
+      const point = transform?.toData(
+        (event.clientX - rect.left) * dpr,
+        (event.clientY - rect.top) * dpr
+      );
+      if (!point) {
+        hoverEl.textContent = '将鼠标移到图上查看该点流型';
+        return;
+      }
+      const pattern = getFlowPatternAt(map, point.x, point.G);
+      hoverEl.textContent = `x = ${point.x.toFixed(3)}，G = ${point.G.toFixed(0)} kg/m²·s：${FLOW_PATTERNS[pattern].name}`;
+    };
+  };
+  
+  sideSelect.onchange = draw;
+  draw();
+}
+
 export function setCalculateButtonState(enabled, text = '计算') {
   const btn = document.getElementById('calculate-btn');
   if (btn) {
     btn.disabled = !enabled;
     btn.textContent = text;
   }
+  // 计算进行中时显示取消按钮
+  document.getElementById('cancel-calculation-btn')?.classList.toggle('hidden', enabled);
+}
+
+// 进行中的 Worker 计算 {promise, cancel}，没有时为 null
+let activeCalculation = null;
+
+/**
+ * 取消进行中的计算
+ */
+export function cancelCalculation() {
+  if (activeCalculation) {
+    activeCalculation.cancel();
+  }
+}
+
+// 最近显示的成功计算结果（用于加入对比）
+let lastResults = null;
+// 固定到对比的结果 [{label, result}]，第一个为基准
+let pinnedResults = [];
+const MAX_PINNED_RESULTS = 6;
+
+/**
+ * 渲染案例对比表和叠加的温度分布曲线
+ */
+function renderComparison() {
+  const section = document.getElementById('comparison-section');
+  if (!section) return;
+  section.classList.toggle('hidden', pinnedResults.length === 0);
+  if (pinnedResults.length === 0) return;
+
+  const table = buildComparisonTable(pinnedResults);
+  const head = document.getElementById('comparison-table-head');
+  const body = document.getElementById('comparison-table-body');
+  if (head) {
+    head.innerHTML = `<tr class="border-b border-gray-200">
+      <th class="py-2 pr-3 text-left font-semibold text-gray-700">指标</th>
+      ${table.labels.map((label, i) => `<th class="py-2 px-3 text-right font-semibold text-gray-700 whitespace-nowrap">
+        ${escapeHtml(label)}${i === 0 ? '<span class="ml-1 text-gray-400 font-normal">（基准）</span>' : ''}
+        <button type="button" data-unpin-index="${i}" class="ml-1 text-gray-400 hover:text-red-600" title="移出对比">×</button>
+      </th>`).join('')}
+    </tr>`;
+  }
+  if (body) {
+    const trendClass = { better: 'text-green-700', worse: 'text-red-700', same: 'text-gray-400' };
+    body.innerHTML = table.rows.map(row => `<tr class="border-b border-gray-100">
+      <td class="py-1.5 pr-3 text-gray-700 whitespace-nowrap">${row.label} <span class="text-gray-400">(${row.unit})</span></td>
+      ${row.values.map((value, i) => {
+        const delta = row.deltas[i];
+        const deltaText = delta === null ? '' :
+          ` <span class="${trendClass[row.trends[i]] || 'text-gray-500'}">(${delta > 0 ? '+' : ''}${delta.toFixed(1)}%)</span>`;
+        return `<td class="py-1.5 px-3 text-right font-mono whitespace-nowrap">${value === null ? '-' : value.toFixed(row.digits)}${deltaText}</td>`;
+      }).join('')}
+    </tr>`).join('');
+  }
+
+  const canvas = document.getElementById('comparison-temperature-canvas');
+  if (canvas) {
+    const containerWidth = canvas.parentElement ? canvas.parentElement.clientWidth - 32 : 800;
+    const containerHeight = 360;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = containerWidth * dpr;
+    canvas.height = containerHeight * dpr;
+    canvas.style.width = containerWidth + 'px';
+    canvas.style.height = containerHeight + 'px';
+    drawTemperatureComparison(canvas, pinnedResults.map(({ label, result }) => ({
+      label: label,
+      positions: result.temperatureDistribution?.positions,
+      hotTemperatures: result.temperatureDistribution?.hotTemperatures,
+      coldTemperatures: result.temperatureDistribution?.coldTemperatures
+    })));
+  }
+}
+
+/**
+ * 将计算结果固定到对比（同名时追加序号）
+ * @param {string} label - 案例名称
+ * @param {Object} result - 计算结果
+ * @returns {boolean} 是否已加入（超出数量上限时为 false）
+ */
+function pinResult(label, result) {
+  if (pinnedResults.length >= MAX_PINNED_RESULTS) {
+    return false;
+  }
+  const sameLabelCount = pinnedResults.filter(p => p.label === label || p.label.startsWith(`${label} #`)).length;
+  pinnedResults.push({ label: sameLabelCount > 0 ? `${label} #${sameLabelCount + 1}` : label, result });
+  return true;
+}
+
+// 当前项目（见 project.js）：启动时恢复最近自动保存的项目，没有时用默认案例新建
+let currentProject = null;
+let autosaveTimer = null;
+const AUTOSAVE_DELAY = 1000; // 输入停止后自动保存的延迟 (ms)
+
+/**
+ * 显示项目操作状态
+ * @param {string} message - 提示信息
+ * @param {boolean} isError - 是否为错误
+ */
+function showProjectStatus(message, isError = false) {
+  const statusEl = document.getElementById('project-status');
+  if (!statusEl) return;
+  statusEl.textContent = message;
+  statusEl.className = `mt-2 text-xs ${isError ? 'text-red-700' : 'text-green-700'}`;
+}
+
+/**
+ * 当前项目中的活动案例
+ * @returns {Object|null}
+ */
+function getActiveCase() {
+  return currentProject?.cases.find(c => c.id === currentProject.activeCaseId) || null;
+}
+
+/**
+ * 用表单当前输入、案例名称和备注更新活动案例
+ * @param {Object} changes - 其他要更新的字段（如 result）
+ */
+function syncActiveCase(changes = {}) {
+  const activeCase = getActiveCase();
+  if (!activeCase) return;
+  currentProject.name = document.getElementById('project-name')?.value.trim() || currentProject.name;
+  updateCase(currentProject, activeCase.id, {
+    name: document.getElementById('project-case-name')?.value.trim() || activeCase.name,
+    notes: document.getElementById('project-case-notes')?.value ?? activeCase.notes,
+    inputs: getFormData(),
+    ...changes
+  });
+}
+
+/**
+ * 刷新项目名称、案例列表、案例名称和备注
+ */
+function refreshProjectControls() {
+  if (!currentProject) return;
+  const activeCase = getActiveCase();
+  const nameInput = document.getElementById('project-name');
+  if (nameInput) nameInput.value = currentProject.name;
+  const caseList = document.getElementById('project-case-list');
+  if (caseList) {
+    // 案例名称来自导入的项目文件或分享链接，用 textContent（new Option）填充，不拼接 HTML
+    caseList.replaceChildren(...currentProject.cases
+      .map(c => new Option(`${c.name}（${new Date(c.timestamp).toLocaleString()}）`, c.id)));
+    caseList.value = currentProject.activeCaseId;
+  }
+  const caseNameInput = document.getElementById('project-case-name');
+  if (caseNameInput) caseNameInput.value = activeCase?.name || '';
+  const notesInput = document.getElementById('project-case-notes');
+  if (notesInput) notesInput.value = activeCase?.notes || '';
 }
 
 /**
- * 执行计算
+ * 刷新最近项目列表
+ * @returns {Promise<Array<Object>>} 最近项目 [{id, name, updatedAt, caseCount}]
+ */
+async function refreshRecentProjects() {
+  const recent = await listRecentProjects();
+  const list = document.getElementById('recent-projects-list');
+  if (list) {
+    list.replaceChildren(...recent
+      .map(p => new Option(`${p.name}（${p.caseCount} 个案例，${new Date(p.updatedAt).toLocaleString()}）`, p.id)));
+  }
+  document.getElementById('recent-projects-container')?.classList.toggle('hidden', recent.length === 0);
+  return recent;
+}
+
+/**
+ * 将活动案例载入表单，有成功的计算结果时一并显示
+ */
+function loadActiveCase() {
+  const activeCase = getActiveCase();
+  if (!activeCase) return;
+  loadExampleToForm(activeCase.inputs);
+  refreshProjectControls();
+  lastResults = activeCase.result?.success ? activeCase.result : null;
+  if (activeCase.result?.success) {
+    try {
+      showResults(activeCase.result);
+    } catch (error) {
+      console.warn('[项目] 无法显示保存的计算结果:', error);
+    }
+  } else {
+    document.getElementById('results')?.classList.add('hidden');
+  }
+}
+
+/**
+ * 切换到指定项目并载入其活动案例
+ * @param {Object} project - 项目
+ */
+function openProject(project) {
+  clearTimeout(autosaveTimer);
+  currentProject = project;
+  loadActiveCase();
+}
+
+/**
+ * 立即自动保存当前项目到 IndexedDB
+ */
+async function saveProjectNow() {
+  clearTimeout(autosaveTimer);
+  if (!currentProject) return;
+  try {
+    syncActiveCase();
+    await autosaveProject(currentProject);
+    await refreshRecentProjects();
+  } catch (error) {
+    console.warn('[自动保存] 保存项目失败:', error);
+  }
+}
+
+/**
+ * 输入变化后延迟自动保存
+ */
+function scheduleAutosave() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(saveProjectNow, AUTOSAVE_DELAY);
+}
+
+/**
+ * 下载当前项目为 .hxproj 文件
+ */
+function downloadProject() {
+  syncActiveCase();
+  const blob = new Blob([serializeProject(currentProject)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${currentProject.name.replace(/[\\/:*?"<>|]/g, '_')}${PROJECT_FILE_EXTENSION}`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * 复制当前案例的分享链接（输入压缩编码在 URL hash 中）
+ */
+async function copyShareLink() {
+  const hash = await encodeShareHash(getFormData());
+  const url = `${location.origin}${location.pathname}${location.search}${hash}`;
+  try {
+    await navigator.clipboard.writeText(url);
+    showProjectStatus(`已复制分享链接（${url.length} 个字符）`);
+  } catch (error) {
+    // 剪贴板不可用时显示链接，由用户手动复制
+    window.prompt('复制分享链接：', url);
+  }
+}
+
+/**
+ * 打开分享链接：输入载入表单、作为新项目的案例，通过输入模式校验后自动计算
+ * 分享链接为外部输入，校验不通过时只载入表单并显示校验错误，不自动计算。
+ * 载入后清除 hash，之后刷新页面恢复自动保存的项目
+ * @param {string} hash - location.hash
+ */
+async function openShareLink(hash) {
+  const inputs = await decodeShareHash(hash);
+  history.replaceState(null, '', `${location.pathname}${location.search}`);
+  openProject(createProject('分享的案例', [createCase('案例 1', inputs)]));
+  console.log('[初始化] 已载入分享链接');
+  try {
+    validateCalculationInput(buildCalculationParams(inputs));
+  } catch (error) {
+    showProjectStatus('分享链接中的输入未通过校验，未自动计算', true);
+    showError(error.message);
+    return;
+  }
+  showProjectStatus('已打开分享链接中的案例');
+  await performCalculation();
+}
+
+/**
+ * 启动时打开分享链接或恢复最近自动保存的项目；都没有时载入默认案例并新建项目
+ */
+async function restoreProjectOnStartup() {
+  if (isShareHash(location.hash)) {
+    try {
+      await refreshRecentProjects().catch(() => []);
+      await openShareLink(location.hash);
+      return;
+    } catch (error) {
+      showError(error.message);
+    }
+  }
+  try {
+    const recent = await refreshRecentProjects();
+    if (recent.length > 0) {
+      openProject(await loadRecentProject(recent[0].id));
+      showProjectStatus(`已恢复最近的项目 ${currentProject.name}`);
+      console.log('[初始化] 已恢复自动保存的项目');
+      return;
+    }
+  } catch (error) {
+    console.warn('[初始化] 无法读取自动保存的项目:', error);
+  }
+  loadExampleToForm(currentDebugExample);
+  console.log('[初始化] 已加载默认调试案例');
+  currentProject = createProject('未命名项目', [createCase('案例 1', getFormData())]);
+  refreshProjectControls();
+}
+
+/**
+ * 由表单数据生成 calculateHeatExchanger 的计算参数
+ * @param {Object} formData - 表单数据（getFormData 的结果）
+ * @returns {Object} 计算参数
+ */
+function buildCalculationParams(formData) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    inputMode: formData.inputMode,
+    heatLoad: formData.heatLoad,  // 负荷输入法时的传热量 (kW)
+    hotFluid: formData.hotFluid,
+    hotConcentration: formData.hotConcentration,
+    hotTin: formData.hotTin,
+    hotTout: formData.hotTout,
+    hotFlowRate: formData.hotFlowRate,
+    hotPressure: formData.hotPressure,
+    hotProcessType: formData.hotProcessType,
+    hotStateIn: formData.hotStateIn,
+    hotStateOut: formData.hotStateOut,
+    coldFluid: formData.coldFluid,
+    coldConcentration: formData.coldConcentration,
+    coldTin: formData.coldTin,
+    coldTout: formData.coldTout,
+    coldFlowRate: formData.coldFlowRate,
+    coldPressure: formData.coldPressure,
+    coldProcessType: formData.coldProcessType,
+    coldStateIn: formData.coldStateIn,
+    coldStateOut: formData.coldStateOut,
+    // 传热面积计算使用外径
+    innerDiameter: formData.innerDiameter, // 内管外径
+    outerDiameter: formData.outerDiameter, // 外管外径
+    // 流速计算使用内径
+    innerInnerDiameter: formData.innerInnerDiameter, // 内管内径
+    outerInnerDiameter: formData.outerInnerDiameter, // 外管内径
+    // 壁厚信息（用于可视化）
+    innerWallThickness: formData.innerWallThickness,
+    outerWallThickness: formData.outerWallThickness,
+    innerOuterDiameter: formData.innerOuterDiameter,
+    outerOuterDiameter: formData.outerOuterDiameter,
+    length: formData.length,
+    flowType: formData.flowType,
+    givenU: formData.givenU,
+    solverMethod: formData.solverMethod,
+    segmentCount: formData.segmentCount,
+    innerCorrelation: formData.innerCorrelation,  // 管内单相关联式
+    outerCorrelation: formData.outerCorrelation,  // 环隙单相关联式
+    boilingCorrelation: formData.boilingCorrelation,  // 沸腾段关联式
+    supercriticalCorrelation: formData.supercriticalCorrelation,  // 超临界冷却关联式
+    twoPhasePressureDropModel: formData.twoPhasePressureDropModel,  // 两相摩擦压降模型
+    voidFractionModel: formData.voidFractionModel,  // 空泡率模型
+    orientation: formData.orientation,  // 布置方式
+    couplePressureDropSaturation: formData.couplePressureDropSaturation,  // 压降-饱和温度耦合
+    saturationDropWarningThreshold: formData.saturationDropWarningThreshold,  // 饱和温度下降报警阈值 (K)
+    innerTubeCount: formData.innerTubeCount,
+    innerTubeType: formData.innerTubeType,
+    isTwisted: formData.isTwisted,
+    twistLobeCount: formData.twistLobeCount,
+    twistPitch: formData.twistPitch,
+    twistToothHeight: formData.twistToothHeight,  // 齿高
+    twistWallThickness: formData.twistWallThickness,
+    // 麻花管模式下，外径等于外管内径
+    twistOuterDiameter: formData.isTwisted ? formData.outerInnerDiameter : formData.innerOuterDiameter,
+    tubeMaterial: formData.innerTubeMaterial,  // 内管材质
+    foulingInner: formData.foulingInner,  // 管内污垢热阻
+    foulingOuter: formData.foulingOuter,  // 管外污垢热阻
+    hotFluidLocation: formData.hotFluidLocation,  // 热流体位置
+    passCount: formData.passCount,
+    outerTubeCountPerPass: formData.outerTubeCountPerPass
+  };
+}
+
+/**
+ * 执行计算（计算在 Worker 中进行，见 calculation_client.js）
  */
 export async function performCalculation() {
+  if (activeCalculation) {
+    return;
+  }
   try {
     // 获取表单数据
     const formData = getFormData();
@@ -986,55 +1829,32 @@ export async function performCalculation() {
     setCalculateButtonState(false, '计算中...');
 
     // 执行计算
-    const results = await calculateHeatExchanger({
-      inputMode: formData.inputMode,
-      heatLoad: formData.heatLoad,  // 负荷输入法时的传热量 (kW)
-      hotFluid: formData.hotFluid,
-      hotTin: formData.hotTin,
-      hotTout: formData.hotTout,
-      hotFlowRate: formData.hotFlowRate,
-      hotPressure: formData.hotPressure,
-      hotProcessType: formData.hotProcessType,
-      hotStateIn: formData.hotStateIn,
-      hotStateOut: formData.hotStateOut,
-      coldFluid: formData.coldFluid,
-      coldTin: formData.coldTin,
-      coldTout: formData.coldTout,
-      coldFlowRate: formData.coldFlowRate,
-      coldPressure: formData.coldPressure,
-      coldProcessType: formData.coldProcessType,
-      coldStateIn: formData.coldStateIn,
-      coldStateOut: formData.coldStateOut,
-      // 传热面积计算使用外径
-      innerDiameter: formData.innerDiameter, // 内管外径
-      outerDiameter: formData.outerDiameter, // 外管外径
-      // 流速计算使用内径
-      innerInnerDiameter: formData.innerInnerDiameter, // 内管内径
-      outerInnerDiameter: formData.outerInnerDiameter, // 外管内径
-      // 壁厚信息（用于可视化）
-      innerWallThickness: formData.innerWallThickness,
-      outerWallThickness: formData.outerWallThickness,
-      innerOuterDiameter: formData.innerOuterDiameter,
-      outerOuterDiameter: formData.outerOuterDiameter,
-      length: formData.length,
-      flowType: formData.flowType,
-      givenU: formData.givenU,
-      innerTubeCount: formData.innerTubeCount,
-      innerTubeType: formData.innerTubeType,
-      isTwisted: formData.isTwisted,
-      twistLobeCount: formData.twistLobeCount,
-      twistPitch: formData.twistPitch,
-      twistToothHeight: formData.twistToothHeight,  // 齿高
-      twistWallThickness: formData.twistWallThickness,
-      // 麻花管模式下，外径等于外管内径
-      twistOuterDiameter: formData.isTwisted ? formData.outerInnerDiameter : formData.innerOuterDiameter,
-      tubeMaterial: formData.innerTubeMaterial,  // 内管材质
-      foulingInner: formData.foulingInner,  // 管内污垢热阻
-      foulingOuter: formData.foulingOuter,  // 管外污垢热阻
-      hotFluidLocation: formData.hotFluidLocation,  // 热流体位置
-      passCount: formData.passCount,
-      outerTubeCountPerPass: formData.outerTubeCountPerPass
-    });
+    const calculationParams = buildCalculationParams(formData);
+    
+    const onProgress = (progress) => setCalculateButtonState(false, `计算中... ${progress.message}`);
+    let results;
+    let cacheStats;
+    if (formData.sizingTarget !== 'none') {
+      // 尺寸设计：求管长或流程数，结果中附带最终布置的完整计算结果
+      activeCalculation = runCalculation('calculateSizing', {
+        ...calculationParams,
+        sizingTarget: formData.sizingTarget,
+        designMargin: formData.designMargin,
+        standardLength: formData.standardLength,
+        maxPressureDrop: formData.maxPressureDrop,
+        maxVelocity: formData.maxVelocity
+      }, { onProgress });
+      const response = await activeCalculation.promise;
+      const sizingResult = response.result;
+      cacheStats = response.cacheStats;
+      results = sizingResult.success
+        ? { ...sizingResult.result, sizingResult: sizingResult }
+        : sizingResult;
+    } else {
+      activeCalculation = runCalculation('calculateHeatExchanger', calculationParams, { onProgress });
+      ({ result: results, cacheStats } = await activeCalculation.promise);
+    }
+    activeCalculation = null;
 
     // 恢复按钮状态
     setCalculateButtonState(true, '计算');
@@ -1046,8 +1866,16 @@ export async function performCalculation() {
       innerTubeType: results.innerTubeType,
       hasEnhancementFactor: !!results.enhancementFactor
     });
+    // 计算结果保存到项目的活动案例
+    if (currentProject) {
+      syncActiveCase({ result: results });
+      refreshProjectControls();
+      scheduleAutosave();
+    }
+    console.log(`[物性缓存] 命中 ${cacheStats.hits}，未命中 ${cacheStats.misses}，命中率 ${(cacheStats.hitRate * 100).toFixed(1)}%，缓存项 ${cacheStats.size}/${cacheStats.maxSize}`);
 
     // 显示结果
+    lastResults = results.success ? results : null;
     if (results.success) {
       showResults(results);
       // 更新可视化：显示截面图
@@ -1060,7 +1888,7 @@ export async function performCalculation() {
       outerWallThickness: formData.outerWallThickness,
       innerOuterDiameter: formData.innerOuterDiameter,
       outerOuterDiameter: formData.outerOuterDiameter,
-      length: formData.length,
+      length: results.length || formData.length,  // 尺寸设计时使用设计结果
       innerTubeCount: formData.innerTubeCount,
       innerTubeType: formData.innerTubeType,
       isTwisted: formData.isTwisted,
@@ -1069,8 +1897,8 @@ export async function performCalculation() {
       twistToothHeight: formData.twistToothHeight,  // 齿高
       twistWallThickness: formData.twistWallThickness,
       twistOuterDiameter: formData.isTwisted ? formData.outerInnerDiameter : formData.innerOuterDiameter,
-      passCount: formData.passCount,
-      outerTubeCountPerPass: formData.outerTubeCountPerPass
+      passCount: results.passCount || formData.passCount,
+      outerTubeCountPerPass: results.outerTubeCountPerPass || formData.outerTubeCountPerPass
     });
     } else {
       const errorMsg = results.error || '计算失败，请检查输入参数';
@@ -1078,14 +1906,711 @@ export async function performCalculation() {
       showError(errorMsg);
     }
   } catch (error) {
+    activeCalculation = null;
+    setCalculateButtonState(true, '计算');
+    if (error.name === 'CalculationCancelled') {
+      console.log('[performCalculation] 计算已取消');
+      return;
+    }
     console.error('计算过程出错:', error);
     console.error('错误堆栈:', error.stack);
-    setCalculateButtonState(true, '计算');
     const errorMsg = error.message || '未知错误';
     showError(`计算失败: ${errorMsg}`);
   }
 }
 
+/**
+ * ===== 参数扫描 =====
+ */
+
+// 最近一次扫描 {axes: [{key, variable, values}], points: [{inputs, success, error, outputs}]}
+let lastSweep = null;
+
+/**
+ * 修改表单数据中的一个字段，并重新计算由外径和壁厚派生的直径
+ * @param {Object} formData - 表单数据
+ * @param {string} key - 字段名（SWEEP_VARIABLES 中的键）
+ * @param {number} value - 表单单位的值
+ * @returns {Object} 新的表单数据
+ */
+function withSweepValue(formData, key, value) {
+  const data = { ...formData, [key]: value };
+  data.innerInnerDiameter = data.innerOuterDiameter - 2 * data.innerWallThickness;
+  data.outerInnerDiameter = data.outerOuterDiameter - 2 * data.outerWallThickness;
+  data.innerDiameter = data.innerOuterDiameter;
+  data.outerDiameter = data.outerOuterDiameter;
+  return data;
+}
+
+/**
+ * 显示参数扫描、设计优化等工具面板的状态
+ * @param {string} elementId - 状态元素ID
+ * @param {string} message - 提示信息
+ * @param {boolean} isError - 是否为错误
+ */
+function showToolStatus(elementId, message, isError = false) {
+  const status = document.getElementById(elementId);
+  if (!status) return;
+  status.textContent = message;
+  status.classList.toggle('hidden', !message);
+  status.classList.toggle('text-red-600', isError);
+  status.classList.toggle('text-gray-500', !isError);
+}
+
+// 扫描变量与输出量的显示名称
+const sweepVariableLabel = (key) => {
+  const { label, unit } = SWEEP_VARIABLES[key];
+  return unit ? `${label} (${unit})` : label;
+};
+const sweepOutputLabel = (key) => `${SWEEP_OUTPUTS[key].label} (${SWEEP_OUTPUTS[key].unit})`;
+
+/**
+ * 按表单当前值预填扫描范围（当前值的 50% ~ 150%，界面单位）
+ * @param {number} n - 扫描变量序号（1 或 2）
+ */
+function prefillSweepRange(n) {
+  const key = document.getElementById(`sweep-variable-${n}`)?.value;
+  const startInput = document.getElementById(`sweep-start-${n}`);
+  const endInput = document.getElementById(`sweep-end-${n}`);
+  const unitLabel = document.getElementById(`sweep-unit-${n}`);
+  if (!startInput || !endInput) return;
+  if (unitLabel) {
+    unitLabel.textContent = key && SWEEP_VARIABLES[key].unit ? `(${SWEEP_VARIABLES[key].unit})` : '';
+  }
+  const current = key ? getFormData()[key] : null;
+  // 当前输入模式下未使用的字段（如流量输入法下的传热量）没有可参考的值
+  if (typeof current !== 'number' || !isFinite(current) || current === 0) {
+    startInput.value = '';
+    endInput.value = '';
+    return;
+  }
+  const { scale, integer } = SWEEP_VARIABLES[key];
+  const displayValue = current * scale;
+  if (integer) {
+    const start = Math.max(1, Math.round(displayValue * 0.5));
+    startInput.value = start;
+    endInput.value = Math.max(start + 1, Math.round(displayValue * 1.5));
+  } else {
+    startInput.value = Number((displayValue * 0.5).toPrecision(4));
+    endInput.value = Number((displayValue * 1.5).toPrecision(4));
+  }
+}
+
+/**
+ * 读取一个扫描变量的设置
+ * @param {number} n - 扫描变量序号（1 或 2）
+ * @returns {Object|null} {key, variable, values（表单单位）}，未选择变量时为 null
+ */
+function readSweepAxis(n) {
+  const key = document.getElementById(`sweep-variable-${n}`)?.value;
+  if (!key) return null;
+  const variable = SWEEP_VARIABLES[key];
+  const start = parseFloat(document.getElementById(`sweep-start-${n}`).value) / variable.scale;
+  const end = parseFloat(document.getElementById(`sweep-end-${n}`).value) / variable.scale;
+  const steps = parseInt(document.getElementById(`sweep-steps-${n}`).value);
+  try {
+    return { key, variable, values: buildSweepValues(start, end, steps, variable.integer) };
+  } catch (error) {
+    throw new Error(`${variable.label}：${error.message}`);
+  }
+}
+
+/**
+ * 绘制扫描图（单变量为双轴曲线，双变量为左轴输出的热图）并填充结果表
+ */
+function renderSweep() {
+  if (!lastSweep) return;
+  const { axes, points } = lastSweep;
+  const leftKey = document.getElementById('sweep-output-left')?.value;
+  const rightKey = document.getElementById('sweep-output-right')?.value;
+  const outputValue = (point, key) => (point.success ? point.outputs[key] : null);
+  const axisData = (axis) => ({
+    label: sweepVariableLabel(axis.key),
+    values: axis.values.map(value => value * axis.variable.scale)
+  });
+
+  const chartContainer = document.getElementById('sweep-chart-container');
+  const canvas = document.getElementById('sweep-canvas');
+  if (chartContainer && canvas && leftKey) {
+    chartContainer.classList.remove('hidden');
+    const containerWidth = chartContainer.clientWidth - 32;
+    const containerHeight = 400;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = containerWidth * dpr;
+    canvas.height = containerHeight * dpr;
+    canvas.style.width = containerWidth + 'px';
+    canvas.style.height = containerHeight + 'px';
+    if (axes.length === 1) {
+      drawSweepChart(canvas, {
+        x: axisData(axes[0]),
+        series: [leftKey, rightKey].filter(Boolean).map(key => ({
+          label: sweepOutputLabel(key),
+          values: points.map(point => outputValue(point, key))
+        }))
+      });
+    } else {
+      // 点按第二变量在外层、第一变量在内层排列
+      const nx = axes[0].values.length;
+      drawSweepHeatMap(canvas, {
+        x: axisData(axes[0]),
+        y: axisData(axes[1]),
+        z: {
+          label: sweepOutputLabel(leftKey),
+          values: axes[1].values.map((_, j) => axes[0].values.map((_, i) => outputValue(points[j * nx + i], leftKey)))
+        }
+      });
+    }
+  }
+
+  const tableContainer = document.getElementById('sweep-table-container');
+  const head = document.getElementById('sweep-table-head');
+  const body = document.getElementById('sweep-table-body');
+  if (tableContainer && head && body) {
+    tableContainer.classList.remove('hidden');
+    const outputKeys = Object.keys(SWEEP_OUTPUTS);
+    head.innerHTML = `<tr class="border-b border-gray-200">
+      ${axes.map(axis => `<th class="py-2 px-2 text-right font-semibold text-gray-700 whitespace-nowrap">${sweepVariableLabel(axis.key)}</th>`).join('')}
+      ${outputKeys.map(key => `<th class="py-2 px-2 text-right font-semibold text-gray-700 whitespace-nowrap">${sweepOutputLabel(key)}</th>`).join('')}
+    </tr>`;
+    body.innerHTML = points.map(point => `<tr class="border-b border-gray-100">
+      ${point.inputs.map((value, i) => `<td class="py-1 px-2 text-right font-mono">${Number((value * axes[i].variable.scale).toPrecision(6))}</td>`).join('')}
+      ${point.success
+        ? outputKeys.map(key => `<td class="py-1 px-2 text-right font-mono">${point.outputs[key] === null ? '-' : point.outputs[key].toPrecision(5)}</td>`).join('')
+        : `<td colspan="${outputKeys.length}" class="py-1 px-2 text-red-600">${point.error || '计算失败'}</td>`}
+    </tr>`).join('');
+  }
+}
+
+/**
+ * 导出扫描结果为 CSV（扫描变量为界面单位）
+ */
+function exportSweepCsv() {
+  if (!lastSweep) return;
+  const { axes, points } = lastSweep;
+  const outputKeys = Object.keys(SWEEP_OUTPUTS);
+  const escapeCsv = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const header = [
+    ...axes.map(axis => sweepVariableLabel(axis.key)),
+    ...outputKeys.map(sweepOutputLabel),
+    '状态'
+  ];
+  const rows = points.map(point => [
+    ...point.inputs.map((value, i) => String(value * axes[i].variable.scale)),
+    ...outputKeys.map(key => (point.success && point.outputs[key] !== null ? String(point.outputs[key]) : '')),
+    point.success ? '成功' : `失败: ${point.error || ''}`
+  ]);
+  const csv = [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n');
+  // 带 BOM，便于 Excel 正确识别中文
+  const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `sweep_${axes.map(axis => axis.key).join('_')}.csv`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * 执行参数扫描：其余输入取表单当前值，在 Worker 中逐点计算
+ */
+async function runParametricSweep() {
+  if (activeCalculation) {
+    return;
+  }
+  const runButton = document.getElementById('sweep-run-btn');
+  try {
+    const formData = getFormData();
+    const validation = validateFormData(formData);
+    if (!validation.valid) {
+      showToolStatus('sweep-status', validation.errors.join('；'), true);
+      return;
+    }
+    const axes = [readSweepAxis(1), readSweepAxis(2)].filter(Boolean);
+    if (axes.length === 0) {
+      throw new Error('请选择扫描变量');
+    }
+    if (axes.length === 2 && axes[0].key === axes[1].key) {
+      throw new Error('两个扫描变量不能相同');
+    }
+    const pointCount = axes.reduce((count, axis) => count * axis.values.length, 1);
+    if (pointCount > MAX_SWEEP_POINTS) {
+      throw new Error(`扫描点数 ${pointCount} 超过上限 ${MAX_SWEEP_POINTS}，请减少点数`);
+    }
+
+    // 第二变量在外层、第一变量在内层
+    const grid = [];
+    for (const y of axes[1]?.values ?? [null]) {
+      for (const x of axes[0].values) {
+        let data = withSweepValue(formData, axes[0].key, x);
+        if (axes[1]) {
+          data = withSweepValue(data, axes[1].key, y);
+        }
+        grid.push({ inputs: axes[1] ? [x, y] : [x], params: buildCalculationParams(data) });
+      }
+    }
+
+    if (runButton) runButton.disabled = true;
+    setCalculateButtonState(false, '扫描中...');
+    showToolStatus('sweep-status', `正在计算 ${grid.length} 个扫描点...`);
+    activeCalculation = runCalculation('calculateParametricSweep', { cases: grid.map(point => point.params) }, {
+      onProgress: (progress) => setCalculateButtonState(false, `扫描中... ${progress.message}`)
+    });
+    const { result: points } = await activeCalculation.promise;
+    activeCalculation = null;
+
+    lastSweep = { axes, points: points.map((point, i) => ({ ...point, inputs: grid[i].inputs })) };
+    const failedCount = points.filter(point => !point.success).length;
+    showToolStatus('sweep-status', 
+      `扫描完成：${points.length} 个点${failedCount > 0 ? `，其中 ${failedCount} 个计算失败` : ''}`,
+      failedCount === points.length
+    );
+    document.getElementById('sweep-export-btn')?.removeAttribute('disabled');
+    renderSweep();
+  } catch (error) {
+    activeCalculation = null;
+    if (error.name === 'CalculationCancelled') {
+      showToolStatus('sweep-status', '扫描已取消');
+    } else {
+      console.error('[参数扫描] 失败:', error);
+      showToolStatus('sweep-status', `参数扫描失败: ${error.message}`, true);
+    }
+  } finally {
+    if (runButton) runButton.disabled = false;
+    setCalculateButtonState(true, '计算');
+  }
+}
+
+/**
+ * 初始化参数扫描面板的选项
+ */
+function initializeSweepPanel() {
+  const variableOptions = Object.keys(SWEEP_VARIABLES)
+    .map(key => `<option value="${key}">${sweepVariableLabel(key)}</option>`).join('');
+  const outputOptions = Object.keys(SWEEP_OUTPUTS)
+    .map(key => `<option value="${key}">${sweepOutputLabel(key)}</option>`).join('');
+  const variable1 = document.getElementById('sweep-variable-1');
+  const variable2 = document.getElementById('sweep-variable-2');
+  const outputLeft = document.getElementById('sweep-output-left');
+  const outputRight = document.getElementById('sweep-output-right');
+  if (!variable1 || !variable2 || !outputLeft || !outputRight) return;
+
+  variable1.insertAdjacentHTML('beforeend', variableOptions);
+  variable2.insertAdjacentHTML('beforeend', variableOptions);
+  outputLeft.insertAdjacentHTML('beforeend', outputOptions);
+  outputRight.insertAdjacentHTML('beforeend', outputOptions);
+  variable1.value = 'hotFlowRate';
+  outputLeft.value = 'heatTransferRate';
+  outputRight.value = 'innerPressureDrop';
+
+  variable1.addEventListener('change', () => prefillSweepRange(1));
+  variable2.addEventListener('change', () => prefillSweepRange(2));
+  outputLeft.addEventListener('change', renderSweep);
+  outputRight.addEventListener('change', renderSweep);
+  document.getElementById('sweep-run-btn')?.addEventListener('click', runParametricSweep);
+  document.getElementById('sweep-export-btn')?.addEventListener('click', exportSweepCsv);
+  prefillSweepRange(1);
+}
+
+/**
+ * ===== 设计优化 =====
+ */
+
+// 最近一次优化结果（见 optimizer.js）
+let lastOptimization = null;
+
+// 读取可选的数值输入，留空时为 null
+const readOptionalNumber = (id) => {
+  const value = parseFloat(document.getElementById(id)?.value);
+  return isNaN(value) ? null : value;
+};
+
+/**
+ * 按内管类型刷新候选外管规格（光管为标准外管，麻花管为预设规格）；类型未变时保留勾选状态
+ */
+function refreshOptimizerOuterTubes() {
+  const container = document.getElementById('optimizer-outer-tubes');
+  if (!container) return;
+  const isTwisted = document.getElementById('inner-tube-type')?.value === 'twisted';
+  if (container.dataset.twisted === String(isTwisted)) return;
+  container.dataset.twisted = String(isTwisted);
+  container.innerHTML = getOuterTubeOptions(isTwisted).map(tube => `<label class="inline-flex items-center gap-1.5">
+    <input type="checkbox" name="optimizer-outer-tube" value="${tube.id}" checked> ${tube.name}
+  </label>`).join('');
+}
+
+/**
+ * 绘制目标散点图（选择两个及以上目标时，取前两个）并列出 Pareto 最优方案
+ */
+function renderOptimization() {
+  if (!lastOptimization) return;
+  const { objectives, candidates, paretoSet } = lastOptimization;
+  const paretoIds = new Set(paretoSet.map(candidate => candidate.id));
+  const objectiveLabel = (key) => `${OPTIMIZATION_OBJECTIVES[key].label} (${OPTIMIZATION_OBJECTIVES[key].unit})`;
+
+  const chartContainer = document.getElementById('optimizer-chart-container');
+  const canvas = document.getElementById('optimizer-canvas');
+  if (chartContainer && canvas) {
+    chartContainer.classList.toggle('hidden', objectives.length < 2);
+    if (objectives.length >= 2) {
+      const containerWidth = chartContainer.clientWidth - 32;
+      const containerHeight = 360;
+      const dpr = window.devicePixelRatio || 1;
+      canvas.width = containerWidth * dpr;
+      canvas.height = containerHeight * dpr;
+      canvas.style.width = containerWidth + 'px';
+      canvas.style.height = containerHeight + 'px';
+      const [xKey, yKey] = objectives;
+      drawParetoChart(canvas, {
+        x: { label: objectiveLabel(xKey) },
+        y: { label: objectiveLabel(yKey) },
+        points: candidates
+          .filter(candidate => candidate.objectives)
+          .map(candidate => ({
+            x: candidate.objectives[xKey],
+            y: candidate.objectives[yKey],
+            feasible: candidate.feasible,
+            pareto: paretoIds.has(candidate.id)
+          }))
+      });
+    }
+  }
+
+  const tableContainer = document.getElementById('optimizer-table-container');
+  const head = document.getElementById('optimizer-table-head');
+  const body = document.getElementById('optimizer-table-body');
+  if (!tableContainer || !head || !body) return;
+  tableContainer.classList.toggle('hidden', paretoSet.length === 0);
+  const th = (text) => `<th class="py-2 px-2 text-right font-semibold text-gray-700 whitespace-nowrap">${text}</th>`;
+  const td = (value, digits) => `<td class="py-1.5 px-2 text-right font-mono">${value === null || value === undefined ? '-' : value.toFixed(digits)}</td>`;
+  head.innerHTML = `<tr class="border-b border-gray-200">
+    <th class="py-2 px-2 text-left font-semibold text-gray-700 whitespace-nowrap">外管规格</th>
+    ${th('流程数')}${th('每流程外管数')}${th('管长 (m)')}
+    ${objectives.map(key => th(objectiveLabel(key))).join('')}
+    ${th('传热量 (kW)')}${th('面积余量 (%)')}${th('管内压降 (kPa)')}${th('环隙压降 (kPa)')}${th('管内流速 (m/s)')}${th('环隙流速 (m/s)')}
+    <th class="py-2 px-2"></th>
+  </tr>`;
+  body.innerHTML = paretoSet.map(candidate => `<tr class="border-b border-gray-100">
+    <td class="py-1.5 px-2 text-gray-700 whitespace-nowrap">${candidate.outerTubeName}</td>
+    ${td(candidate.passCount, 0)}${td(candidate.outerTubeCountPerPass, 0)}${td(candidate.length, 1)}
+    ${objectives.map(key => td(candidate.objectives[key], OPTIMIZATION_OBJECTIVES[key].digits)).join('')}
+    ${td(candidate.result.heatTransferRate, 2)}${td(candidate.result.areaMargin, 1)}
+    ${td(candidate.result.innerPressureDrop, 2)}${td(candidate.result.annulusPressureDrop, 2)}
+    ${td(candidate.result.innerVelocity, 2)}${td(candidate.result.annulusVelocityIn, 2)}
+    <td class="py-1.5 px-2 text-right">
+      <button type="button" data-load-candidate="${candidate.id}" class="px-2 py-1 bg-blue-50 text-blue-700 rounded hover:bg-blue-100 whitespace-nowrap">载入</button>
+    </td>
+  </tr>`).join('');
+}
+
+/**
+ * 将优化方案载入表单并重新计算
+ * @param {number} candidateId - 候选方案ID
+ */
+function loadOptimizationCandidate(candidateId) {
+  const candidate = lastOptimization?.candidates.find(c => c.id === candidateId);
+  if (!candidate?.inputs) return;
+  loadExampleToForm(candidate.inputs);
+  if (candidate.inputs.isTwisted) {
+    const presetSelect = document.getElementById('twisted-tube-preset');
+    if (presetSelect) presetSelect.value = candidate.outerTubeId;
+  }
+  scheduleAutosave();
+  performCalculation();
+}
+
+/**
+ * 执行设计优化：其余输入取表单当前值，在 Worker 中搜索
+ */
+async function runDesignOptimization() {
+  if (activeCalculation) {
+    return;
+  }
+  const runButton = document.getElementById('optimizer-run-btn');
+  try {
+    const formData = getFormData();
+    const validation = validateFormData(formData);
+    if (!validation.valid) {
+      showToolStatus('optimizer-status', validation.errors.join('；'), true);
+      return;
+    }
+    refreshOptimizerOuterTubes();
+    const outerTubeIds = [...document.querySelectorAll('input[name="optimizer-outer-tube"]:checked')].map(el => el.value);
+    if (outerTubeIds.length === 0) {
+      throw new Error('请至少选择一种外管规格');
+    }
+    const objectives = [...document.querySelectorAll('input[name="optimizer-objective"]:checked')].map(el => el.value);
+    if (objectives.length === 0) {
+      throw new Error('请至少选择一个优化目标');
+    }
+    const params = {
+      ...buildCalculationParams(formData),
+      outerTubeIds: outerTubeIds,
+      passCountRange: [readOptionalNumber('optimizer-pass-min'), readOptionalNumber('optimizer-pass-max')],
+      outerTubeCountPerPassRange: [readOptionalNumber('optimizer-outer-count-min'), readOptionalNumber('optimizer-outer-count-max')],
+      lengthRange: [readOptionalNumber('optimizer-length-min'), readOptionalNumber('optimizer-length-max')],
+      constraints: {
+        minDuty: readOptionalNumber('optimizer-min-duty'),
+        maxInnerPressureDrop: readOptionalNumber('optimizer-max-dp-inner'),
+        maxAnnulusPressureDrop: readOptionalNumber('optimizer-max-dp-annulus'),
+        minVelocity: readOptionalNumber('optimizer-min-velocity'),
+        maxVelocity: readOptionalNumber('optimizer-max-velocity'),
+        minAreaMargin: readOptionalNumber('optimizer-min-margin') ?? 15
+      },
+      objectives: objectives,
+      unitPrice: readOptionalNumber('optimizer-unit-price')
+    };
+
+    if (runButton) runButton.disabled = true;
+    setCalculateButtonState(false, '优化中...');
+    showToolStatus('optimizer-status', '正在搜索设计方案...');
+    activeCalculation = runCalculation('optimizeDesign', params, {
+      onProgress: (progress) => setCalculateButtonState(false, `优化中... ${progress.message}`)
+    });
+    const { result } = await activeCalculation.promise;
+    activeCalculation = null;
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    lastOptimization = result;
+    const total = result.candidates.length;
+    showToolStatus(
+      'optimizer-status',
+      result.feasibleCount > 0
+        ? `共 ${total} 个组合，${result.feasibleCount} 个满足约束，Pareto 最优方案 ${result.paretoSet.length} 个`
+        : `共 ${total} 个组合，没有满足全部约束的方案，请放宽约束或扩大搜索范围`,
+      result.feasibleCount === 0
+    );
+    renderOptimization();
+  } catch (error) {
+    activeCalculation = null;
+    if (error.name === 'CalculationCancelled') {
+      showToolStatus('optimizer-status', '优化已取消');
+    } else {
+      console.error('[设计优化] 失败:', error);
+      showToolStatus('optimizer-status', `设计优化失败: ${error.message}`, true);
+    }
+  } finally {
+    if (runButton) runButton.disabled = false;
+    setCalculateButtonState(true, '计算');
+  }
+}
+
+/**
+ * 初始化设计优化面板
+ */
+function initializeOptimizerPanel() {
+  refreshOptimizerOuterTubes();
+  document.getElementById('inner-tube-type')?.addEventListener('change', refreshOptimizerOuterTubes);
+  document.getElementById('optimizer-run-btn')?.addEventListener('click', runDesignOptimization);
+  document.getElementById('optimizer-table-body')?.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-load-candidate]');
+    if (button) {
+      loadOptimizationCandidate(Number(button.dataset.loadCandidate));
+    }
+  });
+}
+
+/**
+ * ===== 不确定性分析 =====
+ */
+
+// 最近一次不确定性分析结果（见 uncertainty.js）
+let lastUncertainty = null;
+// 面积余量小于 0 的概率超过该值时以红色提示
+const MARGIN_RISK_WARNING = 0.05;
+
+/**
+ * 生成不确定因素的分布设置行
+ */
+function renderUncertaintyFactors() {
+  const body = document.getElementById('uncertainty-factor-body');
+  if (!body) return;
+  const inputClass = 'w-20 px-2 py-1 text-xs rounded border border-gray-200';
+  const distributionOptions = (selected) => Object.entries(DISTRIBUTIONS)
+    .map(([key, { name }]) => `<option value="${key}" ${key === selected ? 'selected' : ''}>${name}</option>`).join('');
+  body.innerHTML = Object.entries(UNCERTAINTY_FACTORS).map(([key, factor]) => {
+    const { defaults, scale, unit } = factor;
+    const parameterInputs = factor.kind === 'range'
+      ? `<input type="number" data-field="min" step="any" min="0" value="${defaults.min * scale}" class="${inputClass}">
+         ~ <input type="number" data-field="max" step="any" min="0" value="${defaults.max * scale}" class="${inputClass}"> ${unit}`
+      : `± <input type="number" data-field="spread" step="any" min="0" value="${defaults.spread}" class="${inputClass}"> ${unit}`;
+    return `<tr class="border-b border-gray-100" data-factor="${key}">
+      <td class="py-1.5 pr-2 whitespace-nowrap">
+        <label class="inline-flex items-center gap-1.5 text-gray-700">
+          <input type="checkbox" data-field="enabled" ${defaults.enabled ? 'checked' : ''}> ${factor.label}
+        </label>
+      </td>
+      <td class="py-1.5 px-2">
+        <select data-field="distribution" class="px-2 py-1 text-xs rounded border border-gray-200 bg-white">${distributionOptions(defaults.distribution)}</select>
+      </td>
+      <td class="py-1.5 px-2 whitespace-nowrap text-gray-600">${parameterInputs}</td>
+    </tr>`;
+  }).join('');
+}
+
+/**
+ * 读取启用的不确定因素
+ * @returns {Object} {因素ID: {distribution, spread} 或 {distribution, min, max}}（参数单位）
+ */
+function readUncertaintyFactors() {
+  const factors = {};
+  document.querySelectorAll('#uncertainty-factor-body tr[data-factor]').forEach((row) => {
+    if (!row.querySelector('[data-field="enabled"]')?.checked) return;
+    const key = row.dataset.factor;
+    const factor = UNCERTAINTY_FACTORS[key];
+    const field = (name) => parseFloat(row.querySelector(`[data-field="${name}"]`)?.value);
+    const distribution = row.querySelector('[data-field="distribution"]').value;
+    factors[key] = factor.kind === 'range'
+      ? { distribution, min: field('min') / factor.scale, max: field('max') / factor.scale }
+      : { distribution, spread: field('spread') };
+  });
+  return factors;
+}
+
+/**
+ * 绘制所选输出量的直方图
+ */
+function renderUncertaintyHistogram() {
+  const canvas = document.getElementById('uncertainty-canvas');
+  const key = document.getElementById('uncertainty-histogram-output')?.value;
+  if (!lastUncertainty || !canvas || !key) return;
+  const output = UNCERTAINTY_OUTPUTS[key];
+  const histogram = buildHistogram(lastUncertainty.samples[key], 30);
+  const stats = lastUncertainty.statistics[key];
+  if (!histogram || !stats) return;
+
+  const containerWidth = canvas.parentElement ? canvas.parentElement.clientWidth - 32 : 800;
+  const containerHeight = 340;
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width = containerWidth * dpr;
+  canvas.height = containerHeight * dpr;
+  canvas.style.width = containerWidth + 'px';
+  canvas.style.height = containerHeight + 'px';
+  const nominal = lastUncertainty.nominal[key];
+  const markers = [
+    { value: stats.p5, label: `P5 = ${stats.p5.toFixed(output.digits)}`, color: '#6b7280', dashed: true },
+    { value: stats.p95, label: `P95 = ${stats.p95.toFixed(output.digits)}`, color: '#6b7280', dashed: true }
+  ];
+  if (nominal !== null) {
+    markers.unshift({ value: nominal, label: `名义值 = ${nominal.toFixed(output.digits)}`, color: '#059669' });
+  }
+  if (key === 'areaMargin') {
+    markers.push({ value: 0, label: '余量 = 0', color: '#dc2626' });
+  }
+  drawHistogram(canvas, {
+    label: `${output.label} (${output.unit})`,
+    edges: histogram.edges,
+    counts: histogram.counts,
+    markers: markers,
+    highlightNegative: key === 'areaMargin'
+  });
+}
+
+/**
+ * 显示不确定性分析的统计表、面积余量不足的概率和直方图
+ */
+function renderUncertainty() {
+  if (!lastUncertainty) return;
+  document.getElementById('uncertainty-results')?.classList.remove('hidden');
+
+  const probability = lastUncertainty.probabilityNegativeMargin;
+  const probabilityEl = document.getElementById('uncertainty-probability');
+  if (probabilityEl) {
+    const risky = probability !== null && probability > MARGIN_RISK_WARNING;
+    probabilityEl.className = `p-3 rounded-lg border ${risky ? 'bg-red-50 border-red-200 text-red-800' : 'bg-green-50 border-green-200 text-green-800'}`;
+    probabilityEl.innerHTML = probability === null
+      ? '无法计算面积余量的分布'
+      : `<span class="font-semibold">面积余量 &lt; 0 的概率：${(probability * 100).toFixed(1)}%</span>
+         <span class="text-xs ml-2">（有效样本 ${lastUncertainty.sampleCount - lastUncertainty.failedCount} / ${lastUncertainty.sampleCount}）</span>`;
+  }
+
+  const body = document.getElementById('uncertainty-summary-body');
+  if (body) {
+    const format = (value, digits) => (value === null || value === undefined ? '-' : value.toFixed(digits));
+    body.innerHTML = Object.entries(UNCERTAINTY_OUTPUTS)
+      .filter(([key]) => lastUncertainty.statistics[key])
+      .map(([key, output]) => {
+        const stats = lastUncertainty.statistics[key];
+        return `<tr class="border-b border-gray-100">
+          <td class="py-1.5 pr-2 text-gray-700 whitespace-nowrap">${output.label} <span class="text-gray-400">(${output.unit})</span></td>
+          ${[lastUncertainty.nominal[key], stats.p5, stats.p50, stats.p95, stats.mean, stats.std]
+            .map(value => `<td class="py-1.5 px-2 text-right font-mono">${format(value, output.digits)}</td>`).join('')}
+        </tr>`;
+      }).join('');
+  }
+  renderUncertaintyHistogram();
+}
+
+/**
+ * 执行不确定性分析：其余输入取表单当前值，在 Worker 中逐个样本计算
+ */
+async function runUncertaintyAnalysis() {
+  if (activeCalculation) {
+    return;
+  }
+  const runButton = document.getElementById('uncertainty-run-btn');
+  try {
+    const formData = getFormData();
+    const validation = validateFormData(formData);
+    if (!validation.valid) {
+      showToolStatus('uncertainty-status', validation.errors.join('；'), true);
+      return;
+    }
+    const params = {
+      ...buildCalculationParams(formData),
+      factors: readUncertaintyFactors(),
+      sampleCount: parseInt(document.getElementById('uncertainty-sample-count')?.value),
+      seed: parseInt(document.getElementById('uncertainty-seed')?.value) || 1
+    };
+
+    if (runButton) runButton.disabled = true;
+    setCalculateButtonState(false, '分析中...');
+    showToolStatus('uncertainty-status', `正在计算 ${params.sampleCount} 个样本...`);
+    activeCalculation = runCalculation('calculateUncertainty', params, {
+      onProgress: (progress) => setCalculateButtonState(false, `分析中... ${progress.message}`)
+    });
+    const { result } = await activeCalculation.promise;
+    activeCalculation = null;
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    lastUncertainty = result;
+    showToolStatus(
+      'uncertainty-status',
+      `分析完成：${result.sampleCount} 个样本${result.failedCount > 0 ? `，其中 ${result.failedCount} 个计算失败` : ''}`
+    );
+    renderUncertainty();
+  } catch (error) {
+    activeCalculation = null;
+    if (error.name === 'CalculationCancelled') {
+      showToolStatus('uncertainty-status', '分析已取消');
+    } else {
+      console.error('[不确定性分析] 失败:', error);
+      showToolStatus('uncertainty-status', `不确定性分析失败: ${error.message}`, true);
+    }
+  } finally {
+    if (runButton) runButton.disabled = false;
+    setCalculateButtonState(true, '计算');
+  }
+}
+
+/**
+ * 初始化不确定性分析面板
+ */
+function initializeUncertaintyPanel() {
+  renderUncertaintyFactors();
+  const histogramOutput = document.getElementById('uncertainty-histogram-output');
+  if (histogramOutput) {
+    histogramOutput.innerHTML = Object.entries(UNCERTAINTY_OUTPUTS)
+      .map(([key, output]) => `<option value="${key}">${output.label}</option>`).join('');
+    histogramOutput.value = 'areaMargin';
+    histogramOutput.addEventListener('change', renderUncertaintyHistogram);
+  }
+  document.getElementById('uncertainty-run-btn')?.addEventListener('click', runUncertaintyAnalysis);
+}
+
 /**
  * 获取可视化参数
  * @param {Object} formData - 表单数据
@@ -1136,27 +2661,28 @@ function updateInputModeUI() {
     if (hotFlowrateContainer) hotFlowrateContainer.classList.add('hidden');
     if (coldFlowrateContainer) coldFlowrateContainer.classList.add('hidden');
   } else {
-    // 流量输入法：隐藏传热量输入，显示流量输入
+    // 流量输入法/校核计算：隐藏传热量输入，显示流量输入
     if (heatLoadContainer) heatLoadContainer.classList.add('hidden');
     if (hotFlowrateContainer) hotFlowrateContainer.classList.remove('hidden');
     if (coldFlowrateContainer) coldFlowrateContainer.classList.remove('hidden');
   }
+  
+  // 校核计算：出口温度和出口状态由计算得到，禁用对应输入
+  const isRating = inputMode === 'rating';
+  ['hot-tout', 'cold-tout', 'hot-state-out', 'cold-state-out'].forEach(id => {
+    const input = document.getElementById(id);
+    if (input) {
+      input.disabled = isRating;
+      input.classList.toggle('opacity-50', isRating);
+      input.classList.toggle('cursor-not-allowed', isRating);
+    }
+  });
 }
 
 /**
  * 初始化 UI 事件监听
  */
 export function initializeUI() {
-  // 加载默认示例（调试用）
-  import('./examples.js').then(({ currentDebugExample, loadExampleToForm }) => {
-    if (currentDebugExample) {
-      loadExampleToForm(currentDebugExample);
-      console.log('[初始化] 已加载默认调试案例');
-    }
-  }).catch(err => {
-    console.warn('[初始化] 无法加载默认案例:', err);
-  });
-  
   // 输入模式切换事件
   const inputModeRadios = document.querySelectorAll('input[name="input-mode"]');
   inputModeRadios.forEach(radio => {
@@ -1170,6 +2696,10 @@ export function initializeUI() {
   if (calculateBtn) {
     calculateBtn.addEventListener('click', performCalculation);
   }
+  const cancelCalculationBtn = document.getElementById('cancel-calculation-btn');
+  if (cancelCalculationBtn) {
+    cancelCalculationBtn.addEventListener('click', cancelCalculation);
+  }
 
   // 回车键触发计算
   document.addEventListener('keypress', (e) => {
@@ -1345,7 +2875,12 @@ export function initializeUI() {
   const updateTemperatureHints = () => {
     if (hotProcessTypeSelect && hotTinHint && hotToutHint) {
       const processType = hotProcessTypeSelect.value;
-      if (processType === 'cooling') {
+      // 超临界气体冷却不使用状态值
+      ['hot-state-in', 'hot-state-out'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.disabled = processType === 'supercritical';
+      });
+      if (processType === 'cooling' || processType === 'supercritical') {
         // 冷却模式（单相换热）：显示提示
         hotTinHint.classList.remove('hidden');
         hotToutHint.classList.remove('hidden');
@@ -1407,6 +2942,106 @@ export function initializeUI() {
     });
   }
   
+  // 自定义流体：导入物性表并保存到 localStorage，删除后刷新工质下拉框
+  refreshCustomFluidOptions();
+  const customFluidStatus = document.getElementById('custom-fluid-status');
+  const showCustomFluidStatus = (message, isError = false) => {
+    if (!customFluidStatus) return;
+    customFluidStatus.textContent = message;
+    customFluidStatus.className = `mt-1 text-xs ${isError ? 'text-red-700' : 'text-green-700'}`;
+  };
+  const customFluidImportBtn = document.getElementById('custom-fluid-import-btn');
+  if (customFluidImportBtn) {
+    customFluidImportBtn.addEventListener('click', async () => {
+      const file = document.getElementById('custom-fluid-file')?.files[0];
+      if (!file) {
+        showCustomFluidStatus('请选择物性表文件', true);
+        return;
+      }
+      try {
+        const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+        const table = parseCustomFluidTable(await file.text(), format);
+        const name = document.getElementById('custom-fluid-name')?.value.trim() ||
+                     table.name || file.name.replace(/\.[^.]+$/, '');
+        const id = saveCustomFluid(name, table.rows, table.description || `从 ${file.name} 导入`);
+        refreshCustomFluidOptions();
+        document.getElementById('custom-fluid-list').value = id;
+        showCustomFluidStatus(`已导入自定义流体 ${name}（${table.rows.length} 个温度点）`);
+      } catch (error) {
+        showCustomFluidStatus(error.message, true);
+      }
+    });
+  }
+  const customFluidDeleteBtn = document.getElementById('custom-fluid-delete-btn');
+  if (customFluidDeleteBtn) {
+    customFluidDeleteBtn.addEventListener('click', () => {
+      const id = document.getElementById('custom-fluid-list')?.value;
+      if (!id) return;
+      deleteCustomFluid(id);
+      refreshCustomFluidOptions();
+      // 已删除的流体若仍被选中，下拉框会回到第一个选项
+      ['hot-fluid', 'cold-fluid'].forEach((selectId) => {
+        document.getElementById(selectId)?.dispatchEvent(new Event('change'));
+      });
+      showCustomFluidStatus('已删除自定义流体');
+    });
+  }
+  
+  // 监听工质选择变化，显示混合工质/二次冷媒/自定义流体说明和浓度输入
+  ['hot', 'cold'].forEach((side) => {
+    const fluidSelect = document.getElementById(`${side}-fluid`);
+    const fluidInfoEl = document.getElementById(`${side}-fluid-info`);
+    const concentrationContainer = document.getElementById(`${side}-concentration-container`);
+    const concentrationInput = document.getElementById(`${side}-concentration`);
+    const concentrationHint = document.getElementById(`${side}-concentration-hint`);
+    if (fluidSelect && fluidInfoEl) {
+      let previousFluid = fluidSelect.value;
+      const updateFluidInfo = () => {
+        const mixture = getMixtureInfo(fluidSelect.value);
+        const secondary = getSecondaryFluidInfo(fluidSelect.value);
+        const custom = getCustomFluidInfo(fluidSelect.value);
+        const info = mixture || secondary || (custom && {
+          name: custom.name,
+          description: `自定义物性表，${custom.rows[0].T} ~ ${custom.rows[custom.rows.length - 1].T} °C${custom.description ? '，' + custom.description : ''}`
+        });
+        fluidInfoEl.textContent = info ? `${info.name}：${info.description}` : '';
+        fluidInfoEl.classList.toggle('hidden', !info);
+        
+        if (concentrationContainer && concentrationInput) {
+          const range = secondary?.concentration;
+          concentrationContainer.classList.toggle('hidden', !range);
+          if (range) {
+            concentrationInput.min = range.min * 100;
+            concentrationInput.max = range.max * 100;
+            // 切换工质时重置为该工质的默认浓度
+            if (fluidSelect.value !== previousFluid || concentrationInput.value === '') {
+              concentrationInput.value = range.default * 100;
+            }
+            if (concentrationHint) {
+              concentrationHint.textContent = `适用范围 ${range.min * 100}% ~ ${range.max * 100}%，计算时校验冰点和最高使用温度`;
+            }
+          }
+        }
+        previousFluid = fluidSelect.value;
+      };
+      updateFluidInfo();
+      fluidSelect.addEventListener('change', updateFluidInfo);
+    }
+  });
+  
+  // 监听关联式选择变化，更新关联式描述
+  ['inner', 'outer'].forEach((side) => {
+    const correlationSelect = document.getElementById(`${side}-correlation`);
+    const correlationDescriptionEl = document.getElementById(`${side}-correlation-description`);
+    if (correlationSelect && correlationDescriptionEl) {
+      const updateCorrelationDescription = () => {
+        correlationDescriptionEl.textContent = getCorrelationInfo(correlationSelect.value).description;
+      };
+      updateCorrelationDescription();
+      correlationSelect.addEventListener('change', updateCorrelationDescription);
+    }
+  });
+  
   // 初始可视化
   updateVisualization({
     innerDiameter: 0.02,
@@ -1427,5 +3062,137 @@ export function initializeUI() {
     passCount: 1,
     outerTubeCountPerPass: 1
   });
+  
+  // 项目：新建、打开/保存 .hxproj 文件、多案例切换，输入变化后自动保存到 IndexedDB
+  document.getElementById('main-app')?.addEventListener('input', scheduleAutosave);
+  document.getElementById('main-app')?.addEventListener('change', scheduleAutosave);
+  document.getElementById('project-new-btn')?.addEventListener('click', async () => {
+    await saveProjectNow();
+    openProject(createProject('未命名项目', [createCase('案例 1', getFormData())]));
+    showProjectStatus('已新建项目（当前输入作为第一个案例）');
+  });
+  const projectFileInput = document.getElementById('project-file');
+  document.getElementById('project-open-btn')?.addEventListener('click', () => projectFileInput?.click());
+  projectFileInput?.addEventListener('change', async () => {
+    const file = projectFileInput.files[0];
+    if (!file) return;
+    try {
+      await saveProjectNow();
+      openProject(parseProject(await file.text()));
+      await saveProjectNow();
+      showProjectStatus(`已打开项目 ${currentProject.name}（${currentProject.cases.length} 个案例）`);
+    } catch (error) {
+      showProjectStatus(error.message, true);
+    }
+    projectFileInput.value = '';
+  });
+  document.getElementById('project-save-btn')?.addEventListener('click', () => {
+    downloadProject();
+    showProjectStatus(`已保存 ${currentProject.name}${PROJECT_FILE_EXTENSION}`);
+  });
+  document.getElementById('project-share-btn')?.addEventListener('click', () => {
+    copyShareLink().catch(error => showProjectStatus(error.message, true));
+  });
+  // 页面已打开时粘贴分享链接
+  window.addEventListener('hashchange', async () => {
+    if (!isShareHash(location.hash)) return;
+    try {
+      await saveProjectNow();
+      await openShareLink(location.hash);
+    } catch (error) {
+      showError(error.message);
+    }
+  });
+  // 案例对比：固定当前结果或项目中所有已计算的案例
+  document.getElementById('pin-result-btn')?.addEventListener('click', () => {
+    if (!lastResults) return;
+    if (!pinResult(getActiveCase()?.name || `结果 ${pinnedResults.length + 1}`, lastResults)) {
+      showError(`最多对比 ${MAX_PINNED_RESULTS} 个案例，请先移出部分案例`);
+      return;
+    }
+    renderComparison();
+    document.getElementById('comparison-section')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  });
+  document.getElementById('project-compare-btn')?.addEventListener('click', () => {
+    syncActiveCase();
+    const calculated = currentProject.cases.filter(c => c.result?.success);
+    if (calculated.length === 0) {
+      showProjectStatus('项目中没有已计算的案例', true);
+      return;
+    }
+    pinnedResults = [];
+    calculated.slice(0, MAX_PINNED_RESULTS).forEach(c => pinResult(c.name, c.result));
+    renderComparison();
+    showProjectStatus(calculated.length > MAX_PINNED_RESULTS
+      ? `已对比前 ${MAX_PINNED_RESULTS} 个已计算的案例`
+      : `已对比 ${calculated.length} 个已计算的案例`);
+  });
+  document.getElementById('comparison-table-head')?.addEventListener('click', (e) => {
+    const index = e.target.dataset?.unpinIndex;
+    if (index === undefined) return;
+    pinnedResults.splice(Number(index), 1);
+    renderComparison();
+  });
+  document.getElementById('comparison-clear-btn')?.addEventListener('click', () => {
+    pinnedResults = [];
+    renderComparison();
+  });
+  initializeSweepPanel();
+  initializeOptimizerPanel();
+  initializeUncertaintyPanel();
+  document.getElementById('project-case-list')?.addEventListener('change', (e) => {
+    syncActiveCase();
+    currentProject.activeCaseId = e.target.value;
+    loadActiveCase();
+  });
+  document.getElementById('project-case-name')?.addEventListener('change', () => {
+    syncActiveCase();
+    refreshProjectControls();
+  });
+  document.getElementById('project-add-case-btn')?.addEventListener('click', () => {
+    syncActiveCase();
+    const newCase = createCase(`案例 ${currentProject.cases.length + 1}`, getFormData());
+    currentProject.cases.push(newCase);
+    currentProject.activeCaseId = newCase.id;
+    refreshProjectControls();
+    scheduleAutosave();
+  });
+  document.getElementById('project-delete-case-btn')?.addEventListener('click', () => {
+    if (currentProject.cases.length <= 1) {
+      showProjectStatus('项目至少保留一个案例', true);
+      return;
+    }
+    currentProject.cases = currentProject.cases.filter(c => c.id !== currentProject.activeCaseId);
+    currentProject.activeCaseId = currentProject.cases[0].id;
+    loadActiveCase();
+    scheduleAutosave();
+  });
+  document.getElementById('recent-project-open-btn')?.addEventListener('click', async () => {
+    const id = document.getElementById('recent-projects-list')?.value;
+    if (!id) return;
+    try {
+      await saveProjectNow();
+      openProject(await loadRecentProject(id));
+      showProjectStatus(`已打开项目 ${currentProject.name}`);
+    } catch (error) {
+      showProjectStatus(error.message, true);
+    }
+  });
+  document.getElementById('recent-project-delete-btn')?.addEventListener('click', async () => {
+    const id = document.getElementById('recent-projects-list')?.value;
+    if (!id) return;
+    try {
+      await deleteRecentProject(id);
+      await refreshRecentProjects();
+      showProjectStatus(id === currentProject?.id ? '已删除自动保存（当前项目修改后会重新保存）' : '已删除项目');
+    } catch (error) {
+      showProjectStatus(error.message, true);
+    }
+  });
+  // 表单恢复后按当前值预填扫描范围
+  restoreProjectOnStartup().then(() => {
+    prefillSweepRange(1);
+    refreshOptimizerOuterTubes();
+  });
 }
 
@@ -0,0 +1,276 @@
+/**
+ * Monte Carlo 不确定性分析
+ * 为关联式倍率、污垢热阻和部分输入指定概率分布，抽取 N 个样本逐一计算，
+ * 统计 U、Q、所需面积、面积余量和两侧压降的分位数，以及面积余量小于 0 的概率。
+ *
+ * 输入和污垢热阻的抽样值直接代入 calculateHeatExchanger；关联式倍率作用在每个样本的计算结果上：
+ * 按管内、管外对流热阻在总热阻中的占比修正总热阻，U 与所需面积按总热阻比例换算（Q 与 LMTD 不变），
+ * 压降倍率直接乘在对应一侧的压降上
+ */
+
+import { calculateHeatExchanger, getEffectiveRequiredArea } from './heat_exchanger.js';
+import { UNCERTAINTY_FACTORS, DISTRIBUTIONS, UNCERTAINTY_OUTPUTS, MAX_UNCERTAINTY_SAMPLES } from './uncertainty_config.js';
+
+/**
+ * 可设定种子的伪随机数发生器（mulberry32），相同种子得到相同的样本
+ * @param {number} seed - 种子
+ * @returns {Function} 返回 [0, 1) 均匀随机数的函数
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 标准正态随机数（Box-Muller）
+const standardNormal = (random) => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+// 三角分布随机数（逆变换法）
+function triangular(random, min, mode, max) {
+  if (max <= min) return min;
+  const u = random();
+  const c = (mode - min) / (max - min);
+  return u < c
+    ? min + Math.sqrt(u * (max - min) * (mode - min))
+    : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+}
+
+/**
+ * 按分布抽取一个因素的样本值
+ * @param {Object} factor - UNCERTAINTY_FACTORS 中的因素
+ * @param {Object} spec - 分布 {distribution, spread} 或 {distribution, min, max}
+ * @param {number} nominal - 名义值（倍率类因素为 1）
+ * @param {Function} random - 随机数发生器
+ * @returns {number}
+ */
+function sampleFactor(factor, spec, nominal, random) {
+  if (factor.kind === 'range') {
+    const { min, max } = spec;
+    if (spec.distribution === 'normal') {
+      return Math.max(0, (min + max) / 2 + standardNormal(random) * (max - min) / 4);
+    }
+    if (spec.distribution === 'triangular') {
+      return triangular(random, min, Math.min(max, Math.max(min, nominal)), max);
+    }
+    return min + random() * (max - min);
+  }
+
+  // 倍率类的 spread 为 %，偏差类为绝对值
+  const spread = factor.kind === 'multiplier' ? spec.spread / 100 : spec.spread;
+  let deviation;
+  if (spec.distribution === 'normal') {
+    deviation = standardNormal(random) * spread;
+  } else if (spec.distribution === 'triangular') {
+    deviation = triangular(random, -spread, 0, spread);
+  } else {
+    deviation = (random() * 2 - 1) * spread;
+  }
+  // 倍率不小于 0.05，避免出现非物理的负值
+  return factor.kind === 'multiplier' ? nominal * Math.max(0.05, 1 + deviation) : nominal + deviation;
+}
+
+/**
+ * 对流热阻占总热阻的比例
+ * 有热阻分配时直接使用；三段计算法等没有热阻分配的结果，由 hi、ho 和有效总传热系数估算
+ * @param {Object} result - calculateHeatExchanger 的计算结果
+ * @returns {Object} {inner, outer}（0-1）
+ */
+function getFilmResistanceShares(result) {
+  if (typeof result.Ri_percentage === 'number' && typeof result.Ro_percentage === 'number') {
+    return { inner: result.Ri_percentage / 100, outer: result.Ro_percentage / 100 };
+  }
+  const requiredArea = getEffectiveRequiredArea(result);
+  const effectiveU = requiredArea > 0 && result.lmtd > 0
+    ? result.heatTransferRate * 1000 / (requiredArea * result.lmtd)
+    : result.overallHeatTransferCoefficient;
+  const geometry = result.geometry || {};
+  const diameterRatio = geometry.tubeOuterDiameter && geometry.innerDiameter
+    ? geometry.tubeOuterDiameter / geometry.innerDiameter
+    : 1;
+  let inner = result.hi > 0 ? effectiveU * diameterRatio / result.hi : 0;
+  let outer = result.ho > 0 ? effectiveU / result.ho : 0;
+  // 估算的对流热阻之和不超过总热阻
+  const total = inner + outer;
+  if (total > 1) {
+    inner /= total;
+    outer /= total;
+  }
+  return { inner, outer };
+}
+
+/**
+ * 将关联式倍率作用到计算结果上，返回统计的输出量
+ * @param {Object} result - calculateHeatExchanger 的计算结果
+ * @param {Object} multipliers - {innerHtcMultiplier, outerHtcMultiplier, innerPressureDropMultiplier, annulusPressureDropMultiplier}
+ * @param {boolean} givenU - 是否使用给定的总传热系数（此时传热系数倍率不起作用）
+ * @returns {Object} UNCERTAINTY_OUTPUTS 中各输出量的值
+ */
+function applyCorrelationMultipliers(result, multipliers, givenU) {
+  const { innerHtcMultiplier = 1, outerHtcMultiplier = 1, innerPressureDropMultiplier = 1, annulusPressureDropMultiplier = 1 } = multipliers;
+  // 总热阻比例：R'/R = 1 - si - so + si/fi + so/fo
+  let resistanceRatio = 1;
+  if (!givenU) {
+    const shares = getFilmResistanceShares(result);
+    resistanceRatio = 1 - shares.inner - shares.outer + shares.inner / innerHtcMultiplier + shares.outer / outerHtcMultiplier;
+  }
+  const requiredArea = getEffectiveRequiredArea(result) * resistanceRatio;
+  const finite = (value) => (typeof value === 'number' && isFinite(value) ? value : null);
+  return {
+    overallHeatTransferCoefficient: finite(result.overallHeatTransferCoefficient / resistanceRatio),
+    heatTransferRate: finite(result.heatTransferRate),
+    requiredArea: finite(requiredArea),
+    areaMargin: requiredArea > 0 ? finite((result.heatTransferArea - requiredArea) / requiredArea * 100) : null,
+    innerPressureDrop: finite(result.innerPressureDrop * innerPressureDropMultiplier),
+    annulusPressureDrop: finite(result.annulusPressureDrop * annulusPressureDropMultiplier)
+  };
+}
+
+/**
+ * 线性插值分位数
+ * @param {Array<number>} sorted - 升序排列的数据
+ * @param {number} p - 分位 (0-1)
+ * @returns {number|null}
+ */
+function quantile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * 样本统计
+ * @param {Array<number|null>} values - 样本值（null 为无效样本）
+ * @returns {Object|null} {count, mean, std, min, p5, p50, p95, max}，没有有效样本时为 null
+ */
+export function summarizeSamples(values) {
+  const sorted = values.filter(v => v !== null && isFinite(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  const variance = sorted.length > 1
+    ? sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (sorted.length - 1)
+    : 0;
+  return {
+    count: sorted.length,
+    mean: mean,
+    std: Math.sqrt(variance),
+    min: sorted[0],
+    p5: quantile(sorted, 0.05),
+    p50: quantile(sorted, 0.5),
+    p95: quantile(sorted, 0.95),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+/**
+ * Monte Carlo 不确定性分析
+ * @param {Object} params - calculateHeatExchanger 的计算参数，另含：
+ * @param {Object} params.factors - 启用的不确定因素 {因素ID: {distribution, spread} 或 {distribution, min, max}}
+ * @param {number} params.sampleCount - 样本数，默认200
+ * @param {number} params.seed - 随机数种子，默认1
+ * @param {Function} params.onProgress - 进度回调 {stage, iteration, message}
+ * @returns {Promise<Object>} {success, sampleCount, failedCount, nominal, samples, statistics, probabilityNegativeMargin}；
+ *   nominal 为名义工况的输出量，samples 为各输出量的样本数组（失败样本不计入），statistics 见 summarizeSamples
+ */
+export async function calculateUncertainty(params) {
+  const {
+    factors = {},
+    sampleCount = 200,
+    seed = 1,
+    onProgress = null,
+    ...baseParams
+  } = params;
+
+  try {
+    if (baseParams.inputMode === 'rating') {
+      throw new Error('校核计算模式下不能进行不确定性分析');
+    }
+    if (!Number.isInteger(sampleCount) || sampleCount < 10 || sampleCount > MAX_UNCERTAINTY_SAMPLES) {
+      throw new Error(`样本数须为 10 ~ ${MAX_UNCERTAINTY_SAMPLES} 之间的整数`);
+    }
+    const enabled = Object.entries(factors).map(([key, spec]) => {
+      const factor = UNCERTAINTY_FACTORS[key];
+      if (!factor) {
+        throw new Error(`未知的不确定因素: ${key}`);
+      }
+      if (!DISTRIBUTIONS[spec.distribution]) {
+        throw new Error(`${factor.label}：未知的分布类型 ${spec.distribution}`);
+      }
+      if (factor.kind === 'range' ? !(spec.min >= 0 && spec.max >= spec.min) : !(spec.spread >= 0)) {
+        throw new Error(`${factor.label}：分布参数无效`);
+      }
+      return { key, factor, spec };
+    });
+    if (enabled.length === 0) {
+      throw new Error('请至少启用一个不确定因素');
+    }
+
+    onProgress?.({ stage: 'uncertainty', iteration: 0, message: '名义工况计算' });
+    const nominalResult = await calculateHeatExchanger(baseParams);
+    if (!nominalResult.success) {
+      throw new Error(`名义工况计算失败：${nominalResult.error}`);
+    }
+    const givenU = baseParams.givenU !== null && baseParams.givenU !== undefined && baseParams.givenU > 0;
+    const nominal = applyCorrelationMultipliers(nominalResult, {}, givenU);
+
+    const random = createRandom(seed);
+    const samples = Object.fromEntries(Object.keys(UNCERTAINTY_OUTPUTS).map(key => [key, []]));
+    let failedCount = 0;
+    for (let i = 0; i < sampleCount; i++) {
+      onProgress?.({ stage: 'uncertainty', iteration: i + 1, message: `不确定性分析 ${i + 1}/${sampleCount}` });
+      const sampleParams = { ...baseParams };
+      const multipliers = {};
+      for (const { key, factor, spec } of enabled) {
+        if (factor.target === 'correlation') {
+          multipliers[key] = sampleFactor(factor, spec, 1, random);
+        } else if (factor.kind === 'range' || (baseParams[key] !== null && baseParams[key] !== undefined)) {
+          // 当前输入模式下未使用的输入（如流量输入法下的传热量）不抽样
+          sampleParams[key] = sampleFactor(factor, spec, baseParams[key] ?? 0, random);
+        }
+      }
+
+      let result;
+      try {
+        result = await calculateHeatExchanger(sampleParams);
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+      if (!result.success) {
+        failedCount++;
+        console.warn(`[不确定性分析] 第 ${i + 1} 个样本计算失败: ${result.error}`);
+        continue;
+      }
+      const outputs = applyCorrelationMultipliers(result, multipliers, givenU);
+      Object.keys(samples).forEach(key => samples[key].push(outputs[key]));
+    }
+
+    const validSampleCount = sampleCount - failedCount;
+    if (validSampleCount === 0) {
+      throw new Error('全部样本计算失败，请检查分布参数');
+    }
+    const margins = samples.areaMargin.filter(v => v !== null);
+    return {
+      success: true,
+      sampleCount: sampleCount,
+      failedCount: failedCount,
+      seed: seed,
+      nominal: nominal,
+      samples: samples,
+      statistics: Object.fromEntries(Object.entries(samples).map(([key, values]) => [key, summarizeSamples(values)])),
+      // 面积余量小于 0 的概率（所需面积超过实际面积）
+      probabilityNegativeMargin: margins.length > 0 ? margins.filter(v => v < 0).length / margins.length : null
+    };
+  } catch (error) {
+    console.error('不确定性分析失败:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
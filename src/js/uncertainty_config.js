@@ -0,0 +1,113 @@
+/**
+ * 不确定性分析配置
+ * 不确定因素、概率分布、统计输出量和直方图分组，不依赖计算引擎，供界面和计算 Worker 共用
+ */
+
+/**
+ * 不确定因素
+ * - kind：'multiplier'（倍率，spread 为 %）、'offset'（加在名义值上的偏差，spread 为 K）、
+ *   'range'（取值范围 min/max，单位同计算参数）
+ * - target：'correlation'（作用于计算结果的关联式倍率）或 'input'（修改计算参数中的同名字段）
+ * - scale：界面显示值 = 参数值 × scale
+ * - defaults：默认分布 {enabled, distribution, spread 或 min/max}
+ */
+export const UNCERTAINTY_FACTORS = {
+  innerHtcMultiplier: {
+    label: '管内传热系数（关联式）', kind: 'multiplier', target: 'correlation', unit: '%', scale: 1,
+    defaults: { enabled: true, distribution: 'normal', spread: 15 }
+  },
+  outerHtcMultiplier: {
+    label: '管外传热系数（关联式）', kind: 'multiplier', target: 'correlation', unit: '%', scale: 1,
+    defaults: { enabled: true, distribution: 'normal', spread: 15 }
+  },
+  innerPressureDropMultiplier: {
+    label: '管内压降（关联式）', kind: 'multiplier', target: 'correlation', unit: '%', scale: 1,
+    defaults: { enabled: true, distribution: 'normal', spread: 10 }
+  },
+  annulusPressureDropMultiplier: {
+    label: '环隙压降（关联式）', kind: 'multiplier', target: 'correlation', unit: '%', scale: 1,
+    defaults: { enabled: true, distribution: 'normal', spread: 10 }
+  },
+  foulingInner: {
+    label: '管内污垢热阻', kind: 'range', target: 'input', unit: 'm²·K/kW', scale: 1000,
+    defaults: { enabled: true, distribution: 'uniform', min: 0, max: 0.0002 }
+  },
+  foulingOuter: {
+    label: '管外污垢热阻', kind: 'range', target: 'input', unit: 'm²·K/kW', scale: 1000,
+    defaults: { enabled: true, distribution: 'uniform', min: 0, max: 0.0002 }
+  },
+  hotFlowRate: {
+    label: '热流体流量', kind: 'multiplier', target: 'input', unit: '%', scale: 1,
+    defaults: { enabled: false, distribution: 'normal', spread: 5 }
+  },
+  coldFlowRate: {
+    label: '冷流体流量', kind: 'multiplier', target: 'input', unit: '%', scale: 1,
+    defaults: { enabled: false, distribution: 'normal', spread: 5 }
+  },
+  heatLoad: {
+    label: '传热量（负荷输入法）', kind: 'multiplier', target: 'input', unit: '%', scale: 1,
+    defaults: { enabled: false, distribution: 'normal', spread: 5 }
+  },
+  hotTin: {
+    label: '热流体进口温度', kind: 'offset', target: 'input', unit: 'K', scale: 1,
+    defaults: { enabled: false, distribution: 'normal', spread: 1 }
+  },
+  coldTin: {
+    label: '冷流体进口温度', kind: 'offset', target: 'input', unit: 'K', scale: 1,
+    defaults: { enabled: false, distribution: 'normal', spread: 1 }
+  }
+};
+
+/**
+ * 概率分布
+ * - normal：正态分布，spread 为标准差；range 类因素取区间中点为均值、区间宽度的 1/4 为标准差
+ * - uniform：均匀分布，名义值 ± spread 或 [min, max]
+ * - triangular：三角分布，众数为名义值（range 类因素截取到区间内）
+ */
+export const DISTRIBUTIONS = {
+  normal: { name: '正态' },
+  uniform: { name: '均匀' },
+  triangular: { name: '三角' }
+};
+
+/**
+ * 统计的输出量
+ */
+export const UNCERTAINTY_OUTPUTS = {
+  overallHeatTransferCoefficient: { label: '总传热系数 U', unit: 'W/m²·K', digits: 1 },
+  heatTransferRate: { label: '传热量 Q', unit: 'kW', digits: 2 },
+  requiredArea: { label: '所需面积', unit: 'm²', digits: 3 },
+  areaMargin: { label: '面积余量', unit: '%', digits: 1 },
+  innerPressureDrop: { label: '管内压降', unit: 'kPa', digits: 2 },
+  annulusPressureDrop: { label: '环隙压降', unit: 'kPa', digits: 2 }
+};
+
+/**
+ * 样本数上限
+ */
+export const MAX_UNCERTAINTY_SAMPLES = 2000;
+
+/**
+ * 直方图
+ * @param {Array<number|null>} values - 样本值
+ * @param {number} binCount - 分组数
+ * @returns {Object|null} {edges: 分组边界（binCount + 1 个）, counts}，没有有效样本时为 null
+ */
+export function buildHistogram(values, binCount = 30) {
+  const valid = values.filter(v => v !== null && isFinite(v));
+  if (valid.length === 0) return null;
+  let min = Math.min(...valid);
+  let max = Math.max(...valid);
+  if (max === min) {
+    const halfWidth = Math.max(Math.abs(min) * 0.05, 1e-6);
+    min -= halfWidth;
+    max += halfWidth;
+  }
+  const width = (max - min) / binCount;
+  const edges = Array.from({ length: binCount + 1 }, (_, i) => min + i * width);
+  const counts = new Array(binCount).fill(0);
+  valid.forEach((v) => {
+    counts[Math.min(binCount - 1, Math.floor((v - min) / width))]++;
+  });
+  return { edges, counts };
+}
@@ -3,7 +3,8 @@
  * 绘制换热器的侧视图和前视图
  */
 
-import { calculateLobeCrossSection } from './heat_exchanger.js';
+import { calculateLobeCrossSection } from './cross_section.js';
+import { FLOW_PATTERNS, getFlowPatternAt } from './flow_patterns.js';
 
 /**
  * 绘制侧视图
@@ -1302,3 +1303,746 @@ export function drawTemperatureDistribution(canvas, data, flowType = 'counter',
   // 图例已移除，箭头颜色已能区分冷热流体
 }
 
+/**
+ * 绘制两相流型图（干度-质量通量平面），叠加运行路径
+ * @param {HTMLCanvasElement} canvas - Canvas 元素
+ * @param {Object} map - 流型图数据（calculateFlowPatternMap 的返回值）
+ * @param {string} title - 图标题
+ * @returns {Object|null} {toData(px, py)}：将画布像素坐标转换为 {x, G}，超出绘图区时返回 null
+ */
+export function drawFlowPatternMap(canvas, map, title = '流型图') {
+  if (!canvas || !map || !map.curves) {
+    return null;
+  }
+
+  const ctx = canvas.getContext('2d');
+  const width = canvas.width;
+  const height = canvas.height;
+  ctx.clearRect(0, 0, width, height);
+
+  const padding = { top: 50, right: 180, bottom: 60, left: 80 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+
+  // 纵轴范围：覆盖运行质量通量的 2 倍，取整到 100
+  const gMax = Math.ceil(Math.max(2 * map.massFlux, 300) / 100) * 100;
+  const xToCanvas = (x) => padding.left + x * plotWidth;
+  const gToCanvas = (g) => padding.top + plotHeight - (Math.min(g, gMax) / gMax) * plotHeight;
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+
+  // 流型区域着色
+  const columns = 100;
+  const rows = 60;
+  const cellWidth = plotWidth / columns;
+  const cellHeight = plotHeight / rows;
+  for (let i = 0; i < columns; i++) {
+    const x = (i + 0.5) / columns;
+    for (let j = 0; j < rows; j++) {
+      const g = (j + 0.5) / rows * gMax;
+      const pattern = getFlowPatternAt(map, x, g);
+      ctx.fillStyle = FLOW_PATTERNS[pattern].color;
+      ctx.fillRect(padding.left + i * cellWidth, padding.top + plotHeight - (j + 1) * cellHeight, cellWidth + 1, cellHeight + 1);
+    }
+  }
+
+  // 转换曲线
+  const drawCurve = (values, color, dash = []) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash(dash);
+    ctx.beginPath();
+    let started = false;
+    for (let i = 0; i < map.curves.x.length; i++) {
+      const value = values[i];
+      if (!isFinite(value) || value > gMax) {
+        started = false;
+        continue;
+      }
+      const px = xToCanvas(map.curves.x[i]);
+      const py = gToCanvas(value);
+      if (!started) {
+        ctx.moveTo(px, py);
+        started = true;
+      } else {
+        ctx.lineTo(px, py);
+      }
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+  };
+  drawCurve(map.curves.strat, '#92400e');
+  drawCurve(map.curves.wavy, '#065f46');
+  drawCurve(map.curves.dryout, '#9a3412', [6, 4]);
+  drawCurve(map.curves.mist, '#4b5563', [2, 3]);
+
+  // 间歇流/环状流转换干度
+  ctx.strokeStyle = '#4338ca';
+  ctx.lineWidth = 1;
+  ctx.setLineDash([4, 4]);
+  ctx.beginPath();
+  ctx.moveTo(xToCanvas(map.transitionQuality), padding.top);
+  ctx.lineTo(xToCanvas(map.transitionQuality), padding.top + plotHeight);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  // 坐标轴
+  ctx.strokeStyle = '#374151';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(padding.left, padding.top);
+  ctx.lineTo(padding.left, padding.top + plotHeight);
+  ctx.lineTo(padding.left + plotWidth, padding.top + plotHeight);
+  ctx.stroke();
+
+  ctx.fillStyle = '#374151';
+  ctx.font = '12px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  for (let i = 0; i <= 10; i += 2) {
+    ctx.fillText((i / 10).toFixed(1), xToCanvas(i / 10), padding.top + plotHeight + 8);
+  }
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (let i = 0; i <= 5; i++) {
+    const g = gMax * i / 5;
+    ctx.fillText(g.toFixed(0), padding.left - 10, gToCanvas(g));
+  }
+
+  ctx.font = '14px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  ctx.fillText('干度 x', padding.left + plotWidth / 2, height - 10);
+  ctx.save();
+  ctx.translate(20, padding.top + plotHeight / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.textBaseline = 'middle';
+  ctx.fillText('质量通量 G (kg/m²·s)', 0, 0);
+  ctx.restore();
+
+  // 运行路径（进口 → 出口）
+  const path = map.path;
+  const pathY = gToCanvas(map.massFlux);
+  ctx.strokeStyle = '#111827';
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.moveTo(xToCanvas(path[0].x), pathY);
+  ctx.lineTo(xToCanvas(path[path.length - 1].x), pathY);
+  ctx.stroke();
+  ctx.fillStyle = '#111827';
+  ctx.beginPath();
+  ctx.arc(xToCanvas(path[0].x), pathY, 5, 0, 2 * Math.PI);
+  ctx.fill();
+  if (path.length > 1) {
+    const direction = path[path.length - 1].x > path[0].x ? 0 : Math.PI;
+    drawArrow(ctx, xToCanvas(path[path.length - 1].x), pathY, direction, 0, '#111827');
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText('进口', xToCanvas(path[0].x), pathY - 8);
+    ctx.fillText('出口', xToCanvas(path[path.length - 1].x), pathY - 8);
+  }
+
+  // 图例
+  ctx.font = '12px sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  let legendY = padding.top + 10;
+  Object.values(FLOW_PATTERNS).forEach((pattern) => {
+    ctx.fillStyle = pattern.color;
+    ctx.fillRect(width - padding.right + 15, legendY - 7, 14, 14);
+    ctx.strokeStyle = '#9ca3af';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(width - padding.right + 15, legendY - 7, 14, 14);
+    ctx.fillStyle = '#374151';
+    ctx.fillText(pattern.name, width - padding.right + 35, legendY);
+    legendY += 22;
+  });
+
+  ctx.fillStyle = '#111827';
+  ctx.font = 'bold 16px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  ctx.fillText(title, padding.left + plotWidth / 2, 10);
+
+  return {
+    toData: (px, py) => {
+      if (px < padding.left || px > padding.left + plotWidth || py < padding.top || py > padding.top + plotHeight) {
+        return null;
+      }
+      return {
+        x: (px - padding.left) / plotWidth,
+        G: (padding.top + plotHeight - py) / plotHeight * gMax
+      };
+    }
+  };
+}
+
+// 对比曲线的案例颜色（按固定顺序循环使用）
+const COMPARISON_COLORS = ['#2563eb', '#dc2626', '#059669', '#d97706', '#7c3aed', '#db2777'];
+
+/**
+ * 叠加绘制多个案例的温度分布曲线（案例对比）
+ * 每个案例一种颜色，热流体为实线、冷流体为虚线；横坐标取各案例长度的最大值
+ * @param {HTMLCanvasElement} canvas - Canvas 元素
+ * @param {Array<Object>} series - [{label, positions (m), hotTemperatures (°C), coldTemperatures (°C)}]
+ */
+export function drawTemperatureComparison(canvas, series) {
+  if (!canvas) {
+    return;
+  }
+  const ctx = canvas.getContext('2d');
+  const width = canvas.width;
+  const height = canvas.height;
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+
+  const validSeries = series.filter(s => s.positions?.length > 1 && s.hotTemperatures && s.coldTemperatures);
+  if (validSeries.length === 0) {
+    ctx.fillStyle = '#6b7280';
+    ctx.font = '13px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('对比案例没有温度分布数据', width / 2, height / 2);
+    return;
+  }
+
+  const padding = { top: 40, right: 200, bottom: 60, left: 80 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+
+  const maxLength = Math.max(...validSeries.map(s => s.positions[s.positions.length - 1]));
+  const allTemps = validSeries.flatMap(s => [...s.hotTemperatures, ...s.coldTemperatures]).filter(t => isFinite(t));
+  const minTemp = Math.min(...allTemps);
+  const maxTemp = Math.max(...allTemps);
+  const tempPadding = Math.max((maxTemp - minTemp) * 0.1, 1);
+  const tempMin = minTemp - tempPadding;
+  const tempMax = maxTemp + tempPadding;
+
+  const xToCanvas = (x) => padding.left + (x / maxLength) * plotWidth;
+  const yToCanvas = (temp) => padding.top + plotHeight - ((temp - tempMin) / (tempMax - tempMin)) * plotHeight;
+
+  // 网格与坐标轴标签
+  ctx.strokeStyle = '#e5e7eb';
+  ctx.lineWidth = 1;
+  ctx.fillStyle = '#374151';
+  ctx.font = '12px sans-serif';
+  const numGridLines = 5;
+  for (let i = 0; i <= numGridLines; i++) {
+    const x = padding.left + (i / numGridLines) * plotWidth;
+    const y = padding.top + (i / numGridLines) * plotHeight;
+    ctx.beginPath();
+    ctx.moveTo(x, padding.top);
+    ctx.lineTo(x, padding.top + plotHeight);
+    ctx.moveTo(padding.left, y);
+    ctx.lineTo(padding.left + plotWidth, y);
+    ctx.stroke();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`${((i / numGridLines) * maxLength).toFixed(1)} m`, x, padding.top + plotHeight + 8);
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`${(tempMax - (i / numGridLines) * (tempMax - tempMin)).toFixed(1)}°C`, padding.left - 8, y);
+  }
+  ctx.strokeStyle = '#374151';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(padding.left, padding.top);
+  ctx.lineTo(padding.left, padding.top + plotHeight);
+  ctx.lineTo(padding.left + plotWidth, padding.top + plotHeight);
+  ctx.stroke();
+  ctx.font = '14px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  ctx.fillText('位置 (m)', padding.left + plotWidth / 2, height - 10);
+
+  // 曲线：热流体实线，冷流体虚线
+  const drawCurve = (positions, temperatures, color, dashed) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.setLineDash(dashed ? [6, 4] : []);
+    ctx.beginPath();
+    positions.forEach((position, i) => {
+      const x = xToCanvas(position);
+      const y = yToCanvas(temperatures[i]);
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+    ctx.setLineDash([]);
+  };
+  validSeries.forEach((s, i) => {
+    const color = COMPARISON_COLORS[i % COMPARISON_COLORS.length];
+    drawCurve(s.positions, s.hotTemperatures, color, false);
+    drawCurve(s.positions, s.coldTemperatures, color, true);
+  });
+
+  // 图例
+  const legendX = padding.left + plotWidth + 20;
+  ctx.font = '12px sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  validSeries.forEach((s, i) => {
+    const y = padding.top + 10 + i * 22;
+    ctx.strokeStyle = COMPARISON_COLORS[i % COMPARISON_COLORS.length];
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(legendX, y);
+    ctx.lineTo(legendX + 24, y);
+    ctx.stroke();
+    ctx.fillStyle = '#111827';
+    ctx.fillText(s.label, legendX + 32, y);
+  });
+  const noteY = padding.top + 20 + validSeries.length * 22;
+  ctx.fillStyle = '#6b7280';
+  ctx.fillText('实线：热流体', legendX, noteY);
+  ctx.fillText('虚线：冷流体', legendX, noteY + 18);
+
+  ctx.fillStyle = '#111827';
+  ctx.font = 'bold 15px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  ctx.fillText('温度分布对比', padding.left + plotWidth / 2, 10);
+}
+
+/**
+ * 计算坐标轴范围（无有效数据时返回 null）
+ * @param {Array<number|null>} values - 数据
+ * @returns {Object|null} {min, max}
+ */
+function getAxisRange(values) {
+  const valid = values.filter(v => v !== null && isFinite(v));
+  if (valid.length === 0) return null;
+  const min = Math.min(...valid);
+  const max = Math.max(...valid);
+  const margin = max > min ? (max - min) * 0.08 : Math.max(Math.abs(max) * 0.1, 1);
+  return { min: min - margin, max: max + margin };
+}
+
+/**
+ * 绘制单变量参数扫描曲线（左右双纵轴）
+ * @param {HTMLCanvasElement} canvas - Canvas 元素
+ * @param {Object} data
+ * @param {Object} data.x - 横轴 {label, values}
+ * @param {Array<Object>} data.series - 最多两条曲线 [{label, values}]，第一条用左轴，第二条用右轴；计算失败的点为 null
+ */
+export function drawSweepChart(canvas, data) {
+  if (!canvas || !data?.x || !data.series?.length) {
+    return;
+  }
+  const ctx = canvas.getContext('2d');
+  const width = canvas.width;
+  const height = canvas.height;
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+
+  const padding = { top: 40, right: 90, bottom: 60, left: 90 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  const xValues = data.x.values;
+  const xMin = Math.min(...xValues);
+  const xMax = Math.max(...xValues);
+  const xToCanvas = (x) => padding.left + (xMax > xMin ? (x - xMin) / (xMax - xMin) : 0.5) * plotWidth;
+  const colors = ['#2563eb', '#dc2626'];
+  const numGridLines = 5;
+
+  // 网格与横轴
+  ctx.strokeStyle = '#e5e7eb';
+  ctx.lineWidth = 1;
+  ctx.fillStyle = '#374151';
+  ctx.font = '12px sans-serif';
+  for (let i = 0; i <= numGridLines; i++) {
+    const x = padding.left + (i / numGridLines) * plotWidth;
+    const y = padding.top + (i / numGridLines) * plotHeight;
+    ctx.beginPath();
+    ctx.moveTo(x, padding.top);
+    ctx.lineTo(x, padding.top + plotHeight);
+    ctx.moveTo(padding.left, y);
+    ctx.lineTo(padding.left + plotWidth, y);
+    ctx.stroke();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText((xMin + (i / numGridLines) * (xMax - xMin)).toPrecision(4), x, padding.top + plotHeight + 8);
+  }
+  ctx.font = '13px sans-serif';
+  ctx.textBaseline = 'bottom';
+  ctx.fillText(data.x.label, padding.left + plotWidth / 2, height - 10);
+  ctx.strokeStyle = '#374151';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(padding.left, padding.top, plotWidth, plotHeight);
+
+  data.series.slice(0, 2).forEach((series, seriesIndex) => {
+    const range = getAxisRange(series.values);
+    if (!range) return;
+    const color = colors[seriesIndex];
+    const yToCanvas = (v) => padding.top + plotHeight - ((v - range.min) / (range.max - range.min)) * plotHeight;
+    const isLeft = seriesIndex === 0;
+
+    // 纵轴刻度与标题
+    ctx.fillStyle = color;
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = isLeft ? 'right' : 'left';
+    ctx.textBaseline = 'middle';
+    const axisX = isLeft ? padding.left - 8 : padding.left + plotWidth + 8;
+    for (let i = 0; i <= numGridLines; i++) {
+      const value = range.min + (i / numGridLines) * (range.max - range.min);
+      ctx.fillText(value.toPrecision(4), axisX, yToCanvas(value));
+    }
+    ctx.save();
+    ctx.translate(isLeft ? 14 : width - 14, padding.top + plotHeight / 2);
+    ctx.rotate(isLeft ? -Math.PI / 2 : Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.font = '13px sans-serif';
+    ctx.fillText(series.label, 0, 0);
+    ctx.restore();
+
+    // 曲线（失败点断开）与数据点
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    let penDown = false;
+    series.values.forEach((value, i) => {
+      if (value === null || !isFinite(value)) {
+        penDown = false;
+        return;
+      }
+      const x = xToCanvas(xValues[i]);
+      const y = yToCanvas(value);
+      if (penDown) ctx.lineTo(x, y);
+      else ctx.moveTo(x, y);
+      penDown = true;
+    });
+    ctx.stroke();
+    ctx.fillStyle = color;
+    series.values.forEach((value, i) => {
+      if (value === null || !isFinite(value)) return;
+      ctx.beginPath();
+      ctx.arc(xToCanvas(xValues[i]), yToCanvas(value), 3, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  });
+
+  ctx.fillStyle = '#111827';
+  ctx.font = 'bold 15px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  ctx.fillText('参数扫描', padding.left + plotWidth / 2, 10);
+}
+
+/**
+ * 绘制双变量参数扫描热图（色块 + 色标）
+ * @param {HTMLCanvasElement} canvas - Canvas 元素
+ * @param {Object} data
+ * @param {Object} data.x - 横轴 {label, values}
+ * @param {Object} data.y - 纵轴 {label, values}
+ * @param {Object} data.z - 输出量 {label, values}：values[j][i] 对应 y.values[j]、x.values[i]，失败点为 null
+ */
+export function drawSweepHeatMap(canvas, data) {
+  if (!canvas || !data?.x || !data?.y || !data?.z) {
+    return;
+  }
+  const ctx = canvas.getContext('2d');
+  const width = canvas.width;
+  const height = canvas.height;
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+
+  const padding = { top: 40, right: 130, bottom: 60, left: 90 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  const nx = data.x.values.length;
+  const ny = data.y.values.length;
+  const cellWidth = plotWidth / nx;
+  const cellHeight = plotHeight / ny;
+  const zValid = data.z.values.flat().filter(v => v !== null && isFinite(v));
+  const zMin = zValid.length > 0 ? Math.min(...zValid) : 0;
+  const zMax = zValid.length > 0 ? Math.max(...zValid) : 1;
+
+  // 色标：蓝（低）→ 青 → 黄 → 红（高）
+  const colorAt = (t) => {
+    const stops = [[37, 99, 235], [6, 182, 212], [250, 204, 21], [220, 38, 38]];
+    const scaled = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+    const i = Math.min(Math.floor(scaled), stops.length - 2);
+    const f = scaled - i;
+    const [r, g, b] = stops[i].map((c, k) => Math.round(c + (stops[i + 1][k] - c) * f));
+    return `rgb(${r}, ${g}, ${b})`;
+  };
+  const normalize = (v) => (zMax > zMin ? (v - zMin) / (zMax - zMin) : 0.5);
+
+  // 色块：纵轴由下至上为 y 增大方向
+  for (let j = 0; j < ny; j++) {
+    for (let i = 0; i < nx; i++) {
+      const value = data.z.values[j]?.[i];
+      ctx.fillStyle = value === null || value === undefined || !isFinite(value) ? '#e5e7eb' : colorAt(normalize(value));
+      ctx.fillRect(padding.left + i * cellWidth, padding.top + plotHeight - (j + 1) * cellHeight, Math.ceil(cellWidth), Math.ceil(cellHeight));
+    }
+  }
+  ctx.strokeStyle = '#374151';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(padding.left, padding.top, plotWidth, plotHeight);
+
+  // 坐标轴刻度（标注在色块中心，点数多时间隔标注）
+  ctx.fillStyle = '#374151';
+  ctx.font = '12px sans-serif';
+  const xEvery = Math.ceil(nx / 8);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  data.x.values.forEach((value, i) => {
+    if (i % xEvery !== 0) return;
+    ctx.fillText(Number(value).toPrecision(4), padding.left + (i + 0.5) * cellWidth, padding.top + plotHeight + 8);
+  });
+  const yEvery = Math.ceil(ny / 8);
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  data.y.values.forEach((value, j) => {
+    if (j % yEvery !== 0) return;
+    ctx.fillText(Number(value).toPrecision(4), padding.left - 8, padding.top + plotHeight - (j + 0.5) * cellHeight);
+  });
+  ctx.font = '13px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  ctx.fillText(data.x.label, padding.left + plotWidth / 2, height - 10);
+  ctx.save();
+  ctx.translate(16, padding.top + plotHeight / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.fillText(data.y.label, 0, 0);
+  ctx.restore();
+
+  // 色标
+  const barX = padding.left + plotWidth + 25;
+  const barWidth = 16;
+  for (let k = 0; k < plotHeight; k++) {
+    ctx.fillStyle = colorAt(1 - k / plotHeight);
+    ctx.fillRect(barX, padding.top + k, barWidth, 1);
+  }
+  ctx.strokeStyle = '#374151';
+  ctx.lineWidth = 1;
+  ctx.strokeRect(barX, padding.top, barWidth, plotHeight);
+  ctx.fillStyle = '#374151';
+  ctx.font = '11px sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  for (let k = 0; k <= 4; k++) {
+    const value = zMax - (k / 4) * (zMax - zMin);
+    ctx.fillText(value.toPrecision(4), barX + barWidth + 6, padding.top + (k / 4) * plotHeight);
+  }
+
+  ctx.fillStyle = '#111827';
+  ctx.font = 'bold 15px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  ctx.fillText(data.z.label, padding.left + plotWidth / 2, 10);
+}
+
+/**
+ * 绘制设计优化的目标散点图：灰色为不满足约束的方案，蓝色为可行方案，红色并连线为 Pareto 最优解
+ * @param {HTMLCanvasElement} canvas - Canvas 元素
+ * @param {Object} data
+ * @param {Object} data.x - 横轴目标 {label}
+ * @param {Object} data.y - 纵轴目标 {label}
+ * @param {Array<Object>} data.points - 方案 [{x, y, feasible, pareto}]
+ */
+export function drawParetoChart(canvas, data) {
+  if (!canvas || !data?.points?.length) {
+    return;
+  }
+  const ctx = canvas.getContext('2d');
+  const width = canvas.width;
+  const height = canvas.height;
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+
+  const points = data.points.filter(p => p.x !== null && p.y !== null && isFinite(p.x) && isFinite(p.y));
+  const xRange = getAxisRange(points.map(p => p.x));
+  const yRange = getAxisRange(points.map(p => p.y));
+  if (!xRange || !yRange) return;
+
+  const padding = { top: 40, right: 30, bottom: 60, left: 90 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  const xToCanvas = (x) => padding.left + ((x - xRange.min) / (xRange.max - xRange.min)) * plotWidth;
+  const yToCanvas = (y) => padding.top + plotHeight - ((y - yRange.min) / (yRange.max - yRange.min)) * plotHeight;
+  const numGridLines = 5;
+
+  // 网格与刻度
+  ctx.strokeStyle = '#e5e7eb';
+  ctx.lineWidth = 1;
+  ctx.fillStyle = '#374151';
+  ctx.font = '12px sans-serif';
+  for (let i = 0; i <= numGridLines; i++) {
+    const x = padding.left + (i / numGridLines) * plotWidth;
+    const y = padding.top + (i / numGridLines) * plotHeight;
+    ctx.beginPath();
+    ctx.moveTo(x, padding.top);
+    ctx.lineTo(x, padding.top + plotHeight);
+    ctx.moveTo(padding.left, y);
+    ctx.lineTo(padding.left + plotWidth, y);
+    ctx.stroke();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText((xRange.min + (i / numGridLines) * (xRange.max - xRange.min)).toPrecision(4), x, padding.top + plotHeight + 8);
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillText((yRange.max - (i / numGridLines) * (yRange.max - yRange.min)).toPrecision(4), padding.left - 8, y);
+  }
+  ctx.font = '13px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  ctx.fillText(data.x.label, padding.left + plotWidth / 2, height - 10);
+  ctx.save();
+  ctx.translate(14, padding.top + plotHeight / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.textBaseline = 'middle';
+  ctx.fillText(data.y.label, 0, 0);
+  ctx.restore();
+  ctx.strokeStyle = '#374151';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(padding.left, padding.top, plotWidth, plotHeight);
+
+  // Pareto 前沿连线（按横轴排序）
+  const front = points.filter(p => p.pareto).sort((a, b) => a.x - b.x);
+  if (front.length > 1) {
+    ctx.strokeStyle = '#dc2626';
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    front.forEach((p, i) => (i === 0 ? ctx.moveTo(xToCanvas(p.x), yToCanvas(p.y)) : ctx.lineTo(xToCanvas(p.x), yToCanvas(p.y))));
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  // 先画不可行方案，Pareto 解最后画在最上层
+  const pointColor = (p) => (p.pareto ? '#dc2626' : p.feasible ? '#2563eb' : '#9ca3af');
+  [...points.filter(p => !p.feasible), ...points.filter(p => p.feasible && !p.pareto), ...front].forEach((p) => {
+    ctx.fillStyle = pointColor(p);
+    ctx.beginPath();
+    ctx.arc(xToCanvas(p.x), yToCanvas(p.y), p.pareto ? 5 : 3.5, 0, Math.PI * 2);
+    ctx.fill();
+  });
+
+  // 图例
+  const legend = [['Pareto 最优', '#dc2626'], ['可行方案', '#2563eb'], ['不满足约束', '#9ca3af']];
+  ctx.font = '12px sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  legend.forEach(([label, color], i) => {
+    const lx = padding.left + plotWidth - 100;
+    const ly = padding.top + 14 + i * 18;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(lx, ly, 4, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#374151';
+    ctx.fillText(label, lx + 10, ly);
+  });
+
+  ctx.fillStyle = '#111827';
+  ctx.font = 'bold 15px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  ctx.fillText('设计方案目标分布', padding.left + plotWidth / 2, 10);
+}
+
+/**
+ * 绘制不确定性分析的直方图，可标注名义值、分位数等参考线
+ * @param {HTMLCanvasElement} canvas - Canvas 元素
+ * @param {Object} data
+ * @param {string} data.label - 横轴标题
+ * @param {Array<number>} data.edges - 分组边界
+ * @param {Array<number>} data.counts - 各组样本数
+ * @param {Array<Object>} data.markers - 参考线 [{value, label, color, dashed}]
+ * @param {boolean} data.highlightNegative - 是否将小于 0 的分组标为红色（用于面积余量）
+ */
+export function drawHistogram(canvas, data) {
+  if (!canvas || !data?.edges?.length || !data.counts?.length) {
+    return;
+  }
+  const ctx = canvas.getContext('2d');
+  const width = canvas.width;
+  const height = canvas.height;
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+
+  const padding = { top: 40, right: 30, bottom: 60, left: 70 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  const markers = data.markers || [];
+  const xRange = getAxisRange([...data.edges, ...markers.map(m => m.value)]);
+  const maxCount = Math.max(...data.counts, 1);
+  const xToCanvas = (x) => padding.left + ((x - xRange.min) / (xRange.max - xRange.min)) * plotWidth;
+  const yToCanvas = (count) => padding.top + plotHeight - (count / maxCount) * plotHeight * 0.9;
+  const numGridLines = 5;
+
+  // 网格与刻度
+  ctx.strokeStyle = '#e5e7eb';
+  ctx.lineWidth = 1;
+  ctx.fillStyle = '#374151';
+  ctx.font = '12px sans-serif';
+  for (let i = 0; i <= numGridLines; i++) {
+    const x = padding.left + (i / numGridLines) * plotWidth;
+    const count = maxCount * (1 - i / numGridLines);
+    const y = yToCanvas(count);
+    ctx.beginPath();
+    ctx.moveTo(padding.left, y);
+    ctx.lineTo(padding.left + plotWidth, y);
+    ctx.stroke();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText((xRange.min + (i / numGridLines) * (xRange.max - xRange.min)).toPrecision(4), x, padding.top + plotHeight + 8);
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(Math.round(count), padding.left - 8, y);
+  }
+  ctx.font = '13px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  ctx.fillText(data.label, padding.left + plotWidth / 2, height - 10);
+  ctx.save();
+  ctx.translate(14, padding.top + plotHeight / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.textBaseline = 'middle';
+  ctx.fillText('样本数', 0, 0);
+  ctx.restore();
+
+  // 柱
+  data.counts.forEach((count, i) => {
+    const x0 = xToCanvas(data.edges[i]);
+    const x1 = xToCanvas(data.edges[i + 1]);
+    const negative = data.highlightNegative && data.edges[i + 1] <= 0;
+    ctx.fillStyle = negative ? 'rgba(220, 38, 38, 0.7)' : 'rgba(37, 99, 235, 0.7)';
+    ctx.fillRect(x0 + 0.5, yToCanvas(count), Math.max(1, x1 - x0 - 1), padding.top + plotHeight - yToCanvas(count));
+  });
+  ctx.strokeStyle = '#374151';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(padding.left, padding.top, plotWidth, plotHeight);
+
+  // 参考线，标签错开排列避免重叠
+  ctx.font = '12px sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  markers.forEach((marker, i) => {
+    const x = xToCanvas(marker.value);
+    ctx.strokeStyle = marker.color;
+    ctx.lineWidth = 2;
+    ctx.setLineDash(marker.dashed ? [5, 4] : []);
+    ctx.beginPath();
+    ctx.moveTo(x, padding.top);
+    ctx.lineTo(x, padding.top + plotHeight);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = marker.color;
+    ctx.fillText(marker.label, x + 4, padding.top + 4 + i * 16);
+  });
+
+  ctx.fillStyle = '#111827';
+  ctx.font = 'bold 15px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  ctx.fillText('样本分布', padding.left + plotWidth / 2, 10);
+}
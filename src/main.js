@@ -4,7 +4,7 @@
  */
 
 import './style.css';
-import { loadCoolProp } from './js/coolprop_loader.js';
+import { loadCalculationEngine } from './js/calculation_client.js';
 import { initializeUI } from './js/ui.js';
 
 /**
@@ -23,9 +23,9 @@ async function initApp() {
       mainAppDiv.classList.add('hidden');
     }
 
-    // 加载 CoolProp
+    // 在计算 Worker 中加载 CoolProp
     console.log('正在加载 CoolProp...');
-    await loadCoolProp();
+    await loadCalculationEngine();
     console.log('CoolProp 加载成功');
 
     // 隐藏加载状态，显示主应用
@@ -0,0 +1,45 @@
+/**
+ * Node.js 入口（无浏览器环境）
+ * 从磁盘读取 coolprop.wasm 加载 CoolProp，并导出计算引擎，供脚本和 CLI（bin/hx.js）使用
+ */
+
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { configureCoolProp, loadCoolProp } from './js/coolprop_loader.js';
+
+export { calculateHeatExchanger, calculateSizing } from './js/heat_exchanger.js';
+export { calculateParametricSweep } from './js/sweep.js';
+export { buildSweepValues, SWEEP_VARIABLES, SWEEP_OUTPUTS } from './js/sweep_config.js';
+export { optimizeDesign, findParetoSet } from './js/optimizer.js';
+export { getOuterTubeOptions, OPTIMIZATION_OBJECTIVES } from './js/optimizer_config.js';
+export { calculateUncertainty, summarizeSamples } from './js/uncertainty.js';
+export { buildHistogram, UNCERTAINTY_FACTORS } from './js/uncertainty_config.js';
+export { getPropertyCacheStats, clearPropertyCache, setReferenceState } from './js/coolprop_loader.js';
+export { setCustomFluidStore } from './js/custom_fluids.js';
+export {
+  SCHEMA_VERSION,
+  INPUT_SCHEMA,
+  RESULT_SCHEMA,
+  validateCalculationInput,
+  validateCalculationResult,
+  migrateCalculationInput
+} from './js/schema.js';
+
+/** 默认 WASM 路径：与浏览器版相同，位于 public/ 目录 */
+export const DEFAULT_WASM_PATH = fileURLToPath(new URL('../public/coolprop.wasm', import.meta.url));
+
+/**
+ * 从磁盘加载 CoolProp
+ * @param {string} wasmPath - coolprop.wasm 路径，默认取环境变量 COOLPROP_WASM，其次为 public/coolprop.wasm
+ * @returns {Promise<Object>} CoolProp 实例
+ */
+export async function loadCoolPropFromDisk(wasmPath = process.env.COOLPROP_WASM || DEFAULT_WASM_PATH) {
+  let wasmBinary;
+  try {
+    wasmBinary = await readFile(wasmPath);
+  } catch (error) {
+    throw new Error(`无法读取 CoolProp WASM 文件: ${wasmPath}（${error.message}）`);
+  }
+  configureCoolProp({ wasmBinary });
+  return loadCoolProp();
+}
@@ -0,0 +1,42 @@
+/**
+ * 单相关联式库测试（node --test）
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateNusseltWithCorrelation } from '../src/js/correlations.js';
+
+test('Gnielinski 在层流输入下退回充分发展层流值，Nu 不为负', () => {
+  const result = calculateNusseltWithCorrelation('gnielinski', {
+    re: 500,
+    pr: 5,
+    heating: true,
+    diameter: 0.02,
+    length: 2
+  }, 'tube');
+  assert.equal(result.nu, 3.66);
+  assert.equal(result.inRange, false);
+  assert.ok(result.violations.some(text => text.startsWith('Re')));
+});
+
+test('Gnielinski 在适用范围内按原公式计算', () => {
+  const result = calculateNusseltWithCorrelation('gnielinski', {
+    re: 20000,
+    pr: 5,
+    heating: true,
+    diameter: 0.02,
+    length: 2
+  }, 'tube');
+  assert.ok(result.nu > 100 && result.nu < 200);
+  assert.equal(result.inRange, true);
+});
+
+test('Sieder-Tate 按传入的粘度比修正，并在结果中给出所用粘度比', () => {
+  const context = { re: 20000, pr: 5, heating: true, diameter: 0.02, length: 2 };
+  const uncorrected = calculateNusseltWithCorrelation('sieder-tate', context, 'tube');
+  const corrected = calculateNusseltWithCorrelation('sieder-tate', { ...context, viscosityRatio: 2 }, 'tube');
+  assert.equal(uncorrected.viscosityRatio, 1);
+  assert.equal(corrected.viscosityRatio, 2);
+  assert.ok(Math.abs(corrected.nu / uncorrected.nu - Math.pow(2, 0.14)) < 1e-12);
+  assert.equal(calculateNusseltWithCorrelation('dittus-boelter', context, 'tube').viscosityRatio, null);
+});
@@ -11,6 +11,10 @@ export default defineConfig({
       }
     }
   },
+  worker: {
+    // 计算 Worker 为模块 Worker，且动态导入 coolprop.js，需要 ES 格式
+    format: 'es'
+  },
   server: {
     port: 3000,
     open: true,